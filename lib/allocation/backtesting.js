@@ -0,0 +1,160 @@
+/**
+ * @file Functions related to the backtesting of portfolio allocation methods.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function walkForwardBacktest
+*
+* @summary Compute a walk-forward backtest of a portfolio allocation method.
+*
+* @description This function simulates the investment in a portfolio of n assets over T periods of time,
+* whose weights are periodically recomputed by a portfolio allocation method using only the information available
+* at the time of the recomputation (i.e., without look-ahead bias).
+*
+* At each rebalancing period t, the allocation function is called with:
+* - sigma, the sample covariance matrix of the returns of the assets over the L periods t-L,...,t-1 (the lookback window)
+* - opt.allocationOptions, the optional parameters of the allocation function
+* - the returns of the assets over the L periods t-L,...,t-1, an array of n arrays of L real numbers
+* so that most allocation functions (equalRiskContributionWeights, minCorrWeights, globalMinimumVarianceWeights...) can be used directly,
+* the computed weights being then applied from the period t onward.
+*
+* Between two rebalancing periods, the weights of the portfolio drift with the returns of the assets (i.e., no rebalancing occurs).
+*
+* @param {Array.<Array.<number>>} assetsData an array of n arrays of T real numbers representing either the returns of n assets over T periods of time,
+* or the prices of n assets over T+1 dates, c.f. opt.dataType.
+* @param {function} allocationFunction the portfolio allocation function, called as allocationFunction(sigma, opt.allocationOptions, assetsReturns)
+* and returning the weights of the portfolio, an array of n real numbers.
+* @param {object} opt the optional parameters for the backtest.
+* @param {string} opt.dataType the type of the data assetsData, a string either equal to 'returns' or to 'prices'; defaults to 'returns'.
+* @param {number} opt.lookbackWindow the number of periods L of the lookback window, a strictly positive natural integer; defaults to 60.
+* @param {number} opt.rebalancingPeriod the number of periods k between two rebalancings, a strictly positive natural integer,
+* the rebalancings occuring at the periods L+1, L+1+k, L+1+2k...; defaults to 21.
+* @param {Array.<number>} opt.rebalancingDates the periods at which the rebalancings occur, an array of strictly increasing natural integers
+* belonging to L+1..T, which overrides opt.rebalancingPeriod; defaults to undefined.
+* @param {object} opt.allocationOptions the optional parameters to provide to the allocation function; defaults to undefined.
+* @return {object} an object containing the following properties, the backtest starting at the first rebalancing period t_1:
+* - rebalancingDates, the rebalancing periods t_1,...,t_K, array of K natural integers
+* - weights, the weights of the portfolio computed at each rebalancing period, array of K arrays of n real numbers
+* - turnover, the turnover sum_i |w_i - wd_i| at each rebalancing period, with wd the drifted weights of the portfolio just before the rebalancing
+* (the initial weights being null), array of K real numbers
+* - portfolioReturns, the returns of the portfolio over the periods t_1,...,T, array of T-t_1+1 real numbers
+* - equityCurve, the values of the portfolio at the beginning of the period t_1 and at the end of the periods t_1,...,T, starting with an initial value of 1,
+* array of T-t_1+2 real numbers
+*
+* @example
+* walkForwardBacktest(assetsReturns, PortfolioAllocation.equalRiskContributionWeights, {lookbackWindow: 60, rebalancingPeriod: 21});
+*/
+self.walkForwardBacktest = function (assetsData, allocationFunction, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var dataType = opt.dataType || 'returns';
+	if (dataType !== 'returns' && dataType !== 'prices') {
+		throw new Error('unsupported data type');
+	}
+	var lookbackWindow = opt.lookbackWindow || 60;
+	var rebalancingPeriod = opt.rebalancingPeriod || 21;
+	var rebalancingDates = opt.rebalancingDates;
+	var allocationOptions = opt.allocationOptions;
+
+	// Compute the returns of the assets, if required
+	var nbAssets = assetsData.length;
+	var assetsReturns = assetsData;
+	if (dataType === 'prices') {
+		assetsReturns = new Array(nbAssets);
+		for (var i = 0; i < nbAssets; ++i) {
+			assetsReturns[i] = new Array(assetsData[i].length - 1);
+			for (var t = 1; t < assetsData[i].length; ++t) {
+				assetsReturns[i][t-1] = assetsData[i][t] / assetsData[i][t-1] - 1;
+			}
+		}
+	}
+	var nbPeriods = assetsReturns[0].length;
+
+	// Compute the rebalancing dates, if required, and check them
+	if (rebalancingDates === undefined) {
+		rebalancingDates = [];
+		for (var t = lookbackWindow + 1; t <= nbPeriods; t += rebalancingPeriod) {
+			rebalancingDates.push(t);
+		}
+	}
+	if (rebalancingDates.length == 0) {
+		throw new Error('no rebalancing date');
+	}
+	for (var k = 0; k < rebalancingDates.length; ++k) {
+		var t = rebalancingDates[k];
+		if (t <= lookbackWindow || t > nbPeriods || (k > 0 && t <= rebalancingDates[k-1])) {
+			throw new Error('invalid rebalancing date: ' + t);
+		}
+	}
+
+
+	// ------
+
+	// Initializations
+	var firstPeriod = rebalancingDates[0];
+	var weightsHistory = [];
+	var turnoverHistory = [];
+	var portfolioReturns = [];
+	var equityCurve = [1];
+	var currentWeights = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		currentWeights[i] = 0;
+	}
+
+	// Walk forward through the periods
+	var nextRebalancingIdx = 0;
+	for (var t = firstPeriod; t <= nbPeriods; ++t) {
+		// Rebalance the portfolio, if required, using only the returns of the assets
+		// over the periods t-L,...,t-1
+		if (nextRebalancingIdx < rebalancingDates.length && t == rebalancingDates[nextRebalancingIdx]) {
+			var lookbackReturns = new Array(nbAssets);
+			for (var i = 0; i < nbAssets; ++i) {
+				lookbackReturns[i] = assetsReturns[i].slice(t - 1 - lookbackWindow, t - 1);
+			}
+			var sigma = self.sampleCovarianceMatrix.apply(null, lookbackReturns);
+
+			var weights = allocationFunction(sigma, allocationOptions, lookbackReturns);
+
+			var turnover = 0;
+			for (var i = 0; i < nbAssets; ++i) {
+				turnover += Math.abs(weights[i] - currentWeights[i]);
+			}
+
+			weightsHistory.push(weights.slice());
+			turnoverHistory.push(turnover);
+			currentWeights = weights.slice();
+
+			++nextRebalancingIdx;
+		}
+
+		// Compute the return of the portfolio over the period t
+		var portfolioReturn = 0;
+		for (var i = 0; i < nbAssets; ++i) {
+			portfolioReturn += currentWeights[i] * assetsReturns[i][t-1];
+		}
+		portfolioReturns.push(portfolioReturn);
+		equityCurve.push(equityCurve[equityCurve.length - 1] * (1 + portfolioReturn));
+
+		// Drift the weights of the portfolio with the returns of the assets
+		for (var i = 0; i < nbAssets; ++i) {
+			currentWeights[i] = currentWeights[i] * (1 + assetsReturns[i][t-1]) / (1 + portfolioReturn);
+		}
+	}
+
+	// Return the backtest results
+	return {
+		rebalancingDates: rebalancingDates.slice(),
+		weights: weightsHistory,
+		turnover: turnoverHistory,
+		portfolioReturns: portfolioReturns,
+		equityCurve: equityCurve
+	};
+}
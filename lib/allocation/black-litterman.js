@@ -0,0 +1,185 @@
+/**
+ * @file Functions related to the Black-Litterman model.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function impliedEquilibriumReturns
+*
+* @summary Compute the implied equilibrium returns of a market portfolio.
+*
+* @description This function returns the implied equilibrium (excess) returns PI = delta * SIGMA * w_mkt of n assets,
+* i.e. the returns of the n assets for which the market portfolio of weights w_mkt is the optimal mean-variance portfolio
+* of an investor with a risk aversion coefficient delta, c.f. the reference.
+*
+* This computation is also known as reverse optimization.
+*
+* @see <a href="https://doi.org/10.2469/faj.v48.n5.28">Fischer Black, Robert Litterman, Global Portfolio Optimization, Financial Analysts Journal, 48(5), 28-43 (1992)</a>
+*
+* @param {Array.<number>} marketWeights the weights w_mkt of the market portfolio, typically the market capitalization weights of the n assets, array of n real numbers.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {object} opt the optional parameters for the algorithm.
+* @param {number} opt.riskAversion the risk aversion coefficient delta of the market, a strictly positive real number; defaults to 2.5.
+* @return {Array.<number>} the implied equilibrium returns of the n assets, array of n real numbers.
+*
+* @example
+* impliedEquilibriumReturns([0.5, 0.5], [[0.04, 0.01], [0.01, 0.09]]);
+* // [0.0625, 0.125]
+*/
+self.impliedEquilibriumReturns = function (marketWeights, sigma, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var riskAversion = opt.riskAversion || 2.5;
+
+	// Convert marketWeights and sigma to matrix format
+	var marketWeights = new Matrix_(marketWeights);
+	var sigma = new Matrix_(sigma);
+
+	// TODO: Checks, if enabled
+	// Check that sigma and marketWeights are rows compatible
+
+
+	// ------
+
+	// Compute PI = delta * SIGMA * w_mkt
+	var impliedReturns = Matrix_.xy(sigma, marketWeights).elemMap(function(i, j, val) { return riskAversion * val; });
+
+	// Return the computed returns
+	return impliedReturns.toArray();
+}
+
+
+/**
+* @function blackLittermanPosterior
+*
+* @summary Compute the Black-Litterman posterior returns and covariance matrix.
+*
+* @description This function returns the posterior returns and the posterior covariance matrix of n assets,
+* obtained by combining their implied equilibrium returns PI, c.f. the impliedEquilibriumReturns function,
+* with k investor views P * mu = Q + epsilon, epsilon ~ N(0, OMEGA), as described in the first reference:
+*
+* - Posterior returns mu_BL = PI + tau * SIGMA * P^t * (P * tau * SIGMA * P^t + OMEGA)^-1 * (Q - P * PI)
+* - Posterior covariance matrix SIGMA_BL = SIGMA + M, with M = tau * SIGMA - tau * SIGMA * P^t * (P * tau * SIGMA * P^t + OMEGA)^-1 * P * tau * SIGMA
+*   the covariance matrix of the posterior returns
+*
+* The uncertainty matrix OMEGA of the views is either:
+* - Provided directly
+* - Computed from the confidence levels c_1,...,c_k of the views, using the closed-form version of the method of Idzorek (second reference) described in the third reference,
+* OMEGA = diag(omega_1,...,omega_k), with omega_j = (1 - c_j)/c_j * p_j^t * tau * SIGMA * p_j and p_j^t the j-th row of P,
+* a confidence level of 100% meaning that the posterior returns fully reflect the view
+* - Computed proportionally to the variances of the views, OMEGA = diag(P * tau * SIGMA * P^t), c.f. the first reference,
+* in case neither OMEGA nor the confidence levels of the views are provided
+*
+* The posterior returns and the posterior covariance matrix can then be used with a mean-variance optimizer,
+* c.f. for instance the meanVarianceWeights function.
+*
+* @see <a href="https://ssrn.com/abstract=334304">He, Guangliang and Litterman, Robert, The Intuition Behind Black-Litterman Model Portfolios (December 1999)</a>
+* @see Idzorek, T. M. (2007). A step-by-step guide to the Black-Litterman model: Incorporating user-specified confidence levels. In Forecasting Expected Returns in the Financial Markets, 17-38. Academic Press.
+* @see <a href="https://ssrn.com/abstract=1314585">Walters, Jay, The Black-Litterman Model in Detail (2014)</a>
+*
+* @param {Array.<number>} marketWeights the weights w_mkt of the market portfolio, typically the market capitalization weights of the n assets, array of n real numbers.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {object} views the investor views, an object containing the following properties:
+* - P, the k by n matrix of the views, each row defining the portfolio of assets to which a view applies (absolute or relative view), Matrix or array of k arrays of n real numbers
+* - Q, the expected returns of the k portfolios of assets defined by P, array of k real numbers
+* - omega, the optional k by k uncertainty matrix OMEGA of the views, Matrix or array of k arrays of k real numbers
+* - confidences, the optional confidence levels c_1,...,c_k of the views, array of k real numbers belonging to ]0,1], to be provided instead of omega
+* @param {object} opt the optional parameters for the algorithm.
+* @param {number} opt.riskAversion the risk aversion coefficient delta of the market, a strictly positive real number; defaults to 2.5.
+* @param {number} opt.tau the scalar tau representing the uncertainty on the implied equilibrium returns, a strictly positive real number; defaults to 0.05.
+* @return {object} an object containing the following properties:
+* - impliedReturns, the implied equilibrium returns PI of the n assets, array of n real numbers
+* - posteriorReturns, the posterior returns mu_BL of the n assets, array of n real numbers
+* - posteriorCovarianceMatrix, the posterior covariance matrix SIGMA_BL of the n assets, Matrix object
+*
+* @example
+* blackLittermanPosterior([0.5, 0.5], [[0.04, 0.01], [0.01, 0.09]], {P: [[1, 0]], Q: [0.1], confidences: [1]});
+* // {impliedReturns: [0.0625, 0.125], posteriorReturns: [0.1, ~0.1344], posteriorCovarianceMatrix: ~Matrix_([[0.04, 0.01], [0.01, 0.0944]])}
+*/
+self.blackLittermanPosterior = function (marketWeights, sigma, views, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var riskAversion = opt.riskAversion || 2.5;
+	var tau = opt.tau || 0.05;
+
+	// Decode the views
+	if (views.omega !== undefined && views.confidences !== undefined) {
+		throw new Error('views uncertainty matrix and views confidence levels are mutually exclusive');
+	}
+	var P = new Matrix_(views.P);
+	var Q = new Matrix_(views.Q);
+	var nbViews = P.nbRows;
+
+	// Convert sigma to matrix format
+	var sigma = new Matrix_(sigma);
+	var nbAssets = sigma.nbRows;
+
+	// TODO: Checks, if enabled
+	// Check that sigma and marketWeights are rows compatible
+	// Check that P and sigma are columns compatible, and that P, Q and omega are rows compatible
+
+
+	// ------
+
+	// Compute the implied equilibrium returns PI
+	var impliedReturns = new Matrix_(self.impliedEquilibriumReturns(marketWeights, sigma, {riskAversion: riskAversion}));
+
+	// Compute tau * SIGMA and P * tau * SIGMA
+	var tauSigma = sigma.elemMap(function(i, j, val) { return tau * val; });
+	var pTauSigma = Matrix_.xy(P, tauSigma);
+
+	// Compute P * tau * SIGMA * P^t, the covariance matrix of the views portfolios returns
+	var pTauSigmaPt = Matrix_.axty(1, pTauSigma, P);
+
+	// Compute the uncertainty matrix OMEGA of the views
+	var omega;
+	if (views.omega !== undefined) {
+		omega = new Matrix_(views.omega);
+	}
+	else if (views.confidences !== undefined) {
+		var confidences = views.confidences;
+		omega = Matrix_.fill(nbViews, nbViews, function(i, j) {
+			if (i != j) {
+				return 0;
+			}
+
+			var c_i = confidences[i-1];
+			if (c_i <= 0 || c_i > 1) {
+				throw new Error('invalid view confidence level: ' + c_i);
+			}
+			return (1 - c_i)/c_i * pTauSigmaPt.getValueAt(i, i);
+		});
+	}
+	else {
+		omega = Matrix_.diagonal(pTauSigmaPt.diagonal());
+	}
+
+	// Compute the posterior returns mu_BL = PI + (P * tau * SIGMA)^t * (P * tau * SIGMA * P^t + OMEGA)^-1 * (Q - P * PI),
+	// using a linear system solver instead of an explicit inversion
+	var a = Matrix_.xpy(pTauSigmaPt, omega);
+	var x = Matrix_.linsolve(a, Matrix_.xmy(Q, Matrix_.xy(P, impliedReturns)));
+	var posteriorReturns = Matrix_.xpy(impliedReturns, Matrix_.txy(pTauSigma, x));
+
+	// Compute the covariance matrix of the posterior returns M = tau * SIGMA - (P * tau * SIGMA)^t * (P * tau * SIGMA * P^t + OMEGA)^-1 * P * tau * SIGMA,
+	// and the posterior covariance matrix SIGMA_BL = SIGMA + M, symmetrized to remove rounding errors
+	var m = Matrix_.xmy(tauSigma, Matrix_.txy(pTauSigma, Matrix_.xy(Matrix_.inverse(a), pTauSigma)));
+	var posteriorSigma = Matrix_.fillSymetric(nbAssets, function(i, j) {
+		return sigma.getValueAt(i, j) + 0.5 * (m.getValueAt(i, j) + m.getValueAt(j, i));
+	}).toCovarianceMatrix();
+
+	// Return the computed posterior returns and covariance matrix
+	return {
+		impliedReturns: impliedReturns.toArray(),
+		posteriorReturns: posteriorReturns.toArray(),
+		posteriorCovarianceMatrix: posteriorSigma
+	};
+}
@@ -20,10 +20,13 @@
 * This algorithm combines the use of a clustering method to isolate groups of assets and then allocate 
 * both within and across these groups using equal risk contribution (ERC) weights.
 *
-* To be noted that the choice of the clustering method is not detailled in the reference, so that two possibilites
+* To be noted that the choice of the clustering method is not detailled in the reference, so that several possibilites
 * are offered by this function:
 * - (Default) Using automatically the Fast Threshold Clustering Algorithm (FTCA) from David Varadi, c.f. the ftca_ function.
-* - Using a list of clusters provided by the user, typically constructed with the clustering algorithm of her choice
+* - Using automatically an agglomerative hierarchical clustering algorithm applied to the correlation distance d_ij = sqrt(1/2 * (1 - rho_ij)),
+* with the dendrogram cut either into a given number of clusters or at a given distance, c.f. the hierarchicalClustering_ and cutDendrogram_ functions.
+* - Using automatically a k-medoids clustering algorithm applied to the correlation distance, c.f. the kMedoids_ function.
+* - Using a list of clusters provided by the user, typically constructed with the clustering algorithm of their choice
 * 
 * This portfolio is unique, provided the covariance matrix of the assets is definite positive.
 * 
@@ -35,9 +38,16 @@
 * @param {number} opt.maxIter the maximum number of iterations of the ERC algorithms, a strictly positive natural integer; defaults to 10000.
 * @param {number} opt.clusteringMode the method to use for the clusters computation, a string either equals to:
 * - 'ftca': usage of the list of clusters automatically constructed by the FTCA algorithm from David Varadi
+* - 'hierarchical': usage of the list of clusters automatically constructed by the agglomerative hierarchical clustering algorithm
+* - 'kMedoids': usage of the list of clusters automatically constructed by the k-medoids clustering algorithm
 * - 'manual': usage of a list of clusters provided in input in the opt.clusters option
 * ; defaults to 'ftca'.
 * @param {number} opt.ftcaThreshold the correlation threshold to use in the FTCA algorithm in case opt.clusteringMode is equal to 'ftca', a real number beloning to [0,1]; defaults to 0.5.
+* @param {string} opt.linkageMethod the linkage method to use in the hierarchical clustering algorithm in case opt.clusteringMode is equal to 'hierarchical', a string either equals to 'single', 'complete', 'average' or 'ward'; defaults to 'single'.
+* @param {number} opt.nbClusters the number of clusters to compute in case opt.clusteringMode is equal to 'hierarchical' or 'kMedoids', a natural integer belonging to [1..n]; 
+* defaults to the closest integer to sqrt(n/2) in case opt.clusteringMode is equal to 'kMedoids'.
+* @param {number} opt.maxDistance the correlation distance at which to cut the dendrogram in case opt.clusteringMode is equal to 'hierarchical' and opt.nbClusters is not provided, a positive real number; 
+* defaults to 0.5, which corresponds to a correlation of 0.5.
 * @param {Array.<Array.<number>>} opt.clusters the list of clusters to use in the algorithm in case opt.clusteringMode is equal to 'manual', an array of m arrays of strictly positive integers representing the indexes of the assets in the considered universe, where m is the number of clusters, with the m arrays forming a partition of the set [1..n].
 * @return {Array.<number>} the weights corresponding to the cluster risk parity portfolio, array of n real numbers.
 *
@@ -120,6 +130,27 @@ self.clusterRiskParityWeights = function (sigma, opt) {
 		// Compute the clusters using the FTCA algorithm
 		clusters = ftca_(corrMat, opt.ftcaThreshold);
 	}
+	// Otherwise, compute the clusters using a clustering algorithm applied to the correlation distance
+	else if (clusteringMode === 'hierarchical' || clusteringMode === 'kMedoids') {
+		// Compute the correlation distance matrix from the covariance matrix, as a double array
+		var corrMat = sigma.getCorrelationMatrix();
+		var distMat = corrMat.elemMap(function(i, j, val) { return Math.sqrt(Math.max(0, 0.5 * (1 - val))); }).toRowArray();
+		
+		// Compute the clusters using the selected clustering algorithm
+		if (clusteringMode === 'hierarchical') {
+			var dendrogram = hierarchicalClustering_(distMat, opt.linkageMethod);
+			if (opt.nbClusters !== undefined) {
+				clusters = cutDendrogram_(dendrogram, {nbClusters: opt.nbClusters});
+			}
+			else {
+				clusters = cutDendrogram_(dendrogram, {maxDistance: opt.maxDistance !== undefined ? opt.maxDistance : 0.5});
+			}
+		}
+		else {
+			var nbClusters = opt.nbClusters || Math.max(1, Math.round(Math.sqrt(nbAssets/2)));
+			clusters = kMedoids_(distMat, nbClusters);
+		}
+	}
 	else {
 		//
 		throw new Error('unsupported clustering method');
@@ -0,0 +1,267 @@
+/**
+ * @file Functions related to portfolio constraints.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.groupsConstraints_ = groupsConstraints_;
+self.homogeneousGroupsConstraints_ = homogeneousGroupsConstraints_;
+self.groupsConstraintsSatisfied_ = groupsConstraintsSatisfied_;
+self.turnoverConstraints_ = turnoverConstraints_;
+self.checkFeasibility_ = checkFeasibility_;
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function groupsConstraints_
+*
+* @summary Returns the linear inequality constraints associated to groups constraints on the weights of a portfolio.
+*
+* @description This function computes the matrix A and the vector b of the linear inequality constraints A*w <= b
+* equivalent to the groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, on the weights w_1,...,w_n of a portfolio
+* of n assets, where the G_k are the groups of assets (for instance, sectors, regions, asset classes...).
+*
+* Each group constraint is associated to two rows of the matrix A:
+* - The row sum_{i in G_k} w_i <= b_k
+* - The row -sum_{i in G_k} w_i <= -a_k
+*
+* To be noted that if the weights w_1,...,w_n are further constrained to be positive and to sum to one, the linear inequality constraints A*w <= b
+* can be recast in the homogeneous format (A - b*1^t)*y <= 0, y >= 0, with w = y/sum(y).
+*
+* @param {number} nbAssets the number of assets in the considered universe, natural integer superior or equal to 1.
+* @param {Array.<Object>} groups the groups constraints, an array of K objects, each object containing the following properties:
+* - assets, the indexes of the assets belonging to the group, array of natural integers belonging to 1..nbAssets
+* - minWeight, the minimum combined weight a_k of the assets belonging to the group, a real number; defaults to 0
+* - maxWeight, the maximum combined weight b_k of the assets belonging to the group, a real number; defaults to 1
+* @return {Array.<Matrix_>} an array of two elements:
+* - arr[0], the 2K by nbAssets matrix A
+* - arr[1], the 2K by 1 matrix b
+*
+* @example
+* groupsConstraints_(3, [{assets: [1, 2], minWeight: 0.1, maxWeight: 0.5}]);
+* // [Matrix_([[1, 1, 0], [-1, -1, 0]]), Matrix_([0.5, -0.1])]
+*/
+function groupsConstraints_(nbAssets, groups) {
+	// Initializations
+	var nbGroups = groups.length;
+	var A = Matrix_.zeros(2*nbGroups, nbAssets);
+	var b = Matrix_.zeros(2*nbGroups, 1);
+
+	// Build the two rows associated to each group
+	for (var k = 1; k <= nbGroups; ++k) {
+		var group = groups[k-1];
+		var assets = group.assets;
+		var minWeight = group.minWeight !== undefined ? group.minWeight : 0;
+		var maxWeight = group.maxWeight !== undefined ? group.maxWeight : 1;
+
+		for (var j = 0; j < assets.length; ++j) {
+			var assetIdx = assets[j];
+			if (assetIdx < 1 || assetIdx > nbAssets) {
+				throw new Error('invalid asset index in group ' + k + ': ' + assetIdx);
+			}
+
+			A.setValueAt(2*k-1, assetIdx, 1);
+			A.setValueAt(2*k, assetIdx, -1);
+		}
+		b.setValueAt(2*k-1, 1, maxWeight);
+		b.setValueAt(2*k, 1, -minWeight);
+	}
+
+	// Return the computed constraints
+	return [A, b];
+}
+
+
+/**
+* @function homogeneousGroupsConstraints_
+*
+* @summary Returns the homogeneous linear inequality constraints associated to groups constraints on the weights of a portfolio.
+*
+* @description This function computes the matrix C of the homogeneous linear inequality constraints C*y <= 0, y >= 0
+* equivalent to the groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, on the weights w_1,...,w_n of a
+* fully invested and long-only portfolio of n assets, with w = y/sum(y).
+*
+* This format is useful for the algorithms working in a rescaled space, like the ones used for the most diversified
+* portfolio or for the risk budgeting portfolio, since the set {y >= 0, C*y <= 0} is a cone, so that
+* it is invariant by rescaling.
+*
+* @param {number} nbAssets the number of assets in the considered universe, natural integer superior or equal to 1.
+* @param {Array.<Object>} groups the groups constraints, c.f. the function groupsConstraints_ for the format of this parameter.
+* @return {Matrix_} the 2K by nbAssets matrix C = A - b*1^t, with A and b the matrix and the vector computed by the function groupsConstraints_.
+*
+* @example
+* homogeneousGroupsConstraints_(3, [{assets: [1, 2], minWeight: 0.1, maxWeight: 0.5}]);
+* // Matrix_([[0.5, 0.5, -0.5], [-0.9, -0.9, 0.1]])
+*/
+function homogeneousGroupsConstraints_(nbAssets, groups) {
+	// Compute the non homogeneous constraints A*w <= b
+	var groupsConstraints = groupsConstraints_(nbAssets, groups);
+	var A = groupsConstraints[0];
+	var b = groupsConstraints[1];
+
+	// Compute the homogeneous constraints C*y <= 0, using sum(w) = 1
+	return Matrix_.fill(A.nbRows, nbAssets, function(i,j) { return A.getValueAt(i, j) - b.getValueAt(i, 1); });
+}
+
+
+/**
+* @function groupsConstraintsSatisfied_
+*
+* @summary Checks whether the weights of a portfolio satisfy groups constraints.
+*
+* @description This function checks whether the weights w_1,...,w_n of a portfolio of n assets satisfy the
+* groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, up to a tolerance eps.
+*
+* @param {Array.<number>} weights the weights w_1,...,w_n of the portfolio, array of n real numbers.
+* @param {Array.<Object>} groups the groups constraints, c.f. the function groupsConstraints_ for the format of this parameter.
+* @param {number} eps the tolerance to use when checking the constraints, a positive real number; defaults to 1e-12.
+* @return {boolean} true if the weights satisfy the groups constraints, false otherwise.
+*
+* @example
+* groupsConstraintsSatisfied_([0.2, 0.2, 0.6], [{assets: [1, 2], minWeight: 0.1, maxWeight: 0.5}]);
+* // true
+*/
+function groupsConstraintsSatisfied_(weights, groups, eps) {
+	// Initializations
+	if (eps === undefined) {
+		eps = 1e-12;
+	}
+
+	// Check each group constraint
+	for (var k = 0; k < groups.length; ++k) {
+		var group = groups[k];
+		var assets = group.assets;
+		var minWeight = group.minWeight !== undefined ? group.minWeight : 0;
+		var maxWeight = group.maxWeight !== undefined ? group.maxWeight : 1;
+
+		var groupWeight = 0;
+		for (var j = 0; j < assets.length; ++j) {
+			groupWeight += weights[assets[j] - 1];
+		}
+
+		if (groupWeight < minWeight - eps || groupWeight > maxWeight + eps) {
+			return false;
+		}
+	}
+
+	// All the groups constraints are satisfied
+	return true;
+}
+
+
+/**
+* @function turnoverConstraints_
+*
+* @summary Returns the linear inequality constraints linearizing the absolute weights changes of a portfolio.
+*
+* @description This function computes the matrix A and the vector b of the linear inequality constraints A*x <= b
+* defining the absolute weights changes |w_i - c_i|, i=1..n, between the weights w_1,...,w_n of a portfolio of n assets
+* and the current weights c_1,...,c_n of this portfolio, as well as the (optional) turnover constraint sum_i |w_i - c_i| <= T.
+*
+* These constraints are defined in an extended space x = (w, ..., d, ...), where the additional variables d_i, i=1..n
+* satisfy d_i >= |w_i - c_i|, i=1..n, so that:
+* - The row w_i - d_i <= c_i is associated to each asset
+* - The row -w_i - d_i <= -c_i is associated to each asset
+* - The row sum_i d_i <= T is associated to the turnover constraint
+*
+* To be noted that the variables d_i are equal to the absolute weights changes |w_i - c_i| at the optimum
+* of any optimization problem whose objective function is strictly increasing in the variables d_i (for instance,
+* in case of strictly positive transaction costs).
+*
+* @param {Array.<number>} currentWeights the current weights c_1,...,c_n of the portfolio, array of n real numbers.
+* @param {number} maxTurnover the maximum turnover T of the portfolio, a positive real number, or undefined if no turnover constraint is imposed.
+* @param {number} nbVariables the number of variables of the extended space, natural integer superior or equal to 2n.
+* @param {number} offset the number of variables located before the variables d_1,...,d_n in the extended space, natural integer superior or equal to n.
+* @return {Array.<Matrix_>} an array of two elements:
+* - arr[0], the 2n (or 2n+1 in case of a turnover constraint) by nbVariables matrix A
+* - arr[1], the 2n (or 2n+1 in case of a turnover constraint) by 1 matrix b
+*
+* @example
+* turnoverConstraints_([0.5, 0.5], 0.2, 4, 2);
+* // [Matrix_([[1, 0, -1, 0], [0, 1, 0, -1], [-1, 0, -1, 0], [0, -1, 0, -1], [0, 0, 1, 1]]), Matrix_([0.5, 0.5, -0.5, -0.5, 0.2])]
+*/
+function turnoverConstraints_(currentWeights, maxTurnover, nbVariables, offset) {
+	// Initializations
+	var nbAssets = currentWeights.length;
+	var nbRows = maxTurnover === undefined ? 2*nbAssets : 2*nbAssets + 1;
+	
+	// Build the rows associated to the absolute weights changes and to the turnover constraint
+	var A = Matrix_.fill(nbRows, nbVariables, 
+						 function(i,j) { 
+							if (i <= nbAssets) { // w_i - d_i <= c_i
+								return j == i ? 1 : (j == offset + i ? -1 : 0);
+							}
+							else if (i <= 2*nbAssets) { // -w_i - d_i <= -c_i
+								var k = i - nbAssets;
+								return j == k ? -1 : (j == offset + k ? -1 : 0);
+							}
+							else { // sum_i d_i <= T
+								return (j > offset && j <= offset + nbAssets) ? 1 : 0;
+							}
+						 });
+	var b = Matrix_.fill(nbRows, 1, 
+						 function(i,j) { 
+							if (i <= nbAssets) {
+								return currentWeights[i-1];
+							}
+							else if (i <= 2*nbAssets) {
+								return -currentWeights[i-nbAssets-1];
+							}
+							else {
+								return maxTurnover;
+							}
+						 });
+	
+	// Return the computed constraints
+	return [A, b];
+}
+
+
+/**
+* @function checkFeasibility_
+*
+* @summary Checks the feasibility of linear constraints on the variables of a portfolio optimization problem.
+*
+* @description This function checks whether the set {x, Ae*x = be, Ai*x <= bi, lb <= x <= ub} is non empty, 
+* thanks to the infeasibility detection of the alternating direction method of multipliers algorithm 
+* applied to the projection of the origin on this set, c.f. the qpsolveADMM_ function.
+*
+* In case this set is detected to be empty, an error with the provided message is thrown.
+*
+* In case the maximum number of iterations of the algorithm is reached without any detection of infeasibility,
+* the check is inconclusive and the set is assumed to be non empty, so that the calling algorithm must ensure 
+* that its own number of iterations is bounded.
+*
+* @param {Matrix_} Ae an optional me by n matrix; must be null if not provided.
+* @param {Matrix_} be an optional me by 1 matrix; must be null if not provided.
+* @param {Matrix_} Ai an optional mi by n matrix; must be null if not provided.
+* @param {Matrix_} bi an optional mi by 1 matrix; must be null if not provided.
+* @param {Matrix_} lb an optional n by 1 matrix; must be null if not provided.
+* @param {Matrix_} ub an optional n by 1 matrix; must be null if not provided.
+* @param {string} errorMessage the message of the error to throw in case the set is detected to be empty; defaults to 'infeasible problem detected'.
+*
+* @example
+* checkFeasibility_(Matrix_([[1, 1]]), Matrix_([1]), Matrix_([[-1, -1]]), Matrix_([-1.1]), Matrix_([0, 0]), Matrix_([1, 1]));
+* // Error('infeasible problem detected')
+*/
+function checkFeasibility_(Ae, be, Ai, bi, lb, ub, errorMessage) {
+	// Initializations
+	if (errorMessage === undefined) {
+		errorMessage = 'infeasible problem detected';
+	}
+	var nbVariables = Ae !== null ? Ae.nbColumns : Ai.nbColumns;
+	
+	// Project the origin on the set defined by the linear constraints
+	try {
+		qpsolveADMM_(Ae, be, Ai, bi, Matrix_.identity(nbVariables), Matrix_.zeros(nbVariables, 1), lb, ub);
+	}
+	catch (e) {
+		if (e.message === 'infeasible problem detected') {
+			throw new Error(errorMessage);
+		}
+		else if (e.message.indexOf('maximum number of iterations reached') !== 0) {
+			throw e;
+		}
+	}
+}
@@ -25,15 +25,25 @@
 * To be noted that the algorithm used internally is a cyclical coordinate descent, c.f. the second reference, whose convergence is guaranteed
 * if the covariance matrix of the assets is semi-definite positive.
 *
+* Optionally, minimum and maximum weights constraints as well as a target volatility can be added, in which case the risk contributions 
+* of the assets whose weights do not reach their bounds are equal, c.f. the riskBudgetingWeights function.
+*
 * @see <a href="https://doi.org/10.3905/jpm.2010.36.4.060">Maillard, S., Roncalli, T., Teiletche, J.: The properties of equally weighted risk contribution portfolios. J. Portf. Manag. 36, 60–70 (2010)</a>
 * @see <a href="https://arxiv.org/abs/1311.4057">Théophile Griveau-Billion, Jean-Charles Richard, Thierry Roncalli; A Fast Algorithm for Computing High-dimensional Risk Parity Portfolios. eprint arXiv:1311.4057</a>
 * 
-* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij;
+* ignored in case opt.riskMeasure is equal to 'trackingError', 'expectedShortfall' or 'semiStandardDeviation'.
 * @param {object} opt the optional parameters for the algorithm.
 * @param {number} opt.eps the tolerance parameter for the convergence of the algorithm, a strictly positive real number; defaults to 1e-8.
 * @param {number} opt.maxIter the maximum number of iterations of the algorithm, a strictly positive natural integer; defaults to 10000.
-* @param {boolean} opt.outputPortfolioVolatility a boolean indicating whether the portfolio volatility should be provided in output
-* (if set to true) or not (if set to false); defaults to false.
+* @param {boolean} opt.outputPortfolioVolatility a boolean indicating whether the portfolio volatility (or, more generally, the risk of the portfolio 
+* measured by opt.riskMeasure) should be provided in output (if set to true) or not (if set to false); defaults to false.
+* @param {string} opt.riskMeasure the risk measure to use, c.f. the riskBudgetingWeights function for the supported risk measures and their associated 
+* optional parameters; defaults to 'volatility'.
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with 0 <= l_i <= u_i, i=1..n; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the maximum weights for the assets to include in the portfolio with u_i <= 1, i=1..n; defaults to a n by 1 matrix made of ones.
+* @param {number} opt.targetVolatility the target volatility of the portfolio, a strictly positive real number, in which case the portfolio is 
+* only partially invested if its volatility would otherwise be greater than this target volatility; defaults to no target volatility.
 * @return {Array.<number>|Array.<Array.<number>>} if opt.outputPortfolioVolatility is set to false, the weights corresponding to the equal risk contribution portfolio, 
 * array of n real numbers, and if opt.outputPortfolioVolatility is set to true, an array arr of two elements:
 * - arr[0], the weights corresponding to the equal risk contribution portfolio, array of n real numbers
@@ -46,9 +56,16 @@
 self.equalRiskContributionWeights = function (sigma, opt) {	
 	// The ERC portfolio is a specific case of the more general risk budgeting portfolio, with equal risk budgets.
 	//
-	// Generate equal risk budgets: rb_i = 1/nbAssets, i=1..nbAssets
-	var sigma = new Matrix_(sigma);
-	var nbAssets = sigma.nbRows;
+	// Generate equal risk budgets: rb_i = 1/nbAssets, i=1..nbAssets, the number of assets being
+	// provided by the returns of the assets in case of a risk measure computed from these returns
+	var nbAssets;
+	if (opt !== undefined && opt.riskMeasure !== undefined && opt.riskMeasure !== 'volatility' && opt.assetsReturns !== undefined) {
+		nbAssets = opt.assetsReturns.length;
+	}
+	else {
+		sigma = new Matrix_(sigma);
+		nbAssets = sigma.nbRows;
+	}
 	var rb = Matrix_.fill(nbAssets, 1, function (i,j) { return 1/nbAssets; });
 
 	// Compute the associated risk budgeting weights
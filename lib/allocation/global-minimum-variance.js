@@ -16,6 +16,15 @@
 * @description This function returns the weights w_1,...,w_n associated to the fully invested and long-only
 * global minimum variance portfolio of n assets.
 *
+* Optionally, the following constraints can be added to compute long-short and/or leveraged portfolios (e.g. 130/30 portfolios, market neutral portfolios...):
+* - Negative minimum weights, allowing short sales
+* - Net exposure constraint sum_i w_i = N, replacing the full investment constraint
+* - Gross exposure constraint sum_i |w_i| <= L
+*
+* Optionally, the current weights c_1,...,c_n of the portfolio can be provided in order to limit the rebalancing of the portfolio, through:
+* - A turnover constraint sum_i |w_i - c_i| <= T
+* - Proportional transaction costs sum_i tc_i * |w_i - c_i|, added to the objective function 1/2 * w^t * sigma * w
+*
 * This portfolio is Markowitz-efficient (i.e., it lies on the Markowitz efficient frontier) and is the portfolio
 * with the lowest variance among all the feasible portfolios.
 *
@@ -29,15 +38,44 @@
 * In a previous version of the code, the algorithm used internally was a coordinate descent algorithm,
 * c.f. the second reference, kept for historical reference.
 *
+* In case groups constraints, a gross exposure constraint, a turnover constraint or transaction costs are provided, the algorithm used internally is instead an alternating direction
+* method of multipliers algorithm for general convex quadratic programs, c.f. the third reference.
+*
+* Optionally, cardinality constraints (i.e., a minimum and a maximum number of assets to include in the portfolio) and 
+* minimum weights for the assets included in the portfolio can be added, in which case the global minimum variance portfolio
+* is the solution of a mixed-integer quadratic program, computed thanks to a branch and bound algorithm whose relaxations
+* are solved by the algorithms above, c.f. the fourth reference.
+* Due to the combinatorial nature of this problem, the exploration of all the nodes of the branch and bound tree might not be tractable for large n,
+* so that this exploration is stopped after a maximum number of nodes, in which case the computed portfolio might not be optimal.
+*
+* To be noted that in case a minimum number of assets is provided, strictly positive minimum weights m_i for the assets included
+* in the portfolio must also be provided, so that an asset included in the portfolio is a meaningful position.
+*
 * @see <a href="https://link.springer.com/article/10.1023/A:1012431217818">Keerthi, S. & Gilbert, E. Convergence of a Generalized SMO Algorithm for SVM Classifier Design Machine Learning (2002) 46: 351.</a>
 * @see <a href="https://ssrn.com/abstract=2595051">Richard, Jean-Charles and Roncalli, Thierry, Smart Beta: Managing Diversification of Minimum Variance Portfolios (March 2015)</a>
+* @see <a href="https://doi.org/10.1007/s12532-020-00179-2">Stellato, B., Banjac, G., Goulart, P. et al. OSQP: an operator splitting solver for quadratic programs. Math. Prog. Comp. 12, 637–672 (2020)</a>
+* @see <a href="https://doi.org/10.1007/BF02592208">Bienstock, D. Computational study of a family of mixed-integer quadratic programming problems. Mathematical Programming 74, 121–140 (1996)</a>
 * 
 * @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
 * @param {object} opt the optional parameters for the algorithm.
 * @param {number} opt.eps the tolerance parameter for the convergence of the algorithm, a strictly positive real number; defaults to 1e-04.
 * @param {number} opt.maxIter the maximum number of iterations of the algorithm, a strictly positive natural integer; defaults to 10000.
-* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with 0 <= l_i, i=1..n; defaults to a n by 1 matrix made of zeros.
+* @param {Array.<number>} opt.currentWeights the current weights c_i,i=1..n of the portfolio, array of n real numbers; defaults to an array of n zeros (i.e., a portfolio made of cash only).
+* @param {Array.<number>} opt.transactionCosts the proportional transaction costs tc_i,i=1..n associated to the assets, array of n positive real numbers; defaults to an array of n zeros.
+* @param {number} opt.maxNodes the maximum number of nodes to explore in the branch and bound algorithm used in case of cardinality constraints or of minimum weights for the assets included in the portfolio, a strictly positive natural integer; defaults to 100000.
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with l_i <= u_i, i=1..n, negative minimum weights allowing short sales; defaults to a n by 1 matrix made of zeros.
 * @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the minimum weights for the assets to include in the portfolio with u_i <= 1, i=1..n; defaults to a n by 1 matrix made of ones.
+* @param {Array.<Object>} opt.constraints.groups an array of K objects defining K groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, each object containing the following properties:
+* - assets, the indexes of the assets belonging to the group G_k, array of natural integers belonging to 1..n
+* - minWeight, the minimum combined weight a_k of the assets belonging to the group G_k, a real number; defaults to 0
+* - maxWeight, the maximum combined weight b_k of the assets belonging to the group G_k, a real number; defaults to 1
+* @param {number} opt.constraints.minAssets the minimum number of assets to include in the portfolio, an integer i satisfying 1 <= i <= n; defaults to 1.
+* @param {number} opt.constraints.maxAssets the maximum number of assets to include in the portfolio, an integer j satisfying i <= j <= n; defaults to n.
+* @param {number} opt.constraints.minNonZeroWeights an array of size n (m_i),i=1..n containing the minimum weights for the assets included in the portfolio with 0 <= m_i <= u_i, i=1..n,
+* so that either w_i = 0 or m_i <= w_i <= u_i, with 0 < m_i, i=1..n required in case opt.constraints.minAssets is provided; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.netExposure the net exposure N of the portfolio, i.e. the sum of the weights of the assets, a real number; defaults to 1.
+* @param {number} opt.constraints.maxGrossExposure the maximum gross exposure L of the portfolio, i.e. the maximum sum of the absolute values of the weights of the assets, a positive real number; defaults to no limit.
+* @param {number} opt.constraints.maxTurnover the maximum turnover T of the portfolio, i.e. the maximum sum of the absolute values of the changes between the weights of the assets and their current weights, a positive real number; defaults to no limit.
 * @return {Array.<number>} the weights corresponding to the global minimum variance portfolio, array of n real numbers.
 *
 * @example
@@ -49,10 +87,22 @@ self.globalMinimumVarianceWeights = function (sigma, opt) {
 	if (opt === undefined) {
 		opt = { constraints: {} };
 	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
 	var eps = opt.eps || 1e-04;
 	var maxIterations = opt.maxIter || 10000;
+	var maxNodes = opt.maxNodes || 100000;
 	var lowerBounds = opt.constraints.minWeights;
 	var upperBounds = opt.constraints.maxWeights;
+	var groups = opt.constraints.groups;
+	var netExposure = opt.constraints.netExposure;
+	var maxGrossExposure = opt.constraints.maxGrossExposure;
+	var cardinalityConstraints = opt.constraints.minAssets !== undefined || opt.constraints.maxAssets !== undefined || opt.constraints.minNonZeroWeights !== undefined;
+	var currentWeights = opt.currentWeights;
+	var maxTurnover = opt.constraints.maxTurnover;
+	var transactionCosts = opt.transactionCosts;
+	var turnoverConstraints = maxTurnover !== undefined || transactionCosts !== undefined;
 	
 	// Convert sigma to matrix format
 	var sigma = new Matrix_(sigma);
@@ -82,13 +132,20 @@ self.globalMinimumVarianceWeights = function (sigma, opt) {
 	var p = zeros;
 	
 		// Build the linear equality constraint:
-		// - Full investment
+		// - By default, full investment
+		// - Otherwise, net exposure
 	var b = ones;
 	var r = 1;
+	if (netExposure !== undefined) {
+		r = netExposure;
+	}
 	
 		// Build the bound constraints:
 		// - By default, no short sales
 		// - By default, absence of leverage
+		//
+		// To be noted that the gross exposure constraint, if any, is managed
+		// separately.
 	var l = zeros;
 	if (lowerBounds) {
 		l = new Matrix_(lowerBounds);
@@ -98,16 +155,375 @@ self.globalMinimumVarianceWeights = function (sigma, opt) {
 		u = new Matrix_(upperBounds);
 	}
 	
-		// Solve the quadratic program
-	var sol = qpsolveGSMO_(Q, p, b, r, l, u, {eps: eps, maxIter: maxIterations});
+		// Build the cardinality constraints and the minimum weights constraints 
+		// for the assets included in the portfolio:
+		// - By default, no minimum and maximum number of assets
+		// - By default, no minimum weights
+	var minAssets = opt.constraints.minAssets || 1;
+	var maxAssets = opt.constraints.maxAssets || nbAssets;
+	var m = zeros;
+	if (opt.constraints.minNonZeroWeights) {
+		m = new Matrix_(opt.constraints.minNonZeroWeights);
+	}
+	if (cardinalityConstraints && l.min() < 0) {
+		throw new Error('cardinality constraints are not supported with negative minimum weights');
+	}
+	
+		// In case of a minimum number of assets, an asset included in the portfolio must have a strictly 
+		// positive minimum weight, since otherwise it could be included with a null or a negligible weight;
+		// in addition, without strictly positive minimum weights, the minimum variance over all the portfolios 
+		// made of at least minAssets assets is generally not attained.
+	if (opt.constraints.minAssets !== undefined && m.min() <= 0) {
+		throw new Error('minimum number of assets constraint requires strictly positive minimum weights for the assets included in the portfolio');
+	}
+	
+		// Build the turnover constraint and the transaction costs:
+		// - By default, the current portfolio is made of cash only
+		// - By default, no maximum turnover
+		// - By default, no transaction costs
+	if (turnoverConstraints) {
+		if (currentWeights === undefined) {
+			currentWeights = zeros.toArray();
+		}
+		if (transactionCosts === undefined) {
+			transactionCosts = zeros.toArray();
+		}
+	}
+	
+		// Define the function solving the quadratic program above restricted to a subset 
+		// of the assets, the weights of the other assets being null:
+		// - Without groups constraints, without gross exposure constraint and without turnover constraint or transaction costs, 
+		// with the dedicated sequential minimization optimization algorithm
+		// - Otherwise, with the generic alternating direction method of multipliers algorithm
+		//
+		// The value null is returned if the restricted quadratic program is infeasible.
+	var groupsConstraints = null;
+	if (groups !== undefined && groups.length > 0) {
+		groupsConstraints = groupsConstraints_(nbAssets, groups);
+	}
+	function solveQuadraticProgram(assetsIndexes, l, u) {
+		// Build the restricted quadratic program
+		var nbSubAssets = assetsIndexes.length;
+		var subQ = Matrix_.fill(nbSubAssets, nbSubAssets, function(i,j) { return Q.getValueAt(assetsIndexes[i-1], assetsIndexes[j-1]); });
+		var subP = Matrix_.fill(nbSubAssets, 1, function(i,j) { return p.getValueAt(assetsIndexes[i-1], 1); });
+		var subB = Matrix_.fill(nbSubAssets, 1, function(i,j) { return b.getValueAt(assetsIndexes[i-1], 1); });
+		var subL = Matrix_.fill(nbSubAssets, 1, function(i,j) { return l.getValueAt(assetsIndexes[i-1], 1); });
+		var subU = Matrix_.fill(nbSubAssets, 1, function(i,j) { return u.getValueAt(assetsIndexes[i-1], 1); });
+		
+		// Solve the restricted quadratic program
+		var sol;
+		if (groupsConstraints === null && maxGrossExposure === undefined && !turnoverConstraints) {
+			if (Matrix_.vectorDotProduct(subB, subL) > r || Matrix_.vectorDotProduct(subB, subU) < r) {
+				return null;
+			}
+			sol = qpsolveGSMO_(subQ, subP, subB, r, subL, subU, {eps: eps, maxIter: maxIterations});
+		}
+		else {
+			// Build the restricted quadratic program in the extended space (w, t, d), 
+			// where:
+			// - The additional variables t_i, i=1..n are used to linearize the gross exposure 
+			// constraint sum_i |w_i| <= L into the constraints -t_i <= w_i <= t_i, i=1..n, sum_i t_i <= L
+			// - The additional variables d_i, i=1..n are used to linearize the absolute weights changes
+			// |w_i - c_i| <= d_i, i=1..n, which appear in the turnover constraint sum_i d_i <= T and in the 
+			// transaction costs sum_i tc_i * d_i added to the objective function
+			//
+			// To be noted that the weights of the assets not belonging to the subset of assets being null, 
+			// their absolute weights changes are constant, and are then removed from the maximum turnover
+			// and added to the objective function value.
+			var nbGrossExposureVariables = maxGrossExposure === undefined ? 0 : nbSubAssets;
+			var nbTurnoverVariables = turnoverConstraints ? nbSubAssets : 0;
+			var nbVariables = nbSubAssets + nbGrossExposureVariables + nbTurnoverVariables;
+			var nbGroupsRows = groupsConstraints === null ? 0 : groupsConstraints[0].nbRows;
+			var nbGrossExposureRows = maxGrossExposure === undefined ? 0 : 2*nbSubAssets + 1;
+			
+			var subTransactionCosts = zeros;
+			var turnoverRows = null;
+			var fixedTransactionCosts = 0;
+			if (turnoverConstraints) {
+				var subCurrentWeights = new Array(nbSubAssets);
+				subTransactionCosts = Matrix_.zeros(nbSubAssets, 1);
+				for (var i = 0; i < nbSubAssets; ++i) {
+					subCurrentWeights[i] = currentWeights[assetsIndexes[i] - 1];
+					subTransactionCosts.data[i] = transactionCosts[assetsIndexes[i] - 1];
+				}
+				
+				var subMaxTurnover = maxTurnover;
+				for (var i = 0; i < nbAssets; ++i) {
+					if (assetsIndexes.indexOf(i + 1) == -1) {
+						if (subMaxTurnover !== undefined) {
+							subMaxTurnover -= Math.abs(currentWeights[i]);
+						}
+						fixedTransactionCosts += transactionCosts[i] * Math.abs(currentWeights[i]);
+					}
+				}
+				if (subMaxTurnover < 0) {
+					return null;
+				}
+				
+				turnoverRows = turnoverConstraints_(subCurrentWeights, subMaxTurnover, nbVariables, nbSubAssets + nbGrossExposureVariables);
+			}
+			var nbTurnoverRows = turnoverRows === null ? 0 : turnoverRows[0].nbRows;
+			
+			var extQ = Matrix_.fill(nbVariables, nbVariables, function(i,j) { return (i <= nbSubAssets && j <= nbSubAssets) ? subQ.getValueAt(i, j) : 0; });
+			var extP = Matrix_.fill(nbVariables, 1, 
+									function(i,j) { 
+										if (i <= nbSubAssets) { return subP.getValueAt(i, 1); }
+										else if (i <= nbSubAssets + nbGrossExposureVariables) { return 0; }
+										else { return subTransactionCosts.getValueAt(i - nbSubAssets - nbGrossExposureVariables, 1); }
+									});
+			var extL = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbSubAssets ? subL.getValueAt(i, 1) : 0; });
+			var extU = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbSubAssets ? subU.getValueAt(i, 1) : Infinity; });
+			var Ae = Matrix_.fill(1, nbVariables, function(i,j) { return j <= nbSubAssets ? subB.getValueAt(j, 1) : 0; });
+			var be = new Matrix_([r]);
+			var Ai = Matrix_.fill(nbGroupsRows + nbGrossExposureRows + nbTurnoverRows, nbVariables, 
+								  function(i,j) { 
+									  // Groups constraints
+									  if (i <= nbGroupsRows) { 
+										  return j <= nbSubAssets ? groupsConstraints[0].getValueAt(i, assetsIndexes[j-1]) : 0;
+									  }
+									  
+									  // Turnover constraints
+									  if (i > nbGroupsRows + nbGrossExposureRows) {
+										  return turnoverRows[0].getValueAt(i - nbGroupsRows - nbGrossExposureRows, j);
+									  }
+									  
+									  // Gross exposure constraints
+									  var k = i - nbGroupsRows;
+									  if (k <= nbSubAssets) { // w_k - t_k <= 0
+										  return j == k ? 1 : (j == nbSubAssets + k ? -1 : 0);
+									  }
+									  else if (k <= 2*nbSubAssets) { // -w_k - t_k <= 0
+										  k = k - nbSubAssets;
+										  return j == k ? -1 : (j == nbSubAssets + k ? -1 : 0);
+									  }
+									  else { // sum_k t_k <= L
+										  return (j > nbSubAssets && j <= 2*nbSubAssets) ? 1 : 0;
+									  }
+								  });
+			var bi = Matrix_.fill(nbGroupsRows + nbGrossExposureRows + nbTurnoverRows, 1, 
+								  function(i,j) { 
+									  if (i <= nbGroupsRows) { 
+										  return groupsConstraints[1].getValueAt(i, 1);
+									  }
+									  if (i > nbGroupsRows + nbGrossExposureRows) {
+										  return turnoverRows[1].getValueAt(i - nbGroupsRows - nbGrossExposureRows, 1);
+									  }
+									  return i == nbGroupsRows + nbGrossExposureRows ? maxGrossExposure : 0;
+								  });
+			
+			// Solve the extended quadratic program
+			var extSol;
+			try {
+				extSol = qpsolveADMM_(Ae, be, Ai, bi, extQ, extP, extL, extU, {eps: eps, maxIter: maxIterations});
+			}
+			catch (e) {
+				if (e.message === 'infeasible problem detected') {
+					return null;
+				}
+				throw e;
+			}
+			
+			// Extract the solution of the restricted quadratic program
+			sol = [Matrix_.fill(nbSubAssets, 1, function(i,j) { return extSol[0].getValueAt(i, 1); }), extSol[1] + fixedTransactionCosts];
+		}
+		
+		// Compute the weights of all the assets
+		var x = Matrix_.zeros(nbAssets, 1);
+		for (var i = 0; i < nbSubAssets; ++i) {
+			x.data[assetsIndexes[i] - 1] = sol[0].data[i];
+		}
+		
+		return [x, sol[1]];
+	}
 	
 	
 	// ----
 	
-	// Extract the computed portfolio weights.
-	var weights = sol[0];
-
+	// Without cardinality constraints and without minimum weights for the assets included in the portfolio,
+	// the global minimum variance portfolio is the solution of the quadratic program above.
+	if (!cardinalityConstraints) {
+		var assetsIndexes = new Array(nbAssets);
+		for (var i = 0; i < nbAssets; ++i) {
+			assetsIndexes[i] = i + 1;
+		}
+		
+		var sol = solveQuadraticProgram(assetsIndexes, l, u);
+		if (sol === null) {
+			throw new Error('infeasible problem detected');
+		}
+		
+		// Return the computed weights
+		return sol[0].toArray();
+	}
+	
+	
+	// ----
+	
+	// Otherwise, the global minimum variance portfolio is the solution to a mixed-integer
+	// quadratic program, with binary variables z_i indicating whether the asset i is included 
+	// in the portfolio, and with the following additional constraints:
+	// - minAssets <= sum_i z_i <= maxAssets
+	// - m_i * z_i <= w_i <= u_i * z_i
+	//
+	// This mixed-integer quadratic program is solved thanks to a depth-first branch and bound 
+	// algorithm, c.f. the fourth reference, where the relaxation solved at each node of the tree is the
+	// quadratic program above, with the bound constraints of each asset depending on its status in the node:
+	// - Asset excluded from the portfolio (z_i = 0): w_i = 0, so that the asset is removed from the relaxation
+	// - Asset included in the portfolio (z_i = 1): max(l_i, m_i) <= w_i <= u_i
+	// - Asset not yet decided (0 <= z_i <= 1): l_i <= w_i <= u_i, with l_i = 0 by definition
+	
+		// Initialize the status of the assets: an asset with a strictly positive lower bound is
+		// necessarily included in the portfolio, and the other assets are not yet decided.
+	var excluded = 0;
+	var included = 1;
+	var undecided = -1;
+	var rootStatus = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		rootStatus[i] = l.data[i] > 0 ? included : undecided;
+	}
+	
+		// Initialize the best portfolio found so far
+	var bestValue = Infinity;
+	var bestWeights = null;
+	
+		// Main loop of the branch and bound algorithm, stopped early if the maximum
+		// number of nodes to explore is reached
+	var nodes = [rootStatus];
+	var nbNodes = 0;
+	while (nodes.length > 0 && nbNodes < maxNodes) {
+		var status = nodes.pop();
+		++nbNodes;
+		
+		// Propagate the cardinality constraints on the status of the assets,
+		// and prune the node if these constraints cannot be satisfied
+		var nbIncluded = 0;
+		var nbUndecided = 0;
+		for (var i = 0; i < nbAssets; ++i) {
+			if (status[i] === included) {
+				++nbIncluded;
+			}
+			else if (status[i] === undecided) {
+				++nbUndecided;
+			}
+		}
+		if (nbIncluded > maxAssets || nbIncluded + nbUndecided < minAssets) {
+			continue;
+		}
+		if (nbUndecided > 0 && (nbIncluded == maxAssets || nbIncluded + nbUndecided == minAssets)) {
+			var newStatus = (nbIncluded == maxAssets) ? excluded : included;
+			for (var i = 0; i < nbAssets; ++i) {
+				if (status[i] === undecided) {
+					status[i] = newStatus;
+				}
+			}
+			if (newStatus === included) {
+				nbIncluded += nbUndecided;
+			}
+			nbUndecided = 0;
+		}
+		
+		// Build the relaxation associated to the node, restricted to the assets not excluded from the portfolio
+		var assetsIndexes = [];
+		for (var i = 0; i < nbAssets; ++i) {
+			if (status[i] !== excluded) {
+				assetsIndexes.push(i + 1);
+			}
+		}
+		var lNode = Matrix_.fill(nbAssets, 1, function(i,j) { 
+			return status[i-1] === included ? Math.max(l.data[i-1], m.data[i-1]) : l.data[i-1]; 
+		});
+		
+		// Solve the relaxation associated to the node, and prune the node if the relaxation
+		// is infeasible or if its optimal value is not better than the best value found so far
+		var sol = solveQuadraticProgram(assetsIndexes, lNode, u);
+		if (sol === null || sol[1] >= bestValue) {
+			continue;
+		}
+		var x = sol[0];
+		
+		// Check whether the solution of the relaxation satisfies the cardinality constraints and 
+		// the minimum weights constraints, and otherwise select an undecided asset to branch on:
+		// - In priority, the asset violating the most its minimum weight constraint
+		// - Then, the asset with the lowest strictly positive weight, if too many assets are held
+		// - Then, an asset with a null weight and a strictly positive minimum weight, if too few assets are held
+		var nbHeld = nbIncluded;
+		var nbAvailable = 0;
+		var minWeightsIdx = -1;
+		var minWeightsViolation = 0;
+		var lowestWeightIdx = -1;
+		var nullWeightIdx = -1;
+		for (var i = 0; i < nbAssets; ++i) {
+			if (status[i] !== undecided) {
+				continue;
+			}
+			
+			var x_i = x.data[i];
+			var m_i = m.data[i];
+			if (x_i > 0) {
+				++nbHeld;
+				
+				if (m_i - x_i > minWeightsViolation) {
+					minWeightsIdx = i;
+					minWeightsViolation = m_i - x_i;
+				}
+				if (lowestWeightIdx == -1 || x_i < x.data[lowestWeightIdx]) {
+					lowestWeightIdx = i;
+				}
+			}
+			else {
+				if (m_i == 0) {
+					++nbAvailable;
+				}
+				else if (nullWeightIdx == -1) {
+					nullWeightIdx = i;
+				}
+			}
+		}
+		
+		var branchIdx = -1;
+		var includedFirst;
+		if (minWeightsIdx != -1) {
+			branchIdx = minWeightsIdx;
+			includedFirst = true;
+		}
+		else if (nbHeld > maxAssets) {
+			branchIdx = lowestWeightIdx;
+			includedFirst = false;
+		}
+		else if (nbHeld + nbAvailable < minAssets) {
+			branchIdx = nullWeightIdx;
+			includedFirst = true;
+		}
+		
+		// If no asset needs to be branched on, the solution of the relaxation is feasible, 
+		// and becomes the best portfolio found so far
+		if (branchIdx == -1) {
+			bestValue = sol[1];
+			bestWeights = x;
+			continue;
+		}
+		
+		// Otherwise, create the two children nodes, the first one to explore being added last
+		var excludedStatus = status.slice();
+		excludedStatus[branchIdx] = excluded;
+		var includedStatus = status.slice();
+		includedStatus[branchIdx] = included;
+		if (includedFirst) {
+			nodes.push(excludedStatus, includedStatus);
+		}
+		else {
+			nodes.push(includedStatus, excludedStatus);
+		}
+	}
+	
+	// The problem is infeasible if no portfolio has been found after the exploration of all the nodes
+	if (bestWeights === null) {
+		if (nodes.length > 0) {
+			throw new Error('maximum number of nodes reached: ' + maxNodes);
+		}
+		throw new Error('infeasible problem detected');
+	}
+	
 	// Return the computed weights
-	return weights.toArray();
+	return bestWeights.toArray();
 }
-
@@ -18,6 +18,8 @@
 * which is the n-1 dimensional set of R^n containing the points x = (x_1,...,x_n) statisfying sum x_i = 1 and x_i >= 0, i = 1..n, 
 * c.f. the first reference.
 *
+* Optionally, groups constraints can be added, imposing minimum and maximum combined weights on groups of assets.
+*
 * Since such a portfolio might not be unique, all the weights corresponding to the same minimum value of the function fct 
 * are provided in output.
 *
@@ -42,6 +44,10 @@
 * -
 * ; defaults to 'deterministic'.
 * @param {number} opt.rationalGrid.k the indice k of the k-th rational grid of the unit simplex of R^n to use in case opt.optimisationMethod is equal to 'deterministic', a natural integer greater than or equal to 1; defaults to n.
+* @param {Array.<Object>} opt.constraints.groups an array of K objects defining K groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, each object containing the following properties:
+* - assets, the indexes of the assets belonging to the group G_k, array of natural integers belonging to 1..n
+* - minWeight, the minimum combined weight a_k of the assets belonging to the group G_k, a real number; defaults to 0
+* - maxWeight, the maximum combined weight b_k of the assets belonging to the group G_k, a real number; defaults to 1
 * @return {Array.<Array.<number>>} an array of possibly several arrays of n real numbers, each array of n real numbers corresponding to
 * the weights of a portfolio minimizing the function fct.
 *
@@ -52,9 +58,23 @@
 self.gridSearchWeights = function (nbAssets, fct, opt) {
 	// Decode options
 	if (opt === undefined) {
-		opt = {};
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
 	}
 	opt.optimisationMethod = opt.optimisationMethod || 'deterministic';
+	var groups = opt.constraints.groups;
+	
+	// In case groups constraints are provided, the objective function is
+	// replaced by an objective function equal to +infinity outside of the
+	// set of feasible portfolios.
+	var objectiveFct = fct;
+	if (groups !== undefined) {
+		objectiveFct = function(arr) { 
+			return groupsConstraintsSatisfied_(arr, groups) ? fct(arr) : Number.POSITIVE_INFINITY;
+		};
+	}
 	
 	// Select the proper optimisation method
 	if (opt.optimisationMethod === 'deterministic') {
@@ -63,7 +83,25 @@ self.gridSearchWeights = function (nbAssets, fct, opt) {
 		var k = opt.rationalGrid.k;
 		
 		// Call the rational grid search method
-		return simplexRationalGirdSearch_(fct, nbAssets, k);
+		var weights = simplexRationalGirdSearch_(objectiveFct, nbAssets, k);
+		
+		// In case groups constraints are provided, filter out the non feasible portfolios,
+		// which are all returned when no point of the grid is feasible
+		if (groups !== undefined) {
+			var feasibleWeights = [];
+			for (var i = 0; i < weights.length; ++i) {
+				if (groupsConstraintsSatisfied_(weights[i], groups)) {
+					feasibleWeights.push(weights[i]);
+				}
+			}
+			weights = feasibleWeights;
+			
+			if (weights.length == 0) {
+				throw new Error('no feasible portfolio on the rational grid');
+			}
+		}
+		
+		return weights;
 	}
 	else {
 	    throw new Error('unsupported optimisation method');
@@ -0,0 +1,141 @@
+/**
+ * @file Functions related to hierarchical risk parity portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function hierarchicalRiskParityWeights
+*
+* @summary Compute the weights of the hierarchical risk parity portfolio.
+*
+* @description This function returns the weights w_1,...,w_n associated to the fully invested and long-only
+* hierarchical risk parity portfolio of n assets, as computed by the hierarchical risk parity algorithm described in
+* the reference.
+*
+* This algorithm is made of three steps:
+* - Tree clustering: the assets are grouped into a hierarchy of clusters thanks to an agglomerative clustering algorithm
+* applied to the correlation distance d_ij = sqrt(1/2 * (1 - rho_ij)), c.f. the hierarchicalClustering_ function
+* - Quasi-diagonalization: the assets are reordered so that the largest correlations lie along the diagonal
+* of the covariance matrix, using the order of the leaves of the tree computed above
+* - Recursive bisection: the (reordered) list of assets is recursively split into two halves, and the weights are
+* allocated between these two halves in inverse proportion to their variance, the variance of each half being computed with
+* the inverse-variance weights of its assets
+*
+* To be noted that the reference uses the single linkage method for the tree clustering, but other linkage methods are
+* supported by this function.
+*
+* @see <a href="https://doi.org/10.3905/jpm.2016.42.4.059">Lopez de Prado, M. (2016). Building Diversified Portfolios that Outperform Out of Sample. The Journal of Portfolio Management, 42(4), 59-69.</a>
+*
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square n by n Matrix or array of n arrays of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {object} opt the optional parameters for the algorithms used by the function.
+* @param {string} opt.linkageMethod the linkage method to use in the tree clustering step, a string either equals to 'single', 'complete', 'average' or 'ward'; defaults to 'single'.
+* @return {Array.<number>} the weights corresponding to the hierarchical risk parity portfolio, array of n real numbers.
+*
+* @example
+* hierarchicalRiskParityWeights([[0.01, 0.016, 0.0015], [0.016, 0.04, 0.003], [0.0015, 0.003, 0.0225]]);
+* // [~0.51, ~0.13, ~0.37]
+*/
+self.hierarchicalRiskParityWeights = function (sigma, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var linkageMethod = opt.linkageMethod || 'single';
+
+	// Convert sigma to matrix format and convert it to a covariance matrix
+	var sigma = new Matrix_(sigma).toCovarianceMatrix(sigma);
+	var nbAssets = sigma.nbRows;
+
+
+	// ------
+	// The hierarchical risk parity portfolio is constructed in three steps:
+	// 1 - Tree clustering
+	// 2 - Quasi-diagonalization
+	// 3 - Recursive bisection
+
+	// 1 - Compute the correlation distance matrix, as a double array, and the associated
+	// dendrogram
+	var corrMat = sigma.getCorrelationMatrix();
+	var distMat = corrMat.elemMap(function(i, j, val) { return Math.sqrt(Math.max(0, 0.5 * (1 - val))); }).toRowArray();
+	var dendrogram = hierarchicalClustering_(distMat, linkageMethod);
+
+	// 2 - Compute the order of the leaves of the dendrogram, by expanding its clusters
+	// from the last merged one (i.e., the root of the tree), the left cluster being
+	// expanded before the right cluster
+	var sortedAssetsIdx = [];
+	var clustersIdx = [2*nbAssets - 1];
+	while (clustersIdx.length != 0) {
+		var clusterIdx = clustersIdx.pop();
+		if (clusterIdx <= nbAssets) {
+			sortedAssetsIdx.push(clusterIdx);
+		}
+		else {
+			var merge = dendrogram[clusterIdx - nbAssets - 1];
+			clustersIdx.push(merge[1]);
+			clustersIdx.push(merge[0]);
+		}
+	}
+
+	// 3 - Recursively bisect the sorted list of assets, starting with the whole list
+	// and unit weights for all the assets
+	var weights = Matrix_.ones(nbAssets, 1);
+
+	function inverseVarianceClusterVariance(assetsIdx) {
+		// Compute the inverse-variance weights of the assets of the cluster
+		var clusterWeights = new Array(assetsIdx.length);
+		var sumInvVariances = 0;
+		for (var i = 0; i < assetsIdx.length; ++i) {
+			clusterWeights[i] = 1/sigma.getValueAt(assetsIdx[i], assetsIdx[i]);
+			sumInvVariances += clusterWeights[i];
+		}
+		for (var i = 0; i < assetsIdx.length; ++i) {
+			clusterWeights[i] /= sumInvVariances;
+		}
+
+		// Compute the variance of the cluster with these weights
+		var variance = 0;
+		for (var i = 0; i < assetsIdx.length; ++i) {
+			for (var j = 0; j < assetsIdx.length; ++j) {
+				variance += clusterWeights[i] * clusterWeights[j] * sigma.getValueAt(assetsIdx[i], assetsIdx[j]);
+			}
+		}
+
+		return variance;
+	}
+
+	var clusters = [sortedAssetsIdx];
+	while (clusters.length != 0) {
+		var cluster = clusters.pop();
+		if (cluster.length <= 1) {
+			continue;
+		}
+
+		// Split the cluster into two halves
+		var mid = Math.floor(cluster.length/2);
+		var leftCluster = cluster.slice(0, mid);
+		var rightCluster = cluster.slice(mid);
+
+		// Allocate the weights between these two halves in inverse proportion to their variance
+		var leftVariance = inverseVarianceClusterVariance(leftCluster);
+		var rightVariance = inverseVarianceClusterVariance(rightCluster);
+		var alpha = 1 - leftVariance/(leftVariance + rightVariance);
+		for (var i = 0; i < leftCluster.length; ++i) {
+			weights.setValueAt(leftCluster[i], 1, weights.getValueAt(leftCluster[i], 1) * alpha);
+		}
+		for (var i = 0; i < rightCluster.length; ++i) {
+			weights.setValueAt(rightCluster[i], 1, weights.getValueAt(rightCluster[i], 1) * (1 - alpha));
+		}
+
+		// Bisect these two halves
+		clusters.push(rightCluster);
+		clusters.push(leftCluster);
+	}
+
+	// Return the computed weights (already normalized)
+	return weights.toArray();
+}
@@ -0,0 +1,138 @@
+/**
+ * @file Functions related to maximum Sharpe ratio portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function maximumSharpeRatioWeights
+*
+* @summary Compute the weights of the maximum Sharpe ratio portfolio.
+*
+* @description This function returns the weights w_1,...,w_n associated to the fully invested and long-only
+* maximum Sharpe ratio portfolio of n assets, also called the tangency portfolio.
+*
+* This portfolio is Markowitz-efficient (i.e., it lies on the Markowitz efficient frontier) and is the portfolio
+* with the highest Sharpe ratio (mu^t * w - rf)/sqrt(w^t * sigma * w) among all the feasible portfolios, c.f. the first reference.
+*
+* This portfolio is unique, provided the covariance matrix of the assets is definite positive and provided
+* at least one feasible portfolio has a return strictly greater than the risk free rate.
+*
+* The algorithm used internally first computes the corner portfolios of the efficient frontier with the critical
+* line algorithm of Markowitz, c.f. the second reference, and then maximizes the Sharpe ratio on each segment
+* of the efficient frontier delimited by two adjacent corner portfolios, which can be done analytically since
+* the portfolios located on such a segment are convex combinations of these two corner portfolios.
+*
+* To be noted that contrary to the usual change of variables reformulation of the maximum Sharpe ratio problem
+* as a quadratic program, c.f. the third reference, this algorithm directly supports the minimum and maximum
+* weights constraints.
+*
+* @see <a href="https://www.jstor.org/stable/2977928">Sharpe, W. F. (1964), Capital Asset Prices: A Theory of Market Equilibrium under Conditions of Risk. The Journal of Finance, 19: 425-442.</a>
+* @see <a href="https://ssrn.com/abstract=2197616">Bailey, David H. and Lopez de Prado, Marcos, An Open-Source Implementation of the Critical-Line Algorithm for Portfolio Optimization (February 1, 2013). Algorithms, 6 (1), pp.169-196, 2013.</a>
+* @see <a href="https://doi.org/10.1007/978-1-4419-9512-7">Cornuejols, G., and Tutuncu, R. (2006), Optimization Methods in Finance. Cambridge University Press.</a>
+*
+* @param {Matrix_|Array.<number>} mu the returns of the n assets in the considered universe, array of n real numbers.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {number} rf the risk free rate, a real number.
+* @param {object} opt the optional parameters for the algorithm.
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with 0 <= l_i, i=1..n; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the maximum weights for the assets to include in the portfolio with u_i <= 1, i=1..n; defaults to a n by 1 matrix made of ones.
+* @return {Array.<number>} the weights corresponding to the maximum Sharpe ratio portfolio, array of n real numbers.
+*
+* @example
+* maximumSharpeRatioWeights([0.05, 0.10, 0.15], [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]], 0);
+* // [~0.38, ~0.34, ~0.28]
+*/
+self.maximumSharpeRatioWeights = function (mu, sigma, rf, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
+
+	// Convert mu and sigma to matrix format
+	var mu = new Matrix_(mu);
+	var sigma = new Matrix_(sigma);
+
+	// TODO: Checks, if enabled
+	// Check that diagonal entries of sigma are strictly positive
+	// Check that sigma is symmetric and positive definite
+	// Check that sigma and mu are rows compatible
+	// Check lower/upper bounds are finite, between 0 and 1
+
+
+	// ------
+
+	// Compute the corner portfolios of the efficient frontier, ordered by decreasing returns (and volatilities)
+	var cornerPortfolios = self.meanVarianceEfficientFrontier(mu, sigma, opt);
+	var nbCornerPortfolios = cornerPortfolios.length;
+
+	// The maximum Sharpe ratio portfolio is not defined if no feasible portfolio has a return
+	// strictly greater than the risk free rate.
+	if (cornerPortfolios[0][1] <= rf) {
+		throw new Error('no feasible portfolio with a return strictly greater than the risk free rate');
+	}
+
+
+	// ----
+
+	// Initialize the maximum Sharpe ratio portfolio with the corner portfolio
+	// having the highest Sharpe ratio.
+	var maxSharpeRatio = -Infinity;
+	var weights;
+	for (var k = 0; k < nbCornerPortfolios; ++k) {
+		var sharpeRatio = (cornerPortfolios[k][1] - rf) / cornerPortfolios[k][2];
+		if (sharpeRatio > maxSharpeRatio) {
+			maxSharpeRatio = sharpeRatio;
+			weights = new Matrix_(cornerPortfolios[k][0]);
+		}
+	}
+
+	// Maximize the Sharpe ratio on each segment of the efficient frontier.
+	//
+	// The portfolios located between the two adjacent corner portfolios w_k and w_k+1 are
+	// given by the convex combinations t * w_k + (1-t) * w_k+1, t in [0,1], so that on such a segment:
+	// - The excess return of these portfolios is equal to alpha + beta * t
+	// - The variance of these portfolios is equal to a * t^2 + b * t + c
+	//
+	// The derivative of the Sharpe ratio (alpha + beta * t)/sqrt(a * t^2 + b * t + c) then
+	// vanishes at t^* = (alpha * b/2 - beta * c)/(beta * b/2 - alpha * a), which is a maximum
+	// of the Sharpe ratio on the segment if t^* belongs to ]0,1[ and if the excess return is positive.
+	for (var k = 0; k < nbCornerPortfolios - 1; ++k) {
+		var w_k = new Matrix_(cornerPortfolios[k][0]);
+		var w_kp = new Matrix_(cornerPortfolios[k+1][0]);
+
+		var alpha = cornerPortfolios[k+1][1] - rf;
+		var beta = cornerPortfolios[k][1] - cornerPortfolios[k+1][1];
+
+		var d = Matrix_.xmy(w_k, w_kp);
+		var sigma_d = Matrix_.xy(sigma, d);
+		var a = Matrix_.vectorDotProduct(d, sigma_d);
+		var b = 2 * Matrix_.vectorDotProduct(w_kp, sigma_d);
+		var c = cornerPortfolios[k+1][2] * cornerPortfolios[k+1][2];
+
+		var den = beta * b/2 - alpha * a;
+		if (den == 0) {
+			continue;
+		}
+		var t = (alpha * b/2 - beta * c) / den;
+		if (t <= 0 || t >= 1 || alpha + beta * t <= 0) {
+			continue;
+		}
+
+		var sharpeRatio = (alpha + beta * t) / Math.sqrt(a * t * t + b * t + c);
+		if (sharpeRatio > maxSharpeRatio) {
+			maxSharpeRatio = sharpeRatio;
+			weights = Matrix_.axpby(t, w_k, 1-t, w_kp);
+		}
+	}
+
+	// Return the computed weights
+	return weights.toArray();
+}
@@ -0,0 +1,155 @@
+/**
+ * @file Functions related to mean absolute deviation portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function meanAbsoluteDeviationWeights
+*
+* @summary Compute the weights of a minimum mean absolute deviation portfolio.
+*
+* @description This function returns the weights w_1,...,w_n associated to a fully invested and long-only
+* portfolio of n assets minimizing the mean absolute deviation of its returns around their average return
+* 1/T * sum_t |<r_t - mu/w>|, with r_t the returns of the n assets for the period t and mu the average returns 
+* of the n assets over the T periods of time.
+*
+* Optionally, the following constraints can be added:
+* - Partial investment contraint, replacing the full investment contraint
+* - Target return constraint, imposing a minimum average return on the portfolio
+*
+* Contrary to the global minimum variance portfolio, this portfolio does not require the computation 
+* of a covariance matrix, and is the solution of the linear program described in the reference, which is:
+*
+* min 1/T * sum_t y_t
+*
+* s.t. y_t >= <r_t - mu/w>, y_t >= -<r_t - mu/w>, t=1..T (absolute deviations of the portfolio returns)
+*      sum_i w_i = 1 (full investment)
+*      0 <= w_i <= 1, i=1..n (no short sales)
+*
+* This portfolio might not be unique.
+*
+* @see <a href="https://doi.org/10.1287/mnsc.37.5.519">Hiroshi Konno, Hiroaki Yamazaki, Mean-Absolute Deviation Portfolio Optimization Model and Its Applications to Tokyo Stock Market, Management Science, 37(5), 519-531 (1991)</a>
+*
+* @param {Array.<Array.<number>>} assetsReturns an array of n arrays of T real numbers representing the returns of n assets over T periods of time.
+* @param {object} opt optional parameters for the algorithm.
+* @param {number} opt.targetReturn the minimum average return per period of the portfolio over the T periods of time, a real number; defaults to no minimum return.
+* @param {boolean} opt.constraints.partialInvestment parameter set to true in case the full investment constraint of the portfolio must be replaced
+* by a partial investment constraint; defaults to false.
+* @return {Array.<number>} the weights corresponding to a minimum mean absolute deviation portfolio, array of real numbers of length n.
+*
+* @example
+* meanAbsoluteDeviationWeights([[0.01, -0.02, 0.01, 0.03], [0.02, 0.01, -0.01, 0.01]]);
+* // [~0.083, ~0.917]
+*/
+self.meanAbsoluteDeviationWeights = function (assetsReturns, opt) {
+	// TODO: Checks, if enabled
+
+	// Decode options
+	if (opt === undefined) {
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
+	var targetReturn = opt.targetReturn;
+	var targetReturnContraint = false;
+	if (targetReturn !== undefined) {
+		targetReturnContraint = true;
+	}
+	var partialInvestmentContraint = false;
+	if (opt.constraints.partialInvestment !== undefined) {
+		partialInvestmentContraint = opt.constraints.partialInvestment;
+	}
+
+	// Initializations
+	var nbAssets = assetsReturns.length;
+	var nbPeriods = assetsReturns[0].length;
+	var nbVariables = nbAssets + nbPeriods;
+	var assetsMeans = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		assetsMeans[i] = mean_(assetsReturns[i]);
+	}
+
+	// Check that the target return is reachable, the maximum average return of a portfolio
+	// being the maximum average return of the assets, or 0 in case of partial investment
+	if (targetReturnContraint) {
+		var maxReturn = partialInvestmentContraint ? 0 : -Infinity;
+		for (var i = 0; i < nbAssets; ++i) {
+			maxReturn = Math.max(maxReturn, assetsMeans[i]);
+		}
+		if (targetReturn > maxReturn) {
+			throw new Error('target return not reachable');
+		}
+	}
+
+
+	// ----
+
+	// The minimum mean absolute deviation portfolio is the solution to a linear programming problem,
+	// c.f. the section 2 of the reference, whose variables are the weights of the assets w_1,...,w_n
+	// and the absolute deviations y_1,...,y_T of the portfolio returns around their average return.
+
+		// Build the objective function:
+		// - Minimize the mean absolute deviation of the portfolio returns
+	var c = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? 0 : 1/nbPeriods; }); // c = [0,...,0,1/T,...,1/T]
+
+		// Build the equality constraints:
+		// - Full investment (optional)
+	var Ae = null;
+	var be = null;
+	if (partialInvestmentContraint === false) {
+		Ae = Matrix_.fill(1, nbVariables, function(i,j) { return j <= nbAssets ? 1 : 0; }); // Ae = [1,...,1,0,...,0]
+		be = Matrix_.ones(1, 1); // be = [1]
+	}
+
+		// Build the inequality constraints:
+		// - Absolute deviation of the portfolio return, for each period
+		// - Partial investment (optional)
+		// - Target return (optional)
+	var nbRows = 2*nbPeriods + (partialInvestmentContraint ? 1 : 0) + (targetReturnContraint ? 1 : 0);
+	var partialInvestmentRow = 2*nbPeriods + 1;
+	var targetReturnRow = 2*nbPeriods + (partialInvestmentContraint ? 1 : 0) + 1;
+	var Ai = Matrix_.fill(nbRows, nbVariables,
+						  function(i,j) {
+								if (i <= nbPeriods) { return j <= nbAssets ? assetsReturns[j-1][i-1] - assetsMeans[j-1] : (j == nbAssets + i ? -1 : 0); }
+								else if (i <= 2*nbPeriods) { var t = i - nbPeriods; return j <= nbAssets ? -(assetsReturns[j-1][t-1] - assetsMeans[j-1]) : (j == nbAssets + t ? -1 : 0); }
+								else if (partialInvestmentContraint && i == partialInvestmentRow) { return j <= nbAssets ? 1 : 0; }
+								else if (targetReturnContraint && i == targetReturnRow) { return j <= nbAssets ? -assetsMeans[j-1] : 0; }
+						  }); // Ai = [[R - mu, -I], [-(R - mu), -I] (optional: , [1,...,1,0,...,0]) (optional: , [-mu1,...,-muN,0,...,0])]
+	var bi = Matrix_.fill(nbRows, 1,
+						  function(i,j) {
+							  if (i <= 2*nbPeriods) { return 0; }
+							  else if (partialInvestmentContraint && i == partialInvestmentRow) { return 1; }
+							  else if (targetReturnContraint && i == targetReturnRow) { return -targetReturn; }
+						  }); // bi = [0, ..., 0 (optional: , 1) (optional: , -target)]
+
+		// Build the bound constraints:
+		// - No short sales
+		// - Absence of leverage
+		// - Non negative absolute deviations
+	var lb = Matrix_.zeros(nbVariables, 1); // lb = [0,...,0, 0,...,0]
+	var ub = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? 1 : Infinity; }); // ub = [1,...,1, Infinity,...,Infinity]
+
+		// Solve the constructed linear program, which is:
+		// - Bounded: the portfolio weights belong to the unit simplex
+		//            the mean absolute deviation is bounded below by 0
+		// - Feasible: any portfolio satisfying the target return constraint, which has been checked to exist,
+		//             together with its absolute deviations, is a feasible solution to the linear program
+		//
+		// Note: given the assumptions above, the convergence of the primal-dual hybrid gradient algorithm is guaranteed.
+	var lpSolution = lpsolvePDHG_(Ae, be, Ai, bi, c, lb, ub, {maxIter: -1});
+
+
+	// ----
+
+	// Extract the computed portfolio weights.
+	var weights = Matrix_.fill(nbAssets, 1, function(i,j) { return lpSolution[0].getValueAt(i, 1); });
+
+	// Return the computed weights.
+	return weights.toArray();
+}
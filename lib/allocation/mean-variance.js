@@ -0,0 +1,703 @@
+/**
+ * @file Functions related to mean-variance portfolios.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function meanVarianceEfficientFrontier
+*
+* @summary Compute the corner portfolios of the mean-variance efficient frontier.
+*
+* @description This function returns the weights w_1,...,w_n, the returns and the volatilities associated to the
+* corner portfolios of the fully invested and long-only mean-variance efficient frontier of n assets.
+*
+* The corner portfolios are the portfolios on the efficient frontier at which an asset enters or leaves
+* the set of assets whose weights are not at one of their bounds, so that any portfolio located between two adjacent corner
+* portfolios is a convex combination of these two corner portfolios, c.f. the first reference.
+*
+* The efficient frontier is unique, provided the covariance matrix of the assets is definite positive,
+* and provided the returns of the assets are all distinct.
+*
+* The algorithm used internally is the critical line algorithm of Markowitz,
+* as described in the second reference.
+*
+* @see <a href="https://doi.org/10.1002/nav.3800030110">Markowitz, H. (1956), The optimization of a quadratic function subject to linear constraints. Naval Research Logistics, 3: 111-133.</a>
+* @see <a href="https://ssrn.com/abstract=2197616">Bailey, David H. and Lopez de Prado, Marcos, An Open-Source Implementation of the Critical-Line Algorithm for Portfolio Optimization (February 1, 2013). Algorithms, 6 (1), pp.169-196, 2013.</a>
+*
+* @param {Matrix_|Array.<number>} mu the returns of the n assets in the considered universe, array of n real numbers.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {object} opt the optional parameters for the algorithm.
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with 0 <= l_i, i=1..n; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the maximum weights for the assets to include in the portfolio with u_i <= 1, i=1..n; defaults to a n by 1 matrix made of ones.
+* @return {Array.<Array.<Object>>} the corner portfolios of the efficient frontier, ordered from the portfolio with the highest return
+* to the global minimum variance portfolio, array of arrays of three elements:
+* - The first element, at index 0, is the array of n real numbers corresponding to the weights of the corner portfolio
+* - The second element, at index 1, is the return of the corner portfolio
+* - The third element, at index 2, is the volatility of the corner portfolio
+*
+* @example
+* meanVarianceEfficientFrontier([0.1, 0.2], [[0.0400, 0.0100], [0.0100, 0.0900]]);
+* // [[[0, 1], 0.2, 0.3], [[~0.73, ~0.27], ~0.13, ~0.18]]
+*/
+self.meanVarianceEfficientFrontier = function (mu, sigma, opt) {
+	/**
+    * @function computeFreeAssetsQuantities
+    *
+    * @description Given a list of assets whose weights are free (i.e., not on one of their bounds), and
+	* the current weights of the other assets, this function computes the quantities required by
+	* the critical line algorithm, c.f. the second reference.
+    *
+    * @param {Array.<number>} freeAssets the indexes of the free assets, array of natural integers belonging to 1..n.
+    * @param {Array.<number>} weights the current weights of the n assets, array of n real numbers.
+    * @return {object} an object containing the following properties:
+	* - a, the vector sigma_F^-1 * 1_F
+	* - b, the vector sigma_F^-1 * mu_F
+	* - c, the vector sigma_F^-1 * sigma_FB * w_B
+	* - sumA, the sum of the coefficients of a
+	* - sumB, the sum of the coefficients of b
+	* - sumC, the sum of the coefficients of c
+	* - sumWB, the sum of the weights w_B
+    */
+	function computeFreeAssetsQuantities(freeAssets, weights) {
+		// Compute the list of the assets whose weights are bounded
+		var isFree = typeof Uint8Array === 'function' ? new Uint8Array(nbAssets) : new Array(nbAssets);
+		for (var i = 0; i < freeAssets.length; ++i) {
+			isFree[freeAssets[i] - 1] = 1;
+		}
+		var boundedAssets = [];
+		for (var i = 1; i <= nbAssets; ++i) {
+			if (!isFree[i-1]) {
+				boundedAssets.push(i);
+			}
+		}
+
+		// Extract the sub-matrices and sub-vectors associated to the free assets and to the bounded assets
+		var sigmaF = Matrix_.fill(freeAssets.length, freeAssets.length,
+								  function(i,j) { return sigma.getValueAt(freeAssets[i-1], freeAssets[j-1]); });
+		var muF = Matrix_.fill(freeAssets.length, 1,
+							   function(i,j) { return mu.getValueAt(freeAssets[i-1], 1); });
+		var onesF = Matrix_.ones(freeAssets.length, 1);
+
+		// Compute a QR decomposition of sigma_F, used to solve the linear systems associated to sigma_F
+		var qr = Matrix_.qrDecomposition(sigmaF);
+
+		// Compute the vectors a, b and c
+		var a = Matrix_.linsolveBackSubstitution(qr[1], Matrix_.txy(qr[0], onesF));
+		var b = Matrix_.linsolveBackSubstitution(qr[1], Matrix_.txy(qr[0], muF));
+		var c = Matrix_.zeros(freeAssets.length, 1);
+		var sumWB = 0;
+		if (boundedAssets.length > 0) {
+			var sigmaFB = Matrix_.fill(freeAssets.length, boundedAssets.length,
+									   function(i,j) { return sigma.getValueAt(freeAssets[i-1], boundedAssets[j-1]); });
+			var wB = Matrix_.fill(boundedAssets.length, 1,
+								  function(i,j) { return weights[boundedAssets[i-1] - 1]; });
+			c = Matrix_.linsolveBackSubstitution(qr[1], Matrix_.txy(qr[0], Matrix_.xy(sigmaFB, wB)));
+			sumWB = wB.sum();
+		}
+
+		// Return the computed quantities
+		return {a: a, b: b, c: c, sumA: a.sum(), sumB: b.sum(), sumC: c.sum(), sumWB: sumWB};
+	}
+
+	/**
+    * @function computeLambda
+    *
+    * @description This function computes the value of the risk aversion parameter lambda at which the weight of a
+	* free asset reaches a given value, c.f. the second reference.
+    *
+    * @param {object} q the quantities associated to the free assets, as computed by the function computeFreeAssetsQuantities.
+    * @param {number} idx the index of the asset within the list of free assets, natural integer.
+    * @param {number} bound the value to be reached by the weight of the asset, real number.
+    * @return {number} the computed value of lambda, or NaN if no such value exists.
+    */
+	function computeLambda(q, idx, bound) {
+		var d = -q.sumA * q.b.data[idx-1] + q.sumB * q.a.data[idx-1];
+		if (d == 0) {
+			return NaN;
+		}
+		return ((1 - q.sumWB + q.sumC) * q.a.data[idx-1] - q.sumA * (bound + q.c.data[idx-1])) / d;
+	}
+
+	/**
+    * @function computeDirection
+    *
+    * @description This function computes the quantity whose sign determines whether the weight of a free asset
+	* increases (positive sign) or decreases (negative sign) when the risk aversion parameter lambda decreases.
+    *
+    * @param {object} q the quantities associated to the free assets, as computed by the function computeFreeAssetsQuantities.
+    * @param {number} idx the index of the asset within the list of free assets, natural integer.
+    * @return {number} the computed quantity.
+    */
+	function computeDirection(q, idx) {
+		return -q.sumA * q.b.data[idx-1] + q.sumB * q.a.data[idx-1];
+	}
+
+
+	// ------
+
+	// Decode options
+	if (opt === undefined) {
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
+	var lowerBounds = opt.constraints.minWeights;
+	var upperBounds = opt.constraints.maxWeights;
+
+	// Convert mu and sigma to matrix format
+	var mu = new Matrix_(mu);
+	var sigma = new Matrix_(sigma);
+
+	// TODO: Checks, if enabled
+	// Check that diagonal entries of sigma are strictly positive
+	// Check that sigma is symmetric and positive definite
+	// Check that sigma and mu are rows compatible
+	// Check lower/upper bounds are finite, between 0 and 1
+
+
+	// ------
+
+	// Initializations
+	var nbAssets = sigma.nbRows;
+	var eps = 1e-10; // the tolerance used to detect numerically incorrect corner portfolios
+
+		// Build the bound constraints:
+		// - By default, no short sales
+		// - By default, absence of leverage
+	var l = Matrix_.zeros(nbAssets, 1);
+	if (lowerBounds) {
+		l = new Matrix_(lowerBounds);
+	}
+	var u = Matrix_.ones(nbAssets, 1);
+	if (upperBounds) {
+		u = new Matrix_(upperBounds);
+	}
+
+	// Check the feasibility of the bound constraints with the full investment constraint
+	if (l.sum() > 1 || u.sum() < 1) {
+		throw new Error('infeasible problem detected');
+	}
+
+
+	// ----
+
+	// Compute the portfolio with the highest return, which is the first corner portfolio, c.f. the second reference:
+	// - All the weights are set to their lower bounds
+	// - The assets are sorted by decreasing returns
+	// - The weights of the assets are then increased to their upper bounds, in the order of decreasing returns,
+	// until the full investment constraint is reached, the asset for which this happens being the first free asset
+	var weights = l.toArray();
+	var freeAssets = [];
+
+	var idx = mu.toArray().map(function(val, i) { return [val, i+1]; });
+	idx.sort(function(a, b) { return b[0] - a[0] || a[1] - b[1]; });
+	var sumWeights = l.sum();
+	for (var k = 0; k < nbAssets; ++k) {
+		var i = idx[k][1];
+
+		sumWeights += u.getValueAt(i, 1) - l.getValueAt(i, 1);
+		weights[i-1] = u.getValueAt(i, 1);
+		if (sumWeights >= 1) {
+			weights[i-1] -= sumWeights - 1;
+			freeAssets.push(i);
+			break;
+		}
+	}
+
+	var cornerPortfolios = [weights.slice()];
+
+
+	// ----
+
+	// Compute the other corner portfolios, by decreasing values of the risk aversion parameter lambda,
+	// until lambda reaches 0, which corresponds to the global minimum variance portfolio.
+	var currentLambda = Infinity;
+	while (true) {
+		// Case a) One free weight becomes bounded
+		var lambdaIn = -Infinity;
+		var idxIn = -1;
+		var boundIn = 0;
+		if (freeAssets.length > 1) {
+			var q = computeFreeAssetsQuantities(freeAssets, weights);
+
+			for (var k = 1; k <= freeAssets.length; ++k) {
+				var i = freeAssets[k-1];
+
+				// Determine the bound reached by the weight of the asset, depending
+				// on the direction of the evolution of this weight
+				var bound = computeDirection(q, k) > 0 ? u.getValueAt(i, 1) : l.getValueAt(i, 1);
+
+				var lambda = computeLambda(q, k, bound);
+				if (lambda < currentLambda && lambda > lambdaIn) {
+					lambdaIn = lambda;
+					idxIn = k;
+					boundIn = bound;
+				}
+			}
+		}
+
+		// Case b) One bounded weight becomes free
+		var lambdaOut = -Infinity;
+		var idxOut = -1;
+		if (freeAssets.length < nbAssets) {
+			for (var i = 1; i <= nbAssets; ++i) {
+				if (freeAssets.indexOf(i) != -1) {
+					continue;
+				}
+
+				var q = computeFreeAssetsQuantities(freeAssets.concat([i]), weights);
+
+				// Discard the asset if its weight, once free, would not move away from its current bound,
+				// which for instance happens for an asset whose weight has just become bounded
+				var direction = computeDirection(q, freeAssets.length + 1);
+				if ((weights[i-1] <= l.getValueAt(i, 1) && direction <= 0) || (weights[i-1] >= u.getValueAt(i, 1) && direction >= 0)) {
+					continue;
+				}
+
+				var lambda = computeLambda(q, freeAssets.length + 1, weights[i-1]);
+				if (lambda < currentLambda && lambda > lambdaOut) {
+					lambdaOut = lambda;
+					idxOut = i;
+				}
+			}
+		}
+
+		// Determine the new value of lambda, as well as the new list of free assets
+		var q;
+		if (lambdaIn <= 0 && lambdaOut <= 0) {
+			// The global minimum variance portfolio is reached, which
+			// corresponds to lambda = 0
+			currentLambda = 0;
+			q = computeFreeAssetsQuantities(freeAssets, weights);
+		}
+		else {
+			if (lambdaIn > lambdaOut) {
+				currentLambda = lambdaIn;
+				weights[freeAssets[idxIn-1] - 1] = boundIn;
+				freeAssets.splice(idxIn-1, 1);
+			}
+			else {
+				currentLambda = lambdaOut;
+				freeAssets.push(idxOut);
+			}
+			q = computeFreeAssetsQuantities(freeAssets, weights);
+		}
+
+		// Compute the weights of the free assets of the corner portfolio associated to lambda,
+		// c.f. the second reference:
+		// - gamma = (1 - sum(w_B) + 1_F^t * sigma_F^-1 * sigma_FB * w_B - lambda * 1_F^t * sigma_F^-1 * mu_F) / (1_F^t * sigma_F^-1 * 1_F)
+		// - w_F = gamma * sigma_F^-1 * 1_F + lambda * sigma_F^-1 * mu_F - sigma_F^-1 * sigma_FB * w_B
+		var gamma = (1 - q.sumWB + q.sumC - currentLambda * q.sumB) / q.sumA;
+		for (var k = 1; k <= freeAssets.length; ++k) {
+			weights[freeAssets[k-1] - 1] = gamma * q.a.data[k-1] + currentLambda * q.b.data[k-1] - q.c.data[k-1];
+		}
+		cornerPortfolios.push(weights.slice());
+
+		// Stop the algorithm if the global minimum variance portfolio has been reached
+		if (currentLambda == 0) {
+			break;
+		}
+	}
+
+
+	// ----
+
+	// Compute the returns and the volatilities of the corner portfolios, and
+	// remove the corner portfolios:
+	// - Which are numerically incorrect (i.e., which do not satisfy the constraints)
+	// - Which are not efficient (i.e., which have a return lower than the return of a subsequent corner portfolio),
+	// or which are duplicated
+	var efficientFrontier = [];
+	var maxReturn = -Infinity;
+	for (var k = cornerPortfolios.length - 1; k >= 0; --k) {
+		var w = new Matrix_(cornerPortfolios[k]);
+
+		// Check the constraints
+		var isValid = Math.abs(w.sum() - 1) <= eps;
+		for (var i = 1; i <= nbAssets; ++i) {
+			if (w.getValueAt(i, 1) < l.getValueAt(i, 1) - eps || w.getValueAt(i, 1) > u.getValueAt(i, 1) + eps) {
+				isValid = false;
+				break;
+			}
+		}
+		if (!isValid) {
+			continue;
+		}
+
+		// Check the efficiency
+		var ret = Matrix_.vectorDotProduct(mu, w);
+		if (ret <= maxReturn + eps) {
+			continue;
+		}
+		maxReturn = ret;
+
+		// Add the corner portfolio to the efficient frontier, with its return and its volatility
+		var vol = Math.sqrt(Matrix_.vectorDotProduct(Matrix_.xy(sigma, w), w));
+		efficientFrontier.push([w.toArray(), ret, vol]);
+	}
+
+	// Return the computed corner portfolios, ordered by decreasing returns
+	return efficientFrontier.reverse();
+}
+
+
+/**
+* @function meanVarianceWeights
+*
+* @summary Compute the weights of a mean-variance efficient portfolio.
+*
+* @description This function returns the weights w_1,...,w_n associated to a fully invested and long-only
+* mean-variance efficient portfolio of n assets, defined through one of the following optimisation methods:
+* - 'targetReturn': the portfolio with the lowest volatility among all the portfolios with a return greater than or equal to a target return,
+* c.f. the first reference
+* - 'targetVolatility': the portfolio with the highest return among all the portfolios with a volatility lower than or equal to a target volatility,
+* c.f. the first reference
+* - 'riskTolerance': the portfolio maximizing the quadratic utility function mu^t * w - 1/(2*t) * w^t * sigma * w, where t >= 0 is a risk tolerance parameter,
+* c.f. the second reference
+*
+* This portfolio is unique, provided the covariance matrix of the assets is definite positive.
+*
+* The algorithm used internally for the 'riskTolerance' optimisation method is a sequential minimization optimization algorithm,
+* c.f. the third reference, applied to the quadratic program min 1/2 * w^t * sigma * w - t * mu^t * w.
+*
+* The algorithm used internally for the 'targetReturn' and 'targetVolatility' optimisation methods is the critical line algorithm of Markowitz,
+* used to compute the corner portfolios of the efficient frontier, between which the desired portfolio is then exactly interpolated, 
+* c.f. the fourth reference.
+*
+* Optionally, the current weights c_1,...,c_n of the portfolio can be provided in order to limit the rebalancing of the portfolio, through:
+* - A turnover constraint sum_i |w_i - c_i| <= T
+* - Proportional transaction costs sum_i tc_i * |w_i - c_i|, deduced from the return of the portfolio
+*
+* In this case, the algorithm used internally is an alternating direction method of multipliers algorithm, c.f. the fifth reference,
+* applied to the quadratic program of the 'riskTolerance' optimisation method, to the quadratic program min 1/2 * w^t * sigma * w
+* s.t. the return of the portfolio is greater than or equal to the target return for the 'targetReturn' optimisation method, and combined
+* with a bisection algorithm on the risk tolerance parameter t for the 'targetVolatility' optimisation method.
+*
+* @see <a href="https://doi.org/10.1111/j.1540-6261.1952.tb01525.x">Markowitz, H. (1952), PORTFOLIO SELECTION. The Journal of Finance, 7: 77-91.</a>
+* @see <a href="https://www.jstor.org/stable/2296205">Tobin, J. (1958). Liquidity Preference as Behavior Towards Risk. The Review of Economic Studies, 25(2), 65-86.</a>
+* @see <a href="https://link.springer.com/article/10.1023/A:1012431217818">Keerthi, S. & Gilbert, E. Convergence of a Generalized SMO Algorithm for SVM Classifier Design Machine Learning (2002) 46: 351.</a>
+* @see <a href="https://ssrn.com/abstract=2197616">Bailey, David H. and Lopez de Prado, Marcos, An Open-Source Implementation of the Critical-Line Algorithm for Portfolio Optimization (February 1, 2013). Algorithms, 6 (1), pp.169-196, 2013.</a>
+* @see <a href="https://doi.org/10.1007/s12532-020-00179-2">Stellato, B., Banjac, G., Goulart, P. et al. OSQP: an operator splitting solver for quadratic programs. Math. Prog. Comp. 12, 637–672 (2020)</a>
+*
+* @param {Matrix_|Array.<number>} mu the returns of the n assets in the considered universe, array of n real numbers.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {object} opt the optional parameters for the algorithm.
+* @param {string} opt.optimisationMethod the optimisation method to use in order to compute the portfolio, a string either equals to 'targetReturn', 'targetVolatility' or 'riskTolerance'.
+* @param {number} opt.targetReturn the target return of the portfolio, a real number, to be provided if opt.optimisationMethod is equal to 'targetReturn'.
+* @param {number} opt.targetVolatility the target volatility of the portfolio, a positive real number, to be provided if opt.optimisationMethod is equal to 'targetVolatility'.
+* @param {number} opt.riskTolerance the risk tolerance parameter t, a positive real number, to be provided if opt.optimisationMethod is equal to 'riskTolerance'.
+* @param {number} opt.eps the tolerance parameter for the convergence of the algorithm used with the 'riskTolerance' optimisation method, or in case of a turnover constraint or of transaction costs, a strictly positive real number; defaults to 1e-04.
+* @param {number} opt.maxIter the maximum number of iterations of the algorithm used with the 'riskTolerance' optimisation method, or in case of a turnover constraint or of transaction costs (in which case this is also the maximum number of iterations of the bisection algorithm used with the 'targetVolatility' optimisation method), a strictly positive natural integer; defaults to 10000.
+* @param {Array.<number>} opt.currentWeights the current weights c_i,i=1..n of the portfolio, array of n real numbers, only used in case of a turnover constraint or of transaction costs; defaults to an array of n zeros (i.e., a portfolio made of cash only).
+* @param {Array.<number>} opt.transactionCosts the proportional transaction costs tc_i,i=1..n associated to the assets, array of n positive real numbers; defaults to an array of n zeros.
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with 0 <= l_i, i=1..n; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the maximum weights for the assets to include in the portfolio with u_i <= 1, i=1..n; defaults to a n by 1 matrix made of ones.
+* @param {number} opt.constraints.maxTurnover the maximum turnover T of the portfolio, i.e. the maximum sum of the absolute values of the changes between the weights of the assets and their current weights, a positive real number; defaults to no limit.
+* @return {Array.<number>} the weights corresponding to the mean-variance efficient portfolio, array of n real numbers.
+*
+* @example
+* meanVarianceWeights([0.1, 0.2], [[0.0400, 0.0100], [0.0100, 0.0900]], {optimisationMethod: 'targetReturn', targetReturn: 0.15});
+* // [0.5, 0.5]
+*/
+self.meanVarianceWeights = function (mu, sigma, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
+	var eps = opt.eps || 1e-04;
+	var maxIterations = opt.maxIter || 10000;
+	var lowerBounds = opt.constraints.minWeights;
+	var upperBounds = opt.constraints.maxWeights;
+	var currentWeights = opt.currentWeights;
+	var maxTurnover = opt.constraints.maxTurnover;
+	var transactionCosts = opt.transactionCosts;
+	var turnoverConstraints = maxTurnover !== undefined || transactionCosts !== undefined;
+	
+	// Convert mu and sigma to matrix format
+	var mu = new Matrix_(mu);
+	var sigma = new Matrix_(sigma);
+	
+	// TODO: Checks, if enabled
+	// Check that diagonal entries of sigma are strictly positive
+	// Check that sigma is symmetric and positive definite
+	// Check that sigma and mu are rows compatible
+	// Check lower/upper bounds are finite, between 0 and 1
+
+	
+	// ------
+	
+	// Initializations
+	var nbAssets = sigma.nbRows;
+	
+	
+	// ----
+	
+	// Select the proper optimisation method
+	if (turnoverConstraints) {
+		// In case a turnover constraint or transaction costs are provided, the mean-variance efficient
+		// portfolios are computed in the extended space (w, d), where the additional variables 
+		// d_i, i=1..n are used to linearize the absolute weights changes |w_i - c_i| <= d_i, i=1..n,
+		// and where the returns of the portfolios are net of transaction costs.
+		//
+		// Defaults:
+		// - The current portfolio is made of cash only
+		// - No maximum turnover
+		// - No transaction costs
+		if (currentWeights === undefined) {
+			currentWeights = Matrix_.zeros(nbAssets, 1).toArray();
+		}
+		if (transactionCosts === undefined) {
+			transactionCosts = Matrix_.zeros(nbAssets, 1).toArray();
+		}
+		var nbVariables = 2*nbAssets;
+		
+			// Build the matrix of the quadratic programs
+		var Q = Matrix_.fill(nbVariables, nbVariables, function(i,j) { return (i <= nbAssets && j <= nbAssets) ? sigma.getValueAt(i, j) : 0; });
+		
+			// Build the linear equality constraint:
+			// - Full investment
+		var Ae = Matrix_.fill(1, nbVariables, function(i,j) { return j <= nbAssets ? 1 : 0; });
+		var be = Matrix_.ones(1, 1);
+		
+			// Build the linear inequality constraints:
+			// - Absolute weights changes
+			// - Turnover (optional)
+		var turnoverRows = turnoverConstraints_(currentWeights, maxTurnover, nbVariables, nbAssets);
+		var Ai = turnoverRows[0];
+		var bi = turnoverRows[1];
+		
+			// Build the bound constraints:
+			// - By default, no short sales
+			// - By default, absence of leverage
+		var lb = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? (lowerBounds ? lowerBounds[i-1] : 0) : 0; });
+		var ub = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? (upperBounds ? upperBounds[i-1] : 1) : Infinity; });
+		
+			// Define the function computing the portfolio maximizing the quadratic utility function
+			// mu^t * w - tc^t * d - 1/(2*t) * w^t * sigma * w, as the solution of the quadratic program
+			// min 1/2 * w^t * sigma * w - t * (mu^t * w - tc^t * d).
+		function computeRiskTolerancePortfolio(riskTolerance) {
+			var p = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? -riskTolerance * mu.getValueAt(i, 1) : riskTolerance * transactionCosts[i-nbAssets-1]; });
+			var sol = qpsolveADMM_(Ae, be, Ai, bi, Q, p, lb, ub, {eps: eps, maxIter: maxIterations});
+			
+			return Matrix_.fill(nbAssets, 1, function(i,j) { return sol[0].getValueAt(i, 1); });
+		}
+		function computeVolatility(weights) {
+			return Math.sqrt(Matrix_.vectorDotProduct(weights, Matrix_.xy(sigma, weights)));
+		}
+		function computeReturn(weights) {
+			var ret = 0;
+			for (var i = 1; i <= nbAssets; ++i) {
+				var w_i = weights.getValueAt(i, 1);
+				ret += mu.getValueAt(i, 1) * w_i - transactionCosts[i-1] * Math.abs(w_i - currentWeights[i-1]);
+			}
+			return ret;
+		}
+		
+		if (opt.optimisationMethod === 'riskTolerance') {
+			// Compute the weights of the desired portfolio
+			var weights = computeRiskTolerancePortfolio(opt.riskTolerance);
+			
+			// Return the computed weights
+			return weights.toArray();
+		}
+		else if (opt.optimisationMethod === 'targetReturn') {
+			// The desired portfolio is the solution of the quadratic program
+			// min 1/2 * w^t * sigma * w s.t. mu^t * w - tc^t * d >= target return,
+			// so that the target return is not reachable if this program is infeasible.
+			var nbRows = Ai.nbRows;
+			var targetAi = Matrix_.fill(nbRows + 1, nbVariables, 
+										function(i,j) { 
+											if (i <= nbRows) { return Ai.getValueAt(i, j); }
+											else { return j <= nbAssets ? -mu.getValueAt(j, 1) : transactionCosts[j-nbAssets-1]; }
+										}); // targetAi = [Ai, [-mu, tc]]
+			var targetBi = Matrix_.fill(nbRows + 1, 1, function(i,j) { return i <= nbRows ? bi.getValueAt(i, 1) : -opt.targetReturn; }); // targetBi = [bi, -target]
+			var sol;
+			try {
+				sol = qpsolveADMM_(Ae, be, targetAi, targetBi, Q, Matrix_.zeros(nbVariables, 1), lb, ub, {eps: eps, maxIter: maxIterations});
+			}
+			catch (e) {
+				if (e.message === 'infeasible problem detected') {
+					throw new Error('target return not reachable');
+				}
+				throw e;
+			}
+			
+			// Compute the weights of the desired portfolio
+			var weights = Matrix_.fill(nbAssets, 1, function(i,j) { return sol[0].getValueAt(i, 1); });
+			
+			// Return the computed weights
+			return weights.toArray();
+		}
+		else if (opt.optimisationMethod === 'targetVolatility') {
+			// The volatility of the portfolio maximizing the quadratic utility function is 
+			// a non-decreasing function of the risk tolerance parameter t, so that the desired 
+			// portfolio is computed thanks to a bisection algorithm on t.
+			var weightsLow = computeRiskTolerancePortfolio(0);
+			if (computeVolatility(weightsLow) > opt.targetVolatility) {
+				throw new Error('target volatility not reachable');
+			}
+			
+				// Compute the highest return mu^t * w - tc^t * d of a portfolio, as the solution of a linear program
+			var maxReturnSol = qpsolveADMM_(Ae, be, Ai, bi, Matrix_.zeros(nbVariables, nbVariables), 
+			                                Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? -mu.getValueAt(i, 1) : transactionCosts[i-nbAssets-1]; }), 
+			                                lb, ub, {eps: eps, maxIter: maxIterations});
+			var maxReturn = -maxReturnSol[1];
+			
+				// Compute an upper bound on t
+				//
+				// To be noted that the desired portfolio is the portfolio with the highest return
+				// in case the target volatility is greater than the volatility of this portfolio,
+				// which is detected when the return of the portfolio maximizing the quadratic utility 
+				// function reaches the highest return while its volatility is still lower than the target volatility.
+			var tLow = 0;
+			var tHigh = 1;
+			var weightsHigh = computeRiskTolerancePortfolio(tHigh);
+			var iter = 0;
+			while (computeVolatility(weightsHigh) < opt.targetVolatility) {
+				if (computeReturn(weightsHigh) >= maxReturn - eps) {
+					return weightsHigh.toArray();
+				}
+				
+				++iter;
+				if (iter > maxIterations) {
+					throw new Error('maximum number of iterations reached: ' + maxIterations);
+				}
+				
+				tLow = tHigh;
+				weightsLow = weightsHigh;
+				tHigh = 2 * tHigh;
+				weightsHigh = computeRiskTolerancePortfolio(tHigh);
+			}
+			
+				// Bisect on t, until the volatility of the computed portfolio is close enough to the target volatility
+			var weights = weightsLow;
+			iter = 0;
+			while (Math.abs(computeVolatility(weights) - opt.targetVolatility) > eps * opt.targetVolatility) {
+				++iter;
+				if (iter > maxIterations) {
+					throw new Error('maximum number of iterations reached: ' + maxIterations);
+				}
+				
+				var t = (tLow + tHigh)/2;
+				weights = computeRiskTolerancePortfolio(t);
+				if (computeVolatility(weights) < opt.targetVolatility) {
+					tLow = t;
+				}
+				else {
+					tHigh = t;
+				}
+			}
+			
+			// Return the computed weights
+			return weights.toArray();
+		}
+		else {
+			throw new Error('unsupported optimisation method');
+		}
+	}
+	else if (opt.optimisationMethod === 'riskTolerance') {
+		// The portfolio maximizing the quadratic utility function is the solution to a convex quadratic
+		// program (e.g., the associated matrix is positive semi-definite, since this is
+		// a covariance matrix).
+		var riskTolerance = opt.riskTolerance;
+		
+			// Build the matrix and the vector of the quadratic program
+		var Q = sigma;
+		var p = Matrix_.fill(nbAssets, 1, function(i,j) { return -riskTolerance * mu.getValueAt(i, 1); });
+		
+			// Build the linear equality constraint:
+			// - Full investment
+		var b = Matrix_.ones(nbAssets, 1);
+		var r = 1;
+		
+			// Build the bound constraints:
+			// - By default, no short sales
+			// - By default, absence of leverage
+		var l = Matrix_.zeros(nbAssets, 1);
+		if (lowerBounds) {
+			l = new Matrix_(lowerBounds);
+		}
+		var u = Matrix_.ones(nbAssets, 1);
+		if (upperBounds) {
+			u = new Matrix_(upperBounds);
+		}
+		
+			// Solve the quadratic program
+		var sol = qpsolveGSMO_(Q, p, b, r, l, u, {eps: eps, maxIter: maxIterations});
+		
+		// Return the computed weights
+		return sol[0].toArray();
+	}
+	else if (opt.optimisationMethod === 'targetReturn' || opt.optimisationMethod === 'targetVolatility') {
+		// Compute the corner portfolios of the efficient frontier, ordered by decreasing returns (and volatilities)
+		var cornerPortfolios = self.meanVarianceEfficientFrontier(mu, sigma, opt);
+		var nbCornerPortfolios = cornerPortfolios.length;
+		
+		// Determine the two adjacent corner portfolios between which the desired portfolio is located,
+		// or return a corner portfolio if the desired portfolio is located on one of the 
+		// extremities of the efficient frontier.
+		var idx = opt.optimisationMethod === 'targetReturn' ? 1 : 2;
+		var target = opt.optimisationMethod === 'targetReturn' ? opt.targetReturn : opt.targetVolatility;
+		if (target > cornerPortfolios[0][idx]) {
+			if (opt.optimisationMethod === 'targetReturn') {
+				throw new Error('target return not reachable');
+			}
+			else {
+				// The desired portfolio is the portfolio with the highest return
+				return cornerPortfolios[0][0];
+			}
+		}
+		if (target <= cornerPortfolios[nbCornerPortfolios-1][idx]) {
+			if (opt.optimisationMethod === 'targetReturn') {
+				// The desired portfolio is the global minimum variance portfolio
+				return cornerPortfolios[nbCornerPortfolios-1][0];
+			}
+			else if (target < cornerPortfolios[nbCornerPortfolios-1][idx]) {
+				throw new Error('target volatility not reachable');
+			}
+		}
+		var k = 0;
+		while (cornerPortfolios[k+1][idx] > target) {
+			++k;
+		}
+		
+		// The portfolios located between the two adjacent corner portfolios w_k and w_k+1 are
+		// given by the convex combinations t * w_k + (1-t) * w_k+1, t in [0,1], so that the desired
+		// portfolio is obtained by computing the proper value of t:
+		// - In case of a target return, the return of these portfolios is linear in t
+		// - In case of a target volatility, the variance of these portfolios is quadratic in t, and increasing on [0,1]
+		var w_k = new Matrix_(cornerPortfolios[k][0]);
+		var w_kp = new Matrix_(cornerPortfolios[k+1][0]);
+		var t;
+		if (opt.optimisationMethod === 'targetReturn') {
+			t = (target - cornerPortfolios[k+1][1]) / (cornerPortfolios[k][1] - cornerPortfolios[k+1][1]);
+		}
+		else {
+			var d = Matrix_.xmy(w_k, w_kp);
+			var sigma_d = Matrix_.xy(sigma, d);
+			var a = Matrix_.vectorDotProduct(d, sigma_d);
+			var b = 2 * Matrix_.vectorDotProduct(w_kp, sigma_d);
+			var c = Matrix_.vectorDotProduct(w_kp, Matrix_.xy(sigma, w_kp)) - target * target;
+			t = (-b + Math.sqrt(Math.max(b*b - 4*a*c, 0))) / (2*a);
+		}
+		t = Math.max(0, Math.min(1, t));
+		
+		// Compute the weights of the desired portfolio
+		var weights = Matrix_.axpby(t, w_k, 1-t, w_kp);
+		
+		// Return the computed weights
+		return weights.toArray();
+	}
+	else {
+		throw new Error('unsupported optimisation method');
+	}
+}
@@ -16,8 +16,14 @@
 * @description This function returns the weights w_1,...,w_n associated to a fully invested and long-only 
 * minimax portfolio of n assets.
 *
-* Optionally, the following constraint can be added:
+* Optionally, the following constraints can be added:
 * - Partial investment contraint, replacing the full investment contraint
+* - Groups constraints, imposing minimum and maximum combined weights on groups of assets
+* - Minimum and maximum weights constraints, negative minimum weights allowing short sales
+* - Net exposure constraint sum_i w_i = N, replacing the full investment constraint
+* - Gross exposure constraint sum_i |w_i| <= L
+*
+* These last three constraints allow to compute long-short and/or leveraged portfolios (e.g. 130/30 portfolios, market neutral portfolios...).
 *
 * A minimax portfolio has the property that it maximizes the minimum possible return over the period on which it is computed,
 * c.f. the first reference.
@@ -31,6 +37,16 @@
 * @param {object} opt optional parameters for the algorithm.
 * @param {boolean} opt.constraints.partialInvestment parameter set to true in case the full investment constraint of the portfolio must be replaced
 * by a partial investment constraint; defaults to false.
+* @param {Array.<Object>} opt.constraints.groups an array of K objects defining K groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, each object containing the following properties:
+* - assets, the indexes of the assets belonging to the group G_k, array of natural integers belonging to 1..n
+* - minWeight, the minimum combined weight a_k of the assets belonging to the group G_k, a real number; defaults to 0
+* - maxWeight, the maximum combined weight b_k of the assets belonging to the group G_k, a real number; defaults to 1
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with l_i <= u_i, i=1..n, negative minimum weights allowing short sales; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the maximum weights for the assets to include in the portfolio; defaults to a n by 1 matrix made of ones.
+* @param {number} opt.constraints.netExposure the net exposure N of the portfolio, i.e. the sum of the weights of the assets, a real number; defaults to 1.
+* In case opt.constraints.partialInvestment is set to true, the net exposure of the portfolio is instead constrained to be lower than or equal to N.
+* @param {number} opt.constraints.maxGrossExposure the maximum gross exposure L of the portfolio, i.e. the maximum sum of the absolute values of the weights of the assets, a positive real number; defaults to no limit.
+* @param {number} opt.maxIter the maximum number of iterations of the linear programming algorithm used internally, a strictly positive natural integer; defaults to 1000000.
 * @return {Array.<number>} the weights corresponding to a minimax portfolio, array of real numbers of length n.
 *
 * @example
@@ -44,10 +60,31 @@ self.minimaxWeights = function (assetsReturns, opt) {
 	if (opt === undefined) {
 		opt = { constraints: {} };
 	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
 	var partialInvestmentContraint = false;
 	if (opt.constraints.partialInvestment !== undefined) {
 		partialInvestmentContraint = opt.constraints.partialInvestment;
 	}
+	var groupsContraints = false;
+	if (opt.constraints.groups !== undefined && opt.constraints.groups.length > 0) {
+		groupsContraints = true;
+	}
+	var netExposure = 1;
+	if (opt.constraints.netExposure !== undefined) {
+		netExposure = opt.constraints.netExposure;
+	}
+	var maxGrossExposure = opt.constraints.maxGrossExposure;
+	var grossExposureContraint = false;
+	if (maxGrossExposure !== undefined) {
+		grossExposureContraint = true;
+	}
+	var boundsContraints = false;
+	if (opt.constraints.minWeights !== undefined || opt.constraints.maxWeights !== undefined) {
+		boundsContraints = true;
+	}
+	var maxIterations = opt.maxIter || 1000000;
 	
 	// Initializations
 	var nbAssets = assetsReturns.length;
@@ -61,24 +98,25 @@ self.minimaxWeights = function (assetsReturns, opt) {
 	// the one of the section 1.1 of the first reference.
 	//
 	// In other zords, no minimum return is imposed on the portfolio, 
-	// so that the linear program is always feasible.
+	// so that the linear program is always feasible, except if groups, bounds,
+	// net exposure or gross exposure constraints are imposed on the portfolio.
 
 		// Build the objective function (c.f. formula 1a of the first reference):
 		// - Maximize the minimum portfolio return
 	var c = Matrix_.fill(nbAssets + 1, 1, function(i,j) { return i <= nbAssets ? 0 : -1; }); // c = [0,...,0,-1]
 	
 		// Build the equality constraints (c.f. formula 1d of the first reference for the inequality equivalent):
-		// - Full investment (optional)
+		// - Full investment, or more generally net exposure (optional)
 	var Ae = null;
 	var be = null;
 	if (partialInvestmentContraint === false) {
 		Ae = Matrix_.fill(1, nbAssets + 1, function(i,j) { return j <= nbAssets ? 1 : 0; }); // Ae = [1,...,1,0]
-		be = Matrix_.ones(1,1); // be = [1]
+		be = Matrix_.fill(1, 1, function(i,j) { return netExposure; }); // be = [N], N = 1 by default
 	}
 	
 		// Build the inequality constraints (c.f. formula 1b of the first reference):
 		// - Portfolio return greater than or equal to the minimum portfolio return, for each period
-		// - Partial investment (optional)
+		// - Partial investment, or more generally partial net exposure (optional)
 	var Ai = Matrix_.fill(nbPeriods + (partialInvestmentContraint ? 1 : 0), nbAssets + 1, 
 						  function(i,j) { 
 								if (i <= nbPeriods) { return j <= nbAssets ? -assetsReturns[j-1][i-1] : 1; }
@@ -87,29 +125,92 @@ self.minimaxWeights = function (assetsReturns, opt) {
 	var bi = Matrix_.fill(nbPeriods + (partialInvestmentContraint ? 1 : 0), 1, 
 						  function(i,j) { 
 							  if (i <= nbPeriods) { return 0; }
-							  else if (i == nbPeriods + 1) { return 1; }
-						  }); // bi = [0, ..., 0 (optional: , 1)]
+							  else if (i == nbPeriods + 1) { return netExposure; }
+						  }); // bi = [0, ..., 0 (optional: , N)]
+	
+		// Build the groups constraints (optional), extended with a null coefficient
+		// for the minimum portfolio return
+	if (groupsContraints) {
+		var groupsConstraints = groupsConstraints_(nbAssets, opt.constraints.groups);
+		var Ag = groupsConstraints[0];
+		var bg = groupsConstraints[1];
+		var nbRows = Ai.nbRows;
+		
+		Ai = Matrix_.fill(nbRows + Ag.nbRows, nbAssets + 1, 
+						  function(i,j) { 
+								if (i <= nbRows) { return Ai.getValueAt(i, j); }
+								else { return j <= nbAssets ? Ag.getValueAt(i - nbRows, j) : 0; }
+						  }); // Ai = [Ai, [Ag, 0]]
+		bi = Matrix_.fill(nbRows + bg.nbRows, 1, 
+						  function(i,j) { 
+							  if (i <= nbRows) { return bi.getValueAt(i, 1); }
+							  else { return bg.getValueAt(i - nbRows, 1); }
+						  }); // bi = [bi, bg]
+	}
 	
 		// Build the bound constraints (c.f. formula 1e of the first reference + the definition of M_p):
-		// - No short sales
-		// - Absence of leverage
+		// - By default, no short sales
+		// - By default, absence of leverage
 		// - "Unbounded" minimum portfolio return
-	var lb = Matrix_.fill(nbAssets + 1, 1, function(i,j) { return i <= nbAssets ? 0 : -Infinity; }); // lb = [0,...,0, -Infinity]
-	var ub = Matrix_.fill(nbAssets + 1, 1, function(i,j) { return i <= nbAssets ? 1 : Infinity; });  // ub = [1,...,1, Infinity]
+	var minWeights = opt.constraints.minWeights;
+	var maxWeights = opt.constraints.maxWeights;
+	var lb = Matrix_.fill(nbAssets + 1, 1, function(i,j) { return i <= nbAssets ? (minWeights ? minWeights[i-1] : 0) : -Infinity; }); // lb = [l_1,...,l_n, -Infinity], l_i = 0 by default
+	var ub = Matrix_.fill(nbAssets + 1, 1, function(i,j) { return i <= nbAssets ? (maxWeights ? maxWeights[i-1] : 1) : Infinity; });  // ub = [u_1,...,u_n, Infinity], u_i = 1 by default
+	
+		// Build the gross exposure constraint (optional), thanks to the additional 
+		// variables t_i, i=1..n used to linearize the gross exposure constraint 
+		// sum_i |w_i| <= L into the constraints -t_i <= w_i <= t_i, i=1..n, sum_i t_i <= L
+	if (grossExposureContraint) {
+		var nbVariables = 2*nbAssets + 1;
+		var nbRows = Ai.nbRows;
+		var c_ = c, Ae_ = Ae, Ai_ = Ai, bi_ = bi, lb_ = lb, ub_ = ub;
+		
+		c = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets + 1 ? c_.getValueAt(i, 1) : 0; }); // c = [c, 0,...,0]
+		if (Ae !== null) {
+			Ae = Matrix_.fill(1, nbVariables, function(i,j) { return j <= nbAssets + 1 ? Ae_.getValueAt(1, j) : 0; }); // Ae = [Ae, 0,...,0]
+		}
+		Ai = Matrix_.fill(nbRows + 2*nbAssets + 1, nbVariables, 
+						  function(i,j) { 
+								if (i <= nbRows) { return j <= nbAssets + 1 ? Ai_.getValueAt(i, j) : 0; }
+								
+								var k = i - nbRows;
+								if (k <= nbAssets) { return j == k ? 1 : (j == nbAssets + 1 + k ? -1 : 0); } // w_k - t_k <= 0
+								else if (k <= 2*nbAssets) { k = k - nbAssets; return j == k ? -1 : (j == nbAssets + 1 + k ? -1 : 0); } // -w_k - t_k <= 0
+								else { return j <= nbAssets + 1 ? 0 : 1; } // sum_k t_k <= L
+						  }); // Ai = [[Ai, 0], [I, 0, -I], [-I, 0, -I], [0, 0, 1]]
+		bi = Matrix_.fill(nbRows + 2*nbAssets + 1, 1, 
+						  function(i,j) { 
+							  if (i <= nbRows) { return bi_.getValueAt(i, 1); }
+							  else if (i <= nbRows + 2*nbAssets) { return 0; }
+							  else { return maxGrossExposure; }
+						  }); // bi = [bi, 0,...,0, L]
+		lb = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets + 1 ? lb_.getValueAt(i, 1) : 0; }); // lb = [lb, 0,...,0]
+		ub = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets + 1 ? ub_.getValueAt(i, 1) : Infinity; }); // ub = [ub, Infinity,...,Infinity]
+	}
 	
 		// Solve the constructed linear program, which is:
-		// - Bounded: the portfolio weights belong to the unit simplex
-		//            the minimum portfolio return is bounded below by the minimum portfolio return over all the periods
-		// - Feasible: the portfolio with the minimum return over all the periods is a solution to the linear program
+		// - Bounded: the portfolio weights belong to the box defined by their minimum and maximum weights,
+		//            which is the unit hypercube by default, so that the minimum portfolio return is bounded above
+		//            by the maximum portfolio return over this box
+		// - Feasible, as long as the portfolio weights constraints are compatible: any portfolio satisfying these
+		//            constraints, together with its minimum return over all the periods, is a feasible solution to the linear program
 		//
 		// Note: given the assumptions above, the convergence of the primal-dual hybrid gradient algorithm is guaranteed.
-	var lpSolution = lpsolvePDHG_(Ae, be, Ai, bi, c, lb, ub, {maxIter: -1});
+		//
+		// Note: in case groups, bounds, net exposure or gross exposure constraints are imposed, the portfolio weights
+		// constraints might not be compatible, which is detected beforehand whenever possible, c.f. the checkFeasibility_ function,
+		// the number of iterations of the primal-dual hybrid gradient algorithm being bounded in all cases.
+	var additionalConstraints = groupsContraints || boundsContraints || grossExposureContraint || netExposure !== 1;
+	if (additionalConstraints) {
+		checkFeasibility_(Ae, be, Ai, bi, lb, ub);
+	}
+	var lpSolution = lpsolvePDHG_(Ae, be, Ai, bi, c, lb, ub, {maxIter: maxIterations});
 	
 	
 	// ----
 	
 	// Extract the computed portfolio weights.
-	var weights = lpSolution[0];
+	var weights = Matrix_.fill(nbAssets, 1, function(i,j) { return lpSolution[0].getValueAt(i, 1); });
 
 	// Return the computed weights.
 	return weights.toArray();
@@ -0,0 +1,228 @@
+/**
+ * @file Functions related to minimum conditional drawdown at risk portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function minimumConditionalDrawdownWeights
+*
+* @summary Compute the weights of a minimum conditional drawdown at risk portfolio.
+*
+* @description This function returns the weights w_1,...,w_n associated to a fully invested and long-only
+* portfolio of n assets minimizing a drawdown measure of its uncompounded cumulative returns, c.f. the reference, 
+* which is either:
+* - The conditional drawdown at risk at a confidence level alpha, i.e. the average of the (1-alpha)*T largest drawdowns
+* - The maximum drawdown, i.e. the limiting case alpha = 1 of the conditional drawdown at risk
+* - The average drawdown, i.e. the limiting case alpha = 0 of the conditional drawdown at risk
+*
+* with the drawdown of the portfolio at the period t defined as D_t = max_{0 <= s <= t} y_s - y_t, where
+* y_t = sum_{s=1..t} <r_s/w> is the uncompounded cumulative return of the portfolio at the period t (y_0 = 0)
+* and r_s the returns of the n assets for the period s.
+*
+* Note that these drawdowns are absolute declines of uncompounded cumulative returns, and not relative declines 
+* of compounded portfolio values as computed by default by the maximumDrawdown function; the matching measure 
+* is maximumDrawdown(returns, {compounding: false}).
+*
+* Optionally, the following constraints can be added:
+* - Partial investment contraint, replacing the full investment contraint
+* - Target return constraint, imposing a minimum average return on the portfolio
+*
+* The minimum conditional drawdown at risk portfolio is the solution of the linear program
+* described in the reference, which is:
+*
+* min zeta + 1/((1-alpha)*T) * sum_t z_t
+*
+* s.t. u_t >= y_t, u_t >= u_{t-1}, u_t >= 0, t=1..T (running maximum of the uncompounded cumulative returns of the portfolio)
+*      z_t >= u_t - y_t - zeta, z_t >= 0, t=1..T (excess drawdowns of the portfolio over its drawdown at risk zeta)
+*      sum_i w_i = 1 (full investment)
+*      0 <= w_i <= 1, i=1..n (no short sales)
+*
+* the maximum drawdown (resp. the average drawdown) variant of this linear program being obtained by minimizing zeta
+* with z_t = 0, t=1..T (resp. by minimizing 1/T * sum_t z_t with zeta = 0).
+*
+* This portfolio might not be unique.
+*
+* @see <a href="https://doi.org/10.1142/S0219024905002767">Alexei Chekhlov, Stanislav Uryasev, Michael Zabarankin, Drawdown measure in portfolio optimization, International Journal of Theoretical and Applied Finance, 8(1), 13-58 (2005)</a>
+*
+* @param {Array.<Array.<number>>} assetsReturns an array of n arrays of T real numbers representing the returns of n assets over T periods of time.
+* @param {object} opt optional parameters for the algorithm.
+* @param {string} opt.drawdownMeasure the drawdown measure to minimize, a string either equal to 'conditional', 'maximum' or 'average'; defaults to 'conditional'.
+* @param {number} opt.confidenceLevel the confidence level alpha of the conditional drawdown at risk, a real number belonging to ]0,1[; defaults to 0.95.
+* @param {number} opt.targetReturn the minimum average return per period of the portfolio over the T periods of time, a real number; defaults to no minimum return.
+* @param {boolean} opt.constraints.partialInvestment parameter set to true in case the full investment constraint of the portfolio must be replaced
+* by a partial investment constraint; defaults to false.
+* @return {Array.<number>} the weights corresponding to a minimum conditional drawdown at risk portfolio, array of real numbers of length n.
+*
+* @example
+* minimumConditionalDrawdownWeights([[0.02, -0.02, 0.01], [-0.02, 0.02, 0.01]], {drawdownMeasure: 'maximum'});
+* // [~0.5, ~0.5]
+*/
+self.minimumConditionalDrawdownWeights = function (assetsReturns, opt) {
+	// TODO: Checks, if enabled
+
+	// Decode options
+	if (opt === undefined) {
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
+	var drawdownMeasure = opt.drawdownMeasure || 'conditional';
+	if (drawdownMeasure !== 'conditional' && drawdownMeasure !== 'maximum' && drawdownMeasure !== 'average') {
+		throw new Error('unsupported drawdown measure');
+	}
+	var alpha = opt.confidenceLevel || 0.95;
+	if (alpha <= 0 || alpha >= 1) {
+		throw new Error('invalid confidence level: ' + alpha);
+	}
+	var targetReturn = opt.targetReturn;
+	var targetReturnContraint = false;
+	if (targetReturn !== undefined) {
+		targetReturnContraint = true;
+	}
+	var partialInvestmentContraint = false;
+	if (opt.constraints.partialInvestment !== undefined) {
+		partialInvestmentContraint = opt.constraints.partialInvestment;
+	}
+
+	// Initializations
+	var nbAssets = assetsReturns.length;
+	var nbPeriods = assetsReturns[0].length;
+	var nbVariables = nbAssets + 2*nbPeriods + 1;
+	var assetsMeans = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		assetsMeans[i] = mean_(assetsReturns[i]);
+	}
+
+	// Check that the target return is reachable, the maximum average return of a portfolio
+	// being the maximum average return of the assets, or 0 in case of partial investment
+	if (targetReturnContraint) {
+		var maxReturn = partialInvestmentContraint ? 0 : -Infinity;
+		for (var i = 0; i < nbAssets; ++i) {
+			maxReturn = Math.max(maxReturn, assetsMeans[i]);
+		}
+		if (targetReturn > maxReturn) {
+			throw new Error('target return not reachable');
+		}
+	}
+
+	// Compute the uncompounded cumulative returns of the assets
+	var assetsCumReturns = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		assetsCumReturns[i] = new Array(nbPeriods);
+		var cumReturn = 0;
+		for (var t = 0; t < nbPeriods; ++t) {
+			cumReturn += assetsReturns[i][t];
+			assetsCumReturns[i][t] = cumReturn;
+		}
+	}
+
+
+	// ----
+
+	// The minimum conditional drawdown at risk portfolio is the solution to a linear programming problem,
+	// c.f. the section 4 of the reference, whose variables are the weights of the assets w_1,...,w_n,
+	// the running maximum u_1,...,u_T of the uncompounded cumulative returns of the portfolio, 
+	// the excess drawdowns z_1,...,z_T of the portfolio over its drawdown at risk and the drawdown 
+	// at risk zeta of the portfolio.
+	var zetaIdx = nbAssets + 2*nbPeriods + 1;
+
+		// Build the objective function:
+		// - Minimize the conditional drawdown at risk of the portfolio, or its maximum drawdown,
+		// or its average drawdown
+	var c = Matrix_.fill(nbVariables, 1,
+						 function(i,j) {
+							if (i <= nbAssets + nbPeriods) { return 0; }
+							else if (i < zetaIdx) { 
+								if (drawdownMeasure === 'conditional') { return 1/((1 - alpha) * nbPeriods); }
+								else if (drawdownMeasure === 'maximum') { return 0; }
+								else { return 1/nbPeriods; }
+							}
+							else { return drawdownMeasure === 'average' ? 0 : 1; }
+						 }); // c = [0,...,0,0,...,0,1/((1-alpha)*T),...,1/((1-alpha)*T),1] for the conditional drawdown at risk
+
+		// Build the equality constraints:
+		// - Full investment (optional)
+	var Ae = null;
+	var be = null;
+	if (partialInvestmentContraint === false) {
+		Ae = Matrix_.fill(1, nbVariables, function(i,j) { return j <= nbAssets ? 1 : 0; }); // Ae = [1,...,1,0,...,0]
+		be = Matrix_.ones(1, 1); // be = [1]
+	}
+
+		// Build the inequality constraints:
+		// - Running maximum greater than or equal to the uncompounded cumulative return of the portfolio, for each period
+		// - Running maximum non decreasing, for each period
+		// - Excess drawdown of the portfolio over its drawdown at risk, for each period
+		// - Partial investment (optional)
+		// - Target return (optional)
+	var nbRows = 3*nbPeriods + (partialInvestmentContraint ? 1 : 0) + (targetReturnContraint ? 1 : 0);
+	var partialInvestmentRow = 3*nbPeriods + 1;
+	var targetReturnRow = 3*nbPeriods + (partialInvestmentContraint ? 1 : 0) + 1;
+	var Ai = Matrix_.fill(nbRows, nbVariables,
+						  function(i,j) {
+								if (i <= nbPeriods) { // y_t - u_t <= 0
+									if (j <= nbAssets) { return assetsCumReturns[j-1][i-1]; }
+									else { return j == nbAssets + i ? -1 : 0; }
+								}
+								else if (i <= 2*nbPeriods) { // u_{t-1} - u_t <= 0, with u_0 = 0
+									var t = i - nbPeriods;
+									if (j == nbAssets + t) { return -1; }
+									else { return j == nbAssets + t - 1 && t > 1 ? 1 : 0; }
+								}
+								else if (i <= 3*nbPeriods) { // -y_t + u_t - z_t - zeta <= 0
+									var t = i - 2*nbPeriods;
+									if (j <= nbAssets) { return -assetsCumReturns[j-1][t-1]; }
+									else if (j == nbAssets + t) { return 1; }
+									else if (j == nbAssets + nbPeriods + t) { return -1; }
+									else { return j == zetaIdx ? -1 : 0; }
+								}
+								else if (partialInvestmentContraint && i == partialInvestmentRow) { return j <= nbAssets ? 1 : 0; }
+								else if (targetReturnContraint && i == targetReturnRow) { return j <= nbAssets ? -assetsMeans[j-1] : 0; }
+						  }); // Ai = [[Y, -I, 0, 0], [0, L, 0, 0], [-Y, I, -I, -1] (optional: , [1,...,1,0,...,0]) (optional: , [-mu1,...,-muN,0,...,0])]
+	var bi = Matrix_.fill(nbRows, 1,
+						  function(i,j) {
+							  if (i <= 3*nbPeriods) { return 0; }
+							  else if (partialInvestmentContraint && i == partialInvestmentRow) { return 1; }
+							  else if (targetReturnContraint && i == targetReturnRow) { return -targetReturn; }
+						  }); // bi = [0, ..., 0 (optional: , 1) (optional: , -target)]
+
+		// Build the bound constraints:
+		// - No short sales
+		// - Absence of leverage
+		// - Non negative running maximum, since y_0 = 0
+		// - Non negative excess drawdowns, null in case of the maximum drawdown
+		// - "Unbounded" drawdown at risk, null in case of the average drawdown
+	var lb = Matrix_.fill(nbVariables, 1, function(i,j) { return i == zetaIdx ? (drawdownMeasure === 'average' ? 0 : -Infinity) : 0; }); // lb = [0,...,0, 0,...,0, 0,...,0, -Infinity]
+	var ub = Matrix_.fill(nbVariables, 1, 
+						  function(i,j) { 
+							  if (i <= nbAssets) { return 1; }
+							  else if (i <= nbAssets + nbPeriods) { return Infinity; }
+							  else if (i < zetaIdx) { return drawdownMeasure === 'maximum' ? 0 : Infinity; }
+							  else { return drawdownMeasure === 'average' ? 0 : Infinity; }
+						  }); // ub = [1,...,1, Infinity,...,Infinity, Infinity,...,Infinity, Infinity]
+
+		// Solve the constructed linear program, which is:
+		// - Bounded: the portfolio weights belong to the unit simplex
+		//            the drawdown measures are bounded below by 0
+		// - Feasible: any portfolio satisfying the target return constraint, which has been checked to exist,
+		//             together with its running maximum, its excess drawdowns and its drawdown at risk, 
+		//             is a feasible solution to the linear program
+		//
+		// Note: given the assumptions above, the convergence of the primal-dual hybrid gradient algorithm is guaranteed.
+	var lpSolution = lpsolvePDHG_(Ae, be, Ai, bi, c, lb, ub, {maxIter: -1});
+
+
+	// ----
+
+	// Extract the computed portfolio weights.
+	var weights = Matrix_.fill(nbAssets, 1, function(i,j) { return lpSolution[0].getValueAt(i, 1); });
+
+	// Return the computed weights.
+	return weights.toArray();
+}
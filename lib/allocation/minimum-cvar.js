@@ -0,0 +1,173 @@
+/**
+ * @file Functions related to minimum conditional value at risk portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function minimumCVaRWeights
+*
+* @summary Compute the weights of a minimum conditional value at risk portfolio.
+*
+* @description This function returns the weights w_1,...,w_n associated to a fully invested and long-only
+* portfolio of n assets minimizing the (historical) conditional value at risk, a.k.a. expected shortfall,
+* of its returns at a confidence level alpha.
+*
+* Optionally, the following constraints can be added:
+* - Partial investment contraint, replacing the full investment contraint
+* - Target return constraint, imposing a minimum average return on the portfolio
+*
+* The minimum conditional value at risk portfolio is the solution of the linear program
+* described in the reference, which is:
+*
+* min VaR + 1/((1-alpha)*T) * sum_t u_t
+*
+* s.t. u_t >= -<r_t/w> - VaR, u_t >= 0, t=1..T (excess losses of the portfolio over its value at risk)
+*      sum_i w_i = 1 (full investment)
+*      0 <= w_i <= 1, i=1..n (no short sales)
+*
+* with r_t the returns of the n assets for the period t, the optimal values of VaR and of
+* the objective function being then respectively the value at risk and the conditional value at risk
+* of the returns of the portfolio, c.f. the conditionalValueAtRisk function.
+*
+* This portfolio might not be unique.
+*
+* @see <a href="https://doi.org/10.21314/JOR.2000.038">R. Tyrrell Rockafellar, Stanislav Uryasev, Optimization of conditional value-at-risk, Journal of Risk, 2(3), 21-41 (2000)</a>
+*
+* @param {Array.<Array.<number>>} assetsReturns an array of n arrays of T real numbers representing the returns of n assets over T periods of time.
+* @param {object} opt optional parameters for the algorithm.
+* @param {number} opt.confidenceLevel the confidence level alpha of the conditional value at risk, a real number belonging to ]0,1[; defaults to 0.95.
+* @param {number} opt.targetReturn the minimum average return per period of the portfolio over the T periods of time, a real number; defaults to no minimum return.
+* @param {boolean} opt.constraints.partialInvestment parameter set to true in case the full investment constraint of the portfolio must be replaced
+* by a partial investment constraint; defaults to false.
+* @return {Array.<number>} the weights corresponding to a minimum conditional value at risk portfolio, array of real numbers of length n.
+*
+* @example
+* minimumCVaRWeights([[0.01, -0.02, 0.01, 0.03], [-0.05, 0.03, 0.01, 0.02]], {confidenceLevel: 0.75});
+* // [~0.727, ~0.273]
+*/
+self.minimumCVaRWeights = function (assetsReturns, opt) {
+	// TODO: Checks, if enabled
+
+	// Decode options
+	if (opt === undefined) {
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
+	var alpha = opt.confidenceLevel || 0.95;
+	if (alpha <= 0 || alpha >= 1) {
+		throw new Error('invalid confidence level: ' + alpha);
+	}
+	var targetReturn = opt.targetReturn;
+	var targetReturnContraint = false;
+	if (targetReturn !== undefined) {
+		targetReturnContraint = true;
+	}
+	var partialInvestmentContraint = false;
+	if (opt.constraints.partialInvestment !== undefined) {
+		partialInvestmentContraint = opt.constraints.partialInvestment;
+	}
+
+	// Initializations
+	var nbAssets = assetsReturns.length;
+	var nbPeriods = assetsReturns[0].length;
+	var nbVariables = nbAssets + 1 + nbPeriods;
+	var assetsMeans = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		assetsMeans[i] = mean_(assetsReturns[i]);
+	}
+
+	// Check that the target return is reachable, the maximum average return of a portfolio
+	// being the maximum average return of the assets, or 0 in case of partial investment
+	if (targetReturnContraint) {
+		var maxReturn = partialInvestmentContraint ? 0 : -Infinity;
+		for (var i = 0; i < nbAssets; ++i) {
+			maxReturn = Math.max(maxReturn, assetsMeans[i]);
+		}
+		if (targetReturn > maxReturn) {
+			throw new Error('target return not reachable');
+		}
+	}
+
+
+	// ----
+
+	// The minimum conditional value at risk portfolio is the solution to a linear programming problem,
+	// c.f. the formula 17 of the reference, whose variables are the weights of the assets w_1,...,w_n,
+	// the value at risk VaR of the portfolio and the excess losses u_1,...,u_T of the portfolio
+	// over its value at risk.
+
+		// Build the objective function:
+		// - Minimize the conditional value at risk of the portfolio
+	var c = Matrix_.fill(nbVariables, 1,
+						 function(i,j) {
+							if (i <= nbAssets) { return 0; }
+							else if (i == nbAssets + 1) { return 1; }
+							else { return 1/((1 - alpha) * nbPeriods); }
+						 }); // c = [0,...,0,1,1/((1-alpha)*T),...,1/((1-alpha)*T)]
+
+		// Build the equality constraints:
+		// - Full investment (optional)
+	var Ae = null;
+	var be = null;
+	if (partialInvestmentContraint === false) {
+		Ae = Matrix_.fill(1, nbVariables, function(i,j) { return j <= nbAssets ? 1 : 0; }); // Ae = [1,...,1,0,0,...,0]
+		be = Matrix_.ones(1, 1); // be = [1]
+	}
+
+		// Build the inequality constraints:
+		// - Excess loss of the portfolio over its value at risk, for each period
+		// - Partial investment (optional)
+		// - Target return (optional)
+	var nbRows = nbPeriods + (partialInvestmentContraint ? 1 : 0) + (targetReturnContraint ? 1 : 0);
+	var partialInvestmentRow = nbPeriods + 1;
+	var targetReturnRow = nbPeriods + (partialInvestmentContraint ? 1 : 0) + 1;
+	var Ai = Matrix_.fill(nbRows, nbVariables,
+						  function(i,j) {
+								if (i <= nbPeriods) {
+									if (j <= nbAssets) { return -assetsReturns[j-1][i-1]; }
+									else if (j == nbAssets + 1) { return -1; }
+									else { return j == nbAssets + 1 + i ? -1 : 0; }
+								}
+								else if (partialInvestmentContraint && i == partialInvestmentRow) { return j <= nbAssets ? 1 : 0; }
+								else if (targetReturnContraint && i == targetReturnRow) { return j <= nbAssets ? -assetsMeans[j-1] : 0; }
+						  }); // Ai = [[-ret11,...,-retN1,-1,-1,0,...,0]...[-ret1T,...,-retNT,-1,0,...,0,-1] (optional: , [1,...,1,0,0,...,0]) (optional: , [-mu1,...,-muN,0,0,...,0])]
+	var bi = Matrix_.fill(nbRows, 1,
+						  function(i,j) {
+							  if (i <= nbPeriods) { return 0; }
+							  else if (partialInvestmentContraint && i == partialInvestmentRow) { return 1; }
+							  else if (targetReturnContraint && i == targetReturnRow) { return -targetReturn; }
+						  }); // bi = [0, ..., 0 (optional: , 1) (optional: , -target)]
+
+		// Build the bound constraints:
+		// - No short sales
+		// - Absence of leverage
+		// - "Unbounded" value at risk
+		// - Non negative excess losses
+	var lb = Matrix_.fill(nbVariables, 1, function(i,j) { return i == nbAssets + 1 ? -Infinity : 0; }); // lb = [0,...,0, -Infinity, 0,...,0]
+	var ub = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? 1 : Infinity; }); // ub = [1,...,1, Infinity, Infinity,...,Infinity]
+
+		// Solve the constructed linear program, which is:
+		// - Bounded: the portfolio weights belong to the unit simplex
+		//            the conditional value at risk is bounded below by the minimum portfolio loss over all the periods
+		// - Feasible: any portfolio satisfying the target return constraint, if any, together with its value at risk and its excess losses,
+		//            is a feasible solution to the linear program, such a portfolio existing since the target return has been checked to be reachable
+		//
+		// Note: given the assumptions above, the convergence of the primal-dual hybrid gradient algorithm is guaranteed.
+	var lpSolution = lpsolvePDHG_(Ae, be, Ai, bi, c, lb, ub, {maxIter: -1});
+
+
+	// ----
+
+	// Extract the computed portfolio weights.
+	var weights = Matrix_.fill(nbAssets, 1, function(i,j) { return lpSolution[0].getValueAt(i, 1); });
+
+	// Return the computed weights.
+	return weights.toArray();
+}
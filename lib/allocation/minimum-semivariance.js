@@ -0,0 +1,212 @@
+/**
+ * @file Functions related to minimum semi-variance portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function minimumSemivarianceWeights
+*
+* @summary Compute the weights of a minimum downside semi-variance portfolio.
+*
+* @description This function returns the weights w_1,...,w_n associated to a fully invested and long-only
+* portfolio of n assets minimizing the downside semi-variance of its returns, c.f. the reference, which is defined as:
+* - 1/T * sum_t min(0, <r_t - mu/w>)^2, with mu the average returns of the n assets over the T periods of time, 
+* in case the downside deviations are measured below the average return of the portfolio
+* - 1/T * sum_t min(0, <r_t/w> - B)^2, in case the downside deviations are measured below a minimum acceptable return B
+*
+* with r_t the returns of the n assets for the period t.
+*
+* Optionally, the following constraints can be added:
+* - Partial investment contraint, replacing the full investment contraint
+* - Target return constraint, imposing a minimum average return on the portfolio
+*
+* Contrary to the global minimum variance portfolio, this portfolio does not require the computation 
+* of a covariance matrix, and is the solution of the convex quadratic program:
+*
+* min 1/T * sum_t d_t^2
+*
+* s.t. d_t >= -<r_t - mu/w> (resp. d_t >= B - <r_t/w>), d_t >= 0, t=1..T (downside deviations of the portfolio returns)
+*      sum_i w_i = 1 (full investment)
+*      0 <= w_i <= 1, i=1..n (no short sales)
+*
+* The algorithm used internally to solve this quadratic program is an alternating direction method of multipliers algorithm,
+* whose solution is, in case of a target return constraint, moved towards the feasible portfolio with the highest average return 
+* so that this constraint is exactly satisfied.
+*
+* This portfolio might not be unique.
+*
+* @see Markowitz, H. M. (1959). Portfolio Selection: Efficient Diversification of Investments, Chapter IX. New York: John Wiley & Sons.
+*
+* @param {Array.<Array.<number>>} assetsReturns an array of n arrays of T real numbers representing the returns of n assets over T periods of time.
+* @param {object} opt optional parameters for the algorithm.
+* @param {number} opt.minimumAcceptableReturn the minimum acceptable return B per period below which the downside deviations of the portfolio returns are measured, a real number; 
+* defaults to undefined, in which case the downside deviations are measured below the average return of the portfolio.
+* @param {number} opt.targetReturn the minimum average return per period of the portfolio over the T periods of time, a real number; defaults to no minimum return.
+* @param {number} opt.eps the tolerance parameter for the convergence of the algorithm, a strictly positive real number; defaults to 1e-08.
+* @param {number} opt.maxIter the maximum number of iterations of the algorithm, a strictly positive natural integer; defaults to 100000.
+* @param {boolean} opt.constraints.partialInvestment parameter set to true in case the full investment constraint of the portfolio must be replaced
+* by a partial investment constraint; defaults to false.
+* @return {Array.<number>} the weights corresponding to a minimum downside semi-variance portfolio, array of real numbers of length n.
+*
+* @example
+* minimumSemivarianceWeights([[0.01, -0.02, 0.01, 0.03], [0.02, 0.01, -0.01, 0.01]], {minimumAcceptableReturn: 0});
+* // [~0.385, ~0.615]
+*/
+self.minimumSemivarianceWeights = function (assetsReturns, opt) {
+	// TODO: Checks, if enabled
+
+	// Decode options
+	if (opt === undefined) {
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
+	var eps = opt.eps || 1e-08;
+	var maxIterations = opt.maxIter || 100000;
+	var minimumAcceptableReturn = opt.minimumAcceptableReturn;
+	var targetReturn = opt.targetReturn;
+	var targetReturnContraint = false;
+	if (targetReturn !== undefined) {
+		targetReturnContraint = true;
+	}
+	var partialInvestmentContraint = false;
+	if (opt.constraints.partialInvestment !== undefined) {
+		partialInvestmentContraint = opt.constraints.partialInvestment;
+	}
+
+	// Initializations
+	var nbAssets = assetsReturns.length;
+	var nbPeriods = assetsReturns[0].length;
+	var nbVariables = nbAssets + nbPeriods;
+	var assetsMeans = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		assetsMeans[i] = mean_(assetsReturns[i]);
+	}
+
+	// Check that the target return is reachable, the maximum average return of a portfolio
+	// being the maximum average return of the assets, or 0 in case of partial investment
+	var maxReturn = partialInvestmentContraint ? 0 : -Infinity;
+	var maxReturnIdx = -1; // -1 corresponds to the portfolio made of cash only
+	for (var i = 0; i < nbAssets; ++i) {
+		if (assetsMeans[i] > maxReturn) {
+			maxReturn = assetsMeans[i];
+			maxReturnIdx = i;
+		}
+	}
+	if (targetReturnContraint) {
+		if (targetReturn > maxReturn) {
+			throw new Error('target return not reachable');
+		}
+	}
+
+	// Compute the returns of the assets relative to the threshold below which the downside 
+	// deviations are measured, which is either the average return of each asset (so that the
+	// threshold of the portfolio is its average return), or 0 with a threshold B on the portfolio
+	var threshold = 0;
+	var relativeAssetsReturns = new Array(nbAssets);
+	for (var i = 0; i < nbAssets; ++i) {
+		relativeAssetsReturns[i] = new Array(nbPeriods);
+		for (var t = 0; t < nbPeriods; ++t) {
+			relativeAssetsReturns[i][t] = minimumAcceptableReturn === undefined ? assetsReturns[i][t] - assetsMeans[i] : assetsReturns[i][t];
+		}
+	}
+	if (minimumAcceptableReturn !== undefined) {
+		threshold = minimumAcceptableReturn;
+	}
+	
+	// Compute the scaling factor of these relative returns, in order for the quadratic program below
+	// to be well scaled, the downside semi-variance of the portfolio returns being otherwise typically
+	// of the order of 1e-04 or lower
+	var scalingFactor = Math.abs(threshold);
+	for (var i = 0; i < nbAssets; ++i) {
+		for (var t = 0; t < nbPeriods; ++t) {
+			scalingFactor = Math.max(scalingFactor, Math.abs(relativeAssetsReturns[i][t]));
+		}
+	}
+	if (scalingFactor == 0) {
+		scalingFactor = 1;
+	}
+
+
+	// ----
+
+	// The minimum downside semi-variance portfolio is the solution to a convex quadratic program,
+	// whose variables are the weights of the assets w_1,...,w_n and the downside deviations 
+	// d_1,...,d_T of the portfolio returns, divided by the scaling factor computed above.
+
+		// Build the matrix and the vector of the quadratic program:
+		// - Minimize the downside semi-variance of the portfolio returns
+	var Q = Matrix_.fill(nbVariables, nbVariables, function(i,j) { return (i == j && i > nbAssets) ? 2/nbPeriods : 0; }); // Q = [[0, 0], [0, 2/T * I]]
+	var p = Matrix_.zeros(nbVariables, 1);
+
+		// Build the equality constraints:
+		// - Full investment (optional)
+	var Ae = null;
+	var be = null;
+	if (partialInvestmentContraint === false) {
+		Ae = Matrix_.fill(1, nbVariables, function(i,j) { return j <= nbAssets ? 1 : 0; }); // Ae = [1,...,1,0,...,0]
+		be = Matrix_.ones(1, 1); // be = [1]
+	}
+
+		// Build the inequality constraints:
+		// - Downside deviation of the portfolio return, for each period
+		// - Partial investment (optional)
+		// - Target return (optional)
+	var nbRows = nbPeriods + (partialInvestmentContraint ? 1 : 0) + (targetReturnContraint ? 1 : 0);
+	var partialInvestmentRow = nbPeriods + 1;
+	var targetReturnRow = nbPeriods + (partialInvestmentContraint ? 1 : 0) + 1;
+	var Ai = Matrix_.fill(nbRows, nbVariables,
+						  function(i,j) {
+								if (i <= nbPeriods) { return j <= nbAssets ? -relativeAssetsReturns[j-1][i-1]/scalingFactor : (j == nbAssets + i ? -1 : 0); }
+								else if (partialInvestmentContraint && i == partialInvestmentRow) { return j <= nbAssets ? 1 : 0; }
+								else if (targetReturnContraint && i == targetReturnRow) { return j <= nbAssets ? -assetsMeans[j-1]/scalingFactor : 0; }
+						  }); // Ai = [[-R/s, -I] (optional: , [1,...,1,0,...,0]) (optional: , [-mu1/s,...,-muN/s,0,...,0])]
+	var bi = Matrix_.fill(nbRows, 1,
+						  function(i,j) {
+							  if (i <= nbPeriods) { return -threshold/scalingFactor; }
+							  else if (partialInvestmentContraint && i == partialInvestmentRow) { return 1; }
+							  else if (targetReturnContraint && i == targetReturnRow) { return -targetReturn/scalingFactor; }
+						  }); // bi = [-B/s, ..., -B/s (optional: , 1) (optional: , -target/s)]
+
+		// Build the bound constraints:
+		// - No short sales
+		// - Absence of leverage
+		// - Non negative downside deviations
+	var lb = Matrix_.zeros(nbVariables, 1); // lb = [0,...,0, 0,...,0]
+	var ub = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? 1 : Infinity; }); // ub = [1,...,1, Infinity,...,Infinity]
+
+		// Solve the constructed quadratic program, which is feasible since the target return
+		// constraint, if any, has been checked to be reachable.
+	var sol = qpsolveADMM_(Ae, be, Ai, bi, Q, p, lb, ub, {eps: eps, maxIter: maxIterations});
+
+
+	// ----
+
+	// Extract the computed portfolio weights.
+	var weights = Matrix_.fill(nbAssets, 1, function(i,j) { return sol[0].getValueAt(i, 1); });
+	
+	// In case of a target return constraint, which is only satisfied up to the tolerance of the
+	// algorithm above, move the computed portfolio w towards the feasible portfolio v with the
+	// highest average return, so that the portfolio (1 - theta) * w + theta * v exactly reaches 
+	// the target return, this portfolio satisfying the other constraints by convexity.
+	if (targetReturnContraint) {
+		var portfolioReturn = 0;
+		for (var i = 0; i < nbAssets; ++i) {
+			portfolioReturn += assetsMeans[i] * weights.data[i];
+		}
+		
+		if (portfolioReturn < targetReturn) {
+			var theta = Math.min(1, (targetReturn - portfolioReturn) / (maxReturn - portfolioReturn));
+			weights = weights.elemMap(function(i,j,val) { return (1 - theta) * val + (i - 1 == maxReturnIdx ? theta : 0); });
+		}
+	}
+
+	// Return the computed weights.
+	return weights.toArray();
+}
@@ -28,14 +28,36 @@
 * In a previous version of the code, the algorithm used internally was a coordinate descent algorithm,
 * c.f. the third reference, kept for historical reference.
 *
+* Optionally, the following constraints can be added, in particular to compute long-short and/or leveraged portfolios:
+* - Minimum and maximum weights, negative minimum weights allowing short sales
+* - Groups constraints
+* - Net exposure constraint sum_i w_i = N, replacing the full investment constraint
+* - Gross exposure constraint sum_i |w_i| <= L
+*
+* In case such constraints are provided, the algorithm used internally is instead an alternating direction
+* method of multipliers algorithm for general convex quadratic programs, c.f. the fifth reference, applied
+* to the recast quadratic program in which these constraints have been made homogeneous.
+*
+* To be noted that in case of long-short portfolios, the most diversified portfolio is defined only if
+* the diversification ratio of at least one feasible portfolio is strictly positive.
+*
 * @see <a href="https://papers.ssrn.com/sol3/papers.cfm?abstract_id=1895459">Y. Choueifaty, T. Froidure, J. Reynier, Properties of the Most Diversified Portfolio, Journal of Investment Strategies, Vol.2(2), Spring 2013, pp.49-70.</a>
 * @see <a href="https://ssrn.com/abstract=2595051">Richard, Jean-Charles and Roncalli, Thierry, Smart Beta: Managing Diversification of Minimum Variance Portfolios (March 2015)</a>
 * @see <a href="https://link.springer.com/article/10.1023/A:1012431217818">Keerthi, S. & Gilbert, E. Convergence of a Generalized SMO Algorithm for SVM Classifier Design Machine Learning (2002) 46: 351.</a>
+* @see <a href="https://doi.org/10.1007/s12532-020-00179-2">Stellato, B., Banjac, G., Goulart, P. et al. OSQP: an operator splitting solver for quadratic programs. Math. Prog. Comp. 12, 637–672 (2020)</a>
 * 
 * @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
 * @param {object} opt the optional parameters for the algorithm.
 * @param {number} opt.eps the tolerance parameter for the convergence of the algorithm, a strictly positive real number; defaults to 1e-04.
 * @param {number} opt.maxIter the maximum number of iterations of the algorithm, a strictly positive natural integer; defaults to 10000.
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with l_i <= u_i, i=1..n, negative minimum weights allowing short sales; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the maximum weights for the assets to include in the portfolio; defaults to a n by 1 matrix made of ones.
+* @param {Array.<Object>} opt.constraints.groups an array of K objects defining K groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, each object containing the following properties:
+* - assets, the indexes of the assets belonging to the group G_k, array of natural integers belonging to 1..n
+* - minWeight, the minimum combined weight a_k of the assets belonging to the group G_k, a real number; defaults to 0
+* - maxWeight, the maximum combined weight b_k of the assets belonging to the group G_k, a real number; defaults to 1
+* @param {number} opt.constraints.netExposure the net exposure N of the portfolio, i.e. the sum of the weights of the assets, a real number; defaults to 1.
+* @param {number} opt.constraints.maxGrossExposure the maximum gross exposure L of the portfolio, i.e. the maximum sum of the absolute values of the weights of the assets, a positive real number; defaults to no limit.
 * @return {Array.<number>} the weights corresponding to the most diversified portfolio, array of n real numbers.
 *
 * @example
@@ -45,10 +67,17 @@
 self.mostDiversifiedWeights = function (sigma, opt) {
 	// Decode options
 	if (opt === undefined) {
-		opt = {};
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
 	}
 	var eps = opt.eps || 1e-4;
 	var maxIterations = opt.maxIter || 10000;
+	var groups = opt.constraints.groups;
+	var additionalConstraints = (groups !== undefined && groups.length > 0) || 
+								opt.constraints.minWeights !== undefined || opt.constraints.maxWeights !== undefined ||
+								opt.constraints.netExposure !== undefined || opt.constraints.maxGrossExposure !== undefined;
 	
 	// Convert sigma to matrix format
 	var sigma = new Matrix_(sigma);
@@ -88,16 +117,125 @@ self.mostDiversifiedWeights = function (sigma, opt) {
 	var l = zeros;
 	var u = infinitys;
 	
+		// Solve the quadratic program with the dedicated sequential minimization optimization 
+		// algorithm, in case no additional constraints are provided.
+	if (!additionalConstraints) {
+		var sol = qpsolveGSMO_(Q, p, b, r, l, u, {eps: eps, maxIter: maxIterations});
+		
+		// Extract the rescaled computed portfolio weights.
+		var weights = sol[0].normalize();
+		
+		// Return the (rescaled) computed weights
+		return weights.toArray();
+	}
+	
+	
+	// ----
+	
+	// Otherwise, the most diversified portfolio can be recast as the solution to a convex quadratic program 
+	// thanks to the change of variables y = kappa * w, kappa >= 0, with sigma^t * y = 1, c.f. the first reference, 
+	// the constraints on the weights w being made homogeneous in (y, kappa).
+	//
+	// This quadratic program is solved with the generic alternating direction method of multipliers algorithm,
+	// in the extended space (y, t, kappa), where the additional variables t_i, i=1..n are used to linearize the 
+	// gross exposure constraint sum_i |w_i| <= L into the constraints -t_i <= y_i <= t_i, i=1..n, sum_i t_i <= L * kappa.
+	
+		// Build the bound constraints, the net exposure constraint and the groups constraints 
+		// on the weights w:
+		// - By default, no short sales
+		// - By default, absence of leverage
+		// - By default, full investment
+	var lowerBounds = zeros;
+	if (opt.constraints.minWeights) {
+		lowerBounds = new Matrix_(opt.constraints.minWeights);
+	}
+	var upperBounds = Matrix_.ones(nbAssets, 1);
+	if (opt.constraints.maxWeights) {
+		upperBounds = new Matrix_(opt.constraints.maxWeights);
+	}
+	var netExposure = 1;
+	if (opt.constraints.netExposure !== undefined) {
+		netExposure = opt.constraints.netExposure;
+	}
+	var maxGrossExposure = opt.constraints.maxGrossExposure;
+	var groupsConstraints = null;
+	if (groups !== undefined && groups.length > 0) {
+		groupsConstraints = groupsConstraints_(nbAssets, groups);
+	}
+	
+		// Build the dimensions of the quadratic program in the extended space
+	var nbVariables = maxGrossExposure === undefined ? nbAssets + 1 : 2*nbAssets + 1;
+	var kappaIdx = nbVariables;
+	var nbBoundsRows = 2*nbAssets;
+	var nbGroupsRows = groupsConstraints === null ? 0 : groupsConstraints[0].nbRows;
+	var nbGrossExposureRows = maxGrossExposure === undefined ? 0 : 2*nbAssets + 1;
+	
+		// Build the matrix and the vector of the quadratic program
+	var extQ = Matrix_.fill(nbVariables, nbVariables, function(i,j) { return (i <= nbAssets && j <= nbAssets) ? Q.getValueAt(i, j) : 0; });
+	var extP = Matrix_.zeros(nbVariables, 1);
+	
+		// Build the linear equality constraints:
+		// - sigma^t * y = 1
+		// - Net exposure: sum_i y_i = N * kappa
+	var Ae = Matrix_.fill(2, nbVariables, 
+						  function(i,j) { 
+							  if (i == 1) { return j <= nbAssets ? b.getValueAt(j, 1) : 0; }
+							  else { return j <= nbAssets ? 1 : (j == kappaIdx ? -netExposure : 0); }
+						  });
+	var be = Matrix_.fill(2, 1, function(i,j) { return i == 1 ? 1 : 0; });
+	
+		// Build the linear inequality constraints:
+		// - Bounds: l_i * kappa <= y_i <= u_i * kappa
+		// - Groups: A * y <= b * kappa
+		// - Gross exposure: -t_i <= y_i <= t_i, sum_i t_i <= L * kappa
+	var Ai = Matrix_.fill(nbBoundsRows + nbGroupsRows + nbGrossExposureRows, nbVariables, 
+						  function(i,j) { 
+							  // Bounds constraints
+							  if (i <= nbAssets) { // y_i - u_i * kappa <= 0
+								  return j == i ? 1 : (j == kappaIdx ? -upperBounds.getValueAt(i, 1) : 0);
+							  }
+							  else if (i <= nbBoundsRows) { // l_i * kappa - y_i <= 0
+								  var k = i - nbAssets;
+								  return j == k ? -1 : (j == kappaIdx ? lowerBounds.getValueAt(k, 1) : 0);
+							  }
+							  
+							  // Groups constraints
+							  var k = i - nbBoundsRows;
+							  if (k <= nbGroupsRows) { 
+								  return j <= nbAssets ? groupsConstraints[0].getValueAt(k, j) : (j == kappaIdx ? -groupsConstraints[1].getValueAt(k, 1) : 0);
+							  }
+							  
+							  // Gross exposure constraints
+							  k = k - nbGroupsRows;
+							  if (k <= nbAssets) { // y_k - t_k <= 0
+								  return j == k ? 1 : (j == nbAssets + k ? -1 : 0);
+							  }
+							  else if (k <= 2*nbAssets) { // -y_k - t_k <= 0
+								  k = k - nbAssets;
+								  return j == k ? -1 : (j == nbAssets + k ? -1 : 0);
+							  }
+							  else { // sum_k t_k - L * kappa <= 0
+								  return j <= nbAssets ? 0 : (j == kappaIdx ? -maxGrossExposure : 1);
+							  }
+						  });
+	var bi = Matrix_.zeros(nbBoundsRows + nbGroupsRows + nbGrossExposureRows, 1);
+	
+		// Build the bound constraints:
+		// - The variables y_i are free, their bounds being managed by the linear inequality constraints
+		// - The variables t_i and kappa are positive
+	var extL = Matrix_.fill(nbVariables, 1, function(i,j) { return i <= nbAssets ? -Infinity : 0; });
+	var extU = Matrix_.fill(nbVariables, 1, function(i,j) { return Infinity; });
+	
 		// Solve the quadratic program
-	var sol = qpsolveGSMO_(Q, p, b, r, l, u, {eps: eps, maxIter: maxIterations});
+	var sol = qpsolveADMM_(Ae, be, Ai, bi, extQ, extP, extL, extU, {eps: eps, maxIter: maxIterations});
 	
 	
 	// ----
 	
-	// Extract the rescaled computed portfolio weights.
-	var weights = sol[0].normalize();
+	// Extract the computed portfolio weights w = y / kappa.
+	var kappa = sol[0].getValueAt(kappaIdx, 1);
+	var weights = Matrix_.fill(nbAssets, 1, function(i,j) { return sol[0].getValueAt(i, 1) / kappa; });
 
-	// Return the (rescaled) computed weights
+	// Return the computed weights
 	return weights.toArray();
 }
-
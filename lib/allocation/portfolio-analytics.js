@@ -0,0 +1,357 @@
+/**
+ * @file Functions related to the analytics of a portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function portfolioReturns
+*
+* @summary Compute the returns of a portfolio.
+*
+* @description This function returns the returns r_1,...,r_T of a portfolio of n assets with weights w_1,...,w_n
+* over T periods of time, defined as r_t = sum_i w_i * r_i,t, t=1..T, with r_i,t the return of the asset i over the period t.
+*
+* To be noted that the portfolio is then assumed to be rebalanced to the weights w_1,...,w_n at the beginning of each period.
+*
+* @param {Array.<number>} weights the weights w_1,...,w_n of the portfolio, array of n real numbers.
+* @param {Array.<Array.<number>>} assetsReturns an array of n arrays of T real numbers representing the returns of n assets over T periods of time.
+* @return {Array.<number>} the returns r_1,...,r_T of the portfolio, array of T real numbers.
+*
+* @example
+* portfolioReturns([0.5, 0.5], [[0.01, 0.02], [0.03, -0.02]]);
+* // [0.02, 0]
+*/
+self.portfolioReturns = function (weights, assetsReturns) {
+	// Initializations
+	var nbAssets = assetsReturns.length;
+	var nbPeriods = assetsReturns[0].length;
+
+	// Compute the returns of the portfolio
+	var returns = new Array(nbPeriods);
+	for (var t = 0; t < nbPeriods; ++t) {
+		returns[t] = 0;
+		for (var i = 0; i < nbAssets; ++i) {
+			returns[t] += weights[i] * assetsReturns[i][t];
+		}
+	}
+
+	// Return them
+	return returns;
+}
+
+
+/**
+* @function annualizedReturn
+*
+* @summary Compute the annualized return of a portfolio.
+*
+* @description This function returns the annualized (geometric) return of a portfolio with returns r_1,...,r_T
+* over T periods of time, defined as (prod_t (1 + r_t))^(P/T) - 1, with P the number of periods per year.
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers.
+* @param {object} opt the optional parameters for the function.
+* @param {number} opt.periodsPerYear the number of periods per year P, a strictly positive real number; defaults to 252 (daily returns).
+* @return {number} the annualized return of the portfolio.
+*
+* @example
+* annualizedReturn([0.01, 0.02, -0.01], {periodsPerYear: 12});
+* // ~0.0820
+*/
+self.annualizedReturn = function (returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var periodsPerYear = opt.periodsPerYear || 252;
+
+	// Compute the cumulative return of the portfolio
+	var cumulativeValue = 1;
+	for (var t = 0; t < returns.length; ++t) {
+		cumulativeValue *= 1 + returns[t];
+	}
+
+	// Annualize it
+	return Math.pow(cumulativeValue, periodsPerYear / returns.length) - 1;
+}
+
+
+/**
+* @function annualizedVolatility
+*
+* @summary Compute the annualized volatility of a portfolio.
+*
+* @description This function returns the annualized volatility of a portfolio with returns r_1,...,r_T
+* over T periods of time, defined as sqrt(P) * s, with P the number of periods per year and s the sample
+* standard deviation of the returns r_1,...,r_T.
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers, with T >= 2.
+* @param {object} opt the optional parameters for the function.
+* @param {number} opt.periodsPerYear the number of periods per year P, a strictly positive real number; defaults to 252 (daily returns).
+* @return {number} the annualized volatility of the portfolio.
+*
+* @example
+* annualizedVolatility([0.01, 0.02, -0.01], {periodsPerYear: 12});
+* // ~0.0529
+*/
+self.annualizedVolatility = function (returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var periodsPerYear = opt.periodsPerYear || 252;
+
+	// Compute the annualized sample standard deviation of the returns
+	return Math.sqrt(periodsPerYear) * sampleStddev_(returns);
+}
+
+
+/**
+* @function sharpeRatio
+*
+* @summary Compute the annualized Sharpe ratio of a portfolio.
+*
+* @description This function returns the annualized Sharpe ratio of a portfolio with returns r_1,...,r_T
+* over T periods of time, defined as sqrt(P) * m / s, with P the number of periods per year, m the arithmetic mean of
+* the excess returns r_1 - r_f/P,...,r_T - r_f/P and s the sample standard deviation of the returns r_1,...,r_T,
+* c.f. the reference.
+*
+* @see <a href="https://doi.org/10.3905/jpm.1994.409501">Sharpe, W. F. (1994). The Sharpe Ratio. The Journal of Portfolio Management, 21(1), 49-58.</a>
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers, with T >= 2.
+* @param {object} opt the optional parameters for the function.
+* @param {number} opt.riskFreeRate the annual risk free rate r_f, a real number; defaults to 0.
+* @param {number} opt.periodsPerYear the number of periods per year P, a strictly positive real number; defaults to 252 (daily returns).
+* @return {number} the annualized Sharpe ratio of the portfolio.
+*
+* @example
+* sharpeRatio([0.01, 0.02, -0.01], {periodsPerYear: 12});
+* // ~1.51
+*/
+self.sharpeRatio = function (returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var riskFreeRate = opt.riskFreeRate || 0;
+	var periodsPerYear = opt.periodsPerYear || 252;
+
+	// Compute the mean excess return over the risk free rate per period
+	var meanExcessReturn = mean_(returns) - riskFreeRate / periodsPerYear;
+
+	// Compute the annualized Sharpe ratio
+	return Math.sqrt(periodsPerYear) * meanExcessReturn / sampleStddev_(returns);
+}
+
+
+/**
+* @function sortinoRatio
+*
+* @summary Compute the annualized Sortino ratio of a portfolio.
+*
+* @description This function returns the annualized Sortino ratio of a portfolio with returns r_1,...,r_T
+* over T periods of time, defined as sqrt(P) * m / dd, with P the number of periods per year, m the arithmetic mean of
+* the excess returns r_1 - MAR/P,...,r_T - MAR/P and dd the downside deviation sqrt(1/T * sum_t min(0, r_t - MAR/P)^2)
+* of the returns below the minimum acceptable return MAR, c.f. the reference.
+*
+* @see <a href="https://doi.org/10.3905/joi.3.3.59">Sortino, F. A., Price, L. N. (1994). Performance Measurement in a Downside Risk Framework. The Journal of Investing, 3(3), 59-64.</a>
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers.
+* @param {object} opt the optional parameters for the function.
+* @param {number} opt.minimumAcceptableReturn the annual minimum acceptable return MAR, a real number; defaults to 0.
+* @param {number} opt.periodsPerYear the number of periods per year P, a strictly positive real number; defaults to 252 (daily returns).
+* @return {number} the annualized Sortino ratio of the portfolio.
+*
+* @example
+* sortinoRatio([0.01, 0.02, -0.01], {periodsPerYear: 12});
+* // 4
+*/
+self.sortinoRatio = function (returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var minimumAcceptableReturn = opt.minimumAcceptableReturn || 0;
+	var periodsPerYear = opt.periodsPerYear || 252;
+
+	// Compute the mean excess return over the minimum acceptable return per period,
+	// as well as the downside deviation
+	var mar = minimumAcceptableReturn / periodsPerYear;
+	var meanExcessReturn = mean_(returns) - mar;
+	var downsideVariance = 0;
+	for (var t = 0; t < returns.length; ++t) {
+		var downsideReturn = Math.min(0, returns[t] - mar);
+		downsideVariance += downsideReturn * downsideReturn;
+	}
+	var downsideDeviation = Math.sqrt(downsideVariance / returns.length);
+
+	// Compute the annualized Sortino ratio
+	return Math.sqrt(periodsPerYear) * meanExcessReturn / downsideDeviation;
+}
+
+
+/**
+* @function maximumDrawdown
+*
+* @summary Compute the maximum drawdown of a portfolio.
+*
+* @description This function returns the maximum drawdown of a portfolio with returns r_1,...,r_T
+* over T periods of time, defined by default as the largest relative decline max_t (1 - V_t / max_{s <= t} V_s)
+* of the value V_t = prod_{s <= t} (1 + r_s) of the portfolio from a previous peak, with V_0 = 1 (compounded returns).
+*
+* Optionally, the maximum drawdown can instead be defined as the largest absolute decline max_t (max_{s <= t} y_s - y_t)
+* of the uncompounded cumulative return y_t = sum_{s <= t} r_s of the portfolio from a previous peak, with y_0 = 0 (uncompounded returns).
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers.
+* @param {object} opt the optional parameters for the function.
+* @param {boolean} opt.compounding a boolean indicating whether the returns of the portfolio should be compounded (if set to true)
+* or not (if set to false); defaults to true.
+* @return {number} the maximum drawdown of the portfolio, a real number belonging to [0,1] in case of compounded returns,
+* and a positive real number otherwise.
+*
+* @example
+* maximumDrawdown([0.1, -0.2, 0.1, -0.1, 0.3]);
+* // 0.208
+*
+* @example
+* maximumDrawdown([0.1, -0.2, 0.1, -0.1, 0.3], {compounding: false});
+* // 0.2
+*/
+self.maximumDrawdown = function (returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var compounding = true;
+	if (opt.compounding !== undefined) {
+		compounding = opt.compounding;
+	}
+	
+	// Compute the value of the portfolio (resp. its uncompounded cumulative return),
+	// together with its running maximum and the associated drawdowns
+	var value = compounding ? 1 : 0;
+	var maxValue = value;
+	var maxDrawdown = 0;
+	for (var t = 0; t < returns.length; ++t) {
+		if (compounding) {
+			value *= 1 + returns[t];
+			maxValue = Math.max(maxValue, value);
+			maxDrawdown = Math.max(maxDrawdown, 1 - value / maxValue);
+		}
+		else {
+			value += returns[t];
+			maxValue = Math.max(maxValue, value);
+			maxDrawdown = Math.max(maxDrawdown, maxValue - value);
+		}
+	}
+
+	// Return the maximum drawdown
+	return maxDrawdown;
+}
+
+
+/**
+* @function calmarRatio
+*
+* @summary Compute the Calmar ratio of a portfolio.
+*
+* @description This function returns the Calmar ratio of a portfolio with returns r_1,...,r_T
+* over T periods of time, defined as the annualized return of the portfolio divided by its maximum drawdown,
+* c.f. the functions annualizedReturn and maximumDrawdown.
+*
+* @see <a href="https://www.researchgate.net/publication/228193806_Calmar_Ratio_A_Smoother_Tool">Young, T. W. (1991). Calmar Ratio: A Smoother Tool. Futures, 20(1), 40.</a>
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers.
+* @param {object} opt the optional parameters for the function.
+* @param {number} opt.periodsPerYear the number of periods per year P, a strictly positive real number; defaults to 252 (daily returns).
+* @return {number} the Calmar ratio of the portfolio.
+*
+* @example
+* calmarRatio([0.1, -0.2, 0.1, -0.1, 0.3], {periodsPerYear: 5});
+* // ~0.6373
+*/
+self.calmarRatio = function (returns, opt) {
+	return self.annualizedReturn(returns, opt) / self.maximumDrawdown(returns);
+}
+
+
+/**
+* @function valueAtRisk
+*
+* @summary Compute the historical value at risk of a portfolio.
+*
+* @description This function returns the historical value at risk at a confidence level alpha of a portfolio with returns r_1,...,r_T
+* over T periods of time, defined as the alpha-quantile of the empirical distribution of the losses -r_1,...,-r_T,
+* i.e., the smallest loss l such that the proportion of the losses lower than or equal to l is at least alpha.
+*
+* @see <a href="https://doi.org/10.1016/S0378-4266(02)00271-6">Rockafellar, R. T., Uryasev, S. (2002). Conditional value-at-risk for general loss distributions. Journal of Banking & Finance, 26(7), 1443-1471.</a>
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers.
+* @param {object} opt the optional parameters for the function.
+* @param {number} opt.confidenceLevel the confidence level alpha, a real number belonging to ]0,1[; defaults to 0.95.
+* @return {number} the value at risk of the portfolio, expressed as a loss (i.e., a positive value corresponding to a negative return).
+*
+* @example
+* valueAtRisk([0.01, -0.02, 0.03, -0.04, 0.05, -0.01, 0.02, 0.00, -0.03, 0.01], {confidenceLevel: 0.8});
+* // 0.02
+*/
+self.valueAtRisk = function (returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var confidenceLevel = opt.confidenceLevel || 0.95;
+
+	// Sort the losses in increasing order
+	var losses = returns.map(function(r) { return -r; }).sort(function(a, b) { return a - b; });
+
+	// Return the alpha-quantile of the losses
+	var k = Math.max(1, Math.ceil(confidenceLevel * losses.length));
+	return losses[k-1];
+}
+
+
+/**
+* @function conditionalValueAtRisk
+*
+* @summary Compute the historical conditional value at risk of a portfolio.
+*
+* @description This function returns the historical conditional value at risk (a.k.a. expected shortfall)
+* at a confidence level alpha of a portfolio with returns r_1,...,r_T over T periods of time, defined as
+* VaR + 1/((1 - alpha) * T) * sum_t max(0, -r_t - VaR), with VaR the historical value at risk at the confidence level alpha
+* of the portfolio, c.f. the reference and the function valueAtRisk.
+*
+* To be noted that when alpha * T is an integer, the conditional value at risk is equal to the mean of the (1 - alpha) * T largest losses.
+*
+* @see <a href="https://doi.org/10.1016/S0378-4266(02)00271-6">Rockafellar, R. T., Uryasev, S. (2002). Conditional value-at-risk for general loss distributions. Journal of Banking & Finance, 26(7), 1443-1471.</a>
+*
+* @param {Array.<number>} returns the returns r_1,...,r_T of the portfolio, array of T real numbers.
+* @param {object} opt the optional parameters for the function.
+* @param {number} opt.confidenceLevel the confidence level alpha, a real number belonging to ]0,1[; defaults to 0.95.
+* @return {number} the conditional value at risk of the portfolio, expressed as a loss (i.e., a positive value corresponding to a negative return).
+*
+* @example
+* conditionalValueAtRisk([0.01, -0.02, 0.03, -0.04, 0.05, -0.01, 0.02, 0.00, -0.03, 0.01], {confidenceLevel: 0.8});
+* // 0.035
+*/
+self.conditionalValueAtRisk = function (returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var confidenceLevel = opt.confidenceLevel || 0.95;
+
+	// Compute the value at risk
+	var valueAtRisk = self.valueAtRisk(returns, {confidenceLevel: confidenceLevel});
+
+	// Compute the conditional value at risk, c.f. formula 5 of the reference
+	var excessLosses = 0;
+	for (var t = 0; t < returns.length; ++t) {
+		excessLosses += Math.max(0, -returns[t] - valueAtRisk);
+	}
+	return valueAtRisk + excessLosses / ((1 - confidenceLevel) * returns.length);
+}
@@ -19,6 +19,7 @@
 * Optionally, the following constraints can be added:
 * - Minimum number of assets to include in the portfolio
 * - Maximum number of assets to include in the portfolio
+* - Groups constraints, imposing minimum and maximum combined weights on groups of assets
 *
 * This portfolio is not unique.
 *
@@ -28,6 +29,10 @@
 * To be noted that the algorithms used internally allow the random portfolios to be generated uniformly
 * among all the feasible portfolios.
 *
+* In case groups constraints are provided, the random portfolios are generated thanks to a rejection sampling
+* algorithm, whose efficiency decreases with the volume of the set of feasible portfolios, the groups constraints 
+* being checked beforehand to be compatible with a fully invested and long-only portfolio.
+*
 * @see <a href="https://arxiv.org/abs/1008.3718">William T. Shaw, Monte Carlo Portfolio Optimization for General Investor Risk-Return Objectives and Arbitrary Return Distributions: a Solution for Long-only Portfolios</a>
 * @see <a href="https://doi.org/10.1007/3-540-36626-1_11">Burns P. (2007) Random Portfolios for Performance Measurement. In: Kontoghiorghes E.J., Gatu C. (eds) Optimisation, Econometric and Financial Analysis. Advances in Computational Management Science, vol 9. Springer, Berlin, Heidelberg</a>
 *
@@ -35,6 +40,11 @@
 * @param {object} opt optional parameters for the algorithm.
 * @param {number} opt.constraints.minAssets the minimum number of assets to include in the portfolio, an integer i satisfying 1 <= i <= nbAssets; defaults to 1.
 * @param {number} opt.constraints.maxAssets the maximum number of assets to include in the portfolio, an integer j satisfying i <= j <= nbAssets; defaults to nbAssets.
+* @param {Array.<Object>} opt.constraints.groups an array of K objects defining K groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, each object containing the following properties:
+* - assets, the indexes of the assets belonging to the group G_k, array of natural integers belonging to 1..nbAssets
+* - minWeight, the minimum combined weight a_k of the assets belonging to the group G_k, a real number; defaults to 0
+* - maxWeight, the maximum combined weight b_k of the assets belonging to the group G_k, a real number; defaults to 1
+* @param {number} opt.maxIter the maximum number of random portfolios to generate in case groups constraints are provided, a strictly positive natural integer; defaults to 10000.
 * @return {Array.<number>} the weights corresponding to a random portfolio, array of real numbers of length nbAssets.
 *
 * @example
@@ -48,51 +58,83 @@ self.randomWeights = function (nbAssets, opt) {
 	if (opt === undefined) {
 		opt = { constraints: {} };
 	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
+	}
 	var nbMinAssets = opt.constraints.minAssets || 1;
 	var nbMaxAssets = opt.constraints.maxAssets || nbAssets;
+	var groups = opt.constraints.groups;
+	var maxIterations = opt.maxIter || 10000;
 	
-	// 1 - Generate the number of assets to include in the portfolio (uniform generation)
-	var nbSelectedAssets = Math.floor(Math.random() * (nbMaxAssets - nbMinAssets +1)) + nbMinAssets;
-	
-	// 2 - Generate the indices of the assets to include in the portfolio (uniform generation)
-	var selectedAssetsIdx = new randomKSubsetIterator_(nbAssets, nbSelectedAssets).next();
+	// Check that the groups constraints, if any, are compatible with a fully invested and long-only portfolio, 
+	// since otherwise all the generated portfolios would be rejected until the maximum number of iterations is reached
+	if (groups !== undefined && groups.length > 0) {
+		var groupsConstraints = groupsConstraints_(nbAssets, groups);
+		checkFeasibility_(Matrix_.ones(1, nbAssets), Matrix_.ones(1, 1), groupsConstraints[0], groupsConstraints[1], 
+		                  Matrix_.zeros(nbAssets, 1), Matrix_.ones(nbAssets, 1));
+	}
 	
-	// 3 - Generate the weights of the assets to include in the portfolio (uniform generation)
-	//
-	// Extra caution needs to be taken in case one of the weights is zero,
-	// as exactly nbSelectedAssets must be included in the portfolio.
-	var selectedAssetsWeights;
-	var simplexSampler = new simplexRandomSampler_(nbSelectedAssets);
+	// Generate random portfolios until one satisfies the groups constraints, if any,
+	// which preserves the uniformity of the generated portfolios among all the feasible portfolios
+	var weights;
+	var iter = 0;
 	while (true) {
-		// Generate a sample of assets weights
-		selectedAssetsWeights = simplexSampler.sample();
+		// 1 - Generate the number of assets to include in the portfolio (uniform generation)
+		var nbSelectedAssets = Math.floor(Math.random() * (nbMaxAssets - nbMinAssets +1)) + nbMinAssets;
+	
+		// 2 - Generate the indices of the assets to include in the portfolio (uniform generation)
+		var selectedAssetsIdx = new randomKSubsetIterator_(nbAssets, nbSelectedAssets).next();
+	
+		// 3 - Generate the weights of the assets to include in the portfolio (uniform generation)
+		//
+		// Extra caution needs to be taken in case one of the weights is zero,
+		// as exactly nbSelectedAssets must be included in the portfolio.
+		var selectedAssetsWeights;
+		var simplexSampler = new simplexRandomSampler_(nbSelectedAssets);
+		while (true) {
+			// Generate a sample of assets weights
+			selectedAssetsWeights = simplexSampler.sample();
 		
-		// Reject the sample if there is one asset with a zero weight
-		var rejectSample = false;
-		for (var i = 0; i < nbSelectedAssets; ++i) {
-			if (selectedAssetsWeights[i] == 0) {
-				rejectSample = true;
+			// Reject the sample if there is one asset with a zero weight
+			var rejectSample = false;
+			for (var i = 0; i < nbSelectedAssets; ++i) {
+				if (selectedAssetsWeights[i] == 0) {
+					rejectSample = true;
+					break;
+				}
+			}
+			if (!rejectSample) {
 				break;
 			}
 		}
-		if (!rejectSample) {
+	
+		// Compute the final weights vector:
+		// - The weights associated to assets not included in the portfolio at step 2 are set to zero
+		// - The weights associated to assets included in the portfolio at step 2 are set to their values generated at step 3
+		weights = Matrix_.zeros(nbAssets, 1);
+		for (var i = 0; i < nbSelectedAssets; ++i) {
+			// Extract included assets information
+			var assetIdx = selectedAssetsIdx[i];
+			var assetWeight = selectedAssetsWeights[i];
+		
+			// Update the weights vector
+			weights.setValueAt(assetIdx, 1, assetWeight);
+		}
+		
+		// 4 - Reject the generated portfolio if it does not satisfy the groups constraints
+		if (groups === undefined || groupsConstraintsSatisfied_(weights.data, groups)) {
 			break;
 		}
-	}
-	
-	// Compute the final weights vector:
-	// - The weights associated to assets not included in the portfolio at step 2 are set to zero
-	// - The weights associated to assets included in the portfolio at step 2 are set to their values generated at step 3
-	var weights = Matrix_.zeros(nbAssets, 1);
-	for (var i = 0; i < nbSelectedAssets; ++i) {
-		// Extract included assets information
-		var assetIdx = selectedAssetsIdx[i];
-		var assetWeight = selectedAssetsWeights[i];
 		
-		// Update the weights vector
-		weights.setValueAt(assetIdx, 1, assetWeight);
+		// Update the number of iterations
+		++iter;
+		
+		// Check the number of iterations
+		if (iter > maxIterations) {
+			throw new Error('maximum number of iterations reached: ' + maxIterations);
+		}
 	}
-
+	
 	// Return the computed weights
 	return weights.toArray();
 }
@@ -24,40 +24,363 @@
 * To be noted that the algorithm used internally is a cyclical coordinate descent, c.f. the second reference, whose convergence is guaranteed
 * if the covariance matrix of the assets is semi-definite positive.
 *
+* Optionally, groups constraints can be added, in which case the risk budgeting portfolio is defined as in the third reference
+* (i.e., the risk contributions of the assets are then not necessarily equal to their risk budgets),
+* and the algorithm used internally is an alternating direction method of multipliers algorithm, c.f. the third reference.
+*
+* To be noted that long-short constraints (i.e., negative minimum weights, a net exposure different from one
+* or a maximum gross exposure) are not supported, in which case an error is thrown.
+*
+* By default, the risk of the portfolio is measured by its volatility, but the following risk measures are also supported,
+* the risk contributions of the assets being then defined through the Euler allocation principle, c.f. the first reference:
+* - 'trackingError', the tracking error volatility of the portfolio with respect to a benchmark, which is equal for a fully invested portfolio 
+* to the volatility of the portfolio computed with the (sample) covariance matrix of the returns of the assets in excess of the returns of the benchmark, 
+* so that the algorithms above are used with this covariance matrix; to be noted that this covariance matrix must be definite positive, which excludes 
+* a benchmark replicable by the assets (e.g., a benchmark made of the assets), in which case the risk budgeting portfolio does not exist
+* - 'expectedShortfall', the (historical) expected shortfall of the portfolio at a confidence level alpha, c.f. the conditionalValueAtRisk function
+* - 'semiStandardDeviation', the (historical) downside semi-standard deviation of the portfolio returns below their average return, 
+* sqrt(1/T * sum_t min(0, <r_t - mu/w>)^2), c.f. the minimumSemivarianceWeights function
+*
+* In the case of the last two scenario-based risk measures, 
+* the risk budgeting portfolio is defined as the (rescaled) solution of the convex optimization problem argmin R(x) - sum_i b_i * ln(x_i) 
+* (resp. argmin 1/2 * R(x)^2 - sum_i b_i * ln(x_i) for the semi-standard deviation), with R the risk measure, c.f. the first reference,
+* and the algorithm used internally is an alternating direction method of multipliers algorithm, similar to the one used with groups constraints.
+*
+* To be noted that the historical expected shortfall is not differentiable when several scenarios are tied, in which case the risk contributions 
+* of the assets are only equal to their risk budgets for a subgradient of the expected shortfall.
+*
+* Optionally, minimum and maximum weights constraints l_i <= w_i <= u_i can be added, as well as a target volatility, in which case the
+* risk budgeting portfolio is defined as in the third reference, i.e. as the solution x^*(lambda^*) of the convex optimization problem 
+* argmin 1/2 * x^t * SIGMA * x - lambda * sum_i b_i * ln(x_i) s.t. l_i <= x_i <= u_i, with lambda^* > 0 the smallest value of lambda such that:
+* - sum_i x^*(lambda)_i = 1, in case no target volatility is provided (fully invested portfolio)
+* - sum_i x^*(lambda)_i = 1 or the volatility of x^*(lambda) is equal to the target volatility, in case a target volatility is provided 
+* (partially invested portfolio, the remaining weight 1 - sum_i w_i being allocated to cash)
+*
+* The risk contributions of the assets whose weights do not reach their bounds are then proportional to their risk budgets, 
+* and the algorithm used internally is a cyclical coordinate descent, c.f. the second reference, combined with a bisection algorithm on lambda.
+*
+* To be noted that the minimum and maximum weights constraints and the target volatility are not supported together with groups constraints 
+* or with scenario-based risk measures, and that the target volatility is only supported with the volatility risk measure.
+*
 * @see <a href="https://ssrn.com/abstract=2009778">Bruder, Benjamin and Roncalli, Thierry, Managing Risk Exposures Using the Risk Budgeting Approach (January 20, 2012).</a>
 * @see <a href="https://arxiv.org/abs/1311.4057">Théophile Griveau-Billion, Jean-Charles Richard, Thierry Roncalli; A Fast Algorithm for Computing High-dimensional Risk Parity Portfolios. eprint arXiv:1311.4057</a>
+* @see <a href="https://ssrn.com/abstract=3331184">Richard, Jean-Charles and Roncalli, Thierry, Constrained Risk Budgeting Portfolios: Theory, Algorithms, Applications & Puzzles (February 7, 2019).</a>
 * 
-* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij;
+* ignored in case opt.riskMeasure is equal to 'trackingError', 'expectedShortfall' or 'semiStandardDeviation'.
 * @param {Array.<number>} rb the risk budgets, array of n real strictly positive numbers summing to one.
 * @param {object} opt the optional parameters for the algorithm.
 * @param {number} opt.eps the tolerance parameter for the convergence of the algorithm, a strictly positive real number; defaults to 1e-8.
 * @param {number} opt.maxIter the maximum number of iterations of the algorithm, a strictly positive natural integer; defaults to 10000.
-* @param {boolean} opt.outputPortfolioVolatility a boolean indicating whether the portfolio volatility should be provided in output
-* (if set to true) or not (if set to false); defaults to false.
+* @param {boolean} opt.outputPortfolioVolatility a boolean indicating whether the portfolio volatility (or, more generally, the risk of the portfolio 
+* measured by opt.riskMeasure) should be provided in output (if set to true) or not (if set to false); defaults to false.
+* @param {string} opt.riskMeasure the risk measure to use, a string either equal to 'volatility', 'trackingError', 'expectedShortfall' or 'semiStandardDeviation'; defaults to 'volatility'.
+* @param {Array.<Array.<number>>} opt.assetsReturns an array of n arrays of T real numbers representing the returns of the n assets over T periods of time,
+* to be provided if opt.riskMeasure is equal to 'trackingError', 'expectedShortfall' or 'semiStandardDeviation'.
+* @param {Array.<number>} opt.benchmarkReturns an array of T real numbers representing the returns of the benchmark over the T periods of time, 
+* to be provided if opt.riskMeasure is equal to 'trackingError'.
+* @param {number} opt.confidenceLevel the confidence level alpha of the expected shortfall, a real number belonging to ]0,1[; defaults to 0.95.
+* @param {Array.<Object>} opt.constraints.groups an array of K objects defining K groups constraints a_k <= sum_{i in G_k} w_i <= b_k, k=1..K, each object containing the following properties:
+* - assets, the indexes of the assets belonging to the group G_k, array of natural integers belonging to 1..n
+* - minWeight, the minimum combined weight a_k of the assets belonging to the group G_k, a real number; defaults to 0
+* - maxWeight, the maximum combined weight b_k of the assets belonging to the group G_k, a real number; defaults to 1
+* @param {number} opt.constraints.minWeights an array of size n (l_i),i=1..n containing the minimum weights for the assets to include in the portfolio with 0 <= l_i <= u_i, i=1..n; defaults to a n by 1 matrix made of zeros.
+* @param {number} opt.constraints.maxWeights an array of size n (u_i),i=1..n containing the maximum weights for the assets to include in the portfolio with u_i <= 1, i=1..n; defaults to a n by 1 matrix made of ones.
+* @param {number} opt.targetVolatility the target volatility of the portfolio, a strictly positive real number, in which case the portfolio is 
+* only partially invested if its volatility would otherwise be greater than this target volatility; defaults to no target volatility.
 * @return {Array.<number>|Array.<Array.<number>>} if opt.outputPortfolioVolatility is set to false, the weights corresponding to the risk budgeting portfolio, 
 * array of n real numbers, and if opt.outputPortfolioVolatility is set to true, an array arr of two elements:
 * - arr[0], the weights corresponding to the risk budgeting portfolio, array of n real numbers
-* - arr[1], the volatility of the computed risk budgeting portfolio, a real number
+* - arr[1], the volatility (or, more generally, the risk measured by opt.riskMeasure) of the computed risk budgeting portfolio, a real number
 *
 * @example
 * riskBudgetingWeights([[0.1,0], [0,0.2]], [0.25, 0.75], {eps: 1e-10, maxIter: 10000});
 * // [~0.45, ~0.55]
+*
+* @example
+* riskBudgetingWeights([[0.1,0], [0,0.2]], [0.25, 0.75], {targetVolatility: 0.2});
+* // [~0.32, ~0.39]
 */
 self.riskBudgetingWeights = function (sigma, rb, opt) {
 	// Decode options
 	if (opt === undefined) {
-		opt = {};
+		opt = { constraints: {} };
+	}
+	if (opt.constraints === undefined) {
+		opt.constraints = {};
 	}
 	var eps = opt.eps || 1e-8;
 	var maxIterations = opt.maxIter || 10000;
 	var outputPortfolioVolatility = false || opt.outputPortfolioVolatility; 
+	var groups = opt.constraints.groups;
+	var riskMeasure = opt.riskMeasure || 'volatility';
+	if (riskMeasure !== 'volatility' && riskMeasure !== 'trackingError' && riskMeasure !== 'expectedShortfall' && riskMeasure !== 'semiStandardDeviation') {
+		throw new Error('unsupported risk measure');
+	}
+	var scenarioBasedRiskMeasure = riskMeasure === 'expectedShortfall' || riskMeasure === 'semiStandardDeviation';
+	if ((scenarioBasedRiskMeasure || riskMeasure === 'trackingError') && opt.assetsReturns === undefined) {
+		throw new Error('missing assets returns');
+	}
+	if (riskMeasure === 'trackingError' && opt.benchmarkReturns === undefined) {
+		throw new Error('missing benchmark returns');
+	}
+	if (scenarioBasedRiskMeasure && groups !== undefined && groups.length > 0) {
+		throw new Error('groups constraints are not supported with scenario-based risk measures');
+	}
+	var alpha = opt.confidenceLevel || 0.95;
 	
-	// Convert sigma to matrix format
-	var sigma = new Matrix_(sigma);
+	// The risk budgeting portfolio is only defined for long-only and unleveraged portfolios,
+	// c.f. the first reference, so that long-short constraints are not supported.
+	var minWeights = opt.constraints.minWeights;
+	var shortSalesContraints = false;
+	if (minWeights !== undefined) {
+		for (var i = 0; i < minWeights.length; ++i) {
+			if (minWeights[i] < 0) {
+				shortSalesContraints = true;
+				break;
+			}
+		}
+	}
+	var netExposureContraint = opt.constraints.netExposure !== undefined && opt.constraints.netExposure !== 1;
+	var grossExposureContraint = opt.constraints.maxGrossExposure !== undefined;
+	if (shortSalesContraints || netExposureContraint || grossExposureContraint) {
+		throw new Error('long-short constraints are not supported');
+	}
+	
+	// The minimum and maximum weights constraints and the target volatility are managed
+	// by a dedicated algorithm, c.f. the third reference.
+	var maxWeights = opt.constraints.maxWeights;
+	var weightsContraints = minWeights !== undefined || maxWeights !== undefined;
+	var targetVolatility = opt.targetVolatility;
+	if (weightsContraints || targetVolatility !== undefined) {
+		if (groups !== undefined && groups.length > 0) {
+			throw new Error('minimum and maximum weights constraints and target volatility are not supported with groups constraints');
+		}
+		if (scenarioBasedRiskMeasure) {
+			throw new Error('minimum and maximum weights constraints and target volatility are not supported with scenario-based risk measures');
+		}
+	}
+	if (targetVolatility !== undefined && riskMeasure !== 'volatility') {
+		throw new Error('target volatility is only supported with the volatility risk measure');
+	}
 	
 	// Convert rb to vector format
 	var rb = new Matrix_(rb);
 
+	
+	// ------
+	
+	// In case a scenario-based risk measure R is used, the risk budgeting portfolio is defined as the
+	// (rescaled) solution of the convex optimization problem 
+	// argmin R(x) - sum_i b_i * ln(x_i) for the expected shortfall, or 
+	// argmin 1/2 * R(x)^2 - sum_i b_i * ln(x_i) for the semi-standard deviation,
+	// R being positively homogeneous, c.f. the first reference.
+	//
+	// This problem is solved thanks to an alternating direction method of multipliers algorithm,
+	// with the x-update step computed in closed form and the z-update step computed thanks to:
+	// - The resolution of the dual problem of the proximal operator of the expected shortfall, 
+	// which is a quadratic program with a single linear constraint and finite bound constraints 
+	// in the T dual variables of the linear program of the minimumCVaRWeights function
+	// - A semismooth Newton method for the proximal operator of the half squared semi-standard deviation, 
+	// which is a strongly convex and continuously differentiable function
+	if (scenarioBasedRiskMeasure) {
+		var assetsReturns = opt.assetsReturns;
+		var nbAssets = assetsReturns.length;
+		var nbPeriods = assetsReturns[0].length;
+		
+		// Compute the scenarios of returns a_t, t=1..T, which are the returns of the assets
+		// for the expected shortfall, and the returns of the assets minus their average returns
+		// for the semi-standard deviation
+		var assetsMeans = new Array(nbAssets);
+		for (var i = 0; i < nbAssets; ++i) {
+			assetsMeans[i] = mean_(assetsReturns[i]);
+		}
+		var scenarios = Matrix_.fill(nbPeriods, nbAssets, function(i,j) { 
+			return riskMeasure === 'semiStandardDeviation' ? assetsReturns[j-1][i-1] - assetsMeans[j-1] : assetsReturns[j-1][i-1]; 
+		});
+		
+		// Define the function computing the risk measure R(x)
+		var computeRisk = function(x) {
+			var portfolioReturns = Matrix_.xy(scenarios, x).toArray();
+			if (riskMeasure === 'expectedShortfall') {
+				return self.conditionalValueAtRisk(portfolioReturns, {confidenceLevel: alpha});
+			}
+			else {
+				var semiVariance = 0;
+				for (var t = 0; t < nbPeriods; ++t) {
+					var downsideDeviation = Math.min(0, portfolioReturns[t]);
+					semiVariance += downsideDeviation * downsideDeviation;
+				}
+				return Math.sqrt(semiVariance / nbPeriods);
+			}
+		};
+		
+		// Initial point for the algorithm is an equal weight vector, rescaled so that its risk is equal to 1,
+		// which is the risk of the solution to the optimization problem above since the risk budgets sum to one
+		var x = Matrix_.fill(nbAssets, 1, function(i,j) { return 1/nbAssets; });
+		var r_x = computeRisk(x);
+		if (r_x <= 0) {
+			throw new Error('risk measure of the equal weight portfolio is not strictly positive');
+		}
+		x = x.elemMap(function(i,j,val) { return val / r_x; });
+		
+		// Define the penalty parameter of the ADMM algorithm, equal to the average curvature of the
+		// logarithmic barrier at the initial point, so that the algorithm is invariant by a rescaling 
+		// of the returns of the assets
+		var phi = 0;
+		for (var i = 0; i < nbAssets; ++i) {
+			phi += rb.data[i] / (x.data[i] * x.data[i]);
+		}
+		phi /= nbAssets;
+		
+		// Build the constant parts of the dual problem of the z-update step for the expected shortfall
+		if (riskMeasure === 'expectedShortfall') {
+			var AAt = Matrix_.axty(1/phi, scenarios, scenarios); // 1/phi * A*A^t
+			var ones = Matrix_.ones(nbPeriods, 1);
+			var lowerBounds = Matrix_.zeros(nbPeriods, 1);
+			var upperBounds = Matrix_.fill(nbPeriods, 1, function(i,j) { return 1/((1 - alpha) * nbPeriods); });
+		}
+		
+		// Define the function computing f(z) = 1/2 * R(z)^2 + phi/2 * ||z - y||_2^2 for the semi-standard deviation
+		var computeSemiVarianceObjective = function(z, y) {
+			var a_z = Matrix_.xy(scenarios, z);
+			var semiVariance = 0;
+			for (var t = 0; t < nbPeriods; ++t) {
+				var downsideDeviation = Math.min(0, a_z.data[t]);
+				semiVariance += downsideDeviation * downsideDeviation;
+			}
+			var z_m_y = Matrix_.xmy(z, y);
+			return semiVariance / (2*nbPeriods) + phi/2 * Matrix_.vectorDotProduct(z_m_y, z_m_y);
+		};
+		
+		// Initialize the ADMM algorithm
+		var z = Matrix_.copy(x);
+		var u = Matrix_.zeros(nbAssets, 1);
+		
+		// Main loop until convergence
+		var iter = 0;
+		var converged = false;
+		while (!converged) {
+			// x-update: x = argmin -sum_i b_i * ln(x_i) + phi/2 * ||x - (z - u)||_2^2, whose i-th coordinate 
+			// is the strictly positive root of the equation phi * x_i^2 - phi * v_i * x_i - b_i = 0
+			var v = Matrix_.xmy(z, u);
+			x = v.elemMap(function(i,j,val) { return (phi*val + Math.sqrt(phi*phi*val*val + 4*phi*rb.data[i-1])) / (2*phi); });
+			
+			// z-update: z = argmin R(z) + phi/2 * ||z - (x + u)||_2^2 (resp. 1/2 * R(z)^2 + phi/2 * ||z - (x + u)||_2^2)
+			var z_old = z;
+			var x_p_u = Matrix_.xpy(x, u);
+			if (riskMeasure === 'expectedShortfall') {
+				// The expected shortfall being equal to R(z) = max -<q/A*z> s.t. sum_t q_t = 1, 0 <= q_t <= 1/((1-alpha)*T),
+				// the z-update is equal to z = (x + u) + 1/phi * A^t*q^*, with q^* the solution of the quadratic program
+				// min 1/2 * 1/phi * q^t*A*A^t*q + <A*(x + u)/q> s.t. sum_t q_t = 1, 0 <= q_t <= 1/((1-alpha)*T)
+				var q = qpsolveGSMO_(AAt, Matrix_.xy(scenarios, x_p_u), ones, 1, lowerBounds, upperBounds, {eps: eps, maxIter: maxIterations})[0];
+				z = Matrix_.xpy(x_p_u, Matrix_.atxy(1/phi, scenarios, q));
+			}
+			else {
+				// The function f(z) = 1/(2T) * sum_t min(0, <a_t/z>)^2 + phi/2 * ||z - (x + u)||_2^2 being piecewise
+				// quadratic and strongly convex, the z-update is computed thanks to a semismooth Newton method with
+				// a backtracking line search, using the generalized hessian 1/T * sum_{t, <a_t/z> < 0} a_t*a_t^t + phi * I
+				var newtonIter = 0;
+				while (true) {
+					// Compute the gradient of f at z, and stop if z is (numerically) the minimum of f, f being strongly
+					// convex with modulus phi so that ||z - z^*||_inf <= ||grad f(z)||_2 / phi
+					var a_z = Matrix_.xy(scenarios, z);
+					var downsideDeviations = a_z.elemMap(function(i,j,val) { return Math.min(0, val); });
+					var grad = Matrix_.axpby(1/nbPeriods, Matrix_.txy(scenarios, downsideDeviations), phi, Matrix_.xmy(z, x_p_u));
+					if (grad.vectorNorm('two') <= eps * phi * Math.max(1, z.vectorNorm('infinity'))) {
+						break;
+					}
+					
+					// Compute the generalized hessian of f at z and the associated Newton direction
+					var hess = Matrix_.fill(nbAssets, nbAssets,
+											function(i,j) {
+												var val = (i == j) ? phi : 0;
+												for (var t = 0; t < nbPeriods; ++t) {
+													if (a_z.data[t] < 0) {
+														val += scenarios.data[t*nbAssets + (i-1)] * scenarios.data[t*nbAssets + (j-1)] / nbPeriods;
+													}
+												}
+												return val;
+											});
+					var d = Matrix_.linsolve(hess, grad.elemMap(function(i,j,val) { return -val; }));
+					
+					// Update z thanks to a backtracking line search satisfying the Armijo condition
+					var f_z = computeSemiVarianceObjective(z, x_p_u);
+					var slope = Matrix_.vectorDotProduct(grad, d);
+					var step = 1;
+					var z_new = Matrix_.axpby(1, z, step, d);
+					while (computeSemiVarianceObjective(z_new, x_p_u) > f_z + 1e-4 * step * slope && step > eps) {
+						step /= 2;
+						z_new = Matrix_.axpby(1, z, step, d);
+					}
+					z = z_new;
+					
+					// Update and check the number of iterations
+					++newtonIter;
+					if (newtonIter > maxIterations) {
+						throw new Error('maximum number of iterations reached: ' + maxIterations);
+					}
+				}
+			}
+			
+			// u-update: u = u + x - z
+			var x_m_z = Matrix_.xmy(x, z);
+			u = Matrix_.xpy(u, x_m_z);
+			
+			// Update the convergence condition, using the primal and dual residuals
+			var primalResidual = x_m_z.vectorNorm('infinity');
+			var dualResidual = phi * Matrix_.xmy(z, z_old).vectorNorm('infinity');
+			if (primalResidual <= eps && dualResidual <= eps) {
+				converged = true;
+			}
+			
+			// Update the number of iterations
+			++iter;
+			
+			// Check the number of iterations
+			if (iter > maxIterations) {
+				throw new Error('maximum number of iterations reached: ' + maxIterations);
+			}
+		}
+		
+		// Normalize the computed weights, and compute the associated risk measure,
+		// R being positively homogeneous
+		var sum_x = x.sum();
+		var r_x = computeRisk(x);
+		x = x.normalize(x);
+		
+		// Depending on what is requested in output, return the computed normalized weights
+		// and possibly the associated risk measure.
+		if (outputPortfolioVolatility === true) {
+			return [x.toArray(), r_x/sum_x];
+		}
+		else {
+			return x.toArray();
+		}
+	}
+	
+	
+	// ------
+	
+	// In case the tracking error with respect to a benchmark is used, replace sigma by the
+	// sample covariance matrix of the returns of the assets in excess of the returns of the benchmark,
+	// since the tracking error of a fully invested portfolio is the volatility of sum_i w_i * (r_i - r_b)
+	if (riskMeasure === 'trackingError') {
+		var benchmarkReturns = opt.benchmarkReturns;
+		var excessReturns = new Array(opt.assetsReturns.length);
+		for (var i = 0; i < opt.assetsReturns.length; ++i) {
+			excessReturns[i] = new Array(benchmarkReturns.length);
+			for (var t = 0; t < benchmarkReturns.length; ++t) {
+				excessReturns[i][t] = opt.assetsReturns[i][t] - benchmarkReturns[t];
+			}
+		}
+		sigma = self.sampleCovarianceMatrix.apply(null, excessReturns);
+	}
+	
+	// Convert sigma to matrix format
+	var sigma = new Matrix_(sigma);
+	
+	
 	// TODO: Checks, if enabled
 	// Check that diagonal entries of sigma are strictly positive
 	// Check that sigma is symmetric and positive definite
@@ -70,6 +393,315 @@ self.riskBudgetingWeights = function (sigma, rb, opt) {
 	var nbAssets = sigma.nbRows;
 	
 	
+	// ------
+	
+	// In case groups constraints are provided, the risk budgeting portfolio is defined as the
+	// (rescaled) solution of the convex optimization problem 
+	// argmin 1/2 * x^t * SIGMA * x - sum_i b_i * ln(x_i) s.t. x belongs to the convex cone C of the
+	// homogeneous groups constraints, c.f. the third reference.
+	//
+	// This problem is solved thanks to an alternating direction method of multipliers algorithm,
+	// with the x-update step computed thanks to a cyclical coordinate descent algorithm and
+	// the z-update step computed thanks to the projection on the convex cone C, c.f. the third reference.
+	if (groups !== undefined && groups.length > 0) {
+		// Initial point for the algorithm is an equal weight vector
+		var x = Matrix_.fill(nbAssets, 1, function(i,j) { return 1/nbAssets; });
+		
+		// Check that the groups constraints are compatible with a fully invested portfolio, 
+		// thanks to the infeasibility detection of the alternating direction method of multipliers 
+		// algorithm applied to the projection of the initial point on the set of feasible portfolios.
+		var groupsConstraints = groupsConstraints_(nbAssets, groups);
+		qpsolveADMM_(Matrix_.ones(1, nbAssets), Matrix_.ones(1, 1), groupsConstraints[0], groupsConstraints[1], 
+		             Matrix_.identity(nbAssets), Matrix_.xmy(Matrix_.zeros(nbAssets, 1), x), Matrix_.zeros(nbAssets, 1), Matrix_.ones(nbAssets, 1));
+		
+		// Build the homogeneous groups constraints C*z <= 0, z >= 0
+		var C = homogeneousGroupsConstraints_(nbAssets, groups);
+		var zeros = Matrix_.zeros(C.nbRows, 1);
+		var identity = Matrix_.identity(nbAssets);
+		var lowerBounds = Matrix_.zeros(nbAssets, 1);
+		var upperBounds = Matrix_.fill(nbAssets, 1, function(i,j) { return Infinity; });
+		
+		// Initialize the ADMM algorithm
+		var z = Matrix_.copy(x);
+		var u = Matrix_.zeros(nbAssets, 1);
+		
+		// Define the penalty parameter of the ADMM algorithm, proportional to the average variance of 
+		// the assets so that the algorithm is invariant by a rescaling of the covariance matrix
+		var phi = sigma.diagonal().sum() / nbAssets;
+		
+		// Preparational computations
+		var sigma_x = Matrix_.xy(sigma, x); // SIGMA*x
+		
+		// Main loop until convergence
+		var iter = 0;
+		var converged = false;
+		while (!converged) {
+			// x-update: x = argmin 1/2 * x^t * SIGMA * x - sum_i b_i * ln(x_i) + phi/2 * ||x - (z - u)||_2^2,
+			// computed thanks to a cyclical coordinate descent algorithm
+			var v = Matrix_.xmy(z, u);
+			var ccdIter = 0;
+			var ccdConverged = false;
+			while (!ccdConverged) {
+				// Convergence condition is false if any of the coordinate-wise convergence condition is false
+				ccdConverged = true;
+				
+				for (var i = 1; i <= nbAssets; ++i) {
+					// Save the old asset weight i before any update
+					var xi_old = x.data[i-1];
+					
+					// Define the coefficients of the second order polynomial ax_i^2 + b_ix + c_i
+					var sigma_ii = sigma.data[(i-1)*sigma.nbColumns + (i-1)];
+					var a = sigma_ii + phi; // sigma_i^2 + phi, always > 0
+					var b = sigma_x.data[i-1] - x.data[i-1] * sigma_ii - phi * v.data[i-1]; // (SIGMA*x)_i - x_i*sigma_i^2 - phi*v_i, might be any sign
+					var c = -rb.data[i-1]; // -b_i, always < 0
+					
+					// Extract the strictly positive root x_i^* of the equation ax_i^2 + bx_i + c = 0, using a stable numerical formula
+					var b_p = b/2; // reduced discriminant
+					var sign_b_p = (b_p >= 0) ? 1 : -1;
+					var disc = b_p*b_p - a*c; // always > 0
+					var q = -(b_p + sign_b_p * Math.sqrt(disc));
+					var r1 = q/a;
+					var r2 = c/q;
+					var xi_star = r1 > 0 ? r1 : r2;
+					
+					// Update the asset weight i
+					x.data[i-1] = xi_star;
+					
+					// Update the vector SIGMA*x
+					var delta_xi = xi_star - xi_old;
+					for (var j = 1; j <= nbAssets; ++j) {
+						sigma_x.data[j-1] += sigma.data[(j-1)*sigma.nbColumns + (i-1)] * delta_xi;
+					}
+					
+					// Update the convergence condition: |x_i^* - x_i| <= eps, i = 1..nbAssets
+					if (Math.abs(delta_xi) > eps) {
+						ccdConverged = false;
+					}
+				}
+				
+				// Update and check the number of iterations
+				++ccdIter;
+				if (ccdIter > maxIterations) {
+					throw new Error('maximum number of iterations reached: ' + maxIterations);
+				}
+			}
+			
+			// z-update: z = argmin ||z - (x + u)||_2^2 s.t. C*z <= 0, z >= 0
+			var z_old = z;
+			var x_p_u = Matrix_.xpy(x, u);
+			z = qpsolveADMM_(null, null, C, zeros, identity, x_p_u.elemMap(function(i,j,val) { return -val; }), lowerBounds, upperBounds, {eps: eps})[0];
+			
+			// u-update: u = u + x - z
+			var x_m_z = Matrix_.xmy(x, z);
+			u = Matrix_.xpy(u, x_m_z);
+			
+			// Update the convergence condition, using the primal and dual residuals
+			var primalResidual = x_m_z.vectorNorm('infinity');
+			var dualResidual = phi * Matrix_.xmy(z, z_old).vectorNorm('infinity');
+			if (primalResidual <= eps && dualResidual <= eps) {
+				converged = true;
+			}
+			
+			// Update the number of iterations
+			++iter;
+			
+			// Check the number of iterations
+			if (iter > maxIterations) {
+				throw new Error('maximum number of iterations reached: ' + maxIterations);
+			}
+		}
+		
+		// The computed portfolio is the feasible portfolio z, which is null
+		// if the groups constraints are not compatible with a fully invested portfolio
+		var sum_x = z.sum();
+		if (sum_x <= 0) {
+			throw new Error('infeasible problem detected');
+		}
+		var s_x = Math.sqrt(Matrix_.vectorDotProduct(Matrix_.xy(sigma, z), z));
+		x = z.normalize(z);
+		
+		// Depending on what is requested in output, return the computed normalized weights
+		// and possibly the associated portfolio volatility.
+		if (outputPortfolioVolatility === true) {
+			return [x.toArray(), s_x/sum_x];
+		}
+		else {
+			return x.toArray();
+		}
+	}
+	
+	
+	// ------
+	
+	// In case minimum and maximum weights constraints or a target volatility are provided, the risk budgeting 
+	// portfolio is defined as the solution x^*(lambda^*) of the convex optimization problem 
+	// argmin 1/2 * x^t * SIGMA * x - lambda * sum_i b_i * ln(x_i) s.t. l_i <= x_i <= u_i, 
+	// with lambda^* the smallest value of lambda such that g(lambda) = 1, c.f. the third reference, where:
+	// - g(lambda) = sum_i x^*(lambda)_i, in case no target volatility is provided
+	// - g(lambda) = max(sum_i x^*(lambda)_i, sigma(x^*(lambda))/sigma^*), in case a target volatility sigma^* is provided
+	//
+	// The function g being non decreasing, lambda^* is computed thanks to a bisection algorithm, 
+	// and x^*(lambda) is computed thanks to a cyclical coordinate descent algorithm, the coordinate-wise
+	// minimization step being followed by a projection on the bounds [l_i, u_i].
+	if (weightsContraints || targetVolatility !== undefined) {
+		// Build the bounds constraints:
+		// - By default, no short sales
+		// - By default, absence of leverage
+		var lowerBounds = minWeights !== undefined ? new Matrix_(minWeights) : Matrix_.zeros(nbAssets, 1);
+		var upperBounds = maxWeights !== undefined ? new Matrix_(maxWeights) : Matrix_.ones(nbAssets, 1);
+		
+		// Define the function computing x^*(lambda) thanks to a cyclical coordinate descent algorithm, 
+		// starting from the point x, with SIGMA*x provided in sigma_x
+		var computeBoundedWeights = function(lambda, x, sigma_x) {
+			// Main loop until convergence, guaranteed since the bounds constraints are separable
+			var ccdIter = 0;
+			var ccdConverged = false;
+			while (!ccdConverged) {
+				// Convergence condition is false if any of the coordinate-wise convergence condition is false
+				ccdConverged = true;
+				
+				for (var i = 1; i <= nbAssets; ++i) {
+					// Save the old asset weight i before any update
+					var xi_old = x.data[i-1];
+					
+					// Define the coefficients of the second order polynomial ax_i^2 + b_ix + c_i
+					var a = sigma.data[(i-1)*sigma.nbColumns + (i-1)]; // sigma_i^2, always > 0
+					var b = sigma_x.data[i-1] - x.data[i-1] * a; // (SIGMA*x)_i - x_i*sigma_i^2, might be any sign
+					var c = -lambda * rb.data[i-1]; // -lambda*b_i, always <= 0
+					
+					// Extract the positive root x_i^* of the equation ax_i^2 + bx_i + c = 0, using a stable numerical formula
+					// in case c < 0
+					var xi_star;
+					if (c == 0) {
+						xi_star = Math.max(0, -b/a);
+					}
+					else {
+						var b_p = b/2; // reduced discriminant
+						var sign_b_p = (b_p >= 0) ? 1 : -1;
+						var disc = b_p*b_p - a*c; // always > 0
+						var q = -(b_p + sign_b_p * Math.sqrt(disc));
+						var r1 = q/a;
+						var r2 = c/q;
+						xi_star = r1 > 0 ? r1 : r2;
+					}
+					
+					// Project x_i^* on the bounds [l_i, u_i], which results in the coordinate-wise minimum 
+					// of the (convex) objective function on these bounds
+					xi_star = Math.min(Math.max(xi_star, lowerBounds.data[i-1]), upperBounds.data[i-1]);
+					
+					// Update the asset weight i
+					x.data[i-1] = xi_star;
+					
+					// Update the vector SIGMA*x
+					var delta_xi = xi_star - xi_old;
+					for (var j = 1; j <= nbAssets; ++j) {
+						sigma_x.data[j-1] += sigma.data[(j-1)*sigma.nbColumns + (i-1)] * delta_xi;
+					}
+					
+					// Update the convergence condition: |x_i^* - x_i| <= eps, i = 1..nbAssets
+					if (Math.abs(delta_xi) > eps) {
+						ccdConverged = false;
+					}
+				}
+				
+				// Update and check the number of iterations
+				++ccdIter;
+				if (ccdIter > maxIterations) {
+					throw new Error('maximum number of iterations reached: ' + maxIterations);
+				}
+			}
+		};
+		
+		// Define the function g, which is equal to 1 at the solution lambda^*
+		var g = function(x, sigma_x) {
+			var sum_x = x.sum();
+			if (targetVolatility === undefined) {
+				return sum_x;
+			}
+			else {
+				var s_x = Math.sqrt(Matrix_.vectorDotProduct(sigma_x, x));
+				return Math.max(sum_x, s_x/targetVolatility);
+			}
+		};
+		
+		// Check that the problem is feasible, i.e. that g(0) <= 1 <= g(+Infinity), with x^*(0) the 
+		// minimum variance portfolio satisfying the bounds constraints and x^*(+Infinity) = u
+		var x = Matrix_.copy(lowerBounds);
+		var sigma_x = Matrix_.xy(sigma, x);
+		computeBoundedWeights(0, x, sigma_x);
+		if (g(x, sigma_x) > 1 + eps) {
+			if (x.sum() > 1 + eps) {
+				throw new Error('infeasible problem detected');
+			}
+			else {
+				throw new Error('target volatility not reachable');
+			}
+		}
+		if (g(upperBounds, Matrix_.xy(sigma, upperBounds)) < 1 - eps) {
+			if (targetVolatility === undefined) {
+				throw new Error('infeasible problem detected');
+			}
+			else {
+				throw new Error('target volatility not reachable');
+			}
+		}
+		
+		// Compute an upper bound on lambda^*, using a doubling procedure
+		var lambdaLow = 0;
+		var lambdaHigh = 1;
+		computeBoundedWeights(lambdaHigh, x, sigma_x);
+		var g_x = g(x, sigma_x);
+		var iter = 0;
+		while (g_x < 1 - eps) {
+			lambdaLow = lambdaHigh;
+			lambdaHigh = 2 * lambdaHigh;
+			computeBoundedWeights(lambdaHigh, x, sigma_x);
+			g_x = g(x, sigma_x);
+			
+			// Update and check the number of iterations
+			++iter;
+			if (iter > maxIterations) {
+				throw new Error('maximum number of iterations reached: ' + maxIterations);
+			}
+		}
+		
+		// Compute lambda^* using a bisection algorithm, with x^*(lambda) computed 
+		// with a warm start from the previous x^*(lambda)
+		while (Math.abs(g_x - 1) > eps) {
+			var lambda = (lambdaLow + lambdaHigh)/2;
+			computeBoundedWeights(lambda, x, sigma_x);
+			g_x = g(x, sigma_x);
+			if (g_x < 1) {
+				lambdaLow = lambda;
+			}
+			else {
+				lambdaHigh = lambda;
+			}
+			
+			// Update and check the number of iterations
+			++iter;
+			if (iter > maxIterations) {
+				throw new Error('maximum number of iterations reached: ' + maxIterations);
+			}
+		}
+		
+		// Normalize the computed weights in case of a fully invested portfolio, 
+		// and compute the associated portfolio volatility
+		var sum_x = targetVolatility === undefined ? x.sum() : 1;
+		var s_x = Math.sqrt(Matrix_.vectorDotProduct(sigma_x, x));
+		x = x.elemMap(function(i,j,val) { return val/sum_x; });
+		
+		// Depending on what is requested in output, return the computed weights
+		// and possibly the associated portfolio volatility.
+		if (outputPortfolioVolatility === true) {
+			return [x.toArray(), s_x/sum_x];
+		}
+		else {
+			return x.toArray();
+		}
+	}
+	
+	
 	// ------
 	
 	// Initial point for the algorithm is an equal weight vector
@@ -0,0 +1,82 @@
+/**
+ * @file Functions related to the risk decomposition of a portfolio.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/* Start Wrapper private methods - Unit tests usage only */
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function portfolioRiskContributions
+*
+* @summary Compute the risk decomposition of a portfolio.
+*
+* @description This function returns the decomposition of the risk of a portfolio of n assets with weights w_1,...,w_n,
+* the risk of the portfolio being measured by its volatility sigma(w) = sqrt(w^t * SIGMA * w), c.f. the reference.
+*
+* This decomposition is made of the following quantities:
+* - The marginal risk contributions of the assets, d sigma(w) / d w_i = (SIGMA * w)_i / sigma(w), i=1..n
+* - The (absolute) risk contributions of the assets, RC_i = w_i * (SIGMA * w)_i / sigma(w), i=1..n, which satisfy sum_i RC_i = sigma(w)
+* - The percentage risk contributions of the assets, RC_i / sigma(w), i=1..n, which satisfy sum_i RC_i / sigma(w) = 1
+* - The diversification ratio of the portfolio, DR(w) = (sum_i w_i * sigma_i) / sigma(w), with sigma_i = sqrt(SIGMA_ii), i=1..n
+*
+* To be noted that the percentage risk contributions of the equal risk contribution portfolio are all equal to 1/n,
+* and that the percentage risk contributions of a risk budgeting portfolio are equal to its risk budgets.
+*
+* @see <a href="https://doi.org/10.3905/jpm.2010.36.4.060">Maillard, S., Roncalli, T., Teiletche, J.: The properties of equally weighted risk contribution portfolios. J. Portf. Manag. 36, 60–70 (2010)</a>
+*
+* @param {Array.<number>} weights the weights w_1,...,w_n of the portfolio, array of n real numbers, with sigma(w) > 0.
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n assets in the considered universe, square Matrix or array of n array of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @return {object} an object containing the following properties:
+* - portfolioVolatility, the volatility sigma(w) of the portfolio, a positive real number
+* - marginalRiskContributions, the marginal risk contributions of the assets, array of n real numbers
+* - riskContributions, the risk contributions of the assets, array of n real numbers
+* - percentageRiskContributions, the percentage risk contributions of the assets, array of n real numbers
+* - diversificationRatio, the diversification ratio of the portfolio, a real number
+*
+* @example
+* portfolioRiskContributions([0.5, 0.5], [[0.04, 0.01], [0.01, 0.01]]);
+* // {portfolioVolatility: ~0.1323, marginalRiskContributions: [~0.1890, ~0.0756], riskContributions: [~0.0945, ~0.0378],
+* //  percentageRiskContributions: [~0.7143, ~0.2857], diversificationRatio: ~1.1339}
+*/
+self.portfolioRiskContributions = function (weights, sigma) {
+	// Convert weights and sigma to matrix format
+	var weights = new Matrix_(weights);
+	var sigma = new Matrix_(sigma);
+
+	// TODO: Checks, if enabled
+	// Check that sigma and weights are rows compatible
+
+
+	// ------
+
+	// Initializations
+	var nbAssets = sigma.nbRows;
+
+	// Compute SIGMA * w and the portfolio volatility sigma(w)
+	var sigma_w = Matrix_.xy(sigma, weights);
+	var portfolioVolatility = Math.sqrt(Matrix_.vectorDotProduct(sigma_w, weights));
+
+	// Compute the marginal risk contributions, the risk contributions and the percentage risk contributions
+	var marginalRiskContributions = sigma_w.elemMap(function(i, j, val) { return val / portfolioVolatility; });
+	var riskContributions = marginalRiskContributions.elemMap(function(i, j, val) { return weights.data[i-1] * val; });
+	var percentageRiskContributions = riskContributions.elemMap(function(i, j, val) { return val / portfolioVolatility; });
+
+	// Compute the diversification ratio
+	var weightedVolatilities = 0;
+	for (var i = 0; i < nbAssets; ++i) {
+		weightedVolatilities += weights.data[i] * Math.sqrt(sigma.data[i * sigma.nbColumns + i]);
+	}
+	var diversificationRatio = weightedVolatilities / portfolioVolatility;
+
+	// Return the computed risk decomposition
+	return {
+		portfolioVolatility: portfolioVolatility,
+		marginalRiskContributions: marginalRiskContributions.toArray(),
+		riskContributions: riskContributions.toArray(),
+		percentageRiskContributions: percentageRiskContributions.toArray(),
+		diversificationRatio: diversificationRatio
+	};
+}
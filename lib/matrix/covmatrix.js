@@ -93,6 +93,509 @@ self.sampleCovarianceMatrix = function(varg_args) {
 	return obj;
 }
 
+/**
+* @function exponentiallyWeightedCovarianceMatrix
+*
+* @summary Returns the exponentially weighted covariance matrix of a series of values.
+*
+* @description This function computes the exponentially weighted covariance matrix of a series of values, provided as 
+* an array of arrays of real numbers of the same length, the observation at time t = 1..T being associated to the weight 
+* w_t = lambda^(T-t) / sum_s lambda^(T-s), with lambda belonging to ]0,1] the decay factor, c.f. the reference.
+*
+* The decay factor can alternatively be provided as a half-life h, in number of observations, in which case lambda = 2^(-1/h).
+*
+* By default, the series of values are centered on their exponentially weighted means, so that a decay factor of 1 
+* leads to the covariance matrix computed by the covarianceMatrix function; they can also be assumed to have zero means, as in the reference.
+*
+* @see <a href="https://www.msci.com/documents/10199/5915b101-4206-4ba0-aee2-3449d5c7e95a">J.P. Morgan/Reuters. (1996). RiskMetrics - Technical Document. Fourth Edition.</a>
+*
+* @param {Array.<Array.<number>>} returns the series of values, an array of n arrays of T real numbers, with n the number of series of values and T the length of the series of values.
+* @param {object} opt the optional parameters for the algorithm.
+* @param {number} opt.lambda the decay factor lambda, a real number belonging to ]0,1]; defaults to 0.94.
+* @param {number} opt.halfLife the half-life h, a strictly positive real number, used to compute the decay factor lambda if provided; defaults to undefined.
+* @param {boolean} opt.zeroMeans a boolean indicating whether the series of values are assumed to have zero means (true) or are centered 
+* on their exponentially weighted means (false); defaults to false.
+* @return {Matrix_} a Matrix object representing the exponentially weighted covariance matrix of the input series of values.
+*
+* @example
+* exponentiallyWeightedCovarianceMatrix([[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]], {lambda: 0.5});
+* // == Matrix_([[0.00020, -0.00026], [-0.00026, 0.00065]])
+*/
+self.exponentiallyWeightedCovarianceMatrix = function(returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var lambda = opt.lambda;
+	if (opt.halfLife !== undefined) {
+		if (opt.halfLife <= 0) {
+			throw new Error('invalid half-life: ' + opt.halfLife);
+		}
+		lambda = Math.pow(2, -1/opt.halfLife);
+	}
+	if (lambda === undefined) {
+		lambda = 0.94;
+	}
+	if (lambda <= 0 || lambda > 1) {
+		throw new Error('invalid decay factor: ' + lambda);
+	}
+	var zeroMeans = opt.zeroMeans || false;
+	
+	// Initializations
+	var nbSeries = returns.length;
+	var nbObservations = returns[0].length;
+	
+	// Compute the normalized exponential weights, the most recent observation
+	// being the last one
+	var weights = new Array(nbObservations);
+	var sumWeights = 0;
+	for (var t = nbObservations - 1, weight = 1; t >= 0; --t, weight *= lambda) {
+		weights[t] = weight;
+		sumWeights += weight;
+	}
+	for (var t = 0; t < nbObservations; ++t) {
+		weights[t] /= sumWeights;
+	}
+	
+	// Compute the centered series of values
+	var x = new Array(nbSeries);
+	for (var i = 0; i < nbSeries; ++i) {
+		var meanReturns = 0;
+		if (!zeroMeans) {
+			for (var t = 0; t < nbObservations; ++t) {
+				meanReturns += weights[t] * returns[i][t];
+			}
+		}
+		
+		x[i] = new Array(nbObservations);
+		for (var t = 0; t < nbObservations; ++t) {
+			x[i][t] = returns[i][t] - meanReturns;
+		}
+	}
+	
+	// Result matrix allocation
+	var obj = allocateMatrix_(nbSeries, nbSeries);
+
+	// Computation of the exponentially weighted covariance matrix
+	for (var i = 0; i < obj.nbRows; ++i) {
+		// Copy from upper triangular part
+		for (var j = 0; j < i; ++j) {
+			obj.data[i * obj.nbColumns + j] = obj.data[j * obj.nbColumns + i];
+		}
+		
+		// Computation part
+		for (var j = i; j < obj.nbColumns; ++j) {
+			var cov_ij = 0;
+			for (var t = 0; t < nbObservations; ++t) {
+				cov_ij += weights[t] * x[i][t] * x[j][t];
+			}
+			obj.data[i * obj.nbColumns + j] = cov_ij;
+		}
+	}
+
+	// Add covariance matrix methods
+	addCovarianceMatrixMethods_(obj);
+	
+	// Return it
+	return obj;
+}
+
+/**
+* @function shrinkageCovarianceMatrix
+*
+* @summary Returns a shrinkage estimator of the covariance matrix of a series of values.
+*
+* @description This function computes a shrinkage estimator of the covariance matrix of a series of values, provided as 
+* an array of arrays of real numbers of the same length, defined as the convex combination delta * F + (1 - delta) * S 
+* of the covariance matrix S of the series of values and of a structured shrinkage target F, where delta belongs to [0,1] is the shrinkage intensity.
+*
+* The following shrinkage targets are supported:
+* - 'constantCorrelation': the covariance matrix with the same variances as S and with all the pairwise correlations
+* equal to the average of the pairwise correlations of S, c.f. the first reference
+* - 'singleIndex': the covariance matrix implied by the single index model of Sharpe, with the same variances as S,
+* the index being by default the equally weighted portfolio of the series of values, c.f. the second reference
+* - 'identity': the scaled identity matrix m * I, with m the average of the variances of S, c.f. the third reference
+*
+* By default, the shrinkage intensity is the optimal shrinkage intensity, minimizing the expected quadratic 
+* distance (i.e., the expected Frobenius norm) between the shrinkage estimator and the true covariance matrix,
+* as estimated in the references.
+*
+* This estimator is always well-conditioned, even when the number of series of values is greater than the length of the series 
+* of values, in which case the covariance matrix S is singular.
+*
+* @see <a href="https://doi.org/10.3905/jpm.2004.110">Ledoit, O., Wolf, M. (2004). Honey, I Shrunk the Sample Covariance Matrix. The Journal of Portfolio Management, 30(4), 110-119.</a>
+* @see <a href="https://doi.org/10.1016/S0927-5398(03)00007-0">Ledoit, O., Wolf, M. (2003). Improved estimation of the covariance matrix of stock returns with an application to portfolio selection. Journal of Empirical Finance, 10(5), 603-621.</a>
+* @see <a href="https://doi.org/10.1016/S0047-259X(03)00096-4">Ledoit, O., Wolf, M. (2004). A well-conditioned estimator for large-dimensional covariance matrices. Journal of Multivariate Analysis, 88(2), 365-411.</a>
+*
+* @param {Array.<Array.<number>>} returns the series of values, an array of n arrays of T real numbers, with n the number of series of values and T the length of the series of values.
+* @param {object} opt the optional parameters for the algorithm.
+* @param {string} opt.shrinkageTarget the shrinkage target to use, a string either equals to 'constantCorrelation', 'singleIndex' or 'identity'; defaults to 'constantCorrelation'.
+* @param {number} opt.shrinkageIntensity the shrinkage intensity delta to use, a real number belonging to [0,1]; defaults to the optimal shrinkage intensity.
+* @param {Array.<number>} opt.marketReturns the series of values of the index to use in case opt.shrinkageTarget is equal to 'singleIndex', array of T real numbers; 
+* defaults to the series of values of the equally weighted portfolio.
+* @return {Matrix_} a Matrix object representing the shrinkage estimator of the covariance matrix of the input series of values.
+*
+* @example
+* shrinkageCovarianceMatrix([[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]], {shrinkageTarget: 'identity', shrinkageIntensity: 0.5});
+* // == Matrix_([[0.000533, -0.000267], [-0.000267, 0.000889]])
+*/
+self.shrinkageCovarianceMatrix = function(returns, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var shrinkageTarget = opt.shrinkageTarget || 'constantCorrelation';
+	var shrinkageIntensity = opt.shrinkageIntensity;
+	if (shrinkageTarget !== 'constantCorrelation' && shrinkageTarget !== 'singleIndex' && shrinkageTarget !== 'identity') {
+		throw new Error('unsupported shrinkage target');
+	}
+	
+	// Initializations
+	var nbSeries = returns.length;
+	var nbObservations = returns[0].length;
+	
+	// Compute the demeaned series of values x_it, i=1..n, t=1..T
+	var x = new Array(nbSeries);
+	for (var i = 0; i < nbSeries; ++i) {
+		var meanReturns = mean_(returns[i]);
+		x[i] = new Array(nbObservations);
+		for (var t = 0; t < nbObservations; ++t) {
+			x[i][t] = returns[i][t] - meanReturns;
+		}
+	}
+	
+	// Compute the covariance matrix S of the series of values, s_ij = 1/T * sum_t x_it * x_jt
+	var s = new Array(nbSeries);
+	for (var i = 0; i < nbSeries; ++i) {
+		s[i] = new Array(nbSeries);
+		for (var j = 0; j <= i; ++j) {
+			var s_ij = 0;
+			for (var t = 0; t < nbObservations; ++t) {
+				s_ij += x[i][t] * x[j][t];
+			}
+			s[i][j] = s_ij / nbObservations;
+			s[j][i] = s[i][j];
+		}
+	}
+	
+	
+	// ------
+	
+	// Compute the shrinkage target F, as well as, if required, the quantities used in the computation 
+	// of the optimal shrinkage intensity delta = max(0, min(1, (pi - rho)/gamma / T)), c.f. the references:
+	// - pi, the sum of the asymptotic variances of the entries of the covariance matrix S, scaled by T
+	// - rho, the sum of the asymptotic covariances of the entries of the shrinkage target F with the entries of the covariance matrix S, scaled by T
+	// - gamma, the squared Frobenius norm of F - S
+	var f = new Array(nbSeries);
+	for (var i = 0; i < nbSeries; ++i) {
+		f[i] = new Array(nbSeries);
+	}
+	var rho = 0;
+	
+	if (shrinkageTarget === 'constantCorrelation') {
+		// Compute the average of the pairwise correlations of S
+		var sqrtVar = new Array(nbSeries);
+		for (var i = 0; i < nbSeries; ++i) {
+			sqrtVar[i] = Math.sqrt(s[i][i]);
+		}
+		var rBar = 0;
+		if (nbSeries > 1) {
+			for (var i = 0; i < nbSeries; ++i) {
+				for (var j = 0; j < nbSeries; ++j) {
+					if (i != j) {
+						rBar += s[i][j] / (sqrtVar[i] * sqrtVar[j]);
+					}
+				}
+			}
+			rBar /= nbSeries * (nbSeries - 1);
+		}
+		
+		// Compute the constant correlation target
+		for (var i = 0; i < nbSeries; ++i) {
+			for (var j = 0; j < nbSeries; ++j) {
+				f[i][j] = (i == j) ? s[i][i] : rBar * sqrtVar[i] * sqrtVar[j];
+			}
+		}
+		
+		// Compute rho, c.f. the appendix B of the first reference
+		if (shrinkageIntensity === undefined) {
+			for (var i = 0; i < nbSeries; ++i) {
+				for (var j = 0; j < nbSeries; ++j) {
+					if (i == j) {
+						continue;
+					}
+					
+					// theta_ii,ij = 1/T * sum_t (x_it^2 - s_ii) * (x_it * x_jt - s_ij)
+					var theta_ii_ij = 0;
+					for (var t = 0; t < nbObservations; ++t) {
+						theta_ii_ij += x[i][t] * x[i][t] * x[i][t] * x[j][t];
+					}
+					theta_ii_ij = theta_ii_ij / nbObservations - s[i][i] * s[i][j];
+					
+					rho += rBar * sqrtVar[j] / sqrtVar[i] * theta_ii_ij;
+				}
+			}
+		}
+	}
+	else if (shrinkageTarget === 'singleIndex') {
+		// Compute the demeaned series of values of the index
+		var xMkt = new Array(nbObservations);
+		if (opt.marketReturns !== undefined) {
+			var meanMarketReturns = mean_(opt.marketReturns);
+			for (var t = 0; t < nbObservations; ++t) {
+				xMkt[t] = opt.marketReturns[t] - meanMarketReturns;
+			}
+		}
+		else {
+			for (var t = 0; t < nbObservations; ++t) {
+				xMkt[t] = 0;
+				for (var i = 0; i < nbSeries; ++i) {
+					xMkt[t] += x[i][t];
+				}
+				xMkt[t] /= nbSeries;
+			}
+		}
+		
+		// Compute the covariances of the series of values with the index, and the variance of the index
+		var covMkt = new Array(nbSeries);
+		for (var i = 0; i < nbSeries; ++i) {
+			covMkt[i] = 0;
+			for (var t = 0; t < nbObservations; ++t) {
+				covMkt[i] += x[i][t] * xMkt[t];
+			}
+			covMkt[i] /= nbObservations;
+		}
+		var varMkt = 0;
+		for (var t = 0; t < nbObservations; ++t) {
+			varMkt += xMkt[t] * xMkt[t];
+		}
+		varMkt /= nbObservations;
+		
+		// Compute the single index target
+		for (var i = 0; i < nbSeries; ++i) {
+			for (var j = 0; j < nbSeries; ++j) {
+				f[i][j] = (i == j) ? s[i][i] : covMkt[i] * covMkt[j] / varMkt;
+			}
+		}
+		
+		// Compute rho, c.f. the second reference, with:
+		// - The diagonal terms rho_ii = pi_ii
+		// - The off-diagonal terms rho_ij, i <> j
+		if (shrinkageIntensity === undefined) {
+			for (var i = 0; i < nbSeries; ++i) {
+				for (var j = 0; j < nbSeries; ++j) {
+					if (i == j) {
+						continue;
+					}
+					
+					// v1_ij = 1/T * sum_t x_it^2 * x_jt * x_mt - s_im * s_ij
+					// v3_ij = 1/T * sum_t x_it * x_jt * x_mt^2 - s_mm * s_ij
+					var v1_ji = 0;
+					var v3_ij = 0;
+					for (var t = 0; t < nbObservations; ++t) {
+						v1_ji += x[j][t] * x[j][t] * x[i][t] * xMkt[t];
+						v3_ij += x[i][t] * x[j][t] * xMkt[t] * xMkt[t];
+					}
+					v1_ji = v1_ji / nbObservations - covMkt[j] * s[j][i];
+					v3_ij = v3_ij / nbObservations - varMkt * s[i][j];
+					
+					rho += 2 * v1_ji * covMkt[i] / varMkt - v3_ij * covMkt[i] * covMkt[j] / (varMkt * varMkt);
+				}
+			}
+		}
+	}
+	else if (shrinkageTarget === 'identity') {
+		// Compute the average of the variances of S
+		var meanVar = 0;
+		for (var i = 0; i < nbSeries; ++i) {
+			meanVar += s[i][i];
+		}
+		meanVar /= nbSeries;
+		
+		// Compute the scaled identity target, for which rho = 0
+		for (var i = 0; i < nbSeries; ++i) {
+			for (var j = 0; j < nbSeries; ++j) {
+				f[i][j] = (i == j) ? meanVar : 0;
+			}
+		}
+	}
+	
+	// Compute the optimal shrinkage intensity, if required
+	if (shrinkageIntensity === undefined) {
+		// Compute pi = sum_ij pi_ij, with pi_ij = 1/T * sum_t (x_it * x_jt - s_ij)^2,
+		// and add the diagonal terms pi_ii to rho
+		var pi = 0;
+		for (var i = 0; i < nbSeries; ++i) {
+			for (var j = 0; j < nbSeries; ++j) {
+				var pi_ij = 0;
+				for (var t = 0; t < nbObservations; ++t) {
+					var y = x[i][t] * x[j][t] - s[i][j];
+					pi_ij += y * y;
+				}
+				pi_ij /= nbObservations;
+				
+				pi += pi_ij;
+				if (i == j && shrinkageTarget !== 'identity') {
+					rho += pi_ij;
+				}
+			}
+		}
+		
+		// Compute gamma
+		var gamma = 0;
+		for (var i = 0; i < nbSeries; ++i) {
+			for (var j = 0; j < nbSeries; ++j) {
+				gamma += (f[i][j] - s[i][j]) * (f[i][j] - s[i][j]);
+			}
+		}
+		
+		// Compute the optimal shrinkage intensity, which is null in case the covariance matrix S
+		// is already equal to the shrinkage target
+		shrinkageIntensity = gamma == 0 ? 0 : Math.max(0, Math.min(1, (pi - rho) / gamma / nbObservations));
+	}
+	
+	
+	// ------
+	
+	// Result matrix allocation
+	var obj = allocateMatrix_(nbSeries, nbSeries);
+
+	// Computation of the shrinkage estimator of the covariance matrix
+	for (var i = 0; i < obj.nbRows; ++i) {
+		for (var j = 0; j < obj.nbColumns; ++j) {
+			obj.data[i * obj.nbColumns + j] = shrinkageIntensity * f[i][j] + (1 - shrinkageIntensity) * s[i][j];
+		}
+	}
+
+	// Add covariance matrix methods
+	addCovarianceMatrixMethods_(obj);
+	
+	// Return it
+	return obj;
+}
+
+/**
+* @function denoisedCovarianceMatrix
+*
+* @summary Returns a denoised covariance matrix, using random matrix theory.
+*
+* @description This function computes a denoised covariance matrix from a covariance matrix estimated 
+* from T observations of n series of values, by removing the noise from the eigenvalues of its associated correlation matrix C,
+* as described in the references.
+*
+* The eigenvalues of C below the upper bound lambda_+ = sigma^2 * (1 + sqrt(n/T))^2 of the Marchenko-Pastur distribution 
+* are considered as noise, where sigma^2 = 1 - lambda_1/n is the variance of the part of C which is not explained by 
+* its largest eigenvalue lambda_1, c.f. the first reference.
+*
+* The following denoising methods are then supported, c.f. the second reference:
+* - 'eigenvalueClipping': the noise eigenvalues are replaced by their average, which preserves the trace of C
+* - 'targetedShrinkage': the noise part of C is shrunk toward its diagonal, with a shrinkage intensity 1 - alpha
+*
+* The denoised correlation matrix is finally rescaled to a covariance matrix with the same variances as the original covariance matrix.
+*
+* @see <a href="https://doi.org/10.1142/S0219024900000255">Laloux, L., Cizeau, P., Potters, M., Bouchaud, J.-P. (2000). Random matrix theory and financial correlations. International Journal of Theoretical and Applied Finance, 3(3), 391-397.</a>
+* @see Lopez de Prado, M. (2020). Machine Learning for Asset Managers. Cambridge Elements in Quantitative Finance. Cambridge University Press.
+*
+* @param {Matrix_|Array.<Array.<number>>} sigma the covariance matrix (sigma_ij),i,j=1..n of the n series of values, square n by n Matrix or array of n arrays of n real numbers statisfying sigma[i-1][j-1] = sigma_ij.
+* @param {number} nbObservations the number of observations T used to estimate the covariance matrix sigma, a strictly positive natural integer.
+* @param {object} opt the optional parameters for the algorithm.
+* @param {string} opt.denoisingMethod the denoising method to use, a string either equals to 'eigenvalueClipping' or 'targetedShrinkage'; defaults to 'eigenvalueClipping'.
+* @param {number} opt.alpha in case opt.denoisingMethod is equal to 'targetedShrinkage', the proportion of the non-diagonal elements of the noise part of C to keep, a real number belonging to [0,1]; defaults to 0.
+* @return {Matrix_} a Matrix object representing the denoised covariance matrix.
+*
+* @example
+* denoisedCovarianceMatrix([[1, 0.5, 0.3, 0.3], [0.5, 1, 0.3, 0.3], [0.3, 0.3, 1, 0.5], [0.3, 0.3, 0.5, 1]], 16);
+* // ~Matrix_([[1, 0.37, 0.37, 0.37], [0.37, 1, 0.37, 0.37], [0.37, 0.37, 1, 0.37], [0.37, 0.37, 0.37, 1]])
+*/
+self.denoisedCovarianceMatrix = function(sigma, nbObservations, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var denoisingMethod = opt.denoisingMethod || 'eigenvalueClipping';
+	if (denoisingMethod !== 'eigenvalueClipping' && denoisingMethod !== 'targetedShrinkage') {
+		throw new Error('unsupported denoising method');
+	}
+	var alpha = opt.alpha || 0;
+	
+	// Convert sigma to matrix format and convert it to a covariance matrix
+	var sigma = new Matrix_(sigma).toCovarianceMatrix(sigma);
+	var nbSeries = sigma.nbRows;
+	
+	
+	// ------
+	
+	// Compute the eigenvalue decomposition of the correlation matrix C associated to sigma,
+	// with its eigenvalues sorted in decreasing order
+	var corrMat = sigma.getCorrelationMatrix();
+	var eigen = Matrix_.eigenDecomposition(corrMat);
+	var v = eigen[0];
+	var eigenvalues = eigen[1].diagonal().toArray();
+	
+	// Compute the upper bound of the Marchenko-Pastur distribution and the
+	// number of eigenvalues above this bound, which are considered as signal
+	var noiseVariance = 1 - eigenvalues[0]/nbSeries;
+	var lambdaPlus = noiseVariance * Math.pow(1 + Math.sqrt(nbSeries/nbObservations), 2);
+	var nbSignalEigenvalues = 0;
+	while (nbSignalEigenvalues < nbSeries && eigenvalues[nbSignalEigenvalues] > lambdaPlus) {
+		++nbSignalEigenvalues;
+	}
+	
+	// Compute the signal and noise parts of C, V * D_signal * V^t and V * D_noise * V^t, with:
+	// - D_signal the diagonal matrix of the signal eigenvalues (the noise eigenvalues being replaced by zeroes)
+	// - D_noise the diagonal matrix of the noise eigenvalues (the signal eigenvalues being replaced by zeroes), 
+	// these noise eigenvalues being replaced by their average in case of eigenvalue clipping
+	var meanNoiseEigenvalues = 0;
+	for (var i = nbSignalEigenvalues; i < nbSeries; ++i) {
+		meanNoiseEigenvalues += eigenvalues[i];
+	}
+	meanNoiseEigenvalues /= Math.max(1, nbSeries - nbSignalEigenvalues);
+	
+	var signalEigenvalues = Matrix_.fill(nbSeries, 1, function(i, j) { return i <= nbSignalEigenvalues ? eigenvalues[i-1] : 0; });
+	var noiseEigenvalues = Matrix_.fill(nbSeries, 1, function(i, j) { 
+		if (i <= nbSignalEigenvalues) {
+			return 0;
+		}
+		return denoisingMethod === 'eigenvalueClipping' ? meanNoiseEigenvalues : eigenvalues[i-1];
+	});
+	var signalCorrMat = Matrix_.axty(1, Matrix_.xy(v, Matrix_.diagonal(signalEigenvalues)), v);
+	var noiseCorrMat = Matrix_.axty(1, Matrix_.xy(v, Matrix_.diagonal(noiseEigenvalues)), v);
+	
+	// Compute the denoised correlation matrix:
+	// - In case of eigenvalue clipping, as the sum of the signal and noise parts of C
+	// - In case of targeted shrinkage, as the sum of the signal part of C and of the shrunk noise part of C
+	var denoisedCorrMat = Matrix_.fillSymetric(nbSeries, function(i, j) { 
+		var noiseCoeff = (denoisingMethod === 'targetedShrinkage' && i != j) ? alpha : 1;
+		return signalCorrMat.getValueAt(i, j) + noiseCoeff * noiseCorrMat.getValueAt(i, j);
+	});
+	
+	
+	// ------
+	
+	// Result matrix allocation
+	var obj = allocateMatrix_(nbSeries, nbSeries);
+
+	// Computation of the denoised covariance matrix, by rescaling the denoised correlation matrix 
+	// to unit diagonal and then to the original variances
+	for (var i = 0; i < obj.nbRows; ++i) {
+		for (var j = 0; j < obj.nbColumns; ++j) {
+			if (i == j) {
+				obj.data[i * obj.nbColumns + j] = sigma.data[i * sigma.nbColumns + i];
+			}
+			else {
+				var c_ij = denoisedCorrMat.data[i * denoisedCorrMat.nbColumns + j] / Math.sqrt(denoisedCorrMat.data[i * denoisedCorrMat.nbColumns + i] * denoisedCorrMat.data[j * denoisedCorrMat.nbColumns + j]);
+				obj.data[i * obj.nbColumns + j] = c_ij * Math.sqrt(sigma.data[i * sigma.nbColumns + i] * sigma.data[j * sigma.nbColumns + j]);
+			}
+		}
+	}
+
+	// Add covariance matrix methods
+	addCovarianceMatrixMethods_(obj);
+	
+	// Return it
+	return obj;
+}
+
 /**
 * @function toCovarianceMatrix
 *
@@ -234,6 +737,117 @@ function addCovarianceMatrixMethods_(matrix) {
     		// Return it
     		return sgv;
     	},
+		
+    	/**
+    	* @function nearestPositiveSemidefinite
+    	*
+    	* @summary Returns the nearest positive semi-definite covariance matrix to a covariance matrix.
+    	*
+    	* @description This function computes the nearest positive semi-definite covariance matrix (b_ij),i=1..n,j=1..n
+    	* to the original covariance matrix (a_ij),i=1..n,j=1..n, with the same variances b_ii = a_ii, i=1..n.
+    	*
+    	* This matrix is computed as S * C * S, with S the diagonal matrix of the standard deviations sqrt(a_ii), i=1..n
+    	* and C the nearest correlation matrix to the correlation matrix associated to the original covariance matrix,
+    	* computed thanks to the alternating projections algorithm with Dykstra's correction described in the reference.
+    	* In particular, the nearest positive semi-definite matrix to a correlation matrix is a correlation matrix.
+    	*
+    	* Such a computation is typically required when the original covariance matrix has been estimated from 
+    	* series of values with missing values, or has been manually modified (stress tests...), because most
+    	* of the portfolio allocation algorithms assume a positive semi-definite covariance matrix.
+    	*
+    	* @see <a href="https://doi.org/10.1093/imanum/22.3.329">Nicholas J. Higham, Computing the nearest correlation matrix—a problem from finance, IMA Journal of Numerical Analysis, Volume 22, Issue 3, 1 July 2002, Pages 329–343</a>
+    	* 
+    	* @memberof Matrix_
+    	* @param {object} opt optional parameters for the algorithm.
+    	* @param {number} opt.eps tolerance for the convergence of the algorithm, a strictly positive real number; defaults to 1e-12.
+    	* @param {number} opt.maxIter maximum number of iterations of the algorithm, a strictly positive natural integer; defaults to 1000.
+    	* @return {Matrix_} a n by n matrix containing the nearest positive semi-definite covariance matrix to the covariance matrix.
+    	*
+    	* @example
+    	* Matrix_([[1,1,0], [1,1,1], [0,1,1]]).nearestPositiveSemidefinite();
+    	* // ~Matrix_([[1,0.7607,0.1573], [0.7607,1,0.7607], [0.1573,0.7607,1]])
+    	*/
+    	'nearestPositiveSemidefinite': function (opt) {
+			// Decode options
+			if (opt === undefined) {
+				opt = {};
+			}
+			var eps = opt.eps || 1e-12;
+			var maxIterations = opt.maxIter || 1000;
+			
+			// Initializations
+			var n = this.nbRows;
+			
+			// Compute the standard deviations and the correlation matrix associated 
+			// to the covariance matrix
+			var stdDevs = new Array(n);
+			for (var i = 0; i < n; ++i) {
+				var variance = this.data[i * this.nbColumns + i];
+				if (variance <= 0) {
+					throw new Error('covariance matrix has non strictly positive variances');
+				}
+				stdDevs[i] = Math.sqrt(variance);
+			}
+			var corrMat = this.getCorrelationMatrix();
+			
+			// Compute the projection of a symmetric matrix onto the set of positive semi-definite matrices,
+			// equal to (A + H)/2, with H the symmetric polar factor of A, c.f. the reference
+			function positiveSemidefiniteProjection(a) {
+				var svd = Matrix_.svdDecomposition(a);
+				var h = Matrix_.axty(1, Matrix_.xy(svd[2], svd[1]), svd[2]);
+				
+				return Matrix_.fillSymetric(n, function(i, j) { 
+					return 0.5 * (0.5 * (a.getValueAt(i, j) + a.getValueAt(j, i)) + 0.5 * (h.getValueAt(i, j) + h.getValueAt(j, i)));
+				});
+			}
+			
+			// Alternate the projections onto the set of positive semi-definite matrices
+			// and onto the set of symmetric matrices with unit diagonal, c.f. the algorithm 3.3 
+			// of the reference
+			var y = corrMat;
+			var deltaS = Matrix_.zeros(n, n);
+			var x;
+			var iter = 0;
+			while (true) {
+				// Check the number of iterations
+				++iter;
+				if (iter > maxIterations) {
+					throw new Error('maximum number of iterations reached: ' + maxIterations);
+				}
+				
+				// Projection onto the set of positive semi-definite matrices, with Dykstra's correction
+				var r = Matrix_.xmy(y, deltaS);
+				x = positiveSemidefiniteProjection(r);
+				deltaS = Matrix_.xmy(x, r);
+				
+				// Projection onto the set of symmetric matrices with unit diagonal
+				y = x.elemMap(function(i, j, val) { return i == j ? 1 : val; });
+				
+				// Check the convergence, the two projections being nearly equal
+				if (Matrix_.xmy(y, x).matrixNorm('frobenius') <= eps * y.matrixNorm('frobenius')) {
+					break;
+				}
+			}
+			
+			// The last positive semi-definite projection x has a nearly unit diagonal,
+			// so that it is rescaled to an exact correlation matrix, which is still 
+			// positive semi-definite
+			var obj = allocateMatrix_(n, n);
+			for (var i = 0; i < n; ++i) {
+				for (var j = 0; j < n; ++j) {
+					var x_ij = x.data[i * x.nbColumns + j] / Math.sqrt(x.data[i * x.nbColumns + i] * x.data[j * x.nbColumns + j]);
+					
+					// Rescale the correlation matrix to a covariance matrix
+					obj.data[i * obj.nbColumns + j] = (i == j) ? this.data[i * this.nbColumns + i] : stdDevs[i] * x_ij * stdDevs[j];
+				}
+			}
+			
+			// Add covariance matrix methods
+			addCovarianceMatrixMethods_(obj);
+			
+			// Return it
+			return obj;
+    	},
 	};
 
   // Addition of the methods to the input matrix
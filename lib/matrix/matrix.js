@@ -2169,6 +2169,217 @@ Matrix_.qrDecomposition = function(A, opt) {
 	}
 }
 
+/**
+* @function luDecomposition
+*
+* @summary Returns a LU decomposition of a square matrix, using Gaussian elimination with partial pivoting.
+*
+* @description This function computes a LU decomposition of an n by n matrix A, using Gaussian elimination 
+* with partial pivoting as described in the algorithm 3.4.1 of the reference.
+*
+* To be noted that such a decomposition always exists, even if the matrix A is singular, in which case 
+* at least one diagonal element of U is equal to zero.
+*
+* @see G.H. Golub and C.F. Van Loan, Matrix Computations, 4th Edition, Johns Hopkins Studies in the Mathematical Sciences
+*
+* @param {Matrix_} A an n by n matrix.
+* @return {<Array.<Matrix_>} an array of three matrices [L, U, P], with L, U and P satisfying the following properties:
+* - L is an n by n unit lower triangular matrix, with all its elements lower than or equal to 1 in absolute value
+* - U is an n by n upper triangular matrix
+* - P is an n by n permutation matrix
+* - P*A = L*U
+*
+* @example
+* luDecomposition(Matrix_([[1,2], [3,4]]));
+* // [Matrix_([[1,0], [1/3,1]]), Matrix_([[3,4], [0,2/3]]), Matrix_([[0,1], [1,0]])]
+*/
+Matrix_.luDecomposition = function(A) {
+	// ------
+	
+	// Checks
+	if (!(A instanceof Matrix_)) {
+		throw new Error('first input must be a matrix');
+	}
+	if (!A.isSquare()) {
+		throw new Error('matrix is not square: ' + '(' + A.nbRows + ',' + A.nbColumns + ')');
+	}
+	
+	
+	// ------
+	
+	// Initializations
+	var n = A.nbRows;
+	
+	// Create a copy of A so that it is not overwritten, which will hold
+	// the strictly lower triangular part of L and the upper triangular part of U
+	var aa = new Matrix_(A);
+	
+	// Create the array representing the permutation P, with P(i,perm[i-1]) = 1
+	var perm = typeof Uint32Array === 'function' ? new Uint32Array(n) : new Array(n);
+	for (var i = 1; i <= n; ++i) {
+		perm[i-1] = i;
+	}
+	
+	
+	// ------
+	
+	// Core of the algorithm
+	for (var k = 1; k <= n-1; ++k) {
+		// Determine the row mu, mu >= k, of the element of largest absolute value in A(k:n,k)
+		var mu = k;
+		var max_abs_a_ik = Math.abs(aa.data[(k-1) * aa.nbColumns + (k-1)]);
+		for (var i = k+1; i <= n; ++i) {
+			var abs_a_ik = Math.abs(aa.data[(i-1) * aa.nbColumns + (k-1)]);
+			if (abs_a_ik > max_abs_a_ik) {
+				mu = i;
+				max_abs_a_ik = abs_a_ik;
+			}
+		}
+		
+		// Swap rows k and mu of A, as well as the associated elements of the permutation
+		if (mu != k) {
+			for (var j = 1; j <= n; ++j) {
+				var t = aa.data[(k-1) * aa.nbColumns + (j-1)];
+				aa.data[(k-1) * aa.nbColumns + (j-1)] = aa.data[(mu-1) * aa.nbColumns + (j-1)];
+				aa.data[(mu-1) * aa.nbColumns + (j-1)] = t;
+			}
+			var t = perm[k-1];
+			perm[k-1] = perm[mu-1];
+			perm[mu-1] = t;
+		}
+		
+		// In case the pivot is null, the column k of A is already zero below the diagonal,
+		// so that there is nothing to eliminate
+		var a_kk = aa.data[(k-1) * aa.nbColumns + (k-1)];
+		if (a_kk == 0) {
+			continue;
+		}
+		
+		// Compute the multipliers A(k+1:n,k) = A(k+1:n,k)/A(k,k) and update 
+		// A(k+1:n,k+1:n) = A(k+1:n,k+1:n) - A(k+1:n,k)*A(k,k+1:n)
+		for (var i = k+1; i <= n; ++i) {
+			var l_ik = aa.data[(i-1) * aa.nbColumns + (k-1)] / a_kk;
+			aa.data[(i-1) * aa.nbColumns + (k-1)] = l_ik;
+			for (var j = k+1; j <= n; ++j) {
+				aa.data[(i-1) * aa.nbColumns + (j-1)] -= l_ik * aa.data[(k-1) * aa.nbColumns + (j-1)];
+			}
+		}
+	}
+	
+	
+	// ------
+	
+	// Compute the L, U and P matrices
+	var ll = Matrix_.identity(n);
+	var uu = Matrix_.zeros(n, n);
+	var pp = Matrix_.zeros(n, n);
+	for (var i = 1; i <= n; ++i) {
+		for (var j = 1; j < i; ++j) {
+			ll.data[(i-1) * ll.nbColumns + (j-1)] = aa.data[(i-1) * aa.nbColumns + (j-1)];
+		}
+		for (var j = i; j <= n; ++j) {
+			uu.data[(i-1) * uu.nbColumns + (j-1)] = aa.data[(i-1) * aa.nbColumns + (j-1)];
+		}
+		pp.data[(i-1) * pp.nbColumns + (perm[i-1]-1)] = 1;
+	}
+	
+	// Return the computed L,U,P triple
+	return [ll, uu, pp];
+}
+
+
+/**
+* @function choleskyDecomposition
+*
+* @summary Returns a Cholesky decomposition of a symmetric positive definite matrix.
+*
+* @description This function computes a Cholesky decomposition of an n by n symmetric positive definite matrix A,
+* using the gaxpy Cholesky algorithm described in the algorithm 4.2.2 of the reference.
+*
+* In case the matrix A is not positive definite, an error is thrown, which allows to use this function to detect 
+* non positive definite matrices.
+*
+* To be noted that a symmetric positive semi-definite matrix which is not positive definite (i.e., singular) has no 
+* Cholesky decomposition, but that a small positive jitter e can be added to its diagonal in order to compute 
+* the Cholesky decomposition of the symmetric positive definite matrix A + e*I.
+*
+* To also be noted that only the lower triangular part of the matrix A is used, the matrix A being assumed symmetric.
+*
+* @see G.H. Golub and C.F. Van Loan, Matrix Computations, 4th Edition, Johns Hopkins Studies in the Mathematical Sciences
+*
+* @param {Matrix_} A an n by n symmetric matrix.
+* @param {object} opt optional parameters for the algorithm.
+* @param {number} opt.jitter a positive real number e to add to the diagonal of A before the computation of its Cholesky decomposition; defaults to 0.
+* @return {Matrix_} an n by n lower triangular matrix L with strictly positive diagonal elements, satisfying A + e*I = L*L^t.
+*
+* @example
+* choleskyDecomposition(Matrix_([[4,12,-16], [12,37,-43], [-16,-43,98]]));
+* // Matrix_([[2,0,0], [6,1,0], [-8,5,3]])
+*/
+Matrix_.choleskyDecomposition = function(A, opt) {
+	// ------
+	
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var jitter = opt.jitter || 0;
+	
+	
+	// ------
+	
+	// Checks
+	if (!(A instanceof Matrix_)) {
+		throw new Error('first input must be a matrix');
+	}
+	if (!A.isSquare()) {
+		throw new Error('matrix is not square: ' + '(' + A.nbRows + ',' + A.nbColumns + ')');
+	}
+	
+	
+	// ------
+	
+	// Initializations
+	var n = A.nbRows;
+	var ll = Matrix_.zeros(n, n); // represents L
+	
+	
+	// ------
+	
+	// Core of the algorithm, computing L column by column
+	for (var j = 1; j <= n; ++j) {
+		// Compute v(j:n) = A(j:n,j) - L(j:n,1:j-1) * L(j,1:j-1)^t, with A(j,j) 
+		// increased by the jitter
+		for (var i = j; i <= n; ++i) {
+			var v_i = A.data[(i-1) * A.nbColumns + (j-1)];
+			if (i == j) {
+				v_i += jitter;
+			}
+			for (var k = 1; k <= j-1; ++k) {
+				v_i -= ll.data[(i-1) * ll.nbColumns + (k-1)] * ll.data[(j-1) * ll.nbColumns + (k-1)];
+			}
+			ll.data[(i-1) * ll.nbColumns + (j-1)] = v_i;
+		}
+		
+		// The pivot v(j) must be strictly positive, otherwise the matrix 
+		// A + e*I is not positive definite
+		var pivot = ll.data[(j-1) * ll.nbColumns + (j-1)];
+		if (pivot <= 0) {
+			throw new Error('matrix is not positive definite');
+		}
+		
+		// Compute L(j:n,j) = v(j:n)/sqrt(v(j))
+		var sqrt_pivot = Math.sqrt(pivot);
+		for (var i = j; i <= n; ++i) {
+			ll.data[(i-1) * ll.nbColumns + (j-1)] /= sqrt_pivot;
+		}
+	}
+	
+	// Return the computed L matrix
+	return ll;
+}
+
+
 /**
 * @function svdDecomposition
 *
@@ -2461,6 +2672,185 @@ Matrix_.svdDecomposition = function(A, opt) {
 }
 
 
+/**
+* @function eigenDecomposition
+*
+* @summary Returns an eigenvalue decomposition of a symmetric matrix, using the cyclic Jacobi algorithm.
+*
+* @description This function computes an eigenvalue decomposition of an n by n symmetric matrix A,
+* using the cyclic Jacobi algorithm described in the algorithm 8.5.3 of the first reference, 
+* together with the threshold strategy described in the second reference.
+*
+* To be noted that only the upper triangular part of the matrix A is used, the matrix A being assumed symmetric.
+* 
+* @see G.H. Golub and C.F. Van Loan, Matrix Computations, 4th Edition, Johns Hopkins Studies in the Mathematical Sciences
+* @see <a href="https://doi.org/10.1137/0613074">James Demmel and Kresimir Veselic, Jacobi’s Method is More Accurate than QR, SIAM Journal on Matrix Analysis and Applications, 1992, Vol. 13, No. 4 : pp. 1204-1245</a>
+*
+* @param {Matrix_} A an n by n symmetric matrix.
+* @param {object} opt optional parameters for the algorithm.
+* @param {number} opt.eps tolerance for the convergence of the algorithm, a strictly positive real number; defaults to 1e-16.
+* @param {number} opt.maxIter maximum number of iterations of the algorithm, a strictly positive natural integer or -1 to force an infinite number of iterations; defaults to 100.
+* @return {<Array.<Matrix_>} an array of two matrices [V, D], with V and D satisfying the following properties:
+* - V is an n by n orthogonal matrix, whose columns are the eigenvectors of A
+* - D is an n by n diagonal matrix, with its diagonal elements D_ii, i=1..n satisfying D_11 >= ... >= D_nn, the eigenvalues of A
+* - A = V*D*V^t
+*
+* @example
+* eigenDecomposition(Matrix_([[1,0], [0,2]]));
+* // [Matrix_([[0,1], [1,0]]), Matrix_([[2,0], [0,1]])]
+*/
+Matrix_.eigenDecomposition = function(A, opt) {
+	// ------
+	
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var eps = opt.eps || 1e-16;
+	var maxIterations = opt.maxIter || 100;
+	
+	
+	// ------
+	
+	// Checks
+	if (!(A instanceof Matrix_)) {
+		throw new Error('first input must be a matrix');
+	}
+	if (!A.isSquare()) {
+		throw new Error('matrix is not square: ' + '(' + A.nbRows + ',' + A.nbColumns + ')');
+	}
+	
+	
+	// ------
+	
+	// Initializations
+	var n = A.nbRows;
+	
+	// Create a symmetric copy of A so that it is not overwritten, using its upper triangular part
+	var aa = Matrix_.fillSymetric(n, function(i, j) { return A.data[(i-1) * A.nbColumns + (j-1)]; }); // represents V^t*A*V
+	var a_frob_norm = aa.matrixNorm('frobenius');
+	
+	// Create the matrix that will hold V
+	var vv = Matrix_.identity(n); // represents V
+	
+	
+	// ------
+	
+	// Core of the algorithm
+	var iter = 0;
+	while (true) {
+		// Update the number of iterations
+		++iter;
+
+		// Check the number of iterations (number of sweeps)
+		if (maxIterations !== -1 && iter > maxIterations) {
+			throw new Error('maximum number of iterations reached: ' + maxIterations);
+		}
+		
+		// For all pairs (p, q) with p < q, proceed with one Jacobi sweep,
+		// that is, n*(n-1)/2 Jacobi rotations
+		var converged = true; // the convergence status is updated during the sweep
+		for (var p = 1; p <= n-1; ++p) {
+			for (var q = p+1; q <= n; ++q) {
+				// Extract the (p, q) 2x2 submatrix [[app, apq], [apq, aqq]] of V^t*A*V
+				var app = aa.data[(p-1) * aa.nbColumns + (p-1)];
+				var aqq = aa.data[(q-1) * aa.nbColumns + (q-1)];
+				var apq = aa.data[(p-1) * aa.nbColumns + (q-1)];
+				
+				// Test on convergence conditions before applying a Jacobi rotation
+				// on rows and columns p and q of V^t*A*V, c.f. the second reference:
+				// - |apq| > eps * sqrt(|app| * |aqq|)
+				// - |apq| > eps * ||A||_f
+				if (Math.abs(apq) <= eps * Math.sqrt(Math.abs(app * aqq)) || Math.abs(apq) <= eps * a_frob_norm) { // this condition also covers the case apq = 0, which would make tau below indefinite
+					continue;
+				}
+				
+				// The convergence conditions are not satisfied yet, so, a Jacobi
+				// rotation is needed
+				converged = false;
+				
+				// Compute the Jacobi rotation which diagonalizes the 
+				// 2x2 submatrix [[app, apq], [apq, aqq]], c.f. the algorithm 8.5.1 of the first reference
+				var tau = (aqq - app)/(2 * apq);
+				var t = ((tau >= 0) ? 1 : -1) / (Math.abs(tau) + Math.sqrt(1 + tau * tau)); // first part emulates sign(tau)
+				var cs = 1 / Math.sqrt(1 + t*t);
+				var sn = cs * t;
+				
+				// Update columns p and q of V^t*A*V (right multiply V^t*A*V with the Jacobi rotation)
+				for (var k = 1; k <= n; ++k) {
+					var t1 = aa.data[(k-1) * aa.nbColumns + (p-1)]; // t1 = A(k,p)
+					var t2 = aa.data[(k-1) * aa.nbColumns + (q-1)]; // t2 = A(k,q)
+					aa.data[(k-1) * aa.nbColumns + (p-1)] = cs*t1 - sn*t2; // A(k,p) = ...
+					aa.data[(k-1) * aa.nbColumns + (q-1)] = sn*t1 + cs*t2; // A(k,q) = ...
+				}
+				
+				// Update rows p and q of V^t*A*V (left multiply V^t*A*V with the transpose of the Jacobi rotation)
+				for (var k = 1; k <= n; ++k) {
+					var t1 = aa.data[(p-1) * aa.nbColumns + (k-1)]; // t1 = A(p,k)
+					var t2 = aa.data[(q-1) * aa.nbColumns + (k-1)]; // t2 = A(q,k)
+					aa.data[(p-1) * aa.nbColumns + (k-1)] = cs*t1 - sn*t2; // A(p,k) = ...
+					aa.data[(q-1) * aa.nbColumns + (k-1)] = sn*t1 + cs*t2; // A(q,k) = ...
+				}
+				
+				// The elements (p, q) and (q, p) of V^t*A*V are now theoretically null, 
+				// which is enforced to avoid the accumulation of numerical round-off errors
+				aa.data[(p-1) * aa.nbColumns + (q-1)] = 0;
+				aa.data[(q-1) * aa.nbColumns + (p-1)] = 0;
+				
+				// Update columns p and q of V (right multiply V with the Jacobi rotation)
+				for (var k = 1; k <= n; ++k) {
+					var t1 = vv.data[(k-1) * vv.nbColumns + (p-1)]; // t1 = V(k,p)
+					var t2 = vv.data[(k-1) * vv.nbColumns + (q-1)]; // t2 = V(k,q)
+					vv.data[(k-1) * vv.nbColumns + (p-1)] = cs*t1 - sn*t2; // V(k,p) = ...
+					vv.data[(k-1) * vv.nbColumns + (q-1)] = sn*t1 + cs*t2; // V(k,q) = ...
+				}
+			}
+		}
+		
+		// In case the convergence status is true at the end of the sweep, 
+		// the algorithm can be stopped
+		if (converged == true) {
+			break;
+		}
+	}
+	
+	
+	// ------
+	
+	// At this stage:
+	// - V^t*A*V is a diagonal matrix, whose diagonal elements are the eigenvalues of A
+	// - The eigenvectors of A are the columns of V
+	//
+	// Additional work is needed in order to sort the eigenvalues of A in decreasing order
+	
+	// Sort the eigenvalues of A in decreasing order together with their V matrix column indexes
+	var lambdas_idx = typeof Uint32Array === 'function' ? new Uint32Array(n) : new Array(n);
+	for (var j = 1; j <= n; ++j) {
+		lambdas_idx[j-1] = j;
+	}
+	lambdas_idx.sort(function(a, b) { return aa.data[(b-1) * aa.nbColumns + (b-1)] - aa.data[(a-1) * aa.nbColumns + (a-1)]; });
+	
+	// Compute the V and D matrices
+	var vvv = Matrix_.zeros(n, n);
+	var ddd = Matrix_.zeros(n, n);
+	for (var j = 1; j <= n; ++j) {
+		// Extract eigenvalues information
+		var lambda_j_col_idx = lambdas_idx[j-1];
+		
+		// D(j,j) must be equal to lambda_j
+		ddd.data[(j-1) * ddd.nbColumns + (j-1)] = aa.data[(lambda_j_col_idx-1) * aa.nbColumns + (lambda_j_col_idx-1)];
+		
+		// V(:,j) must be equal to the column of the intermediate V corresponding to lambda_j
+		for (var i = 1; i <= n; ++i) {
+			vvv.data[(i-1) * vvv.nbColumns + (j-1)] = vv.data[(i-1) * vv.nbColumns + (lambda_j_col_idx-1)];
+		}
+	}
+	
+	// Return the computed V,D pair
+	return [vvv, ddd];
+}
+
+
 /**
 * @function nullSpace
 *
@@ -2630,6 +3020,266 @@ Matrix_.nullSpace = function(A, opt) {
 }
 
 
+/**
+* @function linsolve
+*
+* @summary Returns the solution of a square system of linear equations.
+*
+* @description This function computes the solution of a square system of linear equations Ax = b,
+* using a LU decomposition of the matrix A followed by forward and back substitutions, 
+* as described in section 3.4.4 of the reference.
+* 
+* To be noted that the system of linear equations must be solvable (i.e., the matrix A must be invertible).
+*
+* @see G.H. Golub and C.F. Van Loan, Matrix Computations, 4th Edition, Johns Hopkins Studies in the Mathematical Sciences
+*
+* @param {Matrix_} A a n by n matrix.
+* @param {Matrix_} b a n by 1 matrix.
+* @return {<Matrix_} an n by 1 matrix x^* satisfying Ax^* = b.
+*
+* @example
+* linsolve(Matrix_([[1,2], [3,4]]), Matrix_([5,11]));
+* // Matrix_([1,2])
+*/
+Matrix_.linsolve = function(A, b) {
+	// ------
+	
+	// Misc. checks
+	if (!(b instanceof Matrix_)) {
+		throw new Error('second input must be a matrix');
+	}
+	if (A.nbRows !== b.nbRows) {
+		throw new Error('matrix and second member sizes do not match: ' + '(' + A.nbRows + ',' + A.nbColumns + 
+		') - ' + '(' + b.nbRows + ',' + b.nbColumns + ')');
+	}
+	
+	
+	// ------
+	
+	// Compute a LU decomposition of A, P*A = L*U
+	var lup = Matrix_.luDecomposition(A);
+	var l = lup[0];
+	var u = lup[1];
+	var p = lup[2];
+	
+	// Solve L*y = P*b, and then U*x = y
+	var y = Matrix_.linsolveForwardSubstitution(l, Matrix_.xy(p, b));
+	var x = Matrix_.linsolveBackSubstitution(u, y);
+	
+	// Return the computed solution
+	return x;
+}
+
+
+/**
+* @function inverse
+*
+* @summary Returns the inverse of a square matrix.
+*
+* @description This function computes the inverse of an invertible n by n matrix A, 
+* using a LU decomposition of the matrix A followed by forward and back substitutions 
+* for each column of the n by n identity matrix, as described in section 3.4.9 of the reference.
+*
+* To be noted that the explicit computation of the inverse of a matrix is usually not necessary, 
+* and that the function linsolve should be preferred to solve a system of linear equations.
+*
+* @see G.H. Golub and C.F. Van Loan, Matrix Computations, 4th Edition, Johns Hopkins Studies in the Mathematical Sciences
+*
+* @param {Matrix_} A a n by n matrix.
+* @return {<Matrix_} an n by n matrix A^-1 satisfying A*A^-1 = A^-1*A = I.
+*
+* @example
+* inverse(Matrix_([[1,2], [3,4]]));
+* // Matrix_([[-2,1], [1.5,-0.5]])
+*/
+Matrix_.inverse = function(A) {
+	// Compute a LU decomposition of A, P*A = L*U
+	var lup = Matrix_.luDecomposition(A);
+	var l = lup[0];
+	var u = lup[1];
+	var p = lup[2];
+	
+	// Initializations
+	var n = A.nbRows;
+	var a_inv = Matrix_.zeros(n, n);
+	
+	// Compute the columns of the inverse of A, the j-th column of A^-1 being the solution of L*U*x = P*e_j
+	for (var j = 1; j <= n; ++j) {
+		var pe_j = Matrix_.fill(n, 1, function(i, k) { return p.data[(i-1) * p.nbColumns + (j-1)]; });
+		
+		var y = Matrix_.linsolveForwardSubstitution(l, pe_j);
+		var x = Matrix_.linsolveBackSubstitution(u, y);
+		for (var i = 1; i <= n; ++i) {
+			a_inv.data[(i-1) * a_inv.nbColumns + (j-1)] = x.data[i-1];
+		}
+	}
+	
+	// Return the computed inverse
+	return a_inv;
+}
+
+
+/**
+* @function conditionNumber
+*
+* @summary Returns an estimate of the condition number of a square matrix.
+*
+* @description This function computes an estimate of the 1-norm condition number k_1(A) = ||A||_1 * ||A^-1||_1 
+* of an n by n matrix A, using a LU decomposition of the matrix A and the estimation of ||A^-1||_1 described
+* in the algorithm 2.1 of the first reference, which does not require the explicit computation of A^-1, c.f. also 
+* the second reference.
+*
+* The estimated condition number is always lower than or equal to the exact condition number, and is most of the time equal to it.
+*
+* To be noted that in case the matrix A is singular, the returned condition number is infinite.
+*
+* @see <a href="https://doi.org/10.1145/50063.214386">Nicholas J. Higham, FORTRAN codes for estimating the one-norm of a real or complex matrix, with applications to condition estimation, ACM Transactions on Mathematical Software, Volume 14 Issue 4, Dec. 1988, Pages 381-396</a>
+* @see <a href="https://doi.org/10.1137/0905023">William W. Hager, Condition Estimates, SIAM Journal on Scientific and Statistical Computing, 1984, Vol. 5, No. 2 : pp. 311-316</a>
+*
+* @param {Matrix_} A a n by n matrix.
+* @return {number} an estimate of the 1-norm condition number of the matrix A.
+*
+* @example
+* conditionNumber(Matrix_([[1,2], [3,4]]));
+* // 21
+*/
+Matrix_.conditionNumber = function(A) {
+	// Compute a LU decomposition of A, P*A = L*U
+	var lup = Matrix_.luDecomposition(A);
+	var l = lup[0];
+	var u = lup[1];
+	var p = lup[2];
+	
+	// Initializations
+	var n = A.nbRows;
+	
+	// In case A is singular, its condition number is infinite
+	for (var i = 1; i <= n; ++i) {
+		if (u.data[(i-1) * u.nbColumns + (i-1)] == 0) {
+			return Infinity;
+		}
+	}
+	
+	// Compute the solution of A*x = b, with A = P^t*L*U
+	function solve(b) {
+		var y = Matrix_.linsolveForwardSubstitution(l, Matrix_.xy(p, b));
+		return Matrix_.linsolveBackSubstitution(u, y);
+	}
+	
+	// Compute the solution of A^t*x = b, with A^t = U^t*L^t*P
+	var ut = u.transpose();
+	var lt = l.transpose();
+	function solveTranspose(b) {
+		var y = Matrix_.linsolveForwardSubstitution(ut, b);
+		var z = Matrix_.linsolveBackSubstitution(lt, y);
+		return Matrix_.txy(p, z);
+	}
+	
+	// Estimate ||A^-1||_1, c.f. the algorithm 2.1 of the first reference, limited to 5 iterations
+	var x = Matrix_.fill(n, 1, function(i, j) { return 1/n; });
+	var a_inv_norm_one = 0;
+	for (var k = 1; k <= 5; ++k) {
+		var y = solve(x);
+		a_inv_norm_one = y.vectorNorm('one');
+		
+		var xi = y.elemMap(function(i, j, val) { return val >= 0 ? 1 : -1; });
+		var z = solveTranspose(xi);
+		
+		// Stop if ||z||_inf <= z^t*x, the current estimate being a local maximum
+		var z_norm_inf = z.vectorNorm('infinity');
+		if (z_norm_inf <= Matrix_.vectorDotProduct(z, x)) {
+			break;
+		}
+		
+		// Otherwise, continue with x = e_j, with j such that |z_j| = ||z||_inf
+		var j_max = 1;
+		for (var i = 1; i <= n; ++i) {
+			if (Math.abs(z.data[i-1]) == z_norm_inf) {
+				j_max = i;
+				break;
+			}
+		}
+		x = Matrix_.fill(n, 1, function(i, j) { return i == j_max ? 1 : 0; });
+	}
+	
+	// Return the estimated condition number
+	return A.matrixNorm('one') * a_inv_norm_one;
+}
+
+
+/**
+* @function linsolveForwardSubstitution
+*
+* @summary Returns the solution of a lower triangular square system of linear equations.
+*
+* @description This function computes the solution of a lower triangular square system of linear equations Ax = b,
+* as described in the algorithm 3.1.1 of the reference.
+* 
+* To be noted that the system of linear equations must be solvable (i.e., no zero elements must be present on the matrix A diagonal).
+*
+* @see G.H. Golub and C.F. Van Loan, Matrix Computations, 4th Edition, Johns Hopkins Studies in the Mathematical Sciences
+*
+* @param {Matrix_} A a n by n matrix.
+* @param {Matrix_} b a n by 1 matrix.
+* @return {<Matrix_} an n by 1 matrix x^* satisfying Ax^* = b.
+*
+* @example
+* linsolveForwardSubstitution(Matrix_([[1,0], [2,1]]), Matrix_([1,3]));
+* // Matrix_([1,1])
+*/
+Matrix_.linsolveForwardSubstitution = function(A, b, out) {
+	// ------
+	
+	// Misc. checks
+	if (!(A instanceof Matrix_)) {
+		throw new Error('first input must be a matrix');
+	}
+	if (!(b instanceof Matrix_)) {
+		throw new Error('second input must be a matrix');
+	}
+	
+	if (!A.isSquare()) {
+		throw new Error('matrix is not square: ' + '(' + A.nbRows + ',' + A.nbColumns + ')');
+	}
+	if (A.nbRows !== b.nbRows) {
+		throw new Error('matrix and second member sizes do not match: ' + '(' + A.nbRows + ',' + A.nbColumns + 
+		') - ' + '(' + b.nbRows + ',' + b.nbColumns + ')');
+	}
+	if (b.nbColumns !== 1) {
+		throw new Error('b is not a vector: ' + '(' + b.nbRows + ',' + b.nbColumns + ')');
+	}
+
+	// ------
+	
+	// Initializations
+	var n = A.nbColumns;
+
+	// Result matrix allocation
+	var x = allocateMatrix_(n, 1, out); // the solution vector
+
+	// ------
+	
+	// Compute the solution to Ax = b, with a a square invertible lower triangular matrix,
+	// using the row-oriented forward substitution algorithm described in section 3.1.1 of the reference.
+	for (var i = 1; i <= n; ++i) {
+		x.data[i-1] = b.data[i-1];
+		for (var j = 1; j < i; ++j) {
+			x.data[i-1] = x.data[i-1] - A.data[(i-1) * A.nbColumns + (j-1)] * x.data[j-1];
+		}
+		var a_ii = A.data[(i-1) * A.nbColumns + (i-1)];
+		if (a_ii == 0) {
+			throw new Error('input matrix is not invertible: zero diagonal coefficient at index ' + i);
+		}
+		else {
+			x.data[i-1] = x.data[i-1] / a_ii;
+		}
+	}
+
+	// Return the computed solution
+	return x;
+}
+
+
 /**
 * @function linsolveBackwardSubstitution
 *
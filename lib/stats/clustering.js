@@ -0,0 +1,578 @@
+/**
+ * @file Functions related to clustering.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.ftca_ = ftca_;
+self.hierarchicalClustering_ = hierarchicalClustering_;
+self.cutDendrogram_ = cutDendrogram_;
+self.kMedoids_ = kMedoids_;
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function ftca_
+*
+* @summary Compute a clustering representation of a universe of elements using the Fast Threshold Clustering Algorithm (FTCA).
+*
+* @description This function returns the clustering representation of a universe of n elements based on their correlation
+* and a correlation threshold, as computed by the FTCA algorithm of David Varadi described in the reference, initially created
+* to deal with financial assets.
+*
+* This algorithm has many desirable properties that traditional clustering algorithms do not:
+* 1) it produces fairly stable clusters
+* 2) it is fast and deterministic 
+* 3) it is easy to understand. 
+*
+* By default, David Varadi used a correlation threshold of 0.5 (approximately the level of statistical significance) to separate similar from dissimilar elements (assets).
+* The choice of the threshold will change the number and stability of the clusters, with higher thresholds showing more clusters and a greater change in membership than lower thresholds. 
+*
+* To be noted that the FTCA works similar to the Minimum Correlation Algorithm from the same author in that it uses the average correlation of each element (asset)
+* to all other elements (asset)s as a means of determining how closely or distantly related an element (asset) is to the universe of elements (assets) chosen.
+*
+* @see <a href="https://cssanalytics.wordpress.com/2013/11/26/fast-threshold-clustering-algorithm-ftca/">Fast Threshold Clustering Algorithm (FTCA)</a>
+* 
+* @param {Array.<Array.<number>>} correlationMatrix the correlation matrix (rho_ij),i,j=1..n, an array arr of n arrays of n real numbers 
+* satisfying arr[i-1][j-1] = rho_ij, i,j=1..n, where n is a strictly positive natural integer.
+* @param {number} threshold the correlation threshold to use in the FTCA algorithm, a real number typically belonging to interval [-1, 1].
+* @return {Array.<Array.<number>>} the list of clusters as computed by the FTCA algorithm, array of m arrays of strictly positive integers representing the indexes of the elements in the considered universe, where m is the number of clusters, with the m arrays forming a partition of the set [1..n].
+*
+* @example
+* ftca_([[1, 0], [0,1]]), 0.5);
+*  // [[2],[1]]
+*/
+function ftca_(correlationMatrix, threshold) {
+	// Decode the optional threshold
+	var threshold = threshold;
+	if (threshold === undefined) {
+		threshold = 0.5;
+	}
+	
+	// Convert the correlation matrix to matrix format
+	var correlationMatrix = new Matrix_(correlationMatrix);
+	
+	// The list of output clusters, to be populated
+	var clusters = [];
+
+	// The list of elements indexes not assigned to any cluster, initialized with all elements indexes (initially, no clusters are existing)
+	var nbElements = correlationMatrix.nbRows;
+	var unassignedElementsIdx = new Array(nbElements);
+	for (var i = 0; i < unassignedElementsIdx.length; ++i) {
+		unassignedElementsIdx[i] = i + 1;
+	}
+
+	// While there are elements that have not been assigned to a cluster
+	while (unassignedElementsIdx.length != 0) {
+		// If only one element remaining then
+		if (unassignedElementsIdx.length === 1) {
+			// Add a new cluster
+			// Only member is the remaining element, set as not unassigned anymore
+			var newCluster = [unassignedElementsIdx[0]];
+			unassignedElementsIdx[0] = null;
+			
+			// Effectively add the new cluster into the list of clusters
+			clusters.push(newCluster);
+		}	
+		else {
+			// Get the (sub)correlation matix of the unassigned elements
+			var subCorrMat = correlationMatrix.submatrix(unassignedElementsIdx, unassignedElementsIdx);
+			
+			// Compute the average correlation of each unassigned element to all the other unassigned elements
+			// Computation is done for each row
+			var subCorrMatRows = subCorrMat.toRowArray(function(i, j, val) {
+				return i != j;
+			});
+			var avgCorrelation = new Array(unassignedElementsIdx);
+			for (var i = 0; i < unassignedElementsIdx.length; ++i) {
+				avgCorrelation[i] = mean_(subCorrMatRows[i]);
+			}
+				
+			// Find the element with the Highest Average Correlation (HC) to all elements not yet been assigned to a Cluster
+			// Find the element with the Lowest Average Correlation (LC) to all elements not yet assigned to a Cluster
+			// Note: When only 2 elements are remaining, HC will be equal to LC
+			var hc = 0;
+			var hcIdx = -1;
+			var highestAvgCorrelation = -1;
+			var lc = 0;
+			var lcIdx = -1;
+			var lowestAvgCorrelation = 1;		
+			for (var i = 0; i < unassignedElementsIdx.length; ++i) {
+				if (avgCorrelation[i] >= highestAvgCorrelation) {
+					hc = unassignedElementsIdx[i];
+					hcIdx = i;
+					highestAvgCorrelation = avgCorrelation[i];
+				}
+				if (avgCorrelation[i] <= lowestAvgCorrelation) {
+					lc = unassignedElementsIdx[i];
+					lcIdx = i;
+					lowestAvgCorrelation = avgCorrelation[i];
+				}
+			}
+			
+			// If Correlation between HC and LC > Threshold
+			if (correlationMatrix.getValueAt(hc, lc) > threshold) {
+				// Add a new Cluster made of HC and LC and set these two elements as not unassigned anymore
+				// (Unless HC == LC, which can happen, for instance when there are only two elements remaining)
+				var newClusterHcLc = (hc === lc ? [hc] : [hc, lc]);
+				unassignedElementsIdx[hcIdx] = null;
+				unassignedElementsIdx[lcIdx] = null;
+				
+				// Add to Cluster all other elements that have yet been assigned to a Cluster and have an Average Correlation to HC and LC > Threshold
+				// Note: In Systematic Investor R code, all remaining elements are put inthe HcLc cluster, disregarding the condition on the correlation above.
+				for (var i = 0; i < unassignedElementsIdx.length; ++i) {
+					if (unassignedElementsIdx[i] !== null) { // Skip assigned elements (HC and LC)
+						var avgHcLcAssetCorrelation = (correlationMatrix.getValueAt(unassignedElementsIdx[i], hc) + correlationMatrix.getValueAt(unassignedElementsIdx[i], lc)) / 2;
+						if (avgHcLcAssetCorrelation  > threshold) {
+							newClusterHcLc.push(unassignedElementsIdx[i]);
+							
+							// Set the element as not unassigned anymore
+							unassignedElementsIdx[i] = null;
+						}
+					}
+				}
+			   
+				// Effectively add the new cluster into the list of clusters				
+				clusters.push(newClusterHcLc);
+			}
+			// Else
+			else {
+				// Add a Cluster made of HC and set this element as not unassigned anymore
+				var newClusterHc = [hc];
+				unassignedElementsIdx[hcIdx] = null;
+				
+				// Add to Cluster all other assets that have yet been assigned to a Cluster and have a Correlation to HC > Threshold
+				for (var i = 0; i < unassignedElementsIdx.length; ++i) {
+					if (unassignedElementsIdx[i] !== null) { // Skip assigned assets (HC)
+						if (correlationMatrix.getValueAt(unassignedElementsIdx[i], hc) > threshold) {
+							newClusterHc.push(unassignedElementsIdx[i]);
+							
+							// Set the element as not unassigned anymore
+							unassignedElementsIdx[i] = null;
+						}
+					}
+				}
+				
+				// Effectively add the new cluster into the list of clusters				
+				clusters.push(newClusterHc);
+
+				// Add a Cluster made of LC and set this element as not unassigned anymore
+				// (Unless HC == LC, which can happen, for instance when there are only two elements remaining)
+				if (hc !== lc) {
+					// Note: At this stage, the LC element cannot have been assigned to the Hc cluster above if LC <> HC, since
+					// otherwise, it would mean corr(lc, hc) > threshold, which is incompatible with the "else" branch in which
+					// the code currently is; Lc cluster is thus always non empty.
+					var newClusterLc = [lc];
+					unassignedElementsIdx[lcIdx] = null;
+					
+					// Add to Cluster all other assets that have yet been assigned to a Cluster and have Correlation to LC > Threshold
+					for (var i = 0; i < unassignedElementsIdx.length; ++i) {
+						if (unassignedElementsIdx[i] !== null) { // Skip assigned assets (HC with its correlated assets, and LC)
+							if (correlationMatrix.getValueAt(unassignedElementsIdx[i], lc) > threshold) {
+								newClusterLc.push(unassignedElementsIdx[i]);
+								
+								// Set the element as not unassigned anymore
+								unassignedElementsIdx[i] = null;
+							}
+						}
+					}
+
+					// Effectively add the new cluster into the list of clusters				
+					clusters.push(newClusterLc);
+				}
+				
+				// Note: In Systematic Investor R code, it is possible for an element to belong to the two clusters Hc and Lc, in which case Hc is the final cluster,
+				// which is conform to the description of the reference.
+			}
+		}
+		
+		// Effectively remove the assigned elements indexes (now pointing to null)  from the list of unassigned elements
+		var newUnassignedElementsIdx = [];
+		for (var i = 0; i < unassignedElementsIdx.length; ++i) {
+			if (unassignedElementsIdx[i] !== null) {
+				newUnassignedElementsIdx.push(unassignedElementsIdx[i]);
+			}
+		}
+		unassignedElementsIdx = newUnassignedElementsIdx;
+	}
+
+	// Return the computed list of clusters
+	return clusters;
+}
+
+
+/**
+* @function hierarchicalClustering_
+*
+* @summary Compute a hierarchical clustering representation of a universe of elements using an agglomerative algorithm.
+*
+* @description This function returns the hierarchical clustering representation (i.e., the dendrogram) of a universe of n elements
+* based on their pairwise distances, as computed by the naive agglomerative clustering algorithm described in the reference.
+*
+* This algorithm starts with n clusters made of one element each, and then iteratively merges the two closest clusters
+* until only one cluster remains, the distance between two clusters being defined by a linkage method:
+* - 'single': the minimum distance between the elements of the two clusters
+* - 'complete': the maximum distance between the elements of the two clusters
+* - 'average': the average distance between the elements of the two clusters
+* - 'ward': the Ward distance between the two clusters, which is a measure of the increase of the within-cluster variance
+* when merging the two clusters
+*
+* The distances between the newly merged cluster and the remaining clusters are computed thanks to the Lance-Williams formulas,
+* c.f. the reference.
+*
+* To be noted that in case of ties, the two clusters with the lowest indexes are merged first, so that the output of
+* this algorithm is deterministic.
+*
+* @see <a href="https://doi.org/10.1002/widm.53">Murtagh, F., Contreras, P. Algorithms for hierarchical clustering: an overview. WIREs Data Mining Knowl Discov 2012, 2: 86-97</a>
+* 
+* @param {Array.<Array.<number>>} distanceMatrix the distance matrix (d_ij),i,j=1..n, an array arr of n arrays of n positive real numbers 
+* satisfying arr[i-1][j-1] = d_ij = d_ji, i,j=1..n, where n is a strictly positive natural integer.
+* @param {string} linkageMethod the linkage method to use, a string either equals to 'single', 'complete', 'average' or 'ward'; defaults to 'single'.
+* @return {Array.<Array.<number>>} the dendrogram of the hierarchical clustering, an array of n-1 arrays arr[k-1] = [a_k, b_k, d_k, n_k], k=1..n-1, 
+* where arr[k-1] describes the k-th merge of the algorithm between the clusters of indexes a_k < b_k at the distance d_k, the newly formed cluster
+* of index n+k containing n_k elements, with the clusters of indexes 1..n made of the elements 1..n.
+*
+* @example
+* hierarchicalClustering_([[0, 1, 3], [1, 0, 2], [3, 2, 0]], 'single');
+*  // [[1, 2, 1, 2], [3, 4, 2, 3]]
+*/
+function hierarchicalClustering_(distanceMatrix, linkageMethod) {
+	// Decode the optional linkage method
+	var linkageMethod = linkageMethod;
+	if (linkageMethod === undefined) {
+		linkageMethod = 'single';
+	}
+	if (linkageMethod !== 'single' && linkageMethod !== 'complete' && linkageMethod !== 'average' && linkageMethod !== 'ward') {
+		throw new Error('unsupported linkage method');
+	}
+	
+	// Initializations
+	var nbElements = distanceMatrix.length;
+	var nbClusters = 2*nbElements - 1;
+	
+	// The distances between all the clusters, to be populated with the distances between 
+	// the newly merged clusters at each iteration of the algorithm
+	var distances = new Array(nbClusters);
+	for (var i = 0; i < nbClusters; ++i) {
+		distances[i] = new Array(nbClusters);
+	}
+	for (var i = 0; i < nbElements; ++i) {
+		for (var j = 0; j < nbElements; ++j) {
+			distances[i][j] = distanceMatrix[i][j];
+		}
+	}
+	
+	// The sizes of all the clusters
+	var sizes = new Array(nbClusters);
+	for (var i = 0; i < nbElements; ++i) {
+		sizes[i] = 1;
+	}
+	
+	// The list of clusters indexes not yet merged, initialized with all elements indexes
+	var activeClustersIdx = new Array(nbElements);
+	for (var i = 0; i < nbElements; ++i) {
+		activeClustersIdx[i] = i;
+	}
+	
+	// The dendrogram, to be populated
+	var dendrogram = [];
+	
+	// While there are more than one cluster
+	for (var k = 0; k < nbElements - 1; ++k) {
+		// Find the two closest clusters, the ones with the lowest indexes being selected in case of ties
+		var minDistance = Infinity;
+		var aIdx = -1;
+		var bIdx = -1;
+		for (var i = 0; i < activeClustersIdx.length; ++i) {
+			for (var j = i + 1; j < activeClustersIdx.length; ++j) {
+				var d = distances[activeClustersIdx[i]][activeClustersIdx[j]];
+				if (d < minDistance) {
+					minDistance = d;
+					aIdx = i;
+					bIdx = j;
+				}
+			}
+		}
+		var a = activeClustersIdx[aIdx];
+		var b = activeClustersIdx[bIdx];
+		
+		// Merge these two clusters into a new cluster
+		var c = nbElements + k;
+		sizes[c] = sizes[a] + sizes[b];
+		dendrogram.push([a + 1, b + 1, minDistance, sizes[c]]);
+		
+		// Remove these two clusters from the list of clusters not yet merged 
+		// (the cluster b being located after the cluster a in this list)
+		activeClustersIdx.splice(bIdx, 1);
+		activeClustersIdx.splice(aIdx, 1);
+		
+		// Compute the distances between the new cluster and the other clusters, 
+		// using the Lance-Williams formulas
+		distances[c][c] = 0;
+		for (var i = 0; i < activeClustersIdx.length; ++i) {
+			var o = activeClustersIdx[i];
+			var d_ao = distances[a][o];
+			var d_bo = distances[b][o];
+			
+			var d_co;
+			if (linkageMethod === 'single') {
+				d_co = Math.min(d_ao, d_bo);
+			}
+			else if (linkageMethod === 'complete') {
+				d_co = Math.max(d_ao, d_bo);
+			}
+			else if (linkageMethod === 'average') {
+				d_co = (sizes[a] * d_ao + sizes[b] * d_bo) / sizes[c];
+			}
+			else if (linkageMethod === 'ward') {
+				var d2_co = ((sizes[a] + sizes[o]) * d_ao * d_ao + (sizes[b] + sizes[o]) * d_bo * d_bo - sizes[o] * minDistance * minDistance) / (sizes[c] + sizes[o]);
+				d_co = Math.sqrt(Math.max(0, d2_co));
+			}
+			
+			distances[c][o] = d_co;
+			distances[o][c] = d_co;
+		}
+		
+		// Add the new cluster to the list of clusters not yet merged
+		activeClustersIdx.push(c);
+	}
+	
+	// Return the computed dendrogram
+	return dendrogram;
+}
+
+
+/**
+* @function cutDendrogram_
+*
+* @summary Compute a clustering representation of a universe of elements by cutting a dendrogram.
+*
+* @description This function returns the clustering representation of a universe of n elements obtained by cutting
+* the dendrogram computed by the hierarchical clustering algorithm, c.f. the hierarchicalClustering_ function, either:
+* - Into a given number k of clusters, in which case the last k-1 merges of the dendrogram are undone
+* - At a given distance t, in which case only the merges of the dendrogram with a distance lower than or equal to t are done
+*
+* @param {Array.<Array.<number>>} dendrogram the dendrogram of the hierarchical clustering, c.f. the hierarchicalClustering_ function for the format of this parameter.
+* @param {object} opt the parameters for the cut of the dendrogram, exactly one of which must be provided.
+* @param {number} opt.nbClusters the number of clusters k to output, a natural integer belonging to [1..n].
+* @param {number} opt.maxDistance the distance t at which to cut the dendrogram, a positive real number.
+* @return {Array.<Array.<number>>} the list of clusters, array of m arrays of strictly positive integers representing the indexes of the elements in the considered universe, 
+* where m is the number of clusters, with the m arrays forming a partition of the set [1..n], each array being sorted in increasing order and the arrays
+* being sorted by increasing order of their first element.
+*
+* @example
+* cutDendrogram_([[1, 2, 1, 2], [3, 4, 2, 3]], {nbClusters: 2});
+*  // [[1, 2], [3]]
+*/
+function cutDendrogram_(dendrogram, opt) {
+	// Initializations
+	var nbElements = dendrogram.length + 1;
+	
+	// Decode the cut parameters, and determine the number of merges to do
+	var nbMerges;
+	if (opt.nbClusters !== undefined) {
+		if (opt.nbClusters < 1 || opt.nbClusters > nbElements) {
+			throw new Error('invalid number of clusters: ' + opt.nbClusters);
+		}
+		nbMerges = nbElements - opt.nbClusters;
+	}
+	else if (opt.maxDistance !== undefined) {
+		nbMerges = 0;
+		while (nbMerges < nbElements - 1 && dendrogram[nbMerges][2] <= opt.maxDistance) {
+			++nbMerges;
+		}
+	}
+	else {
+		throw new Error('missing number of clusters or maximum distance');
+	}
+	
+	// Do the merges, keeping track of the cluster to which each element belongs,
+	// the clusters being indexed as in the dendrogram
+	var clustersIdx = new Array(2*nbElements - 1);
+	for (var i = 0; i < nbElements; ++i) {
+		clustersIdx[i] = i + 1;
+	}
+	var clustersElements = new Array(2*nbElements - 1);
+	for (var i = 0; i < nbElements; ++i) {
+		clustersElements[i] = [i + 1];
+	}
+	for (var k = 0; k < nbMerges; ++k) {
+		var a = dendrogram[k][0];
+		var b = dendrogram[k][1];
+		clustersElements[nbElements + k] = clustersElements[a-1].concat(clustersElements[b-1]);
+		clustersElements[a-1] = null;
+		clustersElements[b-1] = null;
+	}
+	
+	// Extract the remaining clusters
+	var clusters = [];
+	for (var i = 0; i < clustersElements.length; ++i) {
+		if (clustersElements[i]) {
+			clusters.push(clustersElements[i].sort(function(a, b) { return a - b; }));
+		}
+	}
+	clusters.sort(function(a, b) { return a[0] - b[0]; });
+	
+	// Return the computed list of clusters
+	return clusters;
+}
+
+
+/**
+* @function kMedoids_
+*
+* @summary Compute a clustering representation of a universe of elements using a k-medoids algorithm.
+*
+* @description This function returns the clustering representation of a universe of n elements into k clusters
+* based on their pairwise distances, as computed by the k-medoids algorithm described in the reference.
+*
+* This algorithm, similar to the k-means algorithm, iteratively:
+* - Assigns each element to the cluster whose medoid is the closest to this element
+* - Updates the medoid of each cluster as the element of the cluster minimizing the sum of the distances to the other elements of the cluster
+*
+* until the medoids do not change anymore.
+*
+* The initial medoids are selected thanks to the deterministic BUILD procedure of the partitioning around medoids (PAM) algorithm
+* described in the second reference, so that the output of this algorithm is deterministic; in addition, in case of ties, 
+* the elements with the lowest indexes are selected first.
+*
+* To be noted that this algorithm converges to a local optimum of the sum of the distances of the elements to the medoids
+* of their clusters, which is not necessarily the global optimum.
+*
+* @see <a href="https://doi.org/10.1016/j.eswa.2008.01.039">Park, H.-S., Jun, C.-H. A simple and fast algorithm for K-medoids clustering. Expert Systems with Applications 36 (2009) 3336–3341</a>
+* @see <a href="https://doi.org/10.1002/9780470316801.ch2">Kaufman, L., Rousseeuw, P.J. (1990). Partitioning Around Medoids (Program PAM). In Finding Groups in Data: An Introduction to Cluster Analysis. John Wiley & Sons.</a>
+* 
+* @param {Array.<Array.<number>>} distanceMatrix the distance matrix (d_ij),i,j=1..n, an array arr of n arrays of n positive real numbers 
+* satisfying arr[i-1][j-1] = d_ij = d_ji, i,j=1..n, where n is a strictly positive natural integer.
+* @param {number} nbClusters the number of clusters k to compute, a natural integer belonging to [1..n].
+* @param {object} opt the optional parameters for the algorithm.
+* @param {number} opt.maxIter the maximum number of iterations of the algorithm, a strictly positive natural integer; defaults to 100.
+* @return {Array.<Array.<number>>} the list of clusters, array of k arrays of strictly positive integers representing the indexes of the elements in the considered universe, 
+* with the k arrays forming a partition of the set [1..n], each array being sorted in increasing order and the arrays
+* being sorted by increasing order of their first element.
+*
+* @example
+* kMedoids_([[0, 1, 3, 7], [1, 0, 2, 6], [3, 2, 0, 4], [7, 6, 4, 0]], 2);
+*  // [[1, 2, 3], [4]]
+*/
+function kMedoids_(distanceMatrix, nbClusters, opt) {
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var maxIterations = opt.maxIter || 100;
+	
+	// Initializations
+	var nbElements = distanceMatrix.length;
+	if (nbClusters < 1 || nbClusters > nbElements) {
+		throw new Error('invalid number of clusters: ' + nbClusters);
+	}
+	
+	// Select the initial medoids thanks to the BUILD procedure, c.f. the second reference:
+	// - The first medoid is the element minimizing the sum of the distances to all the other elements
+	// - Each subsequent medoid is the element maximizing the decrease of the sum of the distances
+	// of all the elements to their closest medoid
+	var medoids = [];
+	var closestDistances = new Array(nbElements);
+	for (var j = 0; j < nbElements; ++j) {
+		closestDistances[j] = Infinity;
+	}
+	for (var k = 0; k < nbClusters; ++k) {
+		var maxGain = -Infinity;
+		var newMedoid = -1;
+		for (var i = 0; i < nbElements; ++i) {
+			if (medoids.indexOf(i) != -1) {
+				continue;
+			}
+			
+			var gain = 0;
+			for (var j = 0; j < nbElements; ++j) {
+				if (k == 0) {
+					gain -= distanceMatrix[i][j];
+				}
+				else {
+					gain += Math.max(closestDistances[j] - distanceMatrix[i][j], 0);
+				}
+			}
+			if (gain > maxGain) {
+				maxGain = gain;
+				newMedoid = i;
+			}
+		}
+		
+		medoids.push(newMedoid);
+		for (var j = 0; j < nbElements; ++j) {
+			closestDistances[j] = Math.min(closestDistances[j], distanceMatrix[newMedoid][j]);
+		}
+	}
+	
+	// Iterate until the medoids do not change anymore
+	var assignments = new Array(nbElements);
+	var iter = 0;
+	while (true) {
+		// Check the number of iterations
+		++iter;
+		if (iter > maxIterations) {
+			throw new Error('maximum number of iterations reached: ' + maxIterations);
+		}
+		
+		// Assign each element to the cluster whose medoid is the closest,
+		// a medoid always being assigned to its own cluster
+		for (var i = 0; i < nbElements; ++i) {
+			var minDistance = Infinity;
+			for (var k = 0; k < nbClusters; ++k) {
+				var d = medoids[k] == i ? -1 : distanceMatrix[i][medoids[k]];
+				if (d < minDistance) {
+					minDistance = d;
+					assignments[i] = k;
+				}
+			}
+		}
+		
+		// Update the medoid of each cluster
+		var medoidsChanged = false;
+		for (var k = 0; k < nbClusters; ++k) {
+			var minSumDistances = Infinity;
+			var newMedoid = medoids[k];
+			for (var i = 0; i < nbElements; ++i) {
+				if (assignments[i] != k) {
+					continue;
+				}
+				
+				var sumDistancesCluster = 0;
+				for (var j = 0; j < nbElements; ++j) {
+					if (assignments[j] == k) {
+						sumDistancesCluster += distanceMatrix[i][j];
+					}
+				}
+				if (sumDistancesCluster < minSumDistances) {
+					minSumDistances = sumDistancesCluster;
+					newMedoid = i;
+				}
+			}
+			
+			if (newMedoid != medoids[k]) {
+				medoids[k] = newMedoid;
+				medoidsChanged = true;
+			}
+		}
+		
+		// Stop if the medoids did not change
+		if (!medoidsChanged) {
+			break;
+		}
+	}
+	
+	// Build the list of clusters
+	var clusters = new Array(nbClusters);
+	for (var k = 0; k < nbClusters; ++k) {
+		clusters[k] = [];
+	}
+	for (var i = 0; i < nbElements; ++i) {
+		clusters[assignments[i]].push(i + 1);
+	}
+	clusters.sort(function(a, b) { return a[0] - b[0]; });
+	
+	// Return the computed list of clusters
+	return clusters;
+}
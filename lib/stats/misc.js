@@ -8,7 +8,6 @@ self.median_ = median_;
 self.select_ = select_;
 self.hypot_ = hypot_;
 self.rank_ = rank_;
-self.ftca_ = ftca_;
 /* End Wrapper private methods - Unit tests usage only */
 
 
@@ -434,197 +433,6 @@ function rank_(x, order) {
 }
 
 
-/**
-* @function ftca_
-*
-* @summary Compute a clustering representation of a universe of elements using the Fast Threshold Clustering Algorithm (FTCA).
-*
-* @description This function returns the clustering representation of a universe of n elements based on their correlation
-* and a correlation threshold, as computed by the FTCA algorithm of David Varadi described in the reference, initially created
-* to deal with financial assets.
-*
-* This algorithm has many desirable properties that traditional clustering algorithms do not:
-* 1) it produces fairly stable clusters
-* 2) it is fast and deterministic 
-* 3) it is easy to understand. 
-*
-* By default, David Varadi used a correlation threshold of 0.5 (approximately the level of statistical significance) to separate similar from dissimilar elements (assets).
-* The choice of the threshold will change the number and stability of the clusters, with higher thresholds showing more clusters and a greater change in membership than lower thresholds. 
-*
-* To be noted that the FTCA works similar to the Minimum Correlation Algorithm from the same author in that it uses the average correlation of each element (asset)
-* to all other elements (asset)s as a means of determining how closely or distantly related an element (asset) is to the universe of elements (assets) chosen.
-*
-* @see <a href="https://cssanalytics.wordpress.com/2013/11/26/fast-threshold-clustering-algorithm-ftca/">Fast Threshold Clustering Algorithm (FTCA)</a>
-* 
-* @param {Array.<Array.<number>>} correlationMatrix the correlation matrix (rho_ij),i,j=1..n, an array arr of n arrays of n real numbers 
-* satisfying arr[i-1][j-1] = rho_ij, i,j=1..n, where n is a strictly positive natural integer.
-* @param {number} threshold the correlation threshold to use in the FTCA algorithm, a real number typically belonging to interval [-1, 1].
-* @return {Array.<Array.<number>>} the list of clusters as computed by the FTCA algorithm, array of m arrays of strictly positive integers representing the indexes of the elements in the considered universe, where m is the number of clusters, with the m arrays forming a partition of the set [1..n].
-*
-* @example
-* ftca_([[1, 0], [0,1]]), 0.5);
-*  // [[2],[1]]
-*/
-function ftca_(correlationMatrix, threshold) {
-	// Decode the optional threshold
-	var threshold = threshold;
-	if (threshold === undefined) {
-		threshold = 0.5;
-	}
-	
-	// Convert the correlation matrix to matrix format
-	var correlationMatrix = new Matrix_(correlationMatrix);
-	
-	// The list of output clusters, to be populated
-	var clusters = [];
-
-	// The list of elements indexes not assigned to any cluster, initialized with all elements indexes (initially, no clusters are existing)
-	var nbElements = correlationMatrix.nbRows;
-	var unassignedElementsIdx = new Array(nbElements);
-	for (var i = 0; i < unassignedElementsIdx.length; ++i) {
-		unassignedElementsIdx[i] = i + 1;
-	}
-
-	// While there are elements that have not been assigned to a cluster
-	while (unassignedElementsIdx.length != 0) {
-		// If only one element remaining then
-		if (unassignedElementsIdx.length === 1) {
-			// Add a new cluster
-			// Only member is the remaining element, set as not unassigned anymore
-			var newCluster = [unassignedElementsIdx[0]];
-			unassignedElementsIdx[0] = null;
-			
-			// Effectively add the new cluster into the list of clusters
-			clusters.push(newCluster);
-		}	
-		else {
-			// Get the (sub)correlation matix of the unassigned elements
-			var subCorrMat = correlationMatrix.submatrix(unassignedElementsIdx, unassignedElementsIdx);
-			
-			// Compute the average correlation of each unassigned element to all the other unassigned elements
-			// Computation is done for each row
-			var subCorrMatRows = subCorrMat.toRowArray(function(i, j, val) {
-				return i != j;
-			});
-			var avgCorrelation = new Array(unassignedElementsIdx);
-			for (var i = 0; i < unassignedElementsIdx.length; ++i) {
-				avgCorrelation[i] = mean_(subCorrMatRows[i]);
-			}
-				
-			// Find the element with the Highest Average Correlation (HC) to all elements not yet been assigned to a Cluster
-			// Find the element with the Lowest Average Correlation (LC) to all elements not yet assigned to a Cluster
-			// Note: When only 2 elements are remaining, HC will be equal to LC
-			var hc = 0;
-			var hcIdx = -1;
-			var highestAvgCorrelation = -1;
-			var lc = 0;
-			var lcIdx = -1;
-			var lowestAvgCorrelation = 1;		
-			for (var i = 0; i < unassignedElementsIdx.length; ++i) {
-				if (avgCorrelation[i] >= highestAvgCorrelation) {
-					hc = unassignedElementsIdx[i];
-					hcIdx = i;
-					highestAvgCorrelation = avgCorrelation[i];
-				}
-				if (avgCorrelation[i] <= lowestAvgCorrelation) {
-					lc = unassignedElementsIdx[i];
-					lcIdx = i;
-					lowestAvgCorrelation = avgCorrelation[i];
-				}
-			}
-			
-			// If Correlation between HC and LC > Threshold
-			if (correlationMatrix.getValueAt(hc, lc) > threshold) {
-				// Add a new Cluster made of HC and LC and set these two elements as not unassigned anymore
-				// (Unless HC == LC, which can happen, for instance when there are only two elements remaining)
-				var newClusterHcLc = (hc === lc ? [hc] : [hc, lc]);
-				unassignedElementsIdx[hcIdx] = null;
-				unassignedElementsIdx[lcIdx] = null;
-				
-				// Add to Cluster all other elements that have yet been assigned to a Cluster and have an Average Correlation to HC and LC > Threshold
-				// Note: In Systematic Investor R code, all remaining elements are put inthe HcLc cluster, disregarding the condition on the correlation above.
-				for (var i = 0; i < unassignedElementsIdx.length; ++i) {
-					if (unassignedElementsIdx[i] !== null) { // Skip assigned elements (HC and LC)
-						var avgHcLcAssetCorrelation = (correlationMatrix.getValueAt(unassignedElementsIdx[i], hc) + correlationMatrix.getValueAt(unassignedElementsIdx[i], lc)) / 2;
-						if (avgHcLcAssetCorrelation  > threshold) {
-							newClusterHcLc.push(unassignedElementsIdx[i]);
-							
-							// Set the element as not unassigned anymore
-							unassignedElementsIdx[i] = null;
-						}
-					}
-				}
-			   
-				// Effectively add the new cluster into the list of clusters				
-				clusters.push(newClusterHcLc);
-			}
-			// Else
-			else {
-				// Add a Cluster made of HC and set this element as not unassigned anymore
-				var newClusterHc = [hc];
-				unassignedElementsIdx[hcIdx] = null;
-				
-				// Add to Cluster all other assets that have yet been assigned to a Cluster and have a Correlation to HC > Threshold
-				for (var i = 0; i < unassignedElementsIdx.length; ++i) {
-					if (unassignedElementsIdx[i] !== null) { // Skip assigned assets (HC)
-						if (correlationMatrix.getValueAt(unassignedElementsIdx[i], hc) > threshold) {
-							newClusterHc.push(unassignedElementsIdx[i]);
-							
-							// Set the element as not unassigned anymore
-							unassignedElementsIdx[i] = null;
-						}
-					}
-				}
-				
-				// Effectively add the new cluster into the list of clusters				
-				clusters.push(newClusterHc);
-
-				// Add a Cluster made of LC and set this element as not unassigned anymore
-				// (Unless HC == LC, which can happen, for instance when there are only two elements remaining)
-				if (hc !== lc) {
-					// Note: At this stage, the LC element cannot have been assigned to the Hc cluster above if LC <> HC, since
-					// otherwise, it would mean corr(lc, hc) > threshold, which is incompatible with the "else" branch in which
-					// the code currently is; Lc cluster is thus always non empty.
-					var newClusterLc = [lc];
-					unassignedElementsIdx[lcIdx] = null;
-					
-					// Add to Cluster all other assets that have yet been assigned to a Cluster and have Correlation to LC > Threshold
-					for (var i = 0; i < unassignedElementsIdx.length; ++i) {
-						if (unassignedElementsIdx[i] !== null) { // Skip assigned assets (HC with its correlated assets, and LC)
-							if (correlationMatrix.getValueAt(unassignedElementsIdx[i], lc) > threshold) {
-								newClusterLc.push(unassignedElementsIdx[i]);
-								
-								// Set the element as not unassigned anymore
-								unassignedElementsIdx[i] = null;
-							}
-						}
-					}
-
-					// Effectively add the new cluster into the list of clusters				
-					clusters.push(newClusterLc);
-				}
-				
-				// Note: In Systematic Investor R code, it is possible for an element to belong to the two clusters Hc and Lc, in which case Hc is the final cluster,
-				// which is conform to the description of the reference.
-			}
-		}
-		
-		// Effectively remove the assigned elements indexes (now pointing to null)  from the list of unassigned elements
-		var newUnassignedElementsIdx = [];
-		for (var i = 0; i < unassignedElementsIdx.length; ++i) {
-			if (unassignedElementsIdx[i] !== null) {
-				newUnassignedElementsIdx.push(unassignedElementsIdx[i]);
-			}
-		}
-		unassignedElementsIdx = newUnassignedElementsIdx;
-	}
-
-	// Return the computed list of clusters
-	return clusters;
-}
-
-
-
 /**
 * @function mean_
 *
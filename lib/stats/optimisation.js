@@ -7,6 +7,7 @@
 self.lpsolvePDHG_ = lpsolvePDHG_;
 self.qpsolveGSMO_ = qpsolveGSMO_;
 self.qksolveBS_ = qksolveBS_;
+self.qpsolveADMM_ = qpsolveADMM_;
 /* End Wrapper private methods - Unit tests usage only */
  
 
@@ -1095,3 +1096,467 @@ function qksolveBS_(d, a, b, r, l, u, opt) {
  }
  
  
+
+
+/**
+* @function qpsolveADMM_
+*
+* @summary Returns an optimal solution to a convex quadratic program with general linear constraints, 
+* using an alternating direction method of multipliers algorithm.
+*
+* @description This function computes an optimal solution to a convex quadratic program 
+* with general linear equality constraints, linear inequality constraints and bound constraints
+* using the operator splitting ADMM algorithm described in the first reference.
+*
+* The quadratic program to solve is assumed to be provided in the following format:
+*
+* min f(x) = 1/2 * <Q*x/x> + <p/x>
+*
+* s.t. Ae*x = be (equality constraints)
+*      Ai*x <= bi (inequality constraints)
+*      lb <= x <= ub (bound constraints)
+*
+* with:
+* - Q an n by n square symetric positive semi-definite matrix
+* - p an n by 1 matrix
+* - Ae an optional me by n matrix
+* - be an optional me by 1 matrix
+* - Ai an optional mi by n matrix
+* - bi an optional mi by 1 matrix
+* - lb an optional n by 1 matrix, which can contain negative infinity values (-Infinity) corresponding to unbounded variables on the negative axis
+* - ub an optional n by 1 matrix, which can contain positive infinity values (Infinity) corresponding to unbounded variables on the positive axis
+*
+* and with:
+* - lb assumed to be an n by 1 matrix made of zeroes if not provided
+* - ub assumed to be an n by 1 matrix made of positive infinity values if not provided
+*
+* Contrary to the algorithm used in the lpsolvePDHG_ function, the algorithm used internally does not require the quadratic program 
+* to be feasible and bounded: if the quadratic program is either infeasible (i.e., its feasible set is empty) or unbounded 
+* (i.e., f is not bounded below on its feasible set), this is detected thanks to the certificates of primal and dual infeasibility
+* described in the section 3.4 of the first reference, and an error is returned.
+*
+* To be noted that the ADMM algorithm converging to a solution of the quadratic program only asymptotically, the bound constraints 
+* lb <= x <= ub are enforced on the returned solution by projection, while the other constraints are only satisfied up to the 
+* requested tolerance.
+*
+* @see <a href="https://arxiv.org/abs/1711.08013">Bartolomeo Stellato, Goran Banjac, Paul Goulart, Alberto Bemporad, Stephen Boyd, OSQP: An Operator Splitting Solver for Quadratic Programs, arXiv:1711.08013 [math.OC]</a>
+* @see <a href="https://doi.org/10.1561/2200000016">Stephen Boyd, Neal Parikh, Eric Chu, Borja Peleato and Jonathan Eckstein (2011), Distributed Optimization and Statistical Learning via the Alternating Direction Method of Multipliers, Foundations and Trends in Machine Learning: Vol. 3: No. 1, pp 1-122.</a>
+*
+* @param {Matrix_} Ae an optional me by n matrix; must be null if not provided.
+* @param {Matrix_} be an optional me by 1 matrix; must be null if not provided.
+* @param {Matrix_} Ai an optional mi by n matrix; must be null if not provided.
+* @param {Matrix_} bi an optional mi by 1 matrix; must be null if not provided.
+* @param {Matrix_} Q a square symetric positive semi-definite n by n matrix.
+* @param {Matrix_} p an n by 1 matrix.
+* @param {Matrix_} lb an optional n by 1 matrix; must be null if not provided.
+* @param {Matrix_} ub an optional n by 1 matrix; must be null if not provided.
+* @param {object} opt optional parameters for the algorithm.
+* @param {number} opt.eps tolerance for the convergence of the algorithm, a strictly positive real number; defaults to 1e-08.
+* @param {number} opt.maxIter maximum number of iterations of the algorithm, a strictly positive natural integer or -1 to force an infinite number of iterations; defaults to 100000.
+* @return {Array<Object>} an array arr containing two elements: 
+* - arr[0] an n by 1 matrix containing the optimal solution x^* (in case Q is positive definite) 
+* or an optimal solution x^* (in case Q is positive semi-definite) to the quadratic program
+* - arr[1] the optimal value of the function f, i.e. f(x^*)
+*
+* @example
+* qpsolveADMM_(Matrix_([[1, 1]]), Matrix_([1]), null, null, Matrix_([[2, 1], [1, 1]]), Matrix_([0, 0]), null, null); // Solves min x^2 + xy + y^2/2 on the unit simplex of R^2
+* // [Matrix_([~0, ~1]), ~0.5]
+*/
+function qpsolveADMM_(Ae, be, Ai, bi, Q, p, lb, ub, opt) {
+    // ------
+    
+	// Decode options
+	if (opt === undefined) {
+		opt = {};
+	}
+	var eps = opt.eps || 1e-08;
+	var maxIterations = opt.maxIter || 100000;
+	
+
+	// ------
+
+	// Misc. checks
+	var eqContraints = false;
+	var ineqContraints = false;
+	var boundContraints = false;
+	
+	if (Ae !== null && be !== null) {
+		eqContraints = true;
+	}
+	else if (Ae !== null && be === null) {
+		throw new Error('equality constraints vector is missing');
+	}
+	else if (Ae === null && be !== null) {
+		throw new Error('equality constraints matrix is missing');
+	}
+
+	if (Ai !== null && bi !== null) {
+		ineqContraints = true;
+	}
+	else if (Ai !== null && bi === null) {
+		throw new Error('inequality constraints vector is missing');
+	}
+	else if (Ai === null && bi !== null) {
+		throw new Error('inequality constraints matrix is missing');
+	}
+	
+	if (lb !== null && ub !== null) {
+	    boundContraints = true;
+	}
+	else if (lb !== null && ub === null ) {
+    	throw new Error('upper bounds constraints vector is missing');
+	}
+	else if (lb === null && ub !== null ) {
+    	throw new Error('lower bounds constraints vector is missing');
+	}
+	
+	if (!(Q instanceof Matrix_)) {
+		throw new Error('fifth input must be a matrix');
+	}
+	if (!Q.isSquare()) {
+		throw new Error('fifth input must be a square matrix');
+	}
+	if (!(p instanceof Matrix_)) {
+		throw new Error('sixth input must be a matrix');
+	}
+	if (p.nbColumns !== 1) {
+		throw new Error('sixth input is not a vector: ' + p.nbColumns + '-' + p.nbRows);
+	}
+	if (Q.nbRows !== p.nbRows) {
+		throw new Error('fifth and sixth inputs number of rows do not match: ' + Q.nbRows + '-' + p.nbRows);
+	}
+	
+	if (eqContraints) {
+		if (!(Ae instanceof Matrix_)) {
+			throw new Error('first input must be a matrix');
+		}
+		if (!(be instanceof Matrix_)) {
+			throw new Error('second input must be a matrix');
+		}
+		if (Ae.nbRows !== be.nbRows) {
+			throw new Error('first and second inputs number of rows do not match: ' + Ae.nbRows + '-' + be.nbRows);
+		}
+		if (Ae.nbColumns !== p.nbRows) {
+			throw new Error('first input number of columns and sixth input number of rows do not match: ' + Ae.nbColumns + '-' + p.nbRows);
+		}
+		if (be.nbColumns !== 1) {
+			throw new Error('second input is not a vector: ' + be.nbColumns + '-' + be.nbRows);
+		}
+	}
+	
+	if (ineqContraints) {
+		if (!(Ai instanceof Matrix_)) {
+			throw new Error('third input must be a matrix');
+		}
+		if (!(bi instanceof Matrix_)) {
+			throw new Error('fourth input must be a matrix');
+		}
+		if (Ai.nbRows !== bi.nbRows) {
+			throw new Error('third and fourth inputs number of rows do not match: ' + Ai.nbRows + '-' + bi.nbRows);
+		}
+		if (Ai.nbColumns !== p.nbRows) {
+			throw new Error('third input number of columns and sixth input number of rows do not match: ' + Ai.nbColumns + '-' + p.nbRows);
+		}
+		if (bi.nbColumns !== 1) {
+			throw new Error('fourth input is not a vector: ' + bi.nbColumns + '-' + bi.nbRows);
+		}
+	}
+	
+	if (boundContraints) {
+		if (!(lb instanceof Matrix_)) {
+			throw new Error('seventh input must be a matrix');
+		}
+		if (lb.nbRows !== p.nbRows) {
+			throw new Error('seventh input number of rows and sixth input number of rows do not match: ' + lb.nbRows + '-' + p.nbRows);
+		}
+		if (!(ub instanceof Matrix_)) {
+			throw new Error('eighth input must be a matrix');
+		}
+		if (ub.nbRows !== p.nbRows) {
+			throw new Error('eighth input number of rows and sixth input number of rows do not match: ' + ub.nbRows + '-' + p.nbRows);
+		}
+	}
+
+	
+	// ------
+	
+	// Initializations
+	var n = p.nbRows;
+	var me = eqContraints ? Ae.nbRows : 0; // the number of equality constraints
+	var mi = ineqContraints ? Ai.nbRows : 0; // the number of inequality (<=) constraints
+	var m = me + mi + n; // the total number of constraints, including the bound constraints
+	
+	// Default bound constraints
+	if (!boundContraints) {
+		lb = Matrix_.zeros(n, 1);
+		ub = Matrix_.fill(n, 1, function(i,j) { return Infinity; });
+	}
+	
+	// Rewrite all the constraints in the format l <= A*x <= u, c.f. formula 1 of the first reference, 
+	// with:
+	// - A = [Ae Ai I_n]^t
+	// - l = [be -Infinity lb]^t
+	// - u = [be bi ub]^t
+	var A = Matrix_.fill(m, n, 
+						 function(i,j) { 
+							if (i <= me) {
+								return Ae.data[(i-1)*n + (j-1)];
+							}
+							else if (i <= me + mi) {
+								return Ai.data[(i-me-1)*n + (j-1)];
+							}
+							else {
+								return (i-me-mi == j) ? 1 : 0;
+							}
+						 });
+	var l = Matrix_.fill(m, 1, 
+						 function(i,j) { 
+							if (i <= me) {
+								return be.data[i-1];
+							}
+							else if (i <= me + mi) {
+								return -Infinity;
+							}
+							else {
+								return lb.data[i-me-mi-1];
+							}
+						 });
+	var u = Matrix_.fill(m, 1, 
+						 function(i,j) { 
+							if (i <= me) {
+								return be.data[i-1];
+							}
+							else if (i <= me + mi) {
+								return bi.data[i-me-1];
+							}
+							else {
+								return ub.data[i-me-mi-1];
+							}
+						 });
+	
+	// Parameters of the algorithm, c.f. section 5.2 of the first reference:
+	// - sigma, the regularization parameter of the linear system, a small positive real number
+	// - alpha, the relaxation parameter, a real number belonging to ]0,2[
+	// - rho, the step size parameters, a vector of m positive real numbers, with larger values for
+	// the equality constraints, and smaller values for the constraints unbounded on both sides
+	var sigma = 1e-06;
+	var alpha = 1.6;
+	var rhoMin = 1e-06;
+	var rhoMax = 1e06;
+	var rhoEqScale = 1e03;
+	var rhoBar = 0.1; // the base step size parameter
+	var rho = Matrix_.zeros(m, 1);
+	
+	// Parameters of the step size adaptation, c.f. section 5.2 of the first reference
+	var rhoAdaptationFrequency = 25;
+	var rhoAdaptationTolerance = 5;
+	
+	// Tolerance for the detection of primal and dual infeasibility
+	var epsInfeasibility = 1e-06;
+	
+	// Iterates
+	var x_k = Matrix_.zeros(n, 1); // the primal iterate x_k
+	var z_k = Matrix_.zeros(m, 1); // the primal iterate z_k
+	var y_k = Matrix_.zeros(m, 1); // the dual iterate y_k
+	var x_tilde = Matrix_.zeros(n, 1); 
+	var z_tilde = Matrix_.zeros(m, 1);
+	var delta_x = Matrix_.zeros(n, 1); // the residual x_k+1 - x_k
+	var delta_y = Matrix_.zeros(m, 1); // the residual y_k+1 - y_k
+
+    // Misc.
+	var tmp_vec_n = Matrix_.zeros(n, 1); // a temporary placeholder vector of dimension n
+	var tmp_vec_m = Matrix_.zeros(m, 1); // a temporary placeholder vector of dimension m
+	var Ax = Matrix_.zeros(m, 1); // the vector A*x_k
+	var Qx = Matrix_.zeros(n, 1); // the vector Q*x_k
+	var Aty = Matrix_.zeros(n, 1); // the vector A^t*y_k
+	var QR; // the QR decomposition of the matrix of the linear system to be solved at each iteration
+	
+	
+	// ------
+	
+	// Main loop of the algorithm, c.f. algorithm 1 of the first reference.
+	//
+	// The convergence is guaranteed by the section 3.3 of the first reference
+	// in case the quadratic program admit a finite optimal solution, and in case
+	// this quadratic program is infeasible or unbounded, this is detected
+	// thanks to the section 3.4 of the first reference.
+	var iter = 0;
+	var updateRho = true;
+	while (true) {
+		// Check the number of iterations
+		if (maxIterations !== -1 && iter > maxIterations) {
+			throw new Error('maximum number of iterations reached: ' + maxIterations);
+		}
+
+		// Update the number of iterations
+		++iter;
+		
+		// Update the step size parameters if required, and compute the QR decomposition
+		// of the matrix Q + sigma*I + A^t*diag(rho)*A of the linear system to be solved at each iteration, 
+		// c.f. formula 24 of the first reference.
+		//
+		// To be noted that the dual iterate y_k is not impacted by a change of rho,
+		// contrary to the scaled dual iterate of the standard ADMM algorithm.
+		if (updateRho) {
+			for (var i = 1; i <= m; ++i) {
+				if (l.data[i-1] == -Infinity && u.data[i-1] == Infinity) {
+					rho.data[i-1] = rhoMin;
+				}
+				else if (l.data[i-1] == u.data[i-1]) {
+					rho.data[i-1] = rhoEqScale * rhoBar;
+				}
+				else {
+					rho.data[i-1] = rhoBar;
+				}
+			}
+			
+			var M = Matrix_.fill(n, n, 
+								 function(i,j) { 
+									var val = Q.data[(i-1)*n + (j-1)];
+									if (i == j) {
+										val += sigma;
+									}
+									for (var k = 0; k < m; ++k) {
+										val += A.data[k*n + (i-1)] * rho.data[k] * A.data[k*n + (j-1)];
+									}
+									return val;
+								 });
+			QR = Matrix_.qrDecomposition(M);
+			
+			updateRho = false;
+		}
+
+		// Primal update of x:
+		// - x_tilde_k+1 solution of (Q + sigma*I + A^t*diag(rho)*A) * x_tilde_k+1 = sigma*x_k - p + A^t*(diag(rho)*z_k - y_k)
+		// - x_k+1 = alpha*x_tilde_k+1 + (1-alpha)*x_k
+		for (var i = 0; i < m; ++i) {
+			tmp_vec_m.data[i] = rho.data[i] * z_k.data[i] - y_k.data[i];
+		}
+		tmp_vec_n = Matrix_.txy(A, tmp_vec_m, tmp_vec_n);
+		for (var i = 0; i < n; ++i) {
+			tmp_vec_n.data[i] += sigma * x_k.data[i] - p.data[i];
+		}
+		x_tilde = Matrix_.linsolveBackSubstitution(QR[1], Matrix_.txy(QR[0], tmp_vec_n), x_tilde);
+		z_tilde = Matrix_.xy(A, x_tilde, z_tilde);
+		for (var i = 0; i < n; ++i) {
+			var x_kp_i = alpha * x_tilde.data[i] + (1 - alpha) * x_k.data[i];
+			delta_x.data[i] = x_kp_i - x_k.data[i];
+			x_k.data[i] = x_kp_i;
+		}
+		
+		// Primal update of z and dual update of y:
+		// - z_k+1 = proj(alpha*z_tilde_k+1 + (1-alpha)*z_k + y_k/rho)_[l, u]
+		// - y_k+1 = y_k + rho*(alpha*z_tilde_k+1 + (1-alpha)*z_k - z_k+1)
+		for (var i = 0; i < m; ++i) {
+			var z_relaxed_i = alpha * z_tilde.data[i] + (1 - alpha) * z_k.data[i];
+			
+			var z_kp_i = z_relaxed_i + y_k.data[i] / rho.data[i];
+			if (z_kp_i < l.data[i]) {
+				z_kp_i = l.data[i];
+			}
+			else if (z_kp_i > u.data[i]) {
+				z_kp_i = u.data[i];
+			}
+			z_k.data[i] = z_kp_i;
+			
+			var y_kp_i = y_k.data[i] + rho.data[i] * (z_relaxed_i - z_kp_i);
+			delta_y.data[i] = y_kp_i - y_k.data[i];
+			y_k.data[i] = y_kp_i;
+		}
+		
+		// Convergence conditions, c.f. section 3.4 of the first reference:
+		// - Primal residual: ||A*x_k - z_k||_inf <= eps * (1 + max(||A*x_k||_inf, ||z_k||_inf))
+		// - Dual residual: ||Q*x_k + p + A^t*y_k||_inf <= eps * (1 + max(||Q*x_k||_inf, ||A^t*y_k||_inf, ||p||_inf))
+		Ax = Matrix_.xy(A, x_k, Ax);
+		Qx = Matrix_.xy(Q, x_k, Qx);
+		Aty = Matrix_.txy(A, y_k, Aty);
+		
+		var res_prim = Matrix_.xmy(Ax, z_k, tmp_vec_m).vectorNorm('infinity');
+		var res_prim_scale = Math.max(Ax.vectorNorm('infinity'), z_k.vectorNorm('infinity'));
+		
+		var res_dual = Matrix_.xpy(Matrix_.xpy(Qx, p, tmp_vec_n), Aty, tmp_vec_n).vectorNorm('infinity');
+		var res_dual_scale = Math.max(Qx.vectorNorm('infinity'), Aty.vectorNorm('infinity'), p.vectorNorm('infinity'));
+		
+		if (res_prim <= eps * (1 + res_prim_scale) && res_dual <= eps * (1 + res_dual_scale)) {
+			break;
+		}
+		
+		// Primal infeasibility detection, c.f. section 3.4 of the first reference:
+		// - ||A^t*delta_y||_inf <= eps_pinf * ||delta_y||_inf
+		// - <u/max(delta_y,0)> + <l/min(delta_y,0)> <= -eps_pinf * ||delta_y||_inf
+		var delta_y_inf_norm = delta_y.vectorNorm('infinity');
+		if (delta_y_inf_norm > epsInfeasibility) {
+			var At_delta_y_inf_norm = Matrix_.txy(A, delta_y, tmp_vec_n).vectorNorm('infinity');
+			
+			if (At_delta_y_inf_norm <= epsInfeasibility * delta_y_inf_norm) {
+				var support = 0;
+				for (var i = 0; i < m; ++i) {
+					var delta_y_i = delta_y.data[i];
+					if (delta_y_i > epsInfeasibility * delta_y_inf_norm) {
+						support += u.data[i] * delta_y_i;
+					}
+					else if (delta_y_i < -epsInfeasibility * delta_y_inf_norm) {
+						support += l.data[i] * delta_y_i;
+					}
+				}
+				if (support <= -epsInfeasibility * delta_y_inf_norm) {
+					throw new Error('infeasible problem detected');
+				}
+			}
+		}
+		
+		// Dual infeasibility detection, c.f. section 3.4 of the first reference:
+		// - ||Q*delta_x||_inf <= eps_dinf * ||delta_x||_inf
+		// - <p/delta_x> <= -eps_dinf * ||delta_x||_inf
+		// - (A*delta_x)_i belongs to [-eps_dinf * ||delta_x||_inf, eps_dinf * ||delta_x||_inf] if l_i and u_i are finite,
+		// to [-eps_dinf * ||delta_x||_inf, +Infinity[ if only l_i is finite, to ]-Infinity, eps_dinf * ||delta_x||_inf] if only u_i is finite
+		var delta_x_inf_norm = delta_x.vectorNorm('infinity');
+		if (delta_x_inf_norm > epsInfeasibility) {
+			var tol = epsInfeasibility * delta_x_inf_norm;
+			if (Matrix_.xy(Q, delta_x, tmp_vec_n).vectorNorm('infinity') <= tol && 
+			    Matrix_.vectorDotProduct(p, delta_x) <= -tol) {
+				var A_delta_x = Matrix_.xy(A, delta_x, tmp_vec_m);
+				var isUnbounded = true;
+				for (var i = 0; i < m; ++i) {
+					var A_delta_x_i = A_delta_x.data[i];
+					if ((u.data[i] != Infinity && A_delta_x_i > tol) || 
+					    (l.data[i] != -Infinity && A_delta_x_i < -tol)) {
+						isUnbounded = false;
+						break;
+					}
+				}
+				if (isUnbounded) {
+					throw new Error('unbounded problem detected');
+				}
+			}
+		}
+		
+		// Step size adaptation, c.f. section 5.2 of the first reference:
+		// rho_bar_new = rho_bar * sqrt( (||r_prim||_inf/max(||A*x_k||_inf, ||z_k||_inf)) / (||r_dual||_inf/max(||Q*x_k||_inf, ||A^t*y_k||_inf, ||p||_inf)) )
+		if (iter % rhoAdaptationFrequency == 0 && res_prim_scale > 0 && res_dual_scale > 0 && res_dual > 0) {
+			var rhoBarNew = rhoBar * Math.sqrt((res_prim / res_prim_scale) / (res_dual / res_dual_scale));
+			rhoBarNew = Math.min(Math.max(rhoBarNew, rhoMin), rhoMax);
+			if (rhoBarNew > rhoAdaptationTolerance * rhoBar || rhoBarNew < rhoBar / rhoAdaptationTolerance) {
+				rhoBar = rhoBarNew;
+				updateRho = true;
+			}
+		}
+	}
+	
+	// Enforce the bound constraints on the computed solution.
+	for (var i = 0; i < n; ++i) {
+		if (x_k.data[i] < lb.data[i]) {
+			x_k.data[i] = lb.data[i];
+		}
+		else if (x_k.data[i] > ub.data[i]) {
+			x_k.data[i] = ub.data[i];
+		}
+	}
+	
+	// Compute the objective function value.
+	var fctVal = 1/2 * Matrix_.vectorDotProduct(x_k, Matrix_.xy(Q, x_k)) + Matrix_.vectorDotProduct(p, x_k);
+
+	// Return the computed primal iterate and the associated objective
+	// function value.
+	return [x_k, fctVal];
+}
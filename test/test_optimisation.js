@@ -1035,3 +1035,126 @@ QUnit.test('Linear programming solver - Primal Dual Hybrid Gradient', function(a
   }*/
 });
 
+
+
+QUnit.test('Quadratic programming solver (general linear constraints) - Alternating Direction Method of Multipliers algorithm', function(assert) {    
+	// Reference: Goldfarb, D. and Idnani, A. (1983). A numerically stable dual method for solving strictly convex quadratic programs. Mathematical Programming, 27, 1–33.
+	// Example of the quadprog R package
+	{
+		var Q = PortfolioAllocation.Matrix.identity(3);
+		var p = new PortfolioAllocation.Matrix([0, -5, 0]);
+		var Ai = new PortfolioAllocation.Matrix([[4, 3, 0], [-2, -1, 0], [0, 2, -1]]);
+		var bi = new PortfolioAllocation.Matrix([8, -2, 0]);
+		var lb = new PortfolioAllocation.Matrix([-Infinity, -Infinity, -Infinity]);
+		var ub = new PortfolioAllocation.Matrix([Infinity, Infinity, Infinity]);
+		
+		var sol = PortfolioAllocation.qpsolveADMM_(null, null, Ai, bi, Q, p, lb, ub);
+		
+		var expectedX = new PortfolioAllocation.Matrix([0.4761904761904762, 1.0476190476190477, 2.0952380952380953]);
+		var expectedMinVal = -2.380952380952381;
+		
+		assert.equal(PortfolioAllocation.Matrix.areEqual(sol[0], expectedX, 1e-06), true, 'Feasible #1 - 1/2');
+		assert.equal(Math.abs(sol[1] - expectedMinVal) <= Math.abs(expectedMinVal) * 1e-06, true, 'Feasible #1 - 2/2');
+	}
+	
+	// Quadratic program on the unit simplex, with default bound constraints
+	{
+		var Q = new PortfolioAllocation.Matrix([[2, 1], [1, 1]]);
+		var p = new PortfolioAllocation.Matrix([0, 0]);
+		var Ae = new PortfolioAllocation.Matrix([[1, 1]]);
+		var be = new PortfolioAllocation.Matrix([1]);
+		
+		var sol = PortfolioAllocation.qpsolveADMM_(Ae, be, null, null, Q, p, null, null);
+		
+		var expectedX = new PortfolioAllocation.Matrix([0, 1]);
+		var expectedMinVal = 0.5;
+		
+		assert.equal(PortfolioAllocation.Matrix.areEqual(sol[0], expectedX, 1e-06), true, 'Feasible #2 - 1/2');
+		assert.equal(Math.abs(sol[1] - expectedMinVal) <= Math.abs(expectedMinVal) * 1e-06, true, 'Feasible #2 - 2/2');
+	}
+	
+	// Comparison with the GSMO algorithm, using the covariance matrix and the constraints of the GMV test case #8
+	{
+		var Q = new PortfolioAllocation.Matrix([[94.868,33.750,12.325,-1.178,8.778],
+					                            [33.750,445.642,98.955,-7.901,84.954],
+					                            [12.325,98.955,117.265,0.503,45.184],
+					                            [-1.178,-7.901,0.503,5.460,1.057],
+					                            [8.778,84.954,45.184,1.057,34.126]]);
+		var p = PortfolioAllocation.Matrix.zeros(5, 1);
+		var lb = new PortfolioAllocation.Matrix([0.05, 0.05, 0.05, 0.05, 0.05]);
+		var ub = new PortfolioAllocation.Matrix([0.35, 0.35, 0.35, 0.35, 0.35]);
+		
+		var sol = PortfolioAllocation.qpsolveADMM_(PortfolioAllocation.Matrix.ones(1, 5), new PortfolioAllocation.Matrix([1]), null, null, Q, p, lb, ub);
+		var expectedSol = PortfolioAllocation.qpsolveGSMO_(Q, p, PortfolioAllocation.Matrix.ones(5, 1), 1, lb, ub, {eps: 1e-10});
+		
+		assert.equal(PortfolioAllocation.Matrix.areEqual(sol[0], expectedSol[0], 1e-06), true, 'Feasible #3 - 1/2');
+		assert.equal(Math.abs(sol[1] - expectedSol[1]) <= Math.abs(expectedSol[1]) * 1e-06, true, 'Feasible #3 - 2/2');
+	}
+	
+	// Reference: Vanderbei, Robert J, Linear Programming Foundations and Extensions 4th edition
+	// Linear program, p. 11
+	{
+		var Q = PortfolioAllocation.Matrix.zeros(3, 3);
+		var Ai = new PortfolioAllocation.Matrix([[2, 3, 1], [4, 1, 2], [3, 4, 2]]);
+		var bi = new PortfolioAllocation.Matrix([5, 11, 8]);
+		var p = new PortfolioAllocation.Matrix([-5, -4, -3]);
+		
+		var sol = PortfolioAllocation.qpsolveADMM_(null, null, Ai, bi, Q, p, null, null);
+
+		var expectedX = new PortfolioAllocation.Matrix([2, 0, 1]);
+		var expectedMinVal = -13;
+		
+		assert.equal(PortfolioAllocation.Matrix.areEqual(sol[0], expectedX, 1e-04), true, 'Feasible #4 - 1/2');
+		assert.equal(Math.abs(sol[1] - expectedMinVal) <= Math.abs(expectedMinVal) * 1e-06, true, 'Feasible #4 - 2/2');
+	}
+	
+	// Reference: Vanderbei, Robert J, Linear Programming Foundations and Extensions 4th edition
+	// Infeasible linear program, p. 7
+	{
+		var Q = PortfolioAllocation.Matrix.zeros(2, 2);
+		var Ai = new PortfolioAllocation.Matrix([[1, 1], [-2, -2]]);
+		var bi = new PortfolioAllocation.Matrix([2, -9]);
+		var p = new PortfolioAllocation.Matrix([-5, -4]);
+
+		assert.throws(function() { PortfolioAllocation.qpsolveADMM_(null, null, Ai, bi, Q, p, null, null) },
+		                           new Error('infeasible problem detected'),
+		                           'Infeasible #1');
+	}
+	
+	// Infeasible quadratic program, due to the bound constraints
+	{
+		var Q = PortfolioAllocation.Matrix.identity(2);
+		var p = PortfolioAllocation.Matrix.zeros(2, 1);
+		var Ae = new PortfolioAllocation.Matrix([[1, 1]]);
+		var be = new PortfolioAllocation.Matrix([3]);
+		var lb = PortfolioAllocation.Matrix.zeros(2, 1);
+		var ub = PortfolioAllocation.Matrix.ones(2, 1);
+
+		assert.throws(function() { PortfolioAllocation.qpsolveADMM_(Ae, be, null, null, Q, p, lb, ub) },
+		                           new Error('infeasible problem detected'),
+		                           'Infeasible #2');
+	}
+	
+	// Reference: Vanderbei, Robert J, Linear Programming Foundations and Extensions 4th edition
+	// Unbounded linear program, p. 7
+	{
+		var Q = PortfolioAllocation.Matrix.zeros(2, 2);
+		var Ai = new PortfolioAllocation.Matrix([[-2, 1], [-1, -2]]);
+		var bi = new PortfolioAllocation.Matrix([-1, -2]);
+		var p = new PortfolioAllocation.Matrix([-1, 4]);
+		
+		assert.throws(function() { PortfolioAllocation.qpsolveADMM_(null, null, Ai, bi, Q, p, null, null) },
+		                           new Error('unbounded problem detected'),
+		                           'Unbounded #1');
+	}
+	
+	// Unbounded quadratic program, with a positive semi-definite matrix
+	{
+		var Q = new PortfolioAllocation.Matrix([[1, 0], [0, 0]]);
+		var p = new PortfolioAllocation.Matrix([0, -1]);
+		
+		assert.throws(function() { PortfolioAllocation.qpsolveADMM_(null, null, null, null, Q, p, null, null) },
+		                           new Error('unbounded problem detected'),
+		                           'Unbounded #2');
+	}
+});
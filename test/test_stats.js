@@ -188,3 +188,111 @@ QUnit.test('FTCA computation', function(assert) {
   }
   
 });
+
+
+
+QUnit.test('Hierarchical clustering computation', function(assert) {    
+  // Hierarchical clustering test, using static data corresponding to elements located at 0, 1, 3 and 7 on the real line, 
+  // with expected dendrograms computed by hand
+  {
+	  var distMat = [[0, 1, 3, 7], [1, 0, 2, 6], [3, 2, 0, 4], [7, 6, 4, 0]];
+	  
+	  var linkageMethods = ['single', 'complete', 'average', 'ward'];
+	  var expectedDendrograms = [ [[1, 2, 1, 2], [3, 5, 2, 3], [4, 6, 4, 4]],
+								  [[1, 2, 1, 2], [3, 5, 3, 3], [4, 6, 7, 4]],
+								  [[1, 2, 1, 2], [3, 5, 2.5, 3], [4, 6, 17/3, 4]],
+								  [[1, 2, 1, 2], [3, 5, Math.sqrt(25/3), 3], [4, 6, Math.sqrt(1.5) * 17/3, 4]] ];
+	  for (var i = 0; i < linkageMethods.length; ++i) {
+		var dendrogram = PortfolioAllocation.hierarchicalClustering_(distMat, linkageMethods[i]);
+		for (var k = 0; k < expectedDendrograms[i].length; ++k) {
+			assert.equal(dendrogram[k][0], expectedDendrograms[i][k][0], "Hierarchical clustering - Test 1 #" + i + " " + k + " - First cluster");
+			assert.equal(dendrogram[k][1], expectedDendrograms[i][k][1], "Hierarchical clustering - Test 1 #" + i + " " + k + " - Second cluster");
+			assert.equal(Math.abs(dendrogram[k][2] - expectedDendrograms[i][k][2]) <= 1e-12, true, "Hierarchical clustering - Test 1 #" + i + " " + k + " - Distance");
+			assert.equal(dendrogram[k][3], expectedDendrograms[i][k][3], "Hierarchical clustering - Test 1 #" + i + " " + k + " - Size");
+		}
+	  }
+  }
+  
+  // Hierarchical clustering test, unsupported linkage method
+  {
+	assert.throws(function() { 
+		PortfolioAllocation.hierarchicalClustering_([[0, 1], [1, 0]], 'unsupported') },
+		new Error('unsupported linkage method'),
+		"Hierarchical clustering - Unsupported linkage method");
+  }
+});
+
+
+
+QUnit.test('Dendrogram cut computation', function(assert) {    
+  // Dendrogram cut test, using the single linkage dendrogram of elements located at 0, 1, 3 and 7 on the real line
+  {
+	  var dendrogram = PortfolioAllocation.hierarchicalClustering_([[0, 1, 3, 7], [1, 0, 2, 6], [3, 2, 0, 4], [7, 6, 4, 0]], 'single');
+	  
+	  // Cut into a given number of clusters
+	  var nbClusters = [1, 2, 3, 4];
+	  var expectedClusters = [ [[1, 2, 3, 4]], [[1, 2, 3], [4]], [[1, 2], [3], [4]], [[1], [2], [3], [4]] ];
+	  for (var i = 0; i < nbClusters.length; ++i) {
+		var clusters = PortfolioAllocation.cutDendrogram_(dendrogram, {nbClusters: nbClusters[i]});
+		assert.deepEqual(clusters, expectedClusters[i], "Dendrogram cut - Number of clusters #" + i);
+	  }
+	  
+	  // Cut at a given distance
+	  var maxDistances = [0, 1, 1.5, 2, 4];
+	  var expectedClusters = [ [[1], [2], [3], [4]], [[1, 2], [3], [4]], [[1, 2], [3], [4]], [[1, 2, 3], [4]], [[1, 2, 3, 4]] ];
+	  for (var i = 0; i < maxDistances.length; ++i) {
+		var clusters = PortfolioAllocation.cutDendrogram_(dendrogram, {maxDistance: maxDistances[i]});
+		assert.deepEqual(clusters, expectedClusters[i], "Dendrogram cut - Maximum distance #" + i);
+	  }
+	  
+	  // Invalid cuts
+	  assert.throws(function() { 
+		PortfolioAllocation.cutDendrogram_(dendrogram, {nbClusters: 5}) },
+		new Error('invalid number of clusters: 5'),
+		"Dendrogram cut - Invalid number of clusters");
+	  assert.throws(function() { 
+		PortfolioAllocation.cutDendrogram_(dendrogram, {}) },
+		new Error('missing number of clusters or maximum distance'),
+		"Dendrogram cut - Missing cut parameters");
+  }
+});
+
+
+
+QUnit.test('K-medoids computation', function(assert) {    
+  // K-medoids test, using static data corresponding to elements located at 0, 1, 3 and 7 on the real line, 
+  // with expected clusters minimizing the sum of the distances of the elements to their medoids
+  {
+	  var distMat = [[0, 1, 3, 7], [1, 0, 2, 6], [3, 2, 0, 4], [7, 6, 4, 0]];
+	  
+	  var nbClusters = [1, 2, 3, 4];
+	  var expectedClusters = [ [[1, 2, 3, 4]], [[1, 2, 3], [4]], [[1, 2], [3], [4]], [[1], [2], [3], [4]] ];
+	  for (var i = 0; i < nbClusters.length; ++i) {
+		var clusters = PortfolioAllocation.kMedoids_(distMat, nbClusters[i]);
+		assert.deepEqual(clusters, expectedClusters[i], "K-medoids - Test 1 #" + i);
+	  }
+  }
+  
+  // K-medoids test, using static data made of two groups of elements located around 0 and around 10 on the real line
+  {
+	  var positions = [0, 10, 0.5, 9.5, 1, 10.5];
+	  var distMat = new Array(positions.length);
+	  for (var i = 0; i < positions.length; ++i) {
+		distMat[i] = new Array(positions.length);
+		for (var j = 0; j < positions.length; ++j) {
+			distMat[i][j] = Math.abs(positions[i] - positions[j]);
+		}
+	  }
+	  
+	  var clusters = PortfolioAllocation.kMedoids_(distMat, 2);
+	  assert.deepEqual(clusters, [[1, 3, 5], [2, 4, 6]], "K-medoids - Test 2");
+  }
+  
+  // K-medoids test, invalid number of clusters
+  {
+	assert.throws(function() { 
+		PortfolioAllocation.kMedoids_([[0, 1], [1, 0]], 3) },
+		new Error('invalid number of clusters: 3'),
+		"K-medoids - Invalid number of clusters");
+  }
+});
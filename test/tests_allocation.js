@@ -208,6 +208,52 @@ QUnit.test('Risk budgeting portfolio', function(assert) {
 			assert.equal(Math.abs(weights[i] - Math.sqrt(rb[i]) * 1/Math.sqrt(sigma[i][i]) / denom) <= 1e-8, true, 'RB - Values #2 ' + i);  
 		}
 	}
+	
+	// Reference: Richard, Jean-Charles and Roncalli, Thierry, Constrained Risk Budgeting Portfolios: Theory, Algorithms, Applications & Puzzles
+	// Groups constraints, with expected values computed thanks to the first order conditions of the constrained problem
+	{
+		var sigma = [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]];
+		var rb = [1/3, 1/3, 1/3];
+		
+		// Non binding groups constraints
+		var weights = PortfolioAllocation.riskBudgetingWeights(sigma, rb, {constraints: {groups: [{assets: [1], maxWeight: 0.5}]}});
+		var expectedWeights = PortfolioAllocation.riskBudgetingWeights(sigma, rb);
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'RB - Values #3, non binding groups constraints ' + i);
+		}
+		
+		// Binding groups constraints
+		var weights = PortfolioAllocation.riskBudgetingWeights(sigma, rb, {constraints: {groups: [{assets: [1], maxWeight: 0.4}]}});
+		var expectedWeights = [0.4, 0.34579448634779053, 0.2542055136522094];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'RB - Values #3, binding groups constraints ' + i);
+		}
+		
+		// Infeasible groups constraints
+		assert.throws(function() { 
+			PortfolioAllocation.riskBudgetingWeights(sigma, rb, {constraints: {groups: [{assets: [1], minWeight: 0.6, maxWeight: 0.5}]}}) },
+			new Error('infeasible problem detected'),
+			"RB - Infeasible groups constraints");
+	}
+	
+	// Unsupported long-short constraints
+	{
+		var sigma = [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]];
+		var rb = [1/3, 1/3, 1/3];
+		
+		assert.throws(function() { 
+			PortfolioAllocation.riskBudgetingWeights(sigma, rb, {constraints: {minWeights: [-1, 0, 0]}}) },
+			new Error('long-short constraints are not supported'),
+			"RB - Negative minimum weights");
+		assert.throws(function() { 
+			PortfolioAllocation.riskBudgetingWeights(sigma, rb, {constraints: {maxGrossExposure: 1.5}}) },
+			new Error('long-short constraints are not supported'),
+			"RB - Maximum gross exposure");
+		assert.throws(function() { 
+			PortfolioAllocation.equalRiskContributionWeights(sigma, {constraints: {netExposure: 0}}) },
+			new Error('long-short constraints are not supported'),
+			"ERC - Net exposure");
+	}
 });
 
 
@@ -345,6 +391,49 @@ QUnit.test('Most diversified portfolio', function(assert) {
 			}
 		}
 	}
+	
+	// Groups constraints
+	{
+		// Two assets, the group constraint imposing the exact weights
+		var weights = PortfolioAllocation.mostDiversifiedWeights([[0.04, 0], [0, 0.09]], {eps: 1e-10, constraints: {groups: [{assets: [1], maxWeight: 0.5}]}});
+		var expectedWeights = [0.5, 0.5];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'MDP - Values #7, groups constraints ' + i);
+		}
+		
+		// Three assets, with expected weights computed by maximizing the diversification ratio on the segment w_1 = 0.3
+		var weights = PortfolioAllocation.mostDiversifiedWeights([[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]], {eps: 1e-10, constraints: {groups: [{assets: [1], maxWeight: 0.3}]}});
+		var expectedWeights = [0.3, 0.4048780520702007, 0.29512194792979923];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'MDP - Values #8, groups constraints ' + i);
+		}
+		
+		// Infeasible groups constraints
+		assert.throws(function() { 
+			PortfolioAllocation.mostDiversifiedWeights([[0.04, 0], [0, 0.09]], {constraints: {groups: [{assets: [1, 2], maxWeight: 0.5}]}}) },
+			new Error('infeasible problem detected'),
+			"MDP - Infeasible groups constraints");
+	}
+	
+	// Long-short constraints, with expected weights computed by maximizing the diversification ratio
+	// in closed form (negative minimum weights) or by exhaustive search (maximum gross exposure)
+	{
+		var sigma = [[0.04, 0.054, 0], [0.054, 0.09, 0.018], [0, 0.018, 0.09]];
+		
+		// Negative minimum weights
+		var weights = PortfolioAllocation.mostDiversifiedWeights(sigma, {eps: 1e-10, constraints: {minWeights: [-1, -1, -1]}});
+		var expectedWeights = [36/43, -10/43, 17/43];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'MDP - Values #9, negative minimum weights ' + i);
+		}
+		
+		// Negative minimum weights and maximum gross exposure
+		var weights = PortfolioAllocation.mostDiversifiedWeights(sigma, {eps: 1e-10, constraints: {minWeights: [-1, -1, -1], maxGrossExposure: 1.2}});
+		var expectedWeights = [0.70271, -0.1, 0.39729];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'MDP - Values #10, maximum gross exposure ' + i);
+		}
+	}
 });
 
 
@@ -537,6 +626,102 @@ QUnit.test('Cluster risk parity portfolio', function(assert) {
 		}
 
 	}
+
+	
+	// CRP using hierarchical clustering and k-medoids clustering, using static data, with expected weights equal 
+	// to the ones computed with the manually provided clusters, the correlation distances between the assets being
+	// d_12 = sqrt(0.1), d_34 = sqrt(0.75) and d_ij = sqrt(0.5) otherwise
+	{
+		// Example taken from the ERC
+		var sigma = [[0.01, 0.016, 0, 0], [0.016, 0.04, 0, 0], [0, 0, 0.09, -0.06], [0, 0, -0.06, 0.16]];
+		
+		// Hierarchical clustering, cut into two clusters
+		var weights = PortfolioAllocation.clusterRiskParityWeights(sigma, { clusteringMode: 'hierarchical', nbClusters: 2 });
+		var expectedWeights = PortfolioAllocation.clusterRiskParityWeights(sigma, { clusteringMode: 'manual', clusters: [[1, 2, 3], [4]] });
+		for (var i = 0; i < sigma[0].length; ++i) { 
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'CRP - Values #6 ' + i);
+		}
+		
+		// Hierarchical clustering, cut at the default distance
+		var weights = PortfolioAllocation.clusterRiskParityWeights(sigma, { clusteringMode: 'hierarchical', linkageMethod: 'average' });
+		var expectedWeights = PortfolioAllocation.clusterRiskParityWeights(sigma, { clusteringMode: 'manual', clusters: [[1, 2], [3], [4]] });
+		for (var i = 0; i < sigma[0].length; ++i) { 
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'CRP - Values #7 ' + i);
+		}
+		
+		// K-medoids clustering, with two clusters
+		var weights = PortfolioAllocation.clusterRiskParityWeights(sigma, { clusteringMode: 'kMedoids', nbClusters: 2 });
+		var expectedWeights = PortfolioAllocation.clusterRiskParityWeights(sigma, { clusteringMode: 'manual', clusters: [[1, 2, 4], [3]] });
+		for (var i = 0; i < sigma[0].length; ++i) { 
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'CRP - Values #8 ' + i);
+		}
+	}
+	
+	// Unsupported clustering method
+	{
+		assert.throws(function() { 
+			PortfolioAllocation.clusterRiskParityWeights([[0.01, 0], [0, 0.04]], { clusteringMode: 'unsupported' }) }, 
+			new Error('unsupported clustering method'),
+			"CRP - Unsupported clustering method");
+	}
+});
+
+
+QUnit.test('Hierarchical risk parity portfolio', function(assert) {    
+	// Static data, with expected weights computed by hand, the first two assets being
+	// merged first in the tree clustering step
+	{
+		var sigma = [[0.01, 0.016, 0.0015], [0.016, 0.04, 0.003], [0.0015, 0.003, 0.0225]];
+		var weights = PortfolioAllocation.hierarchicalRiskParityWeights(sigma);
+		var expectedWeights = [0.505334082, 0.126333520, 0.368332398];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'HRP - Values #1 ' + i);
+		}
+	}
+	
+	// Diagonal covariance matrix, for which the HRP portfolio is the inverse-variance portfolio,
+	// whatever the linkage method
+	{
+		var sigma = [[0.04, 0, 0, 0], [0, 0.09, 0, 0], [0, 0, 0.16, 0], [0, 0, 0, 0.25]];
+		var expectedWeights = [1/0.04, 1/0.09, 1/0.16, 1/0.25];
+		var sumWeights = expectedWeights.reduce(function(a, b) { return a + b; }, 0);
+		
+		var linkageMethods = ['single', 'complete', 'average', 'ward'];
+		for (var k = 0; k < linkageMethods.length; ++k) {
+			var weights = PortfolioAllocation.hierarchicalRiskParityWeights(sigma, {linkageMethod: linkageMethods[k]});
+			for (var i = 0; i < expectedWeights.length; ++i) {
+				assert.equal(Math.abs(weights[i] - expectedWeights[i]/sumWeights) <= 1e-12, true, 'HRP - Values #2 ' + linkageMethods[k] + ' ' + i);
+			}
+		}
+	}
+	
+	// Random data, checking that the HRP weights are positive and sum to one
+	{
+		var nbAssets = Math.floor(Math.random()*(50-2+1) + 2);
+		var sigma = new Array(nbAssets);
+		for (var i = 0; i < nbAssets; ++i) {
+			sigma[i] = new Array(nbAssets);
+			for (var j = 0; j < nbAssets; ++j) {
+				sigma[i][j] = (i == j) ? 1 + i/nbAssets : 0.3;
+			}
+		}
+		var weights = PortfolioAllocation.hierarchicalRiskParityWeights(sigma, {linkageMethod: 'ward'});
+		
+		var sumWeights = 0;
+		for (var i = 0; i < nbAssets; ++i) {
+			assert.equal(weights[i] > 0, true, 'HRP - Positive weights ' + i);
+			sumWeights += weights[i];
+		}
+		assert.equal(Math.abs(sumWeights - 1) <= 1e-12, true, 'HRP - Weights summing to one');
+	}
+	
+	// Unsupported linkage method
+	{
+		assert.throws(function() { 
+			PortfolioAllocation.hierarchicalRiskParityWeights([[0.04, 0], [0, 0.09]], {linkageMethod: 'unsupported'}) },
+			new Error('unsupported linkage method'),
+			"HRP - Unsupported linkage method");
+	}
 });
 
 
@@ -631,6 +816,166 @@ QUnit.test('Global minimum variance portfolio', function(assert) {
 			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-3, true, 'GMV - Values #8, constrained ' + i);
 		}
 	}
+	
+	// Groups constraints
+	{
+		// Diagonal covariance matrix, with expected weights computed by hand
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights([[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]], {eps: 1e-10, constraints: {groups: [{assets: [1], maxWeight: 0.4}]}});
+		var expectedWeights = [0.4, 0.384, 0.216];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #9, groups constraints ' + i);
+		}
+		
+		// Covariance matrix taken from GMV test case #2, with expected weights computed by hand on the segment w_1 = 0.5
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights([[0.0400, 0.0396, 0.0414], [0.0396, 0.0484, 0.0455], [0.0414, 0.0455, 0.0529]], {eps: 1e-10, constraints: {groups: [{assets: [1], maxWeight: 0.5}]}});
+		var expectedWeights = [0.5, 0.44660194174757284, 0.05339805825242716];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #10, groups constraints ' + i);
+		}
+		
+		// Infeasible groups constraints
+		assert.throws(function() { 
+			PortfolioAllocation.globalMinimumVarianceWeights([[0.04, 0], [0, 0.09]], {constraints: {groups: [{assets: [1], minWeight: 0.6}, {assets: [2], minWeight: 0.6}]}}) },
+			new Error('infeasible problem detected'),
+			"GMV - Infeasible groups constraints");
+	}
+	
+	// Cardinality constraints and minimum weights for the assets included in the portfolio,
+	// with expected weights computed by exhaustive enumeration of all the subsets of assets
+	{
+		var covMat = [[0.03401428,0.0333167,-0.00614739,0.00926415,-0.0064081],
+					  [0.0333167,0.06323421,-0.00855552,0.02245369,-0.00480642],
+					  [-0.00614739,-0.00855552,0.01444902,-0.00432445,0.00690744],
+					  [0.00926415,0.02245369,-0.00432445,0.02622712,0.0016983],
+					  [-0.0064081,-0.00480642,0.00690744,0.00169834,0.0116492]];
+		
+		// Maximum number of assets
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, constraints: {maxAssets: 2}});
+		var expectedWeights = [0.3087790494065631, 0, 0, 0, 0.6912209505934369];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #11, cardinality constraints ' + i);
+		}
+		
+		// Minimum weights for the assets included in the portfolio
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, constraints: {minNonZeroWeights: [0.25, 0.25, 0.25, 0.25, 0.25]}});
+		var expectedWeights = [0.2857105622171047, 0, 0.26967433066537544, 0, 0.44461510711751984];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #12, minimum weights constraints ' + i);
+		}
+		
+		// Minimum number of assets and minimum weights for the assets included in the portfolio, 
+		// equivalent to minimum weights constraints
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, constraints: {minAssets: 5, minNonZeroWeights: [0.05, 0.05, 0.05, 0.05, 0.05]}});
+		var expectedWeights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, constraints: {minWeights: [0.05, 0.05, 0.05, 0.05, 0.05]}});
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #13, cardinality and minimum weights constraints ' + i);
+		}
+		
+		// Minimum number of assets greater than the number of assets of the unconstrained portfolio [0.5, 0.5, 0],
+		// with a minimum weight of 10% for the assets included in the portfolio
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights([[0.01, 0, 0.009], [0, 0.01, 0.009], [0.009, 0.009, 0.04]], {eps: 1e-10, constraints: {minAssets: 3, minNonZeroWeights: [0.1, 0.1, 0.1]}});
+		var nbHeldAssets = 0;
+		for (var i = 0; i < weights.length; ++i) {
+			if (weights[i] >= 0.1 - 1e-8) {
+				++nbHeldAssets;
+			}
+		}
+		assert.equal(nbHeldAssets, 3, 'GMV - Values #14, minimum number of assets');
+		assert.equal(Math.abs(weights[2] - 0.1) <= 1e-6, true, 'GMV - Values #14, minimum number of assets, minimum weight');
+		
+		// Minimum number of assets without strictly positive minimum weights for the assets included in the portfolio
+		assert.throws(function() { 
+			PortfolioAllocation.globalMinimumVarianceWeights([[0.01, 0, 0.009], [0, 0.01, 0.009], [0.009, 0.009, 0.04]], {constraints: {minAssets: 3}}) },
+			new Error('minimum number of assets constraint requires strictly positive minimum weights for the assets included in the portfolio'),
+			"GMV - Minimum number of assets without minimum weights");
+		assert.throws(function() { 
+			PortfolioAllocation.globalMinimumVarianceWeights([[0.01, 0, 0.009], [0, 0.01, 0.009], [0.009, 0.009, 0.04]], {constraints: {minAssets: 3, minNonZeroWeights: [0.1, 0.1, 0]}}) },
+			new Error('minimum number of assets constraint requires strictly positive minimum weights for the assets included in the portfolio'),
+			"GMV - Minimum number of assets with a null minimum weight");
+		
+		// Infeasible cardinality constraints
+		assert.throws(function() { 
+			PortfolioAllocation.globalMinimumVarianceWeights(covMat, {constraints: {maxAssets: 2, maxWeights: [0.4, 0.4, 0.4, 0.4, 0.4]}}) },
+			new Error('infeasible problem detected'),
+			"GMV - Infeasible cardinality constraints");
+	}
+	
+	// Long-short constraints, with expected weights computed thanks to an independent reformulation
+	// of the problem using the positive and negative parts of the weights
+	{
+		var covMat = [[0.03401428,0.0333167,-0.00614739,0.00926415,-0.0064081],
+					  [0.0333167,0.06323421,-0.00855552,0.02245369,-0.00480642],
+					  [-0.00614739,-0.00855552,0.01444902,-0.00432445,0.00690744],
+					  [0.00926415,0.02245369,-0.00432445,0.02622712,0.0016983],
+					  [-0.0064081,-0.00480642,0.00690744,0.00169834,0.0116492]];
+		var minWeights = [-1, -1, -1, -1, -1];
+		
+		// Negative minimum weights
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, constraints: {minWeights: minWeights}});
+		var expectedWeights = [0.26857398, -0.05987410, 0.29867142, 0.16472773, 0.32790097];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #15, negative minimum weights ' + i);
+		}
+		
+		// Negative minimum weights and maximum gross exposure
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, constraints: {minWeights: minWeights, maxGrossExposure: 1.05}});
+		var expectedWeights = [0.24245054, -0.025, 0.30461457, 0.14672517, 0.33120972];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #16, maximum gross exposure ' + i);
+		}
+		
+		// Negative minimum weights and net exposure, the weights being proportional to the fully invested ones
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, constraints: {minWeights: minWeights, netExposure: 0.5}});
+		var expectedWeights = [0.13428699, -0.02993705, 0.14933571, 0.08236387, 0.16395049];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #17, net exposure ' + i);
+		}
+		
+		// Unsupported cardinality constraints
+		assert.throws(function() { 
+			PortfolioAllocation.globalMinimumVarianceWeights(covMat, {constraints: {maxAssets: 2, minWeights: minWeights}}) },
+			new Error('cardinality constraints are not supported with negative minimum weights'),
+			"GMV - Cardinality constraints with negative minimum weights");
+	}
+	
+	// Turnover constraint and transaction costs, with expected weights verified by random search
+	// around the computed weights
+	{
+		var covMat = [[0.03401428,0.0333167,-0.00614739,0.00926415,-0.0064081],
+					  [0.0333167,0.06323421,-0.00855552,0.02245369,-0.00480642],
+					  [-0.00614739,-0.00855552,0.01444902,-0.00432445,0.00690744],
+					  [0.00926415,0.02245369,-0.00432445,0.02622712,0.0016983],
+					  [-0.0064081,-0.00480642,0.00690744,0.00169834,0.0116492]];
+		var currentWeights = [0.2, 0.2, 0.2, 0.2, 0.2];
+		
+		// Maximum turnover
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, currentWeights: currentWeights, constraints: {maxTurnover: 0.2}});
+		var expectedWeights = [0.2, 0.1, 0.3, 0.2, 0.2];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #18, maximum turnover ' + i);
+		}
+		
+		// Transaction costs
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, currentWeights: currentWeights, transactionCosts: [0.001, 0.001, 0.001, 0.001, 0.001]});
+		var expectedWeights = [0.2, 0, 0.32543852, 0.2, 0.27456148];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #19, transaction costs ' + i);
+		}
+		
+		// Maximum turnover and cardinality constraints, with expected weights equal to the ones
+		// of the GMV - Values #12 test, the turnover constraint being non binding
+		var weights = PortfolioAllocation.globalMinimumVarianceWeights(covMat, {eps: 1e-10, currentWeights: currentWeights, constraints: {maxTurnover: 0.8, maxAssets: 3}});
+		var expectedWeights = [0.2857105622171047, 0, 0.26967433066537544, 0, 0.44461510711751984];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'GMV - Values #20, maximum turnover and cardinality constraints ' + i);
+		}
+		
+		// Infeasible turnover and cardinality constraints, since excluding two assets requires a turnover of at least 0.8
+		assert.throws(function() { 
+			PortfolioAllocation.globalMinimumVarianceWeights(covMat, {currentWeights: currentWeights, constraints: {maxTurnover: 0.5, maxAssets: 3}}) },
+			new Error('infeasible problem detected'),
+			"GMV - Infeasible turnover and cardinality constraints");
+	}
 });
 
 
@@ -678,6 +1023,28 @@ QUnit.test('Grid search portfolio', function(assert) {
 		'Grid search portfolio - Values #4');
 	}
 
+	
+	// Test rational grid search with groups constraints
+	{
+		// Objective function: portfolio variance, for three assets
+		// Covariance matrix taken from GMV test case #2
+		function portfolio_variance_three_assets(arr) { 
+			var covMat = [[0.0400, 0.0396, 0.0414], [0.0396, 0.0484, 0.0455], [0.0414, 0.0455, 0.0529]];
+			
+			return arr[0]*arr[0]*covMat[0][0] + arr[1]*arr[1]*covMat[1][1] + arr[2]*arr[2]*covMat[2][2] +
+			2*arr[0]*arr[1]*covMat[0][1] + 2*arr[0]*arr[2]*covMat[0][2] + 2*arr[1]*arr[2]*covMat[1][2];
+		}
+		
+		// From GMV test case #10, expected (exact) weights are [0.5, 0.44660194174757284, 0.05339805825242716];
+		assert.deepEqual(PortfolioAllocation.gridSearchWeights(3, portfolio_variance_three_assets, {optimisationMethod: 'deterministic', rationalGrid: {k: 100}, constraints: {groups: [{assets: [1], maxWeight: 0.5}]}}), 
+		[[0.5,0.45,0.05]], 
+		'Grid search portfolio - Values #5, groups constraints');
+		
+		assert.throws(function() { 
+			PortfolioAllocation.gridSearchWeights(3, portfolio_variance_three_assets, {optimisationMethod: 'deterministic', rationalGrid: {k: 3}, constraints: {groups: [{assets: [1], minWeight: 0.5, maxWeight: 0.6}]}}) },
+			new Error('no feasible portfolio on the rational grid'),
+			"Grid search portfolio - No feasible portfolio on the rational grid");
+	}
 });
 
 
@@ -824,6 +1191,49 @@ QUnit.test('Random weights portfolio', function(assert) {
 			assert.equal(minAssets <= nbNonZeroAssets, true, "Random weights portfolio with cardinality constraints, number of non-zero weights - Test " + i + "/2");
 		}
 	}
+	
+	// Test with random data, groups constraints
+	{
+		// Setup static parameters of the random test
+		var nbTests = 50;
+		var nbAssetsMin = 2;
+		var nbAssetsMax = 20;
+
+		// Aim of these tests is to check that for a portfolio of n assets constrained to hold 
+		// between 10% and 60% in its first half assets, this constraint is satisfied
+		for (var i = 0; i < nbTests; ++i) {
+			// Generate a random number of assets
+			var nbAssets = Math.floor(Math.random()*(nbAssetsMax - nbAssetsMin + 1) + nbAssetsMin);
+			
+			// Generate the group of the first half assets
+			var groupAssets = [];
+			for (var k = 1; k <= Math.floor(nbAssets/2); ++k) {
+				groupAssets.push(k);
+			}
+			
+			// Generate a random portfolio for this number of assets and this group constraint
+			var randomWeights = PortfolioAllocation.randomWeights(nbAssets, { constraints: { groups: [{ assets: groupAssets, minWeight: 0.1, maxWeight: 0.6 }] } });
+			
+			// Check that the combined weight of the group is between 10% and 60%
+			var groupWeight = 0;
+			for (var k = 0; k < groupAssets.length; ++k) {
+				groupWeight += randomWeights[groupAssets[k] - 1];
+			}
+			assert.equal(groupWeight >= 0.1 - 1e-12 && groupWeight <= 0.6 + 1e-12, true, "Random weights portfolio with groups constraints - Test " + i);
+		}
+		
+		// Infeasible groups constraints
+		assert.throws(function() { 
+			PortfolioAllocation.randomWeights(5, { maxIter: 100, constraints: { groups: [{ assets: [1, 2], minWeight: 1.1 }] } }) },
+			new Error('infeasible problem detected'),
+			"Random weights portfolio with infeasible groups constraints");
+		
+		// Feasible groups constraints, with a set of feasible portfolios too small for the rejection sampling algorithm
+		assert.throws(function() { 
+			PortfolioAllocation.randomWeights(5, { maxIter: 10, constraints: { minAssets: 3, groups: [{ assets: [1, 2], minWeight: 0.999999 }] } }) },
+			new Error('maximum number of iterations reached: 10'),
+			"Random weights portfolio with feasible groups constraints, maximum number of iterations");
+	}
 });
 
 
@@ -869,6 +1279,61 @@ QUnit.test('Minimax portfolio', function(assert) {
 			assert.equal(Math.abs(minimaxWeights[i] - expectedWeights[i]) <= 0, true, 'Minimax #2 - Values ' + i);
 		}
 	} 
+	
+	// Static data, groups constraints
+	// Reference: Christos Papahristodoulou, Optimal portfolios using Linear Programming models (preliminary version on Internet)
+	// (b) Maximin formulation example, with the combined weight of securities C and E limited to 80%
+	{
+		// Define the assets returns
+		var assetsReturns = [[0.054,  0.045,  -0.03, -0.018,  0.043,  0.047,  0.055,  0.036, -0.039, -0.043,  0.046, 0.052], // Asset 1 returns
+		[0.032,  0.055, -0.036,  0.052,  0.047,  0.034,  0.063,  0.048,  0.025,   0.04,  0.036, -0.017], // ...
+		[0.064,  0.056,  0.048,  0.007,  0.053,  0.036,  0.017,  0.047, -0.059,  0.047,   0.04, 0.032],
+		[0.038,  0.062, -0.037,   0.05,  0.065, -0.043,  0.062,  0.034,  0.035,  0.056,  0.057, 0.025],
+		[0.049,  0.067, -0.039,  0.051,  0.049,  0.037,  0.055,  0.025,  0.052,  0.02,   0.045,  0.04]];
+		
+		// Compute the associated minimax portfolio weights
+		var minimaxWeights = PortfolioAllocation.minimaxWeights(assetsReturns, {constraints: {groups: [{assets: [3, 5], maxWeight: 0.8}]}});
+		
+		// Compare minimax weights to expected weights
+		var expectedWeights = [0, 0, 0.440404, 0.2, 0.359596, -0.000285];
+		for (var i = 0; i < assetsReturns.length; ++i) { 
+			assert.equal(Math.abs(minimaxWeights[i] - expectedWeights[i]) <= 1e-3, true, 'Minimax #3 - Values ' + i);
+		}
+		
+		// Infeasible groups constraints
+		assert.throws(function() { 
+			PortfolioAllocation.minimaxWeights(assetsReturns, {constraints: {groups: [{assets: [3, 5], minWeight: 1.1}]}}) },
+			new Error('infeasible problem detected'),
+			"Minimax - Infeasible groups constraints");
+	} 
+	
+	// Static data, long-short constraints, with expected weights computed thanks to an independent
+	// linear programming solver
+	{
+		// Define the assets returns, the last asset having only negative returns
+		var assetsReturns = [[0.01, -0.02, 0.03], [0.02, 0.01, -0.01], [-0.01, 0.03, 0.02], [-0.02, -0.01, -0.03]];
+		
+		// Compute the associated minimax portfolio weights
+		var minimaxWeights = PortfolioAllocation.minimaxWeights(assetsReturns, {constraints: {minWeights: [-0.5, -0.5, -0.5, -0.5], maxWeights: [1.5, 1.5, 1.5, 1.5], maxGrossExposure: 1.6}});
+		
+		// Compare minimax weights to expected weights
+		var expectedWeights = [0.227027, 0.662162, 0.410811, -0.3];
+		for (var i = 0; i < assetsReturns.length; ++i) { 
+			assert.equal(Math.abs(minimaxWeights[i] - expectedWeights[i]) <= 1e-3, true, 'Minimax #4 - Values ' + i);
+		}
+		
+		// Infeasible bounds constraints
+		assert.throws(function() { 
+			PortfolioAllocation.minimaxWeights(assetsReturns, {constraints: {maxWeights: [0.2, 0.2, 0.2, 0.2]}}) },
+			new Error('infeasible problem detected'),
+			"Minimax - Infeasible bounds constraints");
+		
+		// Maximum number of iterations reached
+		assert.throws(function() { 
+			PortfolioAllocation.minimaxWeights(assetsReturns, {constraints: {minWeights: [-0.5, -0.5, -0.5, -0.5], maxWeights: [1.5, 1.5, 1.5, 1.5], maxGrossExposure: 1.6}, maxIter: 10}) },
+			new Error('maximum number of iterations reached: 10'),
+			"Minimax - Maximum number of iterations reached");
+	} 
 });
 
 
@@ -884,4 +1349,989 @@ QUnit.test('Rounded weights portfolio', function(assert) {
 		} 
 	}  
 
-});
\ No newline at end of file
+});
+
+QUnit.test('Mean variance efficient frontier', function(assert) {    
+	// Test with a diagonal covariance matrix, for which the corner portfolios can be computed by hand
+	{
+		var efficientFrontier = PortfolioAllocation.meanVarianceEfficientFrontier([0.05, 0.10, 0.15], [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]]);
+		var expectedEfficientFrontier = [[[0, 0, 1], 0.15, 0.4], 
+		                                 [[0, 8/17, 9/17], 0.1264705882352941, 0.254509501797458], 
+										 [[36/61, 16/61, 9/61], 0.07786885245901637, 0.15364425591947514]];
+		
+		assert.equal(efficientFrontier.length, expectedEfficientFrontier.length, 'Efficient frontier - Corner portfolios #1');
+		for (var i = 0; i < expectedEfficientFrontier.length; ++i) {
+			var weights = efficientFrontier[i][0];
+			var expectedWeights = expectedEfficientFrontier[i][0];
+			for (var j = 0; j < expectedWeights.length; ++j) {
+				assert.equal(Math.abs(weights[j] - expectedWeights[j]) <= 1e-8, true, 'Efficient frontier - Corner portfolios weights #1 ' + i + ',' + j);
+			}
+			assert.equal(Math.abs(efficientFrontier[i][1] - expectedEfficientFrontier[i][1]) <= 1e-8, true, 'Efficient frontier - Corner portfolios return #1 ' + i);
+			assert.equal(Math.abs(efficientFrontier[i][2] - expectedEfficientFrontier[i][2]) <= 1e-8, true, 'Efficient frontier - Corner portfolios volatility #1 ' + i);
+		}
+	}
+	
+	// Test that the last corner portfolio is the GMV portfolio, using the covariance matrix of the GMV test case #5
+	{
+		var covMat = [[0.0225,0.0030,0.0150,0.0225], [0.0030,0.0400,0.0350,0.0240], [0.0150,0.0350,0.0625,0.0600], [0.0225,0.0240,0.0600,0.0900]];
+		var efficientFrontier = PortfolioAllocation.meanVarianceEfficientFrontier([0.05, 0.06, 0.08, 0.06], covMat);
+		var weights = efficientFrontier[efficientFrontier.length - 1][0];
+		var expectedWeights = [0.6548672566371683, 0.34513274336283173, 0, 0];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Efficient frontier - GMV portfolio #1 ' + i);
+		}
+	}
+	
+	// Test that the last corner portfolio is the GMV portfolio, using the covariance matrix and the constraints of the GMV test case #8
+	{
+		var covMat = [[94.868,33.750,12.325,-1.178,8.778],
+					  [33.750,445.642,98.955,-7.901,84.954],
+					  [12.325,98.955,117.265,0.503,45.184],
+					  [-1.178,-7.901,0.503,5.460,1.057],
+					  [8.778,84.954,45.184,1.057,34.126]];
+			
+		var minWeights = [0.05,0.05,0.05,0.05,0.05];
+		var maxWeights = [0.35,0.35,0.35,0.35,0.35];
+		var efficientFrontier = PortfolioAllocation.meanVarianceEfficientFrontier([0.05, 0.10, 0.15, 0.20, 0.25], covMat, { constraints: {minWeights: minWeights, maxWeights: maxWeights} });
+		
+		var weights = efficientFrontier[efficientFrontier.length - 1][0];
+		var expectedWeights = [0.200,0.050,0.050,0.350,0.350];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-3, true, 'Efficient frontier - GMV portfolio #2, constrained ' + i);
+		}
+		
+		// All the corner portfolios must satisfy the constraints, with decreasing returns and volatilities
+		for (var i = 0; i < efficientFrontier.length; ++i) {
+			var weights = efficientFrontier[i][0];
+			var sumWeights = 0;
+			for (var j = 0; j < weights.length; ++j) {
+				assert.equal(weights[j] >= minWeights[j] - 1e-8 && weights[j] <= maxWeights[j] + 1e-8, true, 'Efficient frontier - Corner portfolios constraints #2 ' + i + ',' + j);
+				sumWeights += weights[j];
+			}
+			assert.equal(Math.abs(sumWeights - 1) <= 1e-8, true, 'Efficient frontier - Corner portfolios full investment #2 ' + i);
+			if (i > 0) {
+				assert.equal(efficientFrontier[i][1] < efficientFrontier[i-1][1], true, 'Efficient frontier - Corner portfolios decreasing returns #2 ' + i);
+				assert.equal(efficientFrontier[i][2] < efficientFrontier[i-1][2], true, 'Efficient frontier - Corner portfolios decreasing volatilities #2 ' + i);
+			}
+		}
+	}
+	
+	// Test infeasible constraints
+	{
+		assert.throws(function() { 
+			PortfolioAllocation.meanVarianceEfficientFrontier([0.05, 0.10], [[0.04, 0], [0, 0.09]], { constraints: {minWeights: [0.6, 0.6]} }) },
+			new Error('infeasible problem detected'),
+			'Efficient frontier - Infeasible constraints');
+	}
+});
+
+
+QUnit.test('Mean variance portfolio', function(assert) {    
+	// Test unsupported optimisation method
+	{
+		assert.throws(function() { 
+			PortfolioAllocation.meanVarianceWeights([0.1, 0.2], [[0.0400, 0.0100], [0.0100, 0.0900]], {optimisationMethod: 'unsupported'}) },
+			new Error('unsupported optimisation method'),
+			'Mean variance - Unsupported optimisation method');
+	}
+	
+	// Test with a target return, using a two assets example
+	{
+		var weights = PortfolioAllocation.meanVarianceWeights([0.1, 0.2], [[0.0400, 0.0100], [0.0100, 0.0900]], {optimisationMethod: 'targetReturn', targetReturn: 0.15}); 
+		var expectedWeights = [0.5, 0.5];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Mean variance - Target return #1 ' + i);
+		}
+	}
+	
+	// Test with a diagonal covariance matrix, for which the efficient portfolios can be computed by hand
+	{
+		var mu = [0.05, 0.10, 0.15];
+		var covMat = [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]];
+		
+		// Target return located between two corner portfolios
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetReturn', targetReturn: 0.10}); 
+		var expectedWeights = [0.32142857142857145, 0.35714285714285715, 0.32142857142857145];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Mean variance - Target return #2 ' + i);
+		}
+		
+		// Target return lower than the return of the GMV portfolio
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetReturn', targetReturn: 0.05}); 
+		var expectedWeights = [36/61, 16/61, 9/61];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Mean variance - Target return #3 ' + i);
+		}
+		
+		// Target return not reachable
+		assert.throws(function() { 
+			PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetReturn', targetReturn: 0.20}) },
+			new Error('target return not reachable'),
+			'Mean variance - Target return not reachable');
+		
+		// Target volatility located between two corner portfolios
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetVolatility', targetVolatility: 0.20}); 
+		var portfolioVolatility = Math.sqrt(0.04*weights[0]*weights[0] + 0.09*weights[1]*weights[1] + 0.16*weights[2]*weights[2]);
+		assert.equal(Math.abs(portfolioVolatility - 0.20) <= 1e-8, true, 'Mean variance - Target volatility #1');
+		var expectedWeights = [0.21775072848268703, 0.39373503700611046, 0.38851423451120237];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Mean variance - Target volatility #1 ' + i);
+		}
+		
+		// Target volatility greater than the volatility of the portfolio with the highest return
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetVolatility', targetVolatility: 0.50}); 
+		var expectedWeights = [0, 0, 1];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Mean variance - Target volatility #2 ' + i);
+		}
+		
+		// Target volatility not reachable
+		assert.throws(function() { 
+			PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetVolatility', targetVolatility: 0.10}) },
+			new Error('target volatility not reachable'),
+			'Mean variance - Target volatility not reachable');
+		
+		// Risk tolerance
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'riskTolerance', riskTolerance: 1, eps: 1e-10}); 
+		var expectedWeights = [0, 0.44, 0.56];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Mean variance - Risk tolerance #1 ' + i);
+		}
+		
+		// Null risk tolerance, corresponding to the GMV portfolio
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'riskTolerance', riskTolerance: 0, eps: 1e-10}); 
+		var expectedWeights = [36/61, 16/61, 9/61];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Mean variance - Risk tolerance #2 ' + i);
+		}
+	}
+	
+	// Test with weights constraints, using the covariance matrix and the constraints of the GMV test case #8
+	{
+		var covMat = [[94.868,33.750,12.325,-1.178,8.778],
+					  [33.750,445.642,98.955,-7.901,84.954],
+					  [12.325,98.955,117.265,0.503,45.184],
+					  [-1.178,-7.901,0.503,5.460,1.057],
+					  [8.778,84.954,45.184,1.057,34.126]];
+		var mu = [0.05, 0.10, 0.15, 0.20, 0.25];
+		var minWeights = [0.05,0.05,0.05,0.05,0.05];
+		var maxWeights = [0.35,0.35,0.35,0.35,0.35];
+		
+		var weightsTargetReturn = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetReturn', targetReturn: 0.19, constraints: {minWeights: minWeights, maxWeights: maxWeights}}); 
+		var weightsRiskTolerance = PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'riskTolerance', riskTolerance: 50, eps: 1e-10, constraints: {minWeights: minWeights, maxWeights: maxWeights}}); 
+		
+		var portfolioReturn = 0;
+		for (var i = 0; i < mu.length; ++i) {
+			assert.equal(weightsTargetReturn[i] >= minWeights[i] - 1e-8 && weightsTargetReturn[i] <= maxWeights[i] + 1e-8, true, 'Mean variance - Target return constraints ' + i);
+			assert.equal(weightsRiskTolerance[i] >= minWeights[i] - 1e-8 && weightsRiskTolerance[i] <= maxWeights[i] + 1e-8, true, 'Mean variance - Risk tolerance constraints ' + i);
+			portfolioReturn += mu[i] * weightsTargetReturn[i];
+		}
+		assert.equal(Math.abs(portfolioReturn - 0.19) <= 1e-8, true, 'Mean variance - Target return constraints');
+	}
+	
+	// Turnover constraint and transaction costs, using the same diagonal covariance matrix as above
+	{
+		var mu = [0.05, 0.10, 0.15];
+		var covMat = [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]];
+		var currentWeights = [1/3, 1/3, 1/3];
+		
+		// Non binding turnover constraint, with expected weights equal to the ones computed without turnover constraint
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {eps: 1e-10, optimisationMethod: 'targetReturn', targetReturn: 0.10, currentWeights: currentWeights, constraints: {maxTurnover: 2}}); 
+		var expectedWeights = [0.32142857142857145, 0.35714285714285715, 0.32142857142857145];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'Mean variance - Turnover, target return #1 ' + i);
+		}
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {eps: 1e-10, optimisationMethod: 'targetVolatility', targetVolatility: 0.20, currentWeights: currentWeights, constraints: {maxTurnover: 2}}); 
+		var expectedWeights = [0.21775072848268703, 0.39373503700611046, 0.38851423451120237];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'Mean variance - Turnover, target volatility #1 ' + i);
+		}
+		
+		// Binding turnover constraint, with expected weights verified thanks to the first order conditions
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {eps: 1e-10, optimisationMethod: 'riskTolerance', riskTolerance: 0.5, currentWeights: currentWeights, constraints: {maxTurnover: 0.1}}); 
+		var expectedWeights = [0.28333333, 0.35866667, 0.358];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'Mean variance - Turnover, risk tolerance ' + i);
+		}
+		
+		// Binding turnover constraint, the target volatility being greater than the volatility of the 
+		// portfolio with the highest return
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {eps: 1e-10, optimisationMethod: 'targetVolatility', targetVolatility: 0.25, currentWeights: currentWeights, constraints: {maxTurnover: 0.2}}); 
+		var expectedWeights = [0.23333333, 0.33333333, 0.43333333];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'Mean variance - Turnover, target volatility #2 ' + i);
+		}
+		
+		// Target return not reachable due to the turnover constraint
+		assert.throws(function() { 
+			PortfolioAllocation.meanVarianceWeights(mu, covMat, {optimisationMethod: 'targetReturn', targetReturn: 0.12, currentWeights: currentWeights, constraints: {maxTurnover: 0.2}}) },
+			new Error('target return not reachable'),
+			'Mean variance - Turnover, target return not reachable');
+		
+		// Transaction costs, with expected weights verified thanks to the first order conditions
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {eps: 1e-10, optimisationMethod: 'riskTolerance', riskTolerance: 0.5, currentWeights: currentWeights, transactionCosts: [0.005, 0.005, 0.005]}); 
+		var expectedWeights = [0.29303279, 0.35245902, 0.35450820];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'Mean variance - Transaction costs, risk tolerance ' + i);
+		}
+		
+		// Transaction costs, the target volatility being greater than the volatility of the 
+		// portfolio with the highest return
+		var weights = PortfolioAllocation.meanVarianceWeights(mu, covMat, {eps: 1e-10, optimisationMethod: 'targetVolatility', targetVolatility: 0.5, currentWeights: currentWeights, transactionCosts: [0.005, 0.005, 0.005]}); 
+		var expectedWeights = [0, 0, 1];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'Mean variance - Transaction costs, target volatility ' + i);
+		}
+	}
+});
+
+
+QUnit.test('Maximum Sharpe ratio portfolio', function(assert) {    
+	// Test with a diagonal covariance matrix, for which the unconstrained maximum Sharpe ratio portfolio
+	// is proportional to sigma^-1 * (mu - rf)
+	{
+		var mu = [0.05, 0.10, 0.15];
+		var covMat = [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]];
+		
+		// Null risk free rate
+		var weights = PortfolioAllocation.maximumSharpeRatioWeights(mu, covMat, 0); 
+		var expectedWeights = [0.3789473684210526, 0.3368421052631579, 0.28421052631578947];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Maximum Sharpe ratio - Values #1 ' + i);
+		}
+		
+		// Non null risk free rate
+		var weights = PortfolioAllocation.maximumSharpeRatioWeights(mu, covMat, 0.04); 
+		var expectedWeights = [0.15584415584415584, 0.4155844155844156, 0.42857142857142855];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Maximum Sharpe ratio - Values #2 ' + i);
+		}
+		
+		// Risk free rate greater than the return of an asset, in which case the long-only constraint is active
+		var weights = PortfolioAllocation.maximumSharpeRatioWeights([0.01, 0.10, 0.15], covMat, 0.02); 
+		var expectedWeights = [0, 0.5224489795918368, 0.47755102040816327];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Maximum Sharpe ratio - Values #3 ' + i);
+		}
+		
+		// Risk free rate greater than the return of all the assets
+		assert.throws(function() { 
+			PortfolioAllocation.maximumSharpeRatioWeights(mu, covMat, 0.20) },
+			new Error('no feasible portfolio with a return strictly greater than the risk free rate'),
+			'Maximum Sharpe ratio - Risk free rate too high');
+	}
+	
+	// Test with weights constraints, with expected weights computed through an exhaustive grid search
+	{
+		var mu = [0.05, 0.10, 0.15];
+		var covMat = [[0.04, 0, 0], [0, 0.09, 0], [0, 0, 0.16]];
+		
+		var weights = PortfolioAllocation.maximumSharpeRatioWeights(mu, covMat, 0, { constraints: {maxWeights: [0.3, 0.3, 0.5]} }); 
+		var expectedWeights = [0.3, 0.3, 0.4];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-8, true, 'Maximum Sharpe ratio - Values #4, constrained ' + i);
+		}
+
+		var weights = PortfolioAllocation.maximumSharpeRatioWeights(mu, covMat, 0, { constraints: {maxWeights: [0.35, 1, 1]} }); 
+		var expectedWeights = [0.35, 0.3539, 0.2961];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Maximum Sharpe ratio - Values #5, constrained ' + i);
+		}
+	}
+});
+
+
+QUnit.test('Portfolio risk contributions', function(assert) {    
+	// Example with static data, with expected values computed by hand
+	{
+		var riskDecomposition = PortfolioAllocation.portfolioRiskContributions([0.5, 0.5], [[0.04, 0.01], [0.01, 0.01]]);
+		
+		assert.equal(Math.abs(riskDecomposition.portfolioVolatility - Math.sqrt(0.0175)) <= 1e-14, true, 'Portfolio risk contributions - Volatility');
+		
+		var expectedMarginalRiskContributions = [0.025/Math.sqrt(0.0175), 0.01/Math.sqrt(0.0175)];
+		var expectedRiskContributions = [0.0125/Math.sqrt(0.0175), 0.005/Math.sqrt(0.0175)];
+		var expectedPercentageRiskContributions = [0.0125/0.0175, 0.005/0.0175];
+		for (var i = 0; i < 2; ++i) {
+			assert.equal(Math.abs(riskDecomposition.marginalRiskContributions[i] - expectedMarginalRiskContributions[i]) <= 1e-14, true, 'Portfolio risk contributions - Marginal risk contributions ' + i);
+			assert.equal(Math.abs(riskDecomposition.riskContributions[i] - expectedRiskContributions[i]) <= 1e-14, true, 'Portfolio risk contributions - Risk contributions ' + i);
+			assert.equal(Math.abs(riskDecomposition.percentageRiskContributions[i] - expectedPercentageRiskContributions[i]) <= 1e-14, true, 'Portfolio risk contributions - Percentage risk contributions ' + i);
+		}
+		
+		assert.equal(Math.abs(riskDecomposition.diversificationRatio - 0.15/Math.sqrt(0.0175)) <= 1e-14, true, 'Portfolio risk contributions - Diversification ratio');
+	}
+	
+	// Reference example for the ERC portfolio, whose percentage risk contributions must all be equal to 1/n
+	{
+		var sigma = [[94.868,33.750,12.325,-1.178,8.778],[33.750,445.642,98.955,-7.901,84.954],[12.325,98.955,117.265,0.503,45.184],[-1.178,-7.901,0.503,5.460,1.057],[8.778,84.954,45.184,1.057,34.126]];
+		var weights = PortfolioAllocation.equalRiskContributionWeights(sigma, {eps: 1e-12});
+		var riskDecomposition = PortfolioAllocation.portfolioRiskContributions(weights, sigma);
+		
+		var sumRiskContributions = 0;
+		for (var i = 0; i < weights.length; ++i) {
+			assert.equal(Math.abs(riskDecomposition.percentageRiskContributions[i] - 1/weights.length) <= 1e-8, true, 'Portfolio risk contributions - ERC percentage risk contributions ' + i);
+			sumRiskContributions += riskDecomposition.riskContributions[i];
+		}
+		assert.equal(Math.abs(sumRiskContributions - riskDecomposition.portfolioVolatility) <= 1e-12, true, 'Portfolio risk contributions - ERC risk contributions sum');
+	}
+	
+	// Example for the RB portfolio, whose percentage risk contributions must be equal to the risk budgets
+	{
+		var sigma = [[0.0225, 0.0135, 0.0045], [0.0135, 0.04, 0.006], [0.0045, 0.006, 0.01]];
+		var rb = [0.5, 0.3, 0.2];
+		var weights = PortfolioAllocation.riskBudgetingWeights(sigma, rb, {eps: 1e-12});
+		var riskDecomposition = PortfolioAllocation.portfolioRiskContributions(weights, sigma);
+		
+		for (var i = 0; i < rb.length; ++i) {
+			assert.equal(Math.abs(riskDecomposition.percentageRiskContributions[i] - rb[i]) <= 1e-8, true, 'Portfolio risk contributions - RB percentage risk contributions ' + i);
+		}
+	}
+});
+
+
+QUnit.test('Portfolio analytics', function(assert) {    
+	// Portfolio returns
+	{
+		var returns = PortfolioAllocation.portfolioReturns([0.5, 0.5], [[0.01, 0.02], [0.03, -0.02]]);
+		var expectedReturns = [0.02, 0];
+		for (var i = 0; i < expectedReturns.length; ++i) {
+			assert.equal(Math.abs(returns[i] - expectedReturns[i]) <= 1e-14, true, 'Portfolio analytics - Portfolio returns ' + i);
+		}
+	}
+	
+	// Annualized return and volatility, Sharpe and Sortino ratios, with expected values computed by hand
+	{
+		var returns = [0.01, 0.02, -0.01];
+		
+		assert.equal(Math.abs(PortfolioAllocation.annualizedReturn(returns, {periodsPerYear: 12}) - (Math.pow(1.01 * 1.02 * 0.99, 4) - 1)) <= 1e-14, true, 'Portfolio analytics - Annualized return');
+		assert.equal(Math.abs(PortfolioAllocation.annualizedVolatility(returns, {periodsPerYear: 12}) - Math.sqrt(12 * 0.00023333333333333333)) <= 1e-14, true, 'Portfolio analytics - Annualized volatility');
+		assert.equal(Math.abs(PortfolioAllocation.sharpeRatio(returns, {periodsPerYear: 12}) - Math.sqrt(12) * 0.02/3 / Math.sqrt(0.00023333333333333333)) <= 1e-12, true, 'Portfolio analytics - Sharpe ratio');
+		assert.equal(Math.abs(PortfolioAllocation.sharpeRatio(returns, {periodsPerYear: 12, riskFreeRate: 0.024}) - Math.sqrt(12) * (0.02/3 - 0.002) / Math.sqrt(0.00023333333333333333)) <= 1e-12, true, 'Portfolio analytics - Sharpe ratio with risk free rate');
+		assert.equal(Math.abs(PortfolioAllocation.sortinoRatio(returns, {periodsPerYear: 12}) - 4) <= 1e-12, true, 'Portfolio analytics - Sortino ratio');
+		assert.equal(Math.abs(PortfolioAllocation.sortinoRatio(returns, {periodsPerYear: 12, minimumAcceptableReturn: 0.12}) - Math.sqrt(12) * (0.02/3 - 0.01) / Math.sqrt(0.0004/3)) <= 1e-12, true, 'Portfolio analytics - Sortino ratio with minimum acceptable return');
+	}
+	
+	// Maximum drawdown and Calmar ratio, with a peak at 1.1 followed by a trough at 0.8712
+	{
+		var returns = [0.1, -0.2, 0.1, -0.1, 0.3];
+		
+		assert.equal(Math.abs(PortfolioAllocation.maximumDrawdown(returns) - 0.208) <= 1e-14, true, 'Portfolio analytics - Maximum drawdown');
+		assert.equal(PortfolioAllocation.maximumDrawdown([0.01, 0.02]), 0, 'Portfolio analytics - Maximum drawdown, no drawdown');
+		assert.equal(Math.abs(PortfolioAllocation.maximumDrawdown(returns, {compounding: false}) - 0.2) <= 1e-14, true, 'Portfolio analytics - Maximum drawdown, uncompounded returns');
+		assert.equal(Math.abs(PortfolioAllocation.calmarRatio(returns, {periodsPerYear: 5}) - 0.13256/0.208) <= 1e-12, true, 'Portfolio analytics - Calmar ratio');
+	}
+	
+	// Value at risk and conditional value at risk
+	{
+		var returns = [0.01, -0.02, 0.03, -0.04, 0.05, -0.01, 0.02, 0.00, -0.03, 0.01];
+		
+		assert.equal(PortfolioAllocation.valueAtRisk(returns, {confidenceLevel: 0.8}), 0.02, 'Portfolio analytics - Value at risk #1');
+		assert.equal(Math.abs(PortfolioAllocation.conditionalValueAtRisk(returns, {confidenceLevel: 0.8}) - 0.035) <= 1e-14, true, 'Portfolio analytics - Conditional value at risk #1');
+		
+		assert.equal(PortfolioAllocation.valueAtRisk(returns), 0.04, 'Portfolio analytics - Value at risk #2');
+		assert.equal(Math.abs(PortfolioAllocation.conditionalValueAtRisk(returns) - 0.04) <= 1e-14, true, 'Portfolio analytics - Conditional value at risk #2');
+		
+		// Confidence level such that alpha * T is not an integer, the worst loss being then partially taken into account
+		assert.equal(Math.abs(PortfolioAllocation.conditionalValueAtRisk(returns, {confidenceLevel: 0.75}) - (0.02 + (0.01 + 0.02) / 2.5)) <= 1e-14, true, 'Portfolio analytics - Conditional value at risk #3');
+	}
+});
+
+
+QUnit.test('Walk-forward backtest', function(assert) {    
+	// Backtest with a constant allocation function, in order to verify the rolling windows, the drift of the weights, 
+	// the turnover and the equity curve
+	{
+		var assetsReturns = [[0.1, 0.0, 0.1, -0.1, 0.2], [0.0, 0.1, 0.0, 0.1, 0.0]];
+		var calls = [];
+		var allocationFunction = function(sigma, opt, lookbackReturns) {
+			calls.push({sigma: sigma, opt: opt, lookbackReturns: lookbackReturns});
+			return [0.5, 0.5];
+		};
+		
+		var backtest = PortfolioAllocation.walkForwardBacktest(assetsReturns, allocationFunction, {lookbackWindow: 2, rebalancingPeriod: 2, allocationOptions: {eps: 1e-8}});
+		
+		// Rebalancing dates and rolling windows, which must not include the returns of the rebalancing periods
+		assert.deepEqual(backtest.rebalancingDates, [3, 5], 'Walk-forward backtest - Rebalancing dates');
+		assert.equal(calls.length, 2, 'Walk-forward backtest - Number of calls to the allocation function');
+		assert.deepEqual(calls[0].lookbackReturns, [[0.1, 0.0], [0.0, 0.1]], 'Walk-forward backtest - Lookback returns #1');
+		assert.deepEqual(calls[1].lookbackReturns, [[0.1, -0.1], [0.0, 0.1]], 'Walk-forward backtest - Lookback returns #2');
+		assert.deepEqual(calls[0].opt, {eps: 1e-8}, 'Walk-forward backtest - Allocation options');
+		assert.equal(PortfolioAllocation.Matrix.areEqual(calls[0].sigma, new PortfolioAllocation.Matrix([[0.005, -0.005], [-0.005, 0.005]]), 1e-14), true, 'Walk-forward backtest - Rolling covariance matrix');
+		
+		// Weights history and turnover, the weights drifting to [0.495/1.045, 0.55/1.045] before the second rebalancing
+		assert.deepEqual(backtest.weights, [[0.5, 0.5], [0.5, 0.5]], 'Walk-forward backtest - Weights history');
+		assert.equal(backtest.turnover[0], 1, 'Walk-forward backtest - Initial turnover');
+		assert.equal(Math.abs(backtest.turnover[1] - 1/19) <= 1e-14, true, 'Walk-forward backtest - Turnover');
+		
+		// Portfolio returns and equity curve
+		var expectedReturns = [0.05, -0.005/1.05, 0.1];
+		for (var i = 0; i < expectedReturns.length; ++i) {
+			assert.equal(Math.abs(backtest.portfolioReturns[i] - expectedReturns[i]) <= 1e-14, true, 'Walk-forward backtest - Portfolio returns #' + i);
+		}
+		var expectedEquityCurve = [1, 1.05, 1.045, 1.1495];
+		for (var i = 0; i < expectedEquityCurve.length; ++i) {
+			assert.equal(Math.abs(backtest.equityCurve[i] - expectedEquityCurve[i]) <= 1e-14, true, 'Walk-forward backtest - Equity curve #' + i);
+		}
+		
+		// Same backtest using prices instead of returns
+		var assetsPrices = [[1, 1.1, 1.1, 1.21, 1.089, 1.3068], [2, 2, 2.2, 2.2, 2.42, 2.42]];
+		var backtestPrices = PortfolioAllocation.walkForwardBacktest(assetsPrices, function() { return [0.5, 0.5]; }, {dataType: 'prices', lookbackWindow: 2, rebalancingPeriod: 2});
+		for (var i = 0; i < expectedEquityCurve.length; ++i) {
+			assert.equal(Math.abs(backtestPrices.equityCurve[i] - expectedEquityCurve[i]) <= 1e-12, true, 'Walk-forward backtest - Equity curve with prices #' + i);
+		}
+		
+		// Same backtest with explicit rebalancing dates
+		var backtestDates = PortfolioAllocation.walkForwardBacktest(assetsReturns, function() { return [0.5, 0.5]; }, {lookbackWindow: 2, rebalancingDates: [4]});
+		assert.deepEqual(backtestDates.rebalancingDates, [4], 'Walk-forward backtest - Explicit rebalancing dates');
+		assert.equal(backtestDates.equityCurve.length, 3, 'Walk-forward backtest - Equity curve length with explicit rebalancing dates');
+		
+		// Rebalancing dates incompatible with the lookback window
+		assert.throws(function() { PortfolioAllocation.walkForwardBacktest(assetsReturns, allocationFunction, {lookbackWindow: 2, rebalancingDates: [2, 4]}) },
+		              new Error('invalid rebalancing date: 2'),
+					  'Walk-forward backtest - Rebalancing date within the lookback window');
+		assert.throws(function() { PortfolioAllocation.walkForwardBacktest(assetsReturns, allocationFunction, {lookbackWindow: 5}) },
+		              new Error('no rebalancing date'),
+					  'Walk-forward backtest - No rebalancing date');
+	}
+	
+	// Backtest using directly an allocation function of the library
+	{
+		var assetsReturns = [[0.01, -0.02, 0.03, 0.01, -0.01, 0.02, 0.00, 0.01], [0.02, 0.01, -0.03, 0.04, 0.00, -0.02, 0.03, 0.01]];
+		
+		var backtest = PortfolioAllocation.walkForwardBacktest(assetsReturns, PortfolioAllocation.equalRiskContributionWeights, {lookbackWindow: 5, rebalancingPeriod: 2});
+		
+		assert.deepEqual(backtest.rebalancingDates, [6, 8], 'Walk-forward backtest - Library allocation function, rebalancing dates');
+		var expectedWeights = PortfolioAllocation.equalRiskContributionWeights(PortfolioAllocation.sampleCovarianceMatrix([0.01, -0.02, 0.03, 0.01, -0.01], [0.02, 0.01, -0.03, 0.04, 0.00]));
+		assert.deepEqual(backtest.weights[0], expectedWeights, 'Walk-forward backtest - Library allocation function, weights');
+	}
+});
+
+
+QUnit.test('Minimum CVaR portfolio', function(assert) {    
+	// Unique minimum CVaR portfolio, the worst loss being partially taken into account with alpha = 0.75 and T = 4,
+	// compared to the reference computed by a grid search on the conditional value at risk of the portfolio returns
+	{
+		var assetsReturns = [[0.01, -0.02, 0.01, 0.03], [-0.05, 0.03, 0.01, 0.02]];
+		
+		var weights = PortfolioAllocation.minimumCVaRWeights(assetsReturns, {confidenceLevel: 0.75});
+		var expectedWeights = [0.7273, 0.2727];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-3, true, 'Minimum CVaR - Values ' + i);
+		}
+	}
+	
+	// Non unique minimum CVaR portfolio, with and without target return
+	{
+		var assetsReturns = [[0.02, -0.01, 0.03, -0.04, 0.01, 0.02, -0.02, 0.03, 0.00, 0.05], [0.01, 0.02, -0.03, 0.02, -0.01, 0.00, 0.03, -0.02, 0.01, 0.02]];
+		
+		var weights = PortfolioAllocation.minimumCVaRWeights(assetsReturns, {confidenceLevel: 0.8});
+		var cvar = PortfolioAllocation.conditionalValueAtRisk(PortfolioAllocation.portfolioReturns(weights, assetsReturns), {confidenceLevel: 0.8});
+		assert.equal(Math.abs(cvar - 0.005) <= 1e-6, true, 'Minimum CVaR - Minimum conditional value at risk');
+		assert.equal(Math.abs(weights[0] + weights[1] - 1) <= 1e-6, true, 'Minimum CVaR - Full investment');
+		
+		// With a target return of 0.008, the average returns of the assets being 0.009 and 0.005, the weight of the first 
+		// asset must be greater than or equal to 0.75, and the conditional value at risk is then minimal for this weight
+		var weights = PortfolioAllocation.minimumCVaRWeights(assetsReturns, {confidenceLevel: 0.8, targetReturn: 0.008});
+		var expectedWeights = [0.75, 0.25];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum CVaR - Target return, values ' + i);
+		}
+		
+		assert.throws(function() { PortfolioAllocation.minimumCVaRWeights(assetsReturns, {targetReturn: 0.01}) },
+		              new Error('target return not reachable'),
+					  'Minimum CVaR - Target return not reachable');
+	}
+	
+	// Partial investment, with assets having only negative returns
+	{
+		var assetsReturns = [[-0.01, -0.02], [-0.03, -0.01]];
+		
+		var weights = PortfolioAllocation.minimumCVaRWeights(assetsReturns, {constraints: {partialInvestment: true}});
+		var expectedWeights = [0, 0];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum CVaR - Partial investment, values ' + i);
+		}
+	}
+});
+
+
+QUnit.test('Mean absolute deviation portfolio', function(assert) {    
+	// Unique minimum mean absolute deviation portfolio, compared to the reference computed by a grid search
+	{
+		var assetsReturns = [[0.01, -0.02, 0.01, 0.03], [0.02, 0.01, -0.01, 0.01]];
+		
+		var weights = PortfolioAllocation.meanAbsoluteDeviationWeights(assetsReturns);
+		var expectedWeights = [1/12, 11/12];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Mean absolute deviation - Values ' + i);
+		}
+	}
+	
+	// Minimum mean absolute deviation portfolio with a target return, the average returns of the assets being 0.009 and 0.005
+	{
+		var assetsReturns = [[0.02, -0.01, 0.03, -0.04, 0.01, 0.02, -0.02, 0.03, 0.00, 0.05], [0.01, 0.02, -0.03, 0.02, -0.01, 0.00, 0.03, -0.02, 0.01, 0.02]];
+		
+		var weights = PortfolioAllocation.meanAbsoluteDeviationWeights(assetsReturns);
+		var expectedWeights = [0.4630, 0.5370];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Mean absolute deviation - Values #2 ' + i);
+		}
+		
+		var weights = PortfolioAllocation.meanAbsoluteDeviationWeights(assetsReturns, {targetReturn: 0.008});
+		var expectedWeights = [0.75, 0.25];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Mean absolute deviation - Target return, values ' + i);
+		}
+		
+		assert.throws(function() { PortfolioAllocation.meanAbsoluteDeviationWeights(assetsReturns, {targetReturn: 0.01}) },
+		              new Error('target return not reachable'),
+					  'Mean absolute deviation - Target return not reachable');
+		
+		var weights = PortfolioAllocation.meanAbsoluteDeviationWeights(assetsReturns, {constraints: {partialInvestment: true}});
+		var expectedWeights = [0, 0];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Mean absolute deviation - Partial investment, values ' + i);
+		}
+	}
+});
+
+
+QUnit.test('Minimum semi-variance portfolio', function(assert) {    
+	// Minimum downside semi-variance portfolios below the average return or below a minimum acceptable return, 
+	// compared to the references computed by a grid search
+	{
+		var assetsReturns = [[0.01, -0.02, 0.01, 0.03], [0.02, 0.01, -0.01, 0.01]];
+		
+		var weights = PortfolioAllocation.minimumSemivarianceWeights(assetsReturns, {eps: 1e-8});
+		var expectedWeights = [0.3269, 0.6731];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum semi-variance - Values ' + i);
+		}
+		
+		var weights = PortfolioAllocation.minimumSemivarianceWeights(assetsReturns, {eps: 1e-8, minimumAcceptableReturn: 0});
+		var expectedWeights = [0.3846, 0.6154];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum semi-variance - Minimum acceptable return, values ' + i);
+		}
+		
+		// Default tolerance
+		var weights = PortfolioAllocation.minimumSemivarianceWeights(assetsReturns, {minimumAcceptableReturn: 0});
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-3, true, 'Minimum semi-variance - Default tolerance, values ' + i);
+		}
+	}
+	
+	// Minimum downside semi-variance portfolio with a target return, the average returns of the assets being 0.009 and 0.005
+	{
+		var assetsReturns = [[0.02, -0.01, 0.03, -0.04, 0.01, 0.02, -0.02, 0.03, 0.00, 0.05], [0.01, 0.02, -0.03, 0.02, -0.01, 0.00, 0.03, -0.02, 0.01, 0.02]];
+		
+		var weights = PortfolioAllocation.minimumSemivarianceWeights(assetsReturns, {eps: 1e-8, targetReturn: 0.008});
+		var expectedWeights = [0.75, 0.25];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum semi-variance - Target return, values ' + i);
+		}
+		
+		// The target return must be exactly satisfied, whatever the tolerance of the algorithm
+		var targetReturns = [0.006, 0.007, 0.008, 0.0085];
+		var tolerances = [undefined, 1e-4, 1e-3];
+		for (var k = 0; k < targetReturns.length; ++k) {
+			for (var l = 0; l < tolerances.length; ++l) {
+				var weights = PortfolioAllocation.minimumSemivarianceWeights(assetsReturns, {eps: tolerances[l], targetReturn: targetReturns[k]});
+				var portfolioReturn = 0.009 * weights[0] + 0.005 * weights[1];
+				assert.equal(portfolioReturn >= targetReturns[k], true, 'Minimum semi-variance - Target return ' + targetReturns[k] + ', tolerance ' + tolerances[l]);
+			}
+		}
+		
+		assert.throws(function() { PortfolioAllocation.minimumSemivarianceWeights(assetsReturns, {targetReturn: 0.01}) },
+		              new Error('target return not reachable'),
+					  'Minimum semi-variance - Target return not reachable');
+	}
+});
+
+
+QUnit.test('Minimum conditional drawdown portfolio', function(assert) {    
+	// Portfolio whose uncompounded cumulative returns never decrease, which is then the unique portfolio
+	// with a null maximum drawdown
+	{
+		var assetsReturns = [[0.02, -0.02, 0.01], [-0.02, 0.02, 0.01]];
+		
+		var weights = PortfolioAllocation.minimumConditionalDrawdownWeights(assetsReturns, {drawdownMeasure: 'maximum'});
+		var expectedWeights = [0.5, 0.5];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum conditional drawdown - Null maximum drawdown, values ' + i);
+		}
+	}
+	
+	// Maximum drawdown, average drawdown and conditional drawdown at risk portfolios, compared to the references 
+	// computed by a grid search, with and without target return, the average returns of the assets being 0.009 and 0.005
+	{
+		var assetsReturns = [[0.02, -0.01, 0.03, -0.04, 0.01, 0.02, -0.02, 0.03, 0.00, 0.05], [0.01, 0.02, -0.03, 0.02, -0.01, 0.00, 0.03, -0.02, 0.01, 0.02]];
+		
+		var expectedWeights = [0.5, 0.5];
+		var drawdownMeasures = ['maximum', 'average', 'conditional'];
+		for (var k = 0; k < drawdownMeasures.length; ++k) {
+			var weights = PortfolioAllocation.minimumConditionalDrawdownWeights(assetsReturns, {drawdownMeasure: drawdownMeasures[k], confidenceLevel: 0.8});
+			for (var i = 0; i < expectedWeights.length; ++i) {
+				assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum conditional drawdown - ' + drawdownMeasures[k] + ' drawdown, values ' + i);
+			}
+		}
+		
+		var weights = PortfolioAllocation.minimumConditionalDrawdownWeights(assetsReturns, {confidenceLevel: 0.8, targetReturn: 0.008});
+		var expectedWeights = [0.75, 0.25];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-4, true, 'Minimum conditional drawdown - Target return, values ' + i);
+		}
+		
+		assert.throws(function() { PortfolioAllocation.minimumConditionalDrawdownWeights(assetsReturns, {targetReturn: 0.01}) },
+		              new Error('target return not reachable'),
+					  'Minimum conditional drawdown - Target return not reachable');
+		assert.throws(function() { PortfolioAllocation.minimumConditionalDrawdownWeights(assetsReturns, {drawdownMeasure: 'median'}) },
+		              new Error('unsupported drawdown measure'),
+					  'Minimum conditional drawdown - Unsupported drawdown measure');
+	}
+});
+
+
+QUnit.test('Black-Litterman posterior', function(assert) {    
+	// Implied equilibrium returns and fully confident absolute view, the posterior return of the asset concerned 
+	// by the view being then equal to the view, and its posterior variance to its prior variance
+	{
+		var sigma = [[0.04, 0.01], [0.01, 0.09]];
+		var marketWeights = [0.5, 0.5];
+		
+		var impliedReturns = PortfolioAllocation.impliedEquilibriumReturns(marketWeights, sigma);
+		var expectedReturns = [0.0625, 0.125];
+		for (var i = 0; i < expectedReturns.length; ++i) {
+			assert.equal(Math.abs(impliedReturns[i] - expectedReturns[i]) <= 1e-14, true, 'Black-Litterman - Implied equilibrium returns ' + i);
+		}
+		
+		var impliedReturns = PortfolioAllocation.impliedEquilibriumReturns(marketWeights, sigma, {riskAversion: 1});
+		var expectedReturns = [0.025, 0.05];
+		for (var i = 0; i < expectedReturns.length; ++i) {
+			assert.equal(Math.abs(impliedReturns[i] - expectedReturns[i]) <= 1e-14, true, 'Black-Litterman - Implied equilibrium returns with risk aversion ' + i);
+		}
+		
+		var posterior = PortfolioAllocation.blackLittermanPosterior(marketWeights, sigma, {P: [[1, 0]], Q: [0.1], confidences: [1]});
+		var expectedReturns = [0.1, 0.134375];
+		for (var i = 0; i < expectedReturns.length; ++i) {
+			assert.equal(Math.abs(posterior.posteriorReturns[i] - expectedReturns[i]) <= 1e-14, true, 'Black-Litterman - Fully confident view, posterior returns ' + i);
+		}
+		var expectedSigma = new PortfolioAllocation.Matrix([[0.04, 0.01], [0.01, 0.094375]]);
+		assert.equal(PortfolioAllocation.Matrix.areEqual(posterior.posteriorCovarianceMatrix, expectedSigma, 1e-14), true, 'Black-Litterman - Fully confident view, posterior covariance matrix');
+		assert.equal(typeof posterior.posteriorCovarianceMatrix.getCorrelationMatrix, 'function', 'Black-Litterman - Fully confident view, posterior covariance matrix methods');
+	}
+	
+	// Relative and absolute views, compared to the posterior computed with the alternative formulas of the reference
+	// mu_BL = [(tau * SIGMA)^-1 + P^t * OMEGA^-1 * P]^-1 * [(tau * SIGMA)^-1 * PI + P^t * OMEGA^-1 * Q] 
+	// and SIGMA_BL = SIGMA + [(tau * SIGMA)^-1 + P^t * OMEGA^-1 * P]^-1
+	{
+		var sigma = [[0.04, 0.012, 0.006], [0.012, 0.09, 0.018], [0.006, 0.018, 0.0225]];
+		var marketWeights = [0.4, 0.35, 0.25];
+		var P = [[1, -1, 0], [0, 0, 1]];
+		var Q = [0.02, 0.06];
+		var omega = [[0.0005, 0], [0, 0.0002]];
+		
+		var posterior = PortfolioAllocation.blackLittermanPosterior(marketWeights, sigma, {P: P, Q: Q, omega: omega}, {tau: 0.025});
+		
+		var tauSigma = new PortfolioAllocation.Matrix(sigma).elemMap(function(i, j, val) { return 0.025 * val; });
+		var tauSigmaInv = PortfolioAllocation.Matrix.inverse(tauSigma);
+		var omegaInv = PortfolioAllocation.Matrix.inverse(new PortfolioAllocation.Matrix(omega));
+		var pMat = new PortfolioAllocation.Matrix(P);
+		var m = PortfolioAllocation.Matrix.inverse(PortfolioAllocation.Matrix.xpy(tauSigmaInv, PortfolioAllocation.Matrix.txy(pMat, PortfolioAllocation.Matrix.xy(omegaInv, pMat))));
+		var b = PortfolioAllocation.Matrix.xpy(PortfolioAllocation.Matrix.xy(tauSigmaInv, new PortfolioAllocation.Matrix(posterior.impliedReturns)), 
+		                                       PortfolioAllocation.Matrix.txy(pMat, PortfolioAllocation.Matrix.xy(omegaInv, new PortfolioAllocation.Matrix(Q))));
+		var expectedReturns = PortfolioAllocation.Matrix.xy(m, b);
+		var expectedSigma = PortfolioAllocation.Matrix.xpy(new PortfolioAllocation.Matrix(sigma), m);
+		
+		assert.equal(PortfolioAllocation.Matrix.areEqual(new PortfolioAllocation.Matrix(posterior.posteriorReturns), expectedReturns, 1e-12), true, 'Black-Litterman - Posterior returns');
+		assert.equal(PortfolioAllocation.Matrix.areEqual(posterior.posteriorCovarianceMatrix, expectedSigma, 1e-12), true, 'Black-Litterman - Posterior covariance matrix');
+		
+		// Views confidence levels of 50%, which correspond to the default uncertainty matrix OMEGA = diag(P * tau * SIGMA * P^t)
+		var posteriorDefault = PortfolioAllocation.blackLittermanPosterior(marketWeights, sigma, {P: P, Q: Q});
+		var posteriorConfidences = PortfolioAllocation.blackLittermanPosterior(marketWeights, sigma, {P: P, Q: Q, confidences: [0.5, 0.5]});
+		for (var i = 0; i < marketWeights.length; ++i) {
+			assert.equal(Math.abs(posteriorDefault.posteriorReturns[i] - posteriorConfidences.posteriorReturns[i]) <= 1e-14, true, 'Black-Litterman - Views confidence levels, posterior returns ' + i);
+		}
+		
+		// Errors
+		assert.throws(function() { PortfolioAllocation.blackLittermanPosterior(marketWeights, sigma, {P: P, Q: Q, omega: omega, confidences: [0.5, 0.5]}) },
+		              new Error('views uncertainty matrix and views confidence levels are mutually exclusive'),
+					  'Black-Litterman - Uncertainty matrix and confidence levels');
+		assert.throws(function() { PortfolioAllocation.blackLittermanPosterior(marketWeights, sigma, {P: P, Q: Q, confidences: [0.5, 0]}) },
+		              new Error('invalid view confidence level: 0'),
+					  'Black-Litterman - Invalid confidence level');
+	}
+});
+
+
+QUnit.test('Risk budgeting with other risk measures', function(assert) {    
+	// Tracking error, using the risk contributions of the assets computed with the covariance matrix of the returns of the assets 
+	// in excess of the returns of the benchmark
+	{
+		var assetsReturns = [[0.02, -0.01, 0.03, -0.04, 0.01, 0.02, -0.02, 0.03, 0.00, 0.05], 
+		                     [0.01, 0.02, -0.03, 0.02, -0.01, 0.00, 0.03, -0.02, 0.01, 0.02], 
+							 [0.00, -0.02, 0.01, 0.01, -0.03, 0.02, 0.01, 0.00, -0.01, 0.01]];
+		var benchmarkReturns = [0.01, 0.00, 0.01, -0.01, 0.00, 0.01, 0.00, 0.01, 0.00, 0.02];
+		var rb = [0.5, 0.3, 0.2];
+		
+		var excessReturns = assetsReturns.map(function(r) { return r.map(function(val, t) { return val - benchmarkReturns[t]; }); });
+		var sigma = PortfolioAllocation.sampleCovarianceMatrix.apply(null, excessReturns);
+		
+		var rbPortfolio = PortfolioAllocation.riskBudgetingWeights(null, rb, {riskMeasure: 'trackingError', assetsReturns: assetsReturns, benchmarkReturns: benchmarkReturns, outputPortfolioVolatility: true});
+		var riskContributions = PortfolioAllocation.portfolioRiskContributions(rbPortfolio[0], sigma);
+		for (var i = 0; i < rb.length; ++i) {
+			assert.equal(Math.abs(riskContributions.percentageRiskContributions[i] - rb[i]) <= 1e-6, true, 'Risk budgeting - Tracking error, risk contribution ' + i);
+		}
+		assert.equal(Math.abs(rbPortfolio[1] - riskContributions.portfolioVolatility) <= 1e-12, true, 'Risk budgeting - Tracking error, tracking error');
+		
+		var ercWeights = PortfolioAllocation.equalRiskContributionWeights(null, {riskMeasure: 'trackingError', assetsReturns: assetsReturns, benchmarkReturns: benchmarkReturns});
+		var expectedWeights = PortfolioAllocation.equalRiskContributionWeights(sigma);
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(ercWeights[i] - expectedWeights[i]) <= 1e-12, true, 'Risk budgeting - Tracking error, ERC weights ' + i);
+		}
+	}
+	
+	// Expected shortfall, with a unique tail scenario (the third one), so that the risk contributions of the assets are
+	// w_i * (-r_i3) / ES, and the risk budgeting portfolio is w_i proportional to b_i / (-r_i3)
+	{
+		var assetsReturns = [[0.01, 0.02, -0.10, 0.03], [0.02, 0.01, -0.05, 0.00]];
+		
+		var ercPortfolio = PortfolioAllocation.equalRiskContributionWeights(null, {riskMeasure: 'expectedShortfall', assetsReturns: assetsReturns, confidenceLevel: 0.75, outputPortfolioVolatility: true});
+		var expectedWeights = [1/3, 2/3];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(ercPortfolio[0][i] - expectedWeights[i]) <= 1e-6, true, 'Risk budgeting - Expected shortfall, ERC weights ' + i);
+		}
+		assert.equal(Math.abs(ercPortfolio[1] - 1/15) <= 1e-6, true, 'Risk budgeting - Expected shortfall, expected shortfall');
+		
+		var rbWeights = PortfolioAllocation.riskBudgetingWeights(null, [0.75, 0.25], {riskMeasure: 'expectedShortfall', assetsReturns: assetsReturns, confidenceLevel: 0.75});
+		var expectedWeights = [0.6, 0.4];
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(rbWeights[i] - expectedWeights[i]) <= 1e-6, true, 'Risk budgeting - Expected shortfall, RB weights ' + i);
+		}
+	}
+	
+	// Expected shortfall and semi-standard deviation, with 5 assets and 250 periods of returns generated by a one factor model
+	// using a seeded pseudo-random number generator, so that there are several tail scenarios for the expected shortfall
+	{
+		var seed = 12345;
+		var uniformRandom = function() { seed = (seed * 1103515245 + 12345) % 2147483648; return (seed + 1) / 2147483649; }; // belongs to ]0,1[
+		var normalRandom = function() { return Math.sqrt(-2 * Math.log(uniformRandom())) * Math.cos(2 * Math.PI * uniformRandom()); };
+		
+		var nbAssets = 5;
+		var nbPeriods = 250;
+		var factorReturns = new Array(nbPeriods);
+		for (var t = 0; t < nbPeriods; ++t) {
+			factorReturns[t] = normalRandom();
+		}
+		var assetsReturns = new Array(nbAssets);
+		for (var i = 0; i < nbAssets; ++i) {
+			assetsReturns[i] = new Array(nbPeriods);
+			for (var t = 0; t < nbPeriods; ++t) {
+				assetsReturns[i][t] = 0.0005*(i+1) + 0.01*(0.5 + 0.2*i) * (0.6*factorReturns[t] + 0.8*normalRandom());
+			}
+		}
+		var rb = [1/15, 2/15, 3/15, 4/15, 5/15];
+		
+		// Expected shortfall, using the Euler risk contributions of the assets w_i * sum_t q_t * (-r_ti) / ES, with q_t
+		// the weight of the t-th period in the computation of the expected shortfall, i.e. 1/((1-alpha)*T) for the 
+		// floor((1-alpha)*T) worst periods and the remaining weight for the next worst period
+		var startTime = Date.now();
+		var rbPortfolio = PortfolioAllocation.riskBudgetingWeights(null, rb, {riskMeasure: 'expectedShortfall', assetsReturns: assetsReturns, confidenceLevel: 0.95, outputPortfolioVolatility: true});
+		var elapsedTime = Date.now() - startTime;
+		assert.equal(elapsedTime <= 5000, true, 'Risk budgeting - Expected shortfall, 5 assets and 250 periods, computation time');
+		var weights = rbPortfolio[0];
+		
+		var portfolioReturns = PortfolioAllocation.portfolioReturns(weights, assetsReturns);
+		var sortedPeriods = portfolioReturns.map(function(r, t) { return t; }).sort(function(s, t) { return portfolioReturns[s] - portfolioReturns[t]; });
+		var periodsWeights = new Array(nbPeriods);
+		var remainingWeight = 1;
+		for (var k = 0; k < nbPeriods; ++k) {
+			periodsWeights[sortedPeriods[k]] = Math.min(remainingWeight, 1/((1 - 0.95) * nbPeriods));
+			remainingWeight -= periodsWeights[sortedPeriods[k]];
+		}
+		
+		var expectedShortfall = 0;
+		for (var t = 0; t < nbPeriods; ++t) {
+			expectedShortfall -= periodsWeights[t] * portfolioReturns[t];
+		}
+		assert.equal(Math.abs(rbPortfolio[1] - expectedShortfall) <= 1e-12, true, 'Risk budgeting - Expected shortfall, 5 assets and 250 periods, expected shortfall');
+		assert.equal(Math.abs(rbPortfolio[1] - PortfolioAllocation.conditionalValueAtRisk(portfolioReturns, {confidenceLevel: 0.95})) <= 1e-12, true, 'Risk budgeting - Expected shortfall, 5 assets and 250 periods, conditional value at risk');
+		
+		for (var i = 0; i < nbAssets; ++i) {
+			var riskContribution = 0;
+			for (var t = 0; t < nbPeriods; ++t) {
+				riskContribution -= weights[i] * periodsWeights[t] * assetsReturns[i][t];
+			}
+			assert.equal(Math.abs(riskContribution / expectedShortfall - rb[i]) <= 1e-6, true, 'Risk budgeting - Expected shortfall, 5 assets and 250 periods, risk contribution ' + i);
+		}
+		
+		// Semi-standard deviation, using the Euler risk contributions of the assets detailed in the next test
+		var startTime = Date.now();
+		var rbPortfolio = PortfolioAllocation.riskBudgetingWeights(null, rb, {riskMeasure: 'semiStandardDeviation', assetsReturns: assetsReturns, outputPortfolioVolatility: true});
+		var elapsedTime = Date.now() - startTime;
+		assert.equal(elapsedTime <= 5000, true, 'Risk budgeting - Semi-standard deviation, 5 assets and 250 periods, computation time');
+		var weights = rbPortfolio[0];
+		
+		var means = assetsReturns.map(function(r) { return r.reduce(function(a, b) { return a + b; }, 0) / nbPeriods; });
+		var downsideDeviations = new Array(nbPeriods);
+		var semiVariance = 0;
+		for (var t = 0; t < nbPeriods; ++t) {
+			var deviation = 0;
+			for (var i = 0; i < nbAssets; ++i) {
+				deviation += weights[i] * (assetsReturns[i][t] - means[i]);
+			}
+			downsideDeviations[t] = Math.min(0, deviation);
+			semiVariance += downsideDeviations[t] * downsideDeviations[t] / nbPeriods;
+		}
+		
+		for (var i = 0; i < nbAssets; ++i) {
+			var riskContribution = 0;
+			for (var t = 0; t < nbPeriods; ++t) {
+				riskContribution += weights[i] * (assetsReturns[i][t] - means[i]) * downsideDeviations[t] / nbPeriods;
+			}
+			assert.equal(Math.abs(riskContribution / semiVariance - rb[i]) <= 1e-6, true, 'Risk budgeting - Semi-standard deviation, 5 assets and 250 periods, risk contribution ' + i);
+		}
+	}
+	
+	// Semi-standard deviation, using the Euler risk contributions of the assets 
+	// w_i * 1/T * sum_t (r_ti - mu_i) * min(0, <r_t - mu/w>) / SSD
+	{
+		var assetsReturns = [[0.02, -0.01, 0.03, -0.04, 0.01, 0.02, -0.02, 0.03, 0.00, 0.05], 
+		                     [0.01, 0.02, -0.03, 0.02, -0.01, 0.00, 0.03, -0.02, 0.01, 0.02], 
+							 [0.00, -0.02, 0.01, 0.01, -0.03, 0.02, 0.01, 0.00, -0.01, 0.01]];
+		var rb = [0.5, 0.3, 0.2];
+		var nbPeriods = assetsReturns[0].length;
+		
+		var rbPortfolio = PortfolioAllocation.riskBudgetingWeights(null, rb, {riskMeasure: 'semiStandardDeviation', assetsReturns: assetsReturns, outputPortfolioVolatility: true});
+		var weights = rbPortfolio[0];
+		
+		var means = assetsReturns.map(function(r) { return r.reduce(function(a, b) { return a + b; }, 0) / nbPeriods; });
+		var downsideDeviations = new Array(nbPeriods);
+		var semiVariance = 0;
+		for (var t = 0; t < nbPeriods; ++t) {
+			var deviation = 0;
+			for (var i = 0; i < weights.length; ++i) {
+				deviation += weights[i] * (assetsReturns[i][t] - means[i]);
+			}
+			downsideDeviations[t] = Math.min(0, deviation);
+			semiVariance += downsideDeviations[t] * downsideDeviations[t] / nbPeriods;
+		}
+		assert.equal(Math.abs(rbPortfolio[1] - Math.sqrt(semiVariance)) <= 1e-12, true, 'Risk budgeting - Semi-standard deviation, semi-standard deviation');
+		
+		for (var i = 0; i < weights.length; ++i) {
+			var riskContribution = 0;
+			for (var t = 0; t < nbPeriods; ++t) {
+				riskContribution += weights[i] * (assetsReturns[i][t] - means[i]) * downsideDeviations[t] / nbPeriods;
+			}
+			assert.equal(Math.abs(riskContribution / semiVariance - rb[i]) <= 1e-6, true, 'Risk budgeting - Semi-standard deviation, risk contribution ' + i);
+		}
+	}
+	
+	// Errors
+	{
+		var assetsReturns = [[0.01, 0.02, -0.10, 0.03], [0.02, 0.01, -0.05, 0.00]];
+		
+		assert.throws(function() { PortfolioAllocation.riskBudgetingWeights([[0.1,0], [0,0.2]], [0.5, 0.5], {riskMeasure: 'variance'}) },
+		              new Error('unsupported risk measure'),
+					  'Risk budgeting - Unsupported risk measure');
+		assert.throws(function() { PortfolioAllocation.riskBudgetingWeights(null, [0.5, 0.5], {riskMeasure: 'expectedShortfall'}) },
+		              new Error('missing assets returns'),
+					  'Risk budgeting - Missing assets returns');
+		assert.throws(function() { PortfolioAllocation.riskBudgetingWeights(null, [0.5, 0.5], {riskMeasure: 'trackingError', assetsReturns: assetsReturns}) },
+		              new Error('missing benchmark returns'),
+					  'Risk budgeting - Missing benchmark returns');
+		assert.throws(function() { PortfolioAllocation.riskBudgetingWeights(null, [0.5, 0.5], {riskMeasure: 'semiStandardDeviation', assetsReturns: assetsReturns, constraints: {groups: [{assets: [1, 2], maxWeight: 0.5}]}}) },
+		              new Error('groups constraints are not supported with scenario-based risk measures'),
+					  'Risk budgeting - Groups constraints with a scenario-based risk measure');
+	}
+});
+
+
+QUnit.test('Risk budgeting with weights constraints and target volatility', function(assert) {    
+	var sigma = [[0.04, 0.012, 0.006], [0.012, 0.09, 0.018], [0.006, 0.018, 0.0225]];
+	
+	// Maximum weights constraints, with the risk contributions of the assets whose weights do not reach 
+	// their bounds remaining equal
+	{
+		var ercPortfolio = PortfolioAllocation.equalRiskContributionWeights(sigma, {constraints: {maxWeights: [1, 1, 0.35]}, outputPortfolioVolatility: true});
+		var weights = ercPortfolio[0];
+		var riskContributions = PortfolioAllocation.portfolioRiskContributions(weights, sigma);
+		
+		assert.equal(Math.abs(weights[0] + weights[1] + weights[2] - 1) <= 1e-12, true, 'Risk budgeting - Maximum weights, full investment');
+		assert.equal(Math.abs(weights[2] - 0.35) <= 1e-6, true, 'Risk budgeting - Maximum weights, binding constraint');
+		assert.equal(Math.abs(riskContributions.riskContributions[0] - riskContributions.riskContributions[1]) <= 1e-6, true, 'Risk budgeting - Maximum weights, equal risk contributions');
+		assert.equal(riskContributions.riskContributions[2] < riskContributions.riskContributions[0], true, 'Risk budgeting - Maximum weights, constrained risk contribution');
+		assert.equal(Math.abs(ercPortfolio[1] - riskContributions.portfolioVolatility) <= 1e-12, true, 'Risk budgeting - Maximum weights, volatility');
+	}
+	
+	// Minimum weights constraints
+	{
+		var weights = PortfolioAllocation.equalRiskContributionWeights(sigma, {constraints: {minWeights: [0, 0.3, 0]}});
+		var riskContributions = PortfolioAllocation.portfolioRiskContributions(weights, sigma);
+		
+		assert.equal(Math.abs(weights[0] + weights[1] + weights[2] - 1) <= 1e-12, true, 'Risk budgeting - Minimum weights, full investment');
+		assert.equal(Math.abs(weights[1] - 0.3) <= 1e-6, true, 'Risk budgeting - Minimum weights, binding constraint');
+		assert.equal(Math.abs(riskContributions.riskContributions[0] - riskContributions.riskContributions[2]) <= 1e-6, true, 'Risk budgeting - Minimum weights, equal risk contributions');
+	}
+	
+	// Non binding weights constraints, which must not change the risk budgeting portfolio
+	{
+		var rb = [0.5, 0.3, 0.2];
+		var expectedWeights = PortfolioAllocation.riskBudgetingWeights(sigma, rb);
+		var weights = PortfolioAllocation.riskBudgetingWeights(sigma, rb, {constraints: {minWeights: [0.1, 0.1, 0.1], maxWeights: [0.9, 0.9, 0.9]}});
+		for (var i = 0; i < expectedWeights.length; ++i) {
+			assert.equal(Math.abs(weights[i] - expectedWeights[i]) <= 1e-6, true, 'Risk budgeting - Non binding weights constraints ' + i);
+		}
+	}
+	
+	// Target volatility, lower than the volatility of the fully invested portfolio, in which case the fully invested portfolio 
+	// is rescaled, and greater than this volatility, in which case the fully invested portfolio is not changed
+	{
+		var rb = [0.25, 0.75];
+		var expectedPortfolio = PortfolioAllocation.riskBudgetingWeights([[0.1,0], [0,0.2]], rb, {outputPortfolioVolatility: true});
+		
+		var rbPortfolio = PortfolioAllocation.riskBudgetingWeights([[0.1,0], [0,0.2]], rb, {targetVolatility: 0.2, outputPortfolioVolatility: true});
+		assert.equal(Math.abs(rbPortfolio[1] - 0.2) <= 1e-6, true, 'Risk budgeting - Target volatility, volatility');
+		for (var i = 0; i < rb.length; ++i) {
+			assert.equal(Math.abs(rbPortfolio[0][i] - expectedPortfolio[0][i] * 0.2/expectedPortfolio[1]) <= 1e-6, true, 'Risk budgeting - Target volatility, weights ' + i);
+		}
+		
+		var rbPortfolio = PortfolioAllocation.riskBudgetingWeights([[0.1,0], [0,0.2]], rb, {targetVolatility: 0.5, outputPortfolioVolatility: true});
+		for (var i = 0; i < rb.length; ++i) {
+			assert.equal(Math.abs(rbPortfolio[0][i] - expectedPortfolio[0][i]) <= 1e-6, true, 'Risk budgeting - Unreached target volatility, weights ' + i);
+		}
+	}
+	
+	// Target volatility together with maximum weights constraints
+	{
+		var ercPortfolio = PortfolioAllocation.equalRiskContributionWeights(sigma, {targetVolatility: 0.1, constraints: {maxWeights: [1, 1, 0.2]}, outputPortfolioVolatility: true});
+		var weights = ercPortfolio[0];
+		var riskContributions = PortfolioAllocation.portfolioRiskContributions(weights, sigma);
+		
+		assert.equal(Math.abs(riskContributions.portfolioVolatility - 0.1) <= 1e-6, true, 'Risk budgeting - Target volatility and maximum weights, volatility');
+		assert.equal(weights[0] + weights[1] + weights[2] < 1, true, 'Risk budgeting - Target volatility and maximum weights, partial investment');
+		assert.equal(Math.abs(weights[2] - 0.2) <= 1e-6, true, 'Risk budgeting - Target volatility and maximum weights, binding constraint');
+		assert.equal(Math.abs(riskContributions.riskContributions[0] - riskContributions.riskContributions[1]) <= 1e-6, true, 'Risk budgeting - Target volatility and maximum weights, equal risk contributions');
+	}
+	
+	// Errors
+	{
+		assert.throws(function() { PortfolioAllocation.equalRiskContributionWeights(sigma, {constraints: {maxWeights: [0.3, 0.3, 0.3]}}) },
+		              new Error('infeasible problem detected'),
+					  'Risk budgeting - Infeasible maximum weights');
+		assert.throws(function() { PortfolioAllocation.equalRiskContributionWeights(sigma, {constraints: {minWeights: [0.5, 0.3, 0.3]}}) },
+		              new Error('infeasible problem detected'),
+					  'Risk budgeting - Infeasible minimum weights');
+		assert.throws(function() { PortfolioAllocation.equalRiskContributionWeights(sigma, {targetVolatility: 0.01, constraints: {minWeights: [0.2, 0.2, 0.2]}}) },
+		              new Error('target volatility not reachable'),
+					  'Risk budgeting - Target volatility too low');
+		assert.throws(function() { PortfolioAllocation.equalRiskContributionWeights(sigma, {targetVolatility: 0.2, constraints: {maxWeights: [0.3, 0.3, 0.3]}}) },
+		              new Error('target volatility not reachable'),
+					  'Risk budgeting - Target volatility too high');
+		assert.throws(function() { PortfolioAllocation.equalRiskContributionWeights(sigma, {constraints: {maxWeights: [0.5, 0.5, 0.5], groups: [{assets: [1, 2], maxWeight: 0.7}]}}) },
+		              new Error('minimum and maximum weights constraints and target volatility are not supported with groups constraints'),
+					  'Risk budgeting - Weights constraints with groups constraints');
+		assert.throws(function() { PortfolioAllocation.equalRiskContributionWeights(null, {riskMeasure: 'trackingError', assetsReturns: [[0.01, 0.02], [0.02, 0.01]], benchmarkReturns: [0.01, 0.01], targetVolatility: 0.1}) },
+		              new Error('target volatility is only supported with the volatility risk measure'),
+					  'Risk budgeting - Target volatility with tracking error');
+	}
+});
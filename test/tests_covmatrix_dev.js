@@ -27,4 +27,41 @@ QUnit.test('Covariance matrix sgv', function(assert) {
   assert.equal(mat.standardizedGeneralizedVariance(), Math.pow(mat.determinant(), 1/4), true, 'Sgv computation');
   
     // TODO: Test using formula and random data
-});
\ No newline at end of file
+});
+
+QUnit.test('Covariance matrix nearest positive semi-definite', function(assert) {    
+  // Reference example, c.f. section 4 of Higham's paper
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1, 1, 0], [1, 1, 1], [0, 1, 1]]).toCovarianceMatrix();
+	  var psdMat = mat.nearestPositiveSemidefinite();
+	  var expectedMat = new PortfolioAllocation.Matrix([[1, 0.7607, 0.1573], [0.7607, 1, 0.7607], [0.1573, 0.7607, 1]]);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(psdMat, expectedMat, 1e-4), true, 'Nearest positive semi-definite matrix #1');
+	  assert.equal(psdMat.getValueAt(1, 1) == 1 && psdMat.getValueAt(2, 2) == 1 && psdMat.getValueAt(3, 3) == 1, true, 'Nearest positive semi-definite matrix #1, unit diagonal');
+	  assert.equal(typeof psdMat.getCorrelationMatrix == 'function', true, 'Nearest positive semi-definite matrix #1, covariance matrix methods');
+  }
+  
+  // Covariance matrix with the same correlation matrix as the reference example, whose variances must be kept
+  {
+	  var stdDevs = [0.1, 0.2, 0.3];
+	  var mat = new PortfolioAllocation.Matrix([[0.01, 0.02, 0], [0.02, 0.04, 0.06], [0, 0.06, 0.09]]).toCovarianceMatrix();
+	  var psdMat = mat.nearestPositiveSemidefinite();
+	  var expectedMat = new PortfolioAllocation.Matrix([[1, 0.7607, 0.1573], [0.7607, 1, 0.7607], [0.1573, 0.7607, 1]]).elemMap(function(i, j, val) { return val * stdDevs[i-1] * stdDevs[j-1]; });
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(psdMat, expectedMat, 1e-5), true, 'Nearest positive semi-definite matrix #2');
+	  assert.deepEqual(psdMat.getVariancesVector().toArray(), [0.01, 0.04, 0.09], 'Nearest positive semi-definite matrix #2, variances');
+  }
+  
+  // Positive semi-definite matrix, which must be left unchanged
+  {
+	  var mat = new PortfolioAllocation.Matrix([[0.01, 0.016, 0, 0], [0.016, 0.04, 0, 0], [0, 0, 0.09, -0.06], [0, 0, -0.06, 0.16]]).toCovarianceMatrix();
+	  var psdMat = mat.nearestPositiveSemidefinite();
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(psdMat, mat, 1e-14), true, 'Nearest positive semi-definite matrix #3');
+  }
+  
+  // Matrix with a null variance
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1, 0], [0, 0]]).toCovarianceMatrix();
+	  assert.throws(function() { mat.nearestPositiveSemidefinite() },
+		            new Error('covariance matrix has non strictly positive variances'),
+				    'Nearest positive semi-definite matrix, null variance');
+  }
+});
@@ -18,3 +18,151 @@ QUnit.test('Covariance matrix native creation', function(assert) {
   
 });
 
+
+
+QUnit.test('Shrinkage covariance matrix creation', function(assert) {    
+  // Static data, shrinkage intensities of 0 and 1
+  {
+	  var returns = [[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]];
+	  
+	  var cov = PortfolioAllocation.shrinkageCovarianceMatrix(returns, {shrinkageTarget: 'identity', shrinkageIntensity: 0});
+	  assert.deepEqual(cov.toRowArray(), PortfolioAllocation.covarianceMatrix(returns[0], returns[1]).toRowArray(), 'Shrinkage covariance matrix, null intensity');
+	  
+	  var cov = PortfolioAllocation.shrinkageCovarianceMatrix(returns, {shrinkageTarget: 'identity', shrinkageIntensity: 1});
+	  assert.deepEqual(cov.toRowArray(), [[0.0007111111111111111, 0], [0, 0.0007111111111111111]], 'Shrinkage covariance matrix, unit intensity, identity target');
+	  
+	  var cov = PortfolioAllocation.shrinkageCovarianceMatrix(returns, {shrinkageTarget: 'constantCorrelation', shrinkageIntensity: 1});
+	  assert.deepEqual(cov.toRowArray(), PortfolioAllocation.covarianceMatrix(returns[0], returns[1]).toRowArray(), 'Shrinkage covariance matrix, unit intensity, constant correlation target with 2 assets');
+  }
+  
+  // Static data, optimal shrinkage intensity, with more assets than observations
+  {
+	  var returns = [[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01], [0.02, -0.01, 0.03], [0.01, 0.02, -0.02]];
+	  
+	  var expectedCovs = {constantCorrelation: [[0.0003555555555555556, -0.00034191674535841875, -0.000003551501086994191, -0.000003551501086994218], [-0.00034191674535841875, 0.0010666666666666667, -0.00026977605936625253, -0.000015967461990632875], [-0.000003551501086994191, -0.00026977605936625253, 0.0002888888888888889, -0.00015766021661530626], [-0.000003551501086994218, -0.000015967461990632875, -0.00015766021661530626, 0.00028888888888888893]],
+	                      singleIndex: [[0.0003555555555555556, -0.0004428781204111604, 0.00007381302006852675, 0.00007381302006852675], [-0.0004428781204111604, 0.0010666666666666667, -0.0003773861967694568, 0.00015594713656387653], [0.00007381302006852675, -0.0003773861967694568, 0.0002888888888888889, -0.00024821341164953494], [0.00007381302006852675, 0.00015594713656387653, -0.00024821341164953494, 0.00028888888888888893]],
+	                      identity: [[0.00041946902654867255, -0.000297345132743363, 0.00004955752212389385, 0.00004955752212389382], [-0.000297345132743363, 0.0008159292035398232, -0.00022300884955752222, 0.0000743362831858407], [0.00004955752212389385, -0.00022300884955752222, 0.00038230088495575215, -0.000136283185840708], [0.00004955752212389382, 0.0000743362831858407, -0.000136283185840708, 0.0003823008849557522]]};
+	  
+	  for (var shrinkageTarget in expectedCovs) {
+		  var cov = PortfolioAllocation.shrinkageCovarianceMatrix(returns, {shrinkageTarget: shrinkageTarget}).toRowArray();
+		  var expectedCov = expectedCovs[shrinkageTarget];
+		  for (var i = 0; i < expectedCov.length; ++i) {
+			  for (var j = 0; j < expectedCov.length; ++j) {
+				  assert.equal(Math.abs(cov[i][j] - expectedCov[i][j]) <= 1e-15, true, 'Shrinkage covariance matrix, optimal intensity, ' + shrinkageTarget + ' target ' + i + ',' + j);
+			  }
+		  }
+	  }
+  }
+  
+  // Static data, single index target with a given index
+  {
+	  var returns = [[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]];
+	  var marketReturns = [0.02, 0.01, 0.00];
+	  
+	  // The single index target has covariances cov(r_i, r_m) * cov(r_j, r_m) / var(r_m) = 0.00013 * -0.00013 / 0.000067
+	  var cov = PortfolioAllocation.shrinkageCovarianceMatrix(returns, {shrinkageTarget: 'singleIndex', shrinkageIntensity: 1, marketReturns: marketReturns}).toRowArray();
+	  assert.equal(Math.abs(cov[0][1] - (-0.0002666666666666667)) <= 1e-15, true, 'Shrinkage covariance matrix, unit intensity, single index target with a given index');
+  }
+  
+  // Unsupported shrinkage target
+  {
+	  assert.throws(function() { PortfolioAllocation.shrinkageCovarianceMatrix([[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]], {shrinkageTarget: 'unknown'}) },
+		            new Error('unsupported shrinkage target'),
+				    'Shrinkage covariance matrix, unsupported shrinkage target');
+  }
+});
+
+
+QUnit.test('Exponentially weighted covariance matrix creation', function(assert) {    
+  // Static data
+  {
+	  var returns = [[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]];
+	  
+	  // Weights 1/7, 2/7 and 4/7
+	  var cov = PortfolioAllocation.exponentiallyWeightedCovarianceMatrix(returns, {lambda: 0.5});
+	  assert.deepEqual(cov.toRowArray(), [[0.0001959183673469388, -0.00026122448979591835], [-0.00026122448979591835, 0.0006530612244897958]], 'Exponentially weighted covariance matrix #1');
+	  
+	  // Half-life of 1 observation, equivalent to a decay factor of 0.5
+	  var cov = PortfolioAllocation.exponentiallyWeightedCovarianceMatrix(returns, {halfLife: 1});
+	  assert.deepEqual(cov.toRowArray(), [[0.0001959183673469388, -0.00026122448979591835], [-0.00026122448979591835, 0.0006530612244897958]], 'Exponentially weighted covariance matrix #2');
+	  
+	  // Zero means
+	  var cov = PortfolioAllocation.exponentiallyWeightedCovarianceMatrix(returns, {lambda: 0.5, zeroMeans: true});
+	  assert.deepEqual(cov.toRowArray(), [[0.00044285714285714284, -0.0003285714285714286], [-0.0003285714285714286, 0.0006714285714285714]], 'Exponentially weighted covariance matrix #3');
+	  
+	  // Decay factor of 1, equivalent to the covariance matrix
+	  var cov = PortfolioAllocation.exponentiallyWeightedCovarianceMatrix(returns, {lambda: 1}).toRowArray();
+	  var expectedCov = PortfolioAllocation.covarianceMatrix(returns[0], returns[1]).toRowArray();
+	  for (var i = 0; i < expectedCov.length; ++i) {
+		  for (var j = 0; j < expectedCov.length; ++j) {
+			  assert.equal(Math.abs(cov[i][j] - expectedCov[i][j]) <= 1e-15, true, 'Exponentially weighted covariance matrix #4 ' + i + ',' + j);
+		  }
+	  }
+	  
+	  // Covariance matrix methods
+	  var cov = PortfolioAllocation.exponentiallyWeightedCovarianceMatrix(returns, {lambda: 0.5});
+	  assert.deepEqual(cov.getVariancesVector().toArray(), [0.0001959183673469388, 0.0006530612244897958], 'Exponentially weighted covariance matrix #5');
+	  var corr = cov.getCorrelationMatrix().toRowArray();
+	  assert.equal(Math.abs(corr[0][1] - (-0.00026122448979591835)/Math.sqrt(0.0001959183673469388 * 0.0006530612244897958)) <= 1e-14, true, 'Exponentially weighted covariance matrix #6');
+  }
+  
+  // Invalid parameters
+  {
+	  assert.throws(function() { PortfolioAllocation.exponentiallyWeightedCovarianceMatrix([[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]], {lambda: 1.5}) },
+		            new Error('invalid decay factor: 1.5'),
+				    'Exponentially weighted covariance matrix, invalid decay factor');
+	  assert.throws(function() { PortfolioAllocation.exponentiallyWeightedCovarianceMatrix([[0.05, 0.01, 0.01], [-0.05, 0.03, -0.01]], {halfLife: 0}) },
+		            new Error('invalid half-life: 0'),
+				    'Exponentially weighted covariance matrix, invalid half-life');
+  }
+});
+
+
+QUnit.test('Denoised covariance matrix creation', function(assert) {    
+  // Static data, with a correlation matrix whose eigenvalues are 2.1, 0.9, 0.5 and 0.5, 
+  // and an associated Marchenko-Pastur upper bound of 0.475 * (1 + sqrt(4/T))^2
+  var corrMat = [[1, 0.5, 0.3, 0.3], [0.5, 1, 0.3, 0.3], [0.3, 0.3, 1, 0.5], [0.3, 0.3, 0.5, 1]];
+  var stdDevs = [0.1, 0.2, 0.3, 0.4];
+  var covMat = corrMat.map(function(row, i) { return row.map(function(val, j) { return val * stdDevs[i] * stdDevs[j]; }); });
+  
+  function checkCorrelations(cov, expectedCorrMat, message) {
+	  var corr = cov.getCorrelationMatrix().toRowArray();
+	  for (var i = 0; i < expectedCorrMat.length; ++i) {
+		  for (var j = 0; j < expectedCorrMat.length; ++j) {
+			  assert.equal(Math.abs(corr[i][j] - expectedCorrMat[i][j]) <= 1e-14, true, message + ' ' + i + ',' + j);
+		  }
+	  }
+  }
+  
+  // Eigenvalue clipping, T = 100, with noise eigenvalues 0.5 and 0.5 already equal to their average
+  {
+	  var cov = PortfolioAllocation.denoisedCovarianceMatrix(covMat, 100);
+	  checkCorrelations(cov, corrMat, 'Denoised covariance matrix, eigenvalue clipping #1');
+	  assert.deepEqual(cov.getVariancesVector().toArray(), [covMat[0][0], covMat[1][1], covMat[2][2], covMat[3][3]], 'Denoised covariance matrix, eigenvalue clipping #1, variances');
+  }
+  
+  // Eigenvalue clipping, T = 16, with noise eigenvalues 0.9, 0.5 and 0.5 replaced by their average
+  {
+	  var cov = PortfolioAllocation.denoisedCovarianceMatrix(covMat, 16, {denoisingMethod: 'eigenvalueClipping'});
+	  var expectedCorrMat = [[1, 0.11/0.3, 0.11/0.3, 0.11/0.3], [0.11/0.3, 1, 0.11/0.3, 0.11/0.3], [0.11/0.3, 0.11/0.3, 1, 0.11/0.3], [0.11/0.3, 0.11/0.3, 0.11/0.3, 1]];
+	  checkCorrelations(cov, expectedCorrMat, 'Denoised covariance matrix, eigenvalue clipping #2');
+  }
+  
+  // Targeted shrinkage, T = 16, with the noise part of the correlation matrix shrunk toward its diagonal
+  {
+	  var cov = PortfolioAllocation.denoisedCovarianceMatrix(covMat, 16, {denoisingMethod: 'targetedShrinkage'});
+	  var expectedCorrMat = [[1, 0.525, 0.525, 0.525], [0.525, 1, 0.525, 0.525], [0.525, 0.525, 1, 0.525], [0.525, 0.525, 0.525, 1]];
+	  checkCorrelations(cov, expectedCorrMat, 'Denoised covariance matrix, targeted shrinkage #1');
+	  
+	  var cov = PortfolioAllocation.denoisedCovarianceMatrix(covMat, 16, {denoisingMethod: 'targetedShrinkage', alpha: 0.5});
+	  var expectedCorrMat = [[1, 0.5125, 0.4125, 0.4125], [0.5125, 1, 0.4125, 0.4125], [0.4125, 0.4125, 1, 0.5125], [0.4125, 0.4125, 0.5125, 1]];
+	  checkCorrelations(cov, expectedCorrMat, 'Denoised covariance matrix, targeted shrinkage #2');
+  }
+  
+  // Unsupported denoising method
+  {
+	  assert.throws(function() { PortfolioAllocation.denoisedCovarianceMatrix(covMat, 16, {denoisingMethod: 'unknown'}) },
+		            new Error('unsupported denoising method'),
+				    'Denoised covariance matrix, unsupported denoising method');
+  }
+});
@@ -306,6 +306,179 @@ QUnit.test('QR decomposition', function(assert) {
   // TODO: Test error case
 });
 
+QUnit.test('LU decomposition', function(assert) {    
+  // Test using static data
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,2], [3,4]]);
+	  var lup = PortfolioAllocation.Matrix.luDecomposition(mat);
+	  var L = lup[0];
+	  var U = lup[1];
+	  var P = lup[2];
+	  
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(L, new PortfolioAllocation.Matrix([[1,0], [1/3,1]]), 1e-14), true, 'LU decomposition - #1 1/3');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(U, new PortfolioAllocation.Matrix([[3,4], [0,2/3]]), 1e-14), true, 'LU decomposition - #1 2/3');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(P, new PortfolioAllocation.Matrix([[0,1], [1,0]])), true, 'LU decomposition - #1 3/3');
+  }
+  
+  // Test using static data, singular matrix
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,2], [2,4]]);
+	  var lup = PortfolioAllocation.Matrix.luDecomposition(mat);
+	  
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(lup[1], new PortfolioAllocation.Matrix([[2,4], [0,0]])), true, 'LU decomposition - #2');
+  }
+  
+  // Test using random data
+  {
+	  var n = Math.floor(Math.random() * (20 - 1 + 1)) + 1; // max 20, min 1
+	  var mat = PortfolioAllocation.Matrix.fill(n, n, function(i,j) { return Math.random() - 0.5; });
+	  var lup = PortfolioAllocation.Matrix.luDecomposition(mat);
+	  var L = lup[0];
+	  var U = lup[1];
+	  var P = lup[2];
+	  
+	  // Checks on L, U and P*A = L*U
+	  var lowerL = true;
+	  var upperU = true;
+	  for (var i = 1; i <= n; ++i) {
+		  for (var j = 1; j <= n; ++j) {
+			  if (j > i && L.getValueAt(i, j) != 0 || j == i && L.getValueAt(i, j) != 1 || Math.abs(L.getValueAt(i, j)) > 1) {
+				  lowerL = false;
+			  }
+			  if (j < i && U.getValueAt(i, j) != 0) {
+				  upperU = false;
+			  }
+		  }
+	  }
+	  assert.equal(lowerL, true, 'LU decomposition, random - 1/3');
+	  assert.equal(upperU, true, 'LU decomposition, random - 2/3');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.xy(P, mat), PortfolioAllocation.Matrix.xy(L, U), 1e-14), true, 'LU decomposition, random - 3/3');
+  }
+  
+  // Unsupported case, non square matrix
+  {
+      var mat = new PortfolioAllocation.Matrix([[-3,5,7], [2,6,4]]);
+      assert.throws(function() { PortfolioAllocation.Matrix.luDecomposition(mat); },
+		                         new Error('matrix is not square: (2,3)'),
+		                         "LU decomposition, unsupported non square matrix");
+  }
+});
+
+
+QUnit.test('Matrix inverse computation', function(assert) {    
+  // Test using static data
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,2], [3,4]]);
+	  var expectedInv = new PortfolioAllocation.Matrix([[-2,1], [1.5,-0.5]]);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.inverse(mat), expectedInv, 1e-14), true, 'Matrix inverse - #1');
+  }
+  
+  // Test using static data, Hilbert matrix of order 3
+  {
+	  var mat = PortfolioAllocation.Matrix.fill(3, 3, function(i,j) { return 1/(i + j - 1); });
+	  var expectedInv = new PortfolioAllocation.Matrix([[9,-36,30], [-36,192,-180], [30,-180,180]]);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.inverse(mat), expectedInv, 1e-11), true, 'Matrix inverse - #2');
+  }
+  
+  // Test using random data
+  {
+	  var n = Math.floor(Math.random() * (20 - 1 + 1)) + 1; // max 20, min 1
+	  var mat = PortfolioAllocation.Matrix.fill(n, n, function(i,j) { return (i == j ? n : 0) + Math.random() - 0.5; }); // diagonally dominant, so invertible
+	  var inv = PortfolioAllocation.Matrix.inverse(mat);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.xy(mat, inv), PortfolioAllocation.Matrix.identity(n), 1e-12), true, 'Matrix inverse, random - 1/2');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.xy(inv, mat), PortfolioAllocation.Matrix.identity(n), 1e-12), true, 'Matrix inverse, random - 2/2');
+  }
+  
+  // Singular matrix
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,2], [2,4]]);
+	  assert.throws(function() { PortfolioAllocation.Matrix.inverse(mat); },
+		                         new Error('input matrix is not invertible: zero diagonal coefficient at index 2'),
+		                         "Matrix inverse, singular matrix");
+  }
+});
+
+
+QUnit.test('Condition number computation', function(assert) {    
+  // Test using static data
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,2], [3,4]]);
+	  assert.equal(Math.abs(PortfolioAllocation.Matrix.conditionNumber(mat) - 21) <= 1e-12, true, 'Condition number - #1');
+	  
+	  var mat = PortfolioAllocation.Matrix.identity(4);
+	  assert.equal(PortfolioAllocation.Matrix.conditionNumber(mat), 1, 'Condition number - #2');
+  }
+  
+  // Test using static data, Hilbert matrix of order 3, with a condition number of 748
+  {
+	  var mat = PortfolioAllocation.Matrix.fill(3, 3, function(i,j) { return 1/(i + j - 1); });
+	  assert.equal(Math.abs(PortfolioAllocation.Matrix.conditionNumber(mat) - 748) <= 1e-10, true, 'Condition number - #3');
+  }
+  
+  // Test using random data, the estimated condition number being lower than or equal to the exact condition number
+  {
+	  var n = Math.floor(Math.random() * (20 - 1 + 1)) + 1; // max 20, min 1
+	  var mat = PortfolioAllocation.Matrix.fill(n, n, function(i,j) { return (i == j ? n : 0) + Math.random() - 0.5; }); // diagonally dominant, so invertible
+	  var exactCond = mat.matrixNorm('one') * PortfolioAllocation.Matrix.inverse(mat).matrixNorm('one');
+	  var cond = PortfolioAllocation.Matrix.conditionNumber(mat);
+	  assert.equal(cond >= 1 && cond <= exactCond * (1 + 1e-12), true, 'Condition number, random');
+  }
+  
+  // Singular matrix
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,2], [2,4]]);
+	  assert.equal(PortfolioAllocation.Matrix.conditionNumber(mat), Infinity, 'Condition number, singular matrix');
+  }
+});
+
+
+QUnit.test('Cholesky decomposition', function(assert) {    
+  // Test using static data
+  {
+	  var mat = new PortfolioAllocation.Matrix([[4,12,-16], [12,37,-43], [-16,-43,98]]);
+	  var L = PortfolioAllocation.Matrix.choleskyDecomposition(mat);
+	  
+	  var expectedL = new PortfolioAllocation.Matrix([[2,0,0], [6,1,0], [-8,5,3]]);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(L, expectedL), true, 'Cholesky decomposition - #1');
+  }
+  
+  // Test using random data, with a positive definite matrix A = B*B^t + I
+  {
+	  var n = Math.floor(Math.random() * (20 - 1 + 1)) + 1; // max 20, min 1
+	  var B = PortfolioAllocation.Matrix.fill(n, n, function(i,j) { return Math.random() - 0.5; });
+	  var mat = PortfolioAllocation.Matrix.xpy(PortfolioAllocation.Matrix.axty(1, B, B), PortfolioAllocation.Matrix.identity(n));
+	  
+	  var L = PortfolioAllocation.Matrix.choleskyDecomposition(mat);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.axty(1, L, L), mat, 1e-12), true, 'Cholesky decomposition, random - #1');
+  }
+  
+  // Test using static data, positive semi-definite matrix with jitter
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,1], [1,1]]);
+	  assert.throws(function() { PortfolioAllocation.Matrix.choleskyDecomposition(mat); },
+		                         new Error('matrix is not positive definite'),
+		                         "Cholesky decomposition, positive semi-definite matrix");
+	  
+	  var L = PortfolioAllocation.Matrix.choleskyDecomposition(mat, {jitter: 1e-8});
+	  var expectedMat = new PortfolioAllocation.Matrix([[1 + 1e-8, 1], [1, 1 + 1e-8]]);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.axty(1, L, L), expectedMat, 1e-14), true, 'Cholesky decomposition, positive semi-definite matrix with jitter');
+  }
+  
+  // Unsupported cases, non positive definite and non square matrices
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,2], [2,1]]);
+	  assert.throws(function() { PortfolioAllocation.Matrix.choleskyDecomposition(mat); },
+		                         new Error('matrix is not positive definite'),
+		                         "Cholesky decomposition, indefinite matrix");
+	  
+      var mat = new PortfolioAllocation.Matrix([[-3,5,7], [2,6,4]]);
+      assert.throws(function() { PortfolioAllocation.Matrix.choleskyDecomposition(mat); },
+		                         new Error('matrix is not square: (2,3)'),
+		                         "Cholesky decomposition, unsupported non square matrix");
+  }
+});
+
+
 QUnit.test('Singular value decomposition', function(assert) {      
   // Test using static data, m = n case
   // Validated with Matlab
@@ -395,6 +568,68 @@ QUnit.test('Singular value decomposition', function(assert) {
 });
 
 
+QUnit.test('Eigenvalue decomposition', function(assert) {    
+  // Test using static data, diagonal matrix
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,0], [0,2]]);
+	  
+	  // Computation of an eigenvalue decomposition, with eigenvalues sorted in decreasing order
+	  var eig = PortfolioAllocation.Matrix.eigenDecomposition(mat);
+	  var V = eig[0];
+	  var D = eig[1];
+	  
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(V, new PortfolioAllocation.Matrix([[0,1], [1,0]])), true, 'Eigenvalue decomposition - #1 1/2');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(D, new PortfolioAllocation.Matrix([[2,0], [0,1]])), true, 'Eigenvalue decomposition - #1 2/2');
+  }
+  
+  // Test using static data, with eigenvalues 1 + sqrt(2), 1 and 1 - sqrt(2)
+  {
+	  var mat = new PortfolioAllocation.Matrix([[1,1,0], [1,1,1], [0,1,1]]);
+	  
+	  // Computation of an eigenvalue decomposition
+	  var eig = PortfolioAllocation.Matrix.eigenDecomposition(mat);
+	  var V = eig[0];
+	  var D = eig[1];
+	  
+	  var expectedD = new PortfolioAllocation.Matrix([[1 + Math.sqrt(2), 0, 0], [0, 1, 0], [0, 0, 1 - Math.sqrt(2)]]);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(D, expectedD, 1e-14), true, 'Eigenvalue decomposition - #2 1/3');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.xy(V.transpose(), V), PortfolioAllocation.Matrix.identity(3), 1e-14), true, 'Eigenvalue decomposition - #2 2/3');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.xy(PortfolioAllocation.Matrix.xy(V, D), V.transpose()), mat, 1e-14), true, 'Eigenvalue decomposition - #2 3/3');
+  }
+  
+  // Test using random data
+  {
+	  var n = Math.floor(Math.random() * (20 - 2 + 1)) + 2; // max 20, min 2
+	  var mat = PortfolioAllocation.Matrix.fillSymetric(n, function(i,j) { return Math.random() - 0.5; });
+	  
+	  // Computation of an eigenvalue decomposition
+	  var eig = PortfolioAllocation.Matrix.eigenDecomposition(mat);
+	  var V = eig[0];
+	  var D = eig[1];
+	  
+	  // Checks on the eigenvalues ordering, the orthogonality of V and the reconstruction of the matrix
+	  var eigenvalues = D.diagonal().toArray();
+	  var sortedEigenvalues = true;
+	  for (var i = 1; i < n; ++i) {
+		  if (eigenvalues[i] > eigenvalues[i-1]) {
+			  sortedEigenvalues = false;
+		  }
+	  }
+	  assert.equal(sortedEigenvalues, true, 'Eigenvalue decomposition, random - 1/3');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.xy(V.transpose(), V), PortfolioAllocation.Matrix.identity(n), 1e-12), true, 'Eigenvalue decomposition, random - 2/3');
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(PortfolioAllocation.Matrix.xy(PortfolioAllocation.Matrix.xy(V, D), V.transpose()), mat, 1e-12), true, 'Eigenvalue decomposition, random - 3/3');
+  }
+  
+  // Unsupported case, non square matrix
+  {
+      var mat = new PortfolioAllocation.Matrix([[-3,5,7], [2,6,4]]);
+      assert.throws(function() { PortfolioAllocation.Matrix.eigenDecomposition(mat); },
+		                         new Error('matrix is not square: (2,3)'),
+		                         "Eigenvalue decomposition, unsupported non square matrix");
+  }
+});
+
+
 QUnit.test('Nullspace computation', function(assert) {    
   // Test using static data, m < n case, nullspace dimension 0
   {
@@ -664,6 +899,52 @@ QUnit.test('Linear system solver - Upper triangular system solve via back substi
 });
 
 
+QUnit.test('Linear system solver - Lower triangular system solve via forward substitution', function(assert) {    
+  // Test using static data  
+  {
+      var A = new PortfolioAllocation.Matrix([[1, 0, 0, 0], [2, -4, 0, 0], [1, 1, -2, 0], [-1, 7, 1, -1]]);
+	  var b = new PortfolioAllocation.Matrix([3, -6, 1, -33]);
+      var expectedX = new PortfolioAllocation.Matrix([3, 3, 2.5, 53.5]);
+	  
+	  var x = PortfolioAllocation.Matrix.linsolveForwardSubstitution(A, b);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(x, expectedX, 1e-14), true, 'Lower triangular linear system solve - Forward substitution algorithm #1');
+  }
+});
+
+
+QUnit.test('Linear system solver - LU decomposition', function(assert) {    
+  // Test using static data  
+  {
+      var A = new PortfolioAllocation.Matrix([[1, 2], [3, 4]]);
+	  var b = new PortfolioAllocation.Matrix([5, 11]);
+      var expectedX = new PortfolioAllocation.Matrix([1, 2]);
+	  
+	  var x = PortfolioAllocation.Matrix.linsolve(A, b);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(x, expectedX, 1e-14), true, 'Linear system solve - LU decomposition #1');
+  }
+  
+  // Test using random data
+  {
+	  var n = Math.floor(Math.random() * (20 - 1 + 1)) + 1; // max 20, min 1
+	  var A = PortfolioAllocation.Matrix.fill(n, n, function(i,j) { return (i == j ? n : 0) + Math.random() - 0.5; }); // diagonally dominant, so invertible
+	  var expectedX = PortfolioAllocation.Matrix.fill(n, 1, function(i,j) { return Math.random(); });
+	  var b = PortfolioAllocation.Matrix.xy(A, expectedX);
+	  
+	  var x = PortfolioAllocation.Matrix.linsolve(A, b);
+	  assert.equal(PortfolioAllocation.Matrix.areEqual(x, expectedX, 1e-12), true, 'Linear system solve - LU decomposition, random');
+  }
+  
+  // Singular matrix
+  {
+	  var A = new PortfolioAllocation.Matrix([[1, 2], [2, 4]]);
+	  var b = new PortfolioAllocation.Matrix([1, 1]);
+	  assert.throws(function() { PortfolioAllocation.Matrix.linsolve(A, b); },
+		                         new Error('input matrix is not invertible: zero diagonal coefficient at index 2'),
+		                         "Linear system solve - LU decomposition, singular matrix");
+  }
+});
+
+
 QUnit.test('Linear system solver - Extended Kaczmarz algorithm', function(assert) {    
   // Limit case: null matrix; in this case, the least square solution is null as well
   {